@@ -8,7 +8,9 @@ import DroneStatus from './components/DroneStatus';
 import ControlPanel from './components/ControlPanel';
 import CameraViewer from './components/CameraViewer';
 import ExplorationPanel from './components/ExplorationPanel';
+import CoveragePanel from './components/CoveragePanel';
 import MissionHistory from './components/MissionHistory';
+import ModulePanel from './components/ModulePanel';
 import './App.css';
 
 const { Header, Content } = Layout;
@@ -25,6 +27,7 @@ function App() {
   const [droneMode, setDroneMode] = useState('auto'); // 'real', 'simulator', 'auto'
   const [accumulatedPointCloud, setAccumulatedPointCloud] = useState({ history: [], totalPoints: 0 }); // 累积的点云数据
   const [waypoints, setWaypoints] = useState([]); // 航点列表
+  const [failsafe, setFailsafe] = useState(null); // 失控保护状态
   const [stats, setStats] = useState({
     pointCount: 0,
     heartbeatCount: 0,
@@ -96,6 +99,17 @@ function App() {
       setStats(prev => ({ ...prev, cameraCount: prev.cameraCount + 1 }));
     });
 
+    // 监听失控保护状态
+    websocket.on('failsafe_status', (msg) => {
+      const data = msg.data || msg;
+      setFailsafe(prev => {
+        if (data.active && !prev?.active) {
+          message.error('🚨 失控保护已触发: ' + data.alarms.map(alarm => alarm.message).join('、'), 5);
+        }
+        return data;
+      });
+    });
+
     // 监听探索状态
     websocket.on('exploration_status', (msg) => {
       const data = msg.data || msg;
@@ -264,16 +278,22 @@ function App() {
                 />
 
                 {/* 无人机状态 */}
-                <DroneStatus heartbeat={heartbeat} odometry={odometry} />
+                <DroneStatus heartbeat={heartbeat} odometry={odometry} failsafe={failsafe} />
 
                 {/* 控制面板 */}
                 <ControlPanel odometry={odometry} onWaypointsChange={setWaypoints} />
 
+                {/* 机载模块控制 */}
+                <ModulePanel heartbeat={heartbeat} />
+
                 {/* 任务历史记录 */}
                 <MissionHistory />
 
                 {/* 探索面板 */}
-                <ExplorationPanel startPosition={droneStartPosition} />
+                <ExplorationPanel startPosition={droneStartPosition} failsafe={failsafe} />
+
+                {/* 覆盖扫描 */}
+                <CoveragePanel />
               </div>
             </Col>
           </Row>
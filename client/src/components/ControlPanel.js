@@ -1,5 +1,5 @@
-import React, { useState, useEffect } from 'react';
-import { Card, Button, Space, InputNumber, message, Collapse, Form, Table, Switch, Popconfirm, Upload, Modal } from 'antd';
+import React, { useState, useEffect, useRef } from 'react';
+import { Card, Button, Space, InputNumber, message, Collapse, Form, Table, Switch, Popconfirm, Upload, Modal, Select, Radio, Tag, Progress, Tooltip } from 'antd';
 import {
   RocketOutlined,
   DownOutlined,
@@ -12,15 +12,100 @@ import {
   EnvironmentOutlined,
   DownloadOutlined,
   UploadOutlined,
-  CompassOutlined
+  CompassOutlined,
+  CameraOutlined,
+  HomeOutlined
 } from '@ant-design/icons';
 import websocket from '../services/websocket';
 
 const { Panel } = Collapse;
 
+// 直线任务默认参数
+const DEFAULT_LINE_PARAMS = {
+  maxSpeed: 0.5,   // 最大速度 m/s
+  maxAccel: 0.5,   // 最大加速度 m/s²
+  yawMode: 'FIXED',
+  yawTarget: { x: 0, y: 0, z: 1 }
+};
+
+// 航测默认拍照间隔（毫秒）
+const DEFAULT_CAMERA_INTERVAL = 2000;
+
+/**
+ * 航点相机参数转换为 CameraParam
+ * 航点字段: cameraOn, cameraMode ('PHOTO' | 'VIDEO'), cameraInterval (毫秒，仅拍照模式)
+ */
+function buildCameraParam(wp) {
+  if (!wp.cameraOn) {
+    return { on: false, mode: 0, interval: 0 };
+  }
+  const isVideo = wp.cameraMode === 'VIDEO';
+  return {
+    on: true,
+    mode: isVideo ? 1 : 0,  // 0 = PHOTO, 1 = VIDEO
+    interval: isVideo ? 0 : (wp.cameraInterval ?? DEFAULT_CAMERA_INTERVAL)
+  };
+}
+
+/**
+ * 航点转换为任务
+ * type === 'line' 的航点生成从上一个航点到该航点的 Line 任务，其余生成 autoPilot 任务
+ * 航点的相机参数作用于飞往该航点的航段
+ * @param {Object} wp - 航点
+ * @param {Object} prevWp - 上一个航点（第一个航点为null）
+ */
+function buildWaypointTask(wp, prevWp) {
+  const cameraParam = buildCameraParam(wp);
+
+  if (wp.type === 'line' && prevWp) {
+    const yawTarget = wp.yawTarget || DEFAULT_LINE_PARAMS.yawTarget;
+    return {
+      line: {
+        start: { x: prevWp.x, y: prevWp.y, z: prevWp.z },
+        end: { x: wp.x, y: wp.y, z: wp.z },
+        yawMode: wp.yawMode === 'TARGET' ? 1 : 0,  // 0 = FIXED, 1 = TARGET
+        yawFixed: wp.yaw || 0,
+        yawTarget: { x: yawTarget.x, y: yawTarget.y, z: yawTarget.z },
+        maxSpeed: wp.maxSpeed ?? DEFAULT_LINE_PARAMS.maxSpeed,
+        maxAccel: wp.maxAccel ?? DEFAULT_LINE_PARAMS.maxAccel,
+        cameraParam
+      }
+    };
+  }
+
+  return {
+    autoPilot: {
+      position: { x: wp.x, y: wp.y, z: wp.z },
+      yaw: wp.yaw,
+      cameraParam
+    }
+  };
+}
+
+// 任务跟踪状态显示
+const MISSION_STATUS_DISPLAY = {
+  published: { color: 'default', text: '已发布' },
+  receipted: { color: 'cyan', text: '已回执' },
+  dispatched: { color: 'blue', text: '已下发' },
+  executing: { color: 'processing', text: '执行中' },
+  paused: { color: 'warning', text: '已暂停' },
+  completed: { color: 'success', text: '已完成' },
+  stopped: { color: 'default', text: '已停止' },
+  failed: { color: 'error', text: '失败' }
+};
+
+// 执行指令名称（枚举值: START=0, PAUSE=1, RESUME=2, STOP=3, CLEAR=4）
+const EXECUTION_ACTION_NAMES = ['开始', '暂停', '恢复', '停止', '清除'];
+
 export default function ControlPanel({ odometry, onWaypointsChange }) {
   const [loading, setLoading] = useState(false);
   const [currentExecutingId, setCurrentExecutingId] = useState(null); // 当前正在执行的任务ID
+  const [missionState, setMissionState] = useState(null); // 服务器跟踪的任务执行状态
+  const [invalidWaypoints, setInvalidWaypoints] = useState({}); // 被拒绝的航点 {key: [错误信息]}
+  const [selectedWaypointKeys, setSelectedWaypointKeys] = useState([]); // 选中的航点（航测用）
+  const [surveyInterval, setSurveyInterval] = useState(DEFAULT_CAMERA_INTERVAL); // 航测拍照间隔
+  const missionRowsRef = useRef({}); // 已下发任务的子任务序号 → 航点key {missionId: [key|null]}
+  const pendingMissionsRef = useRef({}); // 等待服务器响应的任务 {missionId: 送达后的提示}
   const [waypoints, setWaypoints] = useState([]); // 航点列表
   const [returnToStart, setReturnToStart] = useState(true); // 是否返回起点
   const [autoLand, setAutoLand] = useState(true); // 是否自动降落
@@ -30,6 +115,9 @@ export default function ControlPanel({ odometry, onWaypointsChange }) {
   const [selectedRoute, setSelectedRoute] = useState(null); // 选中的航线
   const [confirmReturnHome, setConfirmReturnHome] = useState(true); // 弹窗中的返航选项
   const [confirmLand, setConfirmLand] = useState(true); // 弹窗中的降落选项
+  const [returnHomeLand, setReturnHomeLand] = useState(true); // 一键返航到达后降落
+  const [returnHomeRequesting, setReturnHomeRequesting] = useState(false);
+  const [returningHome, setReturningHome] = useState(false); // 服务器推送的返航状态
 
   // 当航点变化时通知父组件
   useEffect(() => {
@@ -43,6 +131,103 @@ export default function ControlPanel({ odometry, onWaypointsChange }) {
     fetchPresetRoutes();
   }, []);
 
+  // 航点修改后清除之前的拒绝标记
+  useEffect(() => {
+    setInvalidWaypoints({});
+  }, [waypoints]);
+
+  // 监听服务器任务/执行指令响应（校验失败、回执超时等）
+  useEffect(() => {
+    const handleMissionResponse = (msg) => {
+      const data = msg.data || msg;
+      const rowKeys = missionRowsRef.current[data.id];
+      const successText = pendingMissionsRef.current[data.id];
+      delete missionRowsRef.current[data.id];
+      delete pendingMissionsRef.current[data.id];
+
+      if (!data.success) {
+        // 使用任务ID作为提示key，替换"下发中"提示
+        message.error({ content: data.message || '任务下发失败', key: data.id });
+
+        // 将出错的子任务映射回航点表格行
+        if (rowKeys && data.errors) {
+          const invalid = {};
+          data.errors.forEach(error => {
+            const key = error.taskIndex !== null ? rowKeys[error.taskIndex] : null;
+            if (key !== null && key !== undefined) {
+              invalid[key] = [...(invalid[key] || []), error.message];
+            }
+          });
+          setInvalidWaypoints(invalid);
+        }
+      } else if (data.started) {
+        const retried = data.attempts > 1 ? ` (重发${data.attempts - 1}次)` : '';
+        message.success({ content: `${successText || `▶️ ${data.message}`}${retried}`, key: data.id });
+        setCurrentExecutingId(data.id);
+      } else {
+        // 任务已送达但开始指令未送达，可通过任务控制手动开始
+        message.warning({ content: `任务 ${data.id} 已送达，开始指令未送达`, key: data.id });
+        setCurrentExecutingId(data.id);
+      }
+    };
+
+    const handleExecutionResponse = (msg) => {
+      const data = msg.data || msg;
+      const key = `execution_${data.id}_${data.action}`;
+      if (!data.success) {
+        message.error({ content: `执行指令未送达 (${data.id}): ${data.message}`, key });
+      } else {
+        message.success({ content: `${EXECUTION_ACTION_NAMES[data.action] || ''}任务指令已送达 (${data.id})`, key });
+      }
+    };
+
+    websocket.on('mission_response', handleMissionResponse);
+    websocket.on('execution_response', handleExecutionResponse);
+    return () => {
+      websocket.off('mission_response', handleMissionResponse);
+      websocket.off('execution_response', handleExecutionResponse);
+    };
+  }, []);
+
+  // 监听服务器推送的任务执行状态
+  useEffect(() => {
+    const handleMissionState = (msg) => {
+      const data = msg.data;
+      if (!data) return;
+      setMissionState(data);
+
+      if (data.status === 'failed') {
+        message.error(`任务 ${data.id} 执行失败${data.reason ? `: ${data.reason}` : ''}`);
+      } else if (data.status === 'completed') {
+        message.success(`任务 ${data.id} 已完成`);
+      }
+    };
+
+    websocket.on('mission_state', handleMissionState);
+    return () => {
+      websocket.off('mission_state', handleMissionState);
+    };
+  }, []);
+
+  // 监听返航状态（一键返航、探索结束自动返航、失控保护返航）
+  useEffect(() => {
+    const handleReturnHomeStatus = (msg) => {
+      const data = msg.data;
+      if (!data) return;
+      setReturningHome(data.returning);
+      if (data.failed) {
+        message.error(`❌ ${data.message}`);
+      } else if (!data.returning) {
+        message.success('🏠 已返航到起点');
+      }
+    };
+
+    websocket.on('return_home_status', handleReturnHomeStatus);
+    return () => {
+      websocket.off('return_home_status', handleReturnHomeStatus);
+    };
+  }, []);
+
   /**
    * 获取预设航线列表
    */
@@ -66,6 +251,17 @@ export default function ControlPanel({ odometry, onWaypointsChange }) {
     }
   };
 
+  /**
+   * 发送任务并自动开始，送达结果以服务器的 mission_response 为准
+   * @param {Object} mission - {id, tasks}
+   * @param {string} successText - 送达并开始执行后的提示
+   */
+  const publishMission = (mission, successText) => {
+    pendingMissionsRef.current[mission.id] = successText;
+    message.loading({ content: `任务下发中 (${mission.id})`, key: mission.id, duration: 0 });
+    websocket.publishMission({ ...mission, autoStart: true });
+  };
+
   /**
    * 执行指定预设航线
    * @param {string} routeId - 航线ID
@@ -104,14 +300,8 @@ export default function ControlPanel({ odometry, onWaypointsChange }) {
       // 构建任务
       const tasks = [{ takeOff: {} }];
 
-      routeWaypoints.forEach(wp => {
-        tasks.push({
-          autoPilot: {
-            position: { x: wp.x, y: wp.y, z: wp.z },
-            yaw: wp.yaw,
-            cameraParam: { on: false, mode: 0, interval: 0 }
-          }
-        });
+      routeWaypoints.forEach((wp, index) => {
+        tasks.push(buildWaypointTask(wp, index > 0 ? routeWaypoints[index - 1] : null));
       });
 
       // 返回起点（使用弹窗中选择的选项）
@@ -132,22 +322,13 @@ export default function ControlPanel({ odometry, onWaypointsChange }) {
 
       const mission = { id: newMissionId, tasks };
 
-      // 发送任务
-      websocket.publishMission(mission);
       const statusParts = [];
       if (shouldReturnHome) statusParts.push('返航');
       if (shouldLand) statusParts.push('降落');
       const statusText = statusParts.length > 0 ? `, 完成后${statusParts.join('+')}` : '';
-      message.success(`🚀 ${displayName} 已启动 (${routeWaypoints.length} 个航点${statusText})`);
-
-      setCurrentExecutingId(newMissionId);
-
-      // 自动执行
-      setTimeout(() => {
-        websocket.publishExecution({ id: newMissionId, action: 0 });
-        message.info('▶️ 任务已开始执行');
-      }, 1000);
 
+      // 发送任务（服务器收到回执后自动开始执行），以服务器响应为准提示结果
+      publishMission(mission, `🚀 ${displayName} 已启动 (${routeWaypoints.length} 个航点${statusText})`);
     } catch (error) {
       message.error('执行失败: ' + error.message);
     } finally {
@@ -215,6 +396,52 @@ export default function ControlPanel({ odometry, onWaypointsChange }) {
     setWaypoints(newWaypoints);
   };
 
+  /**
+   * 更新航点的非数值属性（任务类型、直线参数等）
+   */
+  const handleUpdateWaypointProps = (key, props) => {
+    setWaypoints(waypoints.map(wp => (wp.key === key ? { ...wp, ...props } : wp)));
+  };
+
+  /**
+   * 切换航点任务类型（航点 / 直线）
+   */
+  const handleChangeWaypointType = (key, type) => {
+    setWaypoints(waypoints.map(wp => {
+      if (wp.key !== key) return wp;
+      if (type === 'line') {
+        return { ...DEFAULT_LINE_PARAMS, ...wp, type };
+      }
+      return { ...wp, type };
+    }));
+  };
+
+  /**
+   * 航测：为选中航点对应的航段开启定时拍照
+   */
+  const handleSurveySelected = () => {
+    if (selectedWaypointKeys.length === 0) {
+      message.warning('⚠️ 请先勾选需要拍照的航段');
+      return;
+    }
+    setWaypoints(waypoints.map(wp => (
+      selectedWaypointKeys.includes(wp.key)
+        ? { ...wp, cameraOn: true, cameraMode: 'PHOTO', cameraInterval: surveyInterval }
+        : wp
+    )));
+    message.success(`📷 已为 ${selectedWaypointKeys.length} 个航段开启拍照（间隔 ${surveyInterval}ms）`);
+  };
+
+  /**
+   * 关闭选中航点的相机
+   */
+  const handleCameraOffSelected = () => {
+    setWaypoints(waypoints.map(wp => (
+      selectedWaypointKeys.includes(wp.key) ? { ...wp, cameraOn: false } : wp
+    )));
+    message.success(`已关闭 ${selectedWaypointKeys.length} 个航段的相机`);
+  };
+
   /**
    * 起飞 - 通过任务系统发送
    */
@@ -226,17 +453,7 @@ export default function ControlPanel({ odometry, onWaypointsChange }) {
         id: newMissionId,
         tasks: [{ takeOff: {} }]
       };
-      websocket.publishMission(mission);
-      setCurrentExecutingId(newMissionId);
-
-      setTimeout(() => {
-        websocket.publishExecution({
-          id: newMissionId,
-          action: 0  // START
-        });
-      }, 500);
-
-      message.success('✈️ 起飞指令已发送');
+      publishMission(mission, '✈️ 起飞指令已送达');
     } catch (error) {
       message.error('发送失败: ' + error.message);
     } finally {
@@ -244,6 +461,31 @@ export default function ControlPanel({ odometry, onWaypointsChange }) {
     }
   };
 
+  /**
+   * 一键返航 - 服务器沿飞行轨迹或规划路径生成返航任务（探索中会先停止探索）
+   */
+  const handleReturnHome = async () => {
+    setReturnHomeRequesting(true);
+    try {
+      const response = await fetch('/api/drone/return-home', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ land: returnHomeLand })
+      });
+      const result = await response.json();
+      if (result.success) {
+        setCurrentExecutingId(result.missionId);
+        message.success(`🏠 ${result.message}`);
+      } else {
+        message.error(result.message || result.error || '返航失败');
+      }
+    } catch (error) {
+      message.error('返航失败: ' + error.message);
+    } finally {
+      setReturnHomeRequesting(false);
+    }
+  };
+
   /**
    * 降落 - 通过任务系统发送
    */
@@ -255,17 +497,7 @@ export default function ControlPanel({ odometry, onWaypointsChange }) {
         id: newMissionId,
         tasks: [{ land: {} }]
       };
-      websocket.publishMission(mission);
-      setCurrentExecutingId(newMissionId);
-
-      setTimeout(() => {
-        websocket.publishExecution({
-          id: newMissionId,
-          action: 0  // START
-        });
-      }, 500);
-
-      message.success('🛬 降落指令已发送');
+      publishMission(mission, '🛬 降落指令已送达');
     } catch (error) {
       message.error('发送失败: ' + error.message);
     } finally {
@@ -328,6 +560,7 @@ export default function ControlPanel({ odometry, onWaypointsChange }) {
    */
   const handleDeleteWaypoint = (key) => {
     setWaypoints(waypoints.filter(wp => wp.key !== key));
+    setSelectedWaypointKeys(selectedWaypointKeys.filter(k => k !== key));
     message.success('🗑️ 航点已删除');
   };
 
@@ -336,6 +569,7 @@ export default function ControlPanel({ odometry, onWaypointsChange }) {
    */
   const handleClearWaypoints = () => {
     setWaypoints([]);
+    setSelectedWaypointKeys([]);
     message.success('🗑️ 已清空所有航点');
   };
 
@@ -358,19 +592,9 @@ export default function ControlPanel({ odometry, onWaypointsChange }) {
         { takeOff: {} }
       ];
 
-      // 添加所有航点
-      waypoints.forEach(wp => {
-        tasks.push({
-          autoPilot: {
-            position: { x: wp.x, y: wp.y, z: wp.z },
-            yaw: wp.yaw,
-            cameraParam: {
-              on: false,
-              mode: 0,  // 0 = PHOTO
-              interval: 0
-            }
-          }
-        });
+      // 添加所有航点（航点或直线任务）
+      waypoints.forEach((wp, index) => {
+        tasks.push(buildWaypointTask(wp, index > 0 ? waypoints[index - 1] : null));
       });
 
       // 如果需要返回起点
@@ -410,20 +634,13 @@ export default function ControlPanel({ odometry, onWaypointsChange }) {
         tasks: tasks
       };
 
-      websocket.publishMission(mission);
-      message.success(`📋 任务已下发: ${waypoints.length} 个航点 (${newMissionId})`);
-
-      // 保存当前执行的任务ID
-      setCurrentExecutingId(newMissionId);
+      // 记录子任务与航点行的对应关系（tasks[0]为起飞，tasks[i+1]为第i个航点）
+      missionRowsRef.current[newMissionId] = tasks.map((_task, taskIndex) =>
+        taskIndex >= 1 && taskIndex <= waypoints.length ? waypoints[taskIndex - 1].key : null
+      );
 
-      // 自动执行任务
-      setTimeout(() => {
-        websocket.publishExecution({
-          id: newMissionId,
-          action: 0  // 0 = START
-        });
-        message.info('▶️ 任务已开始执行');
-      }, 1000);
+      // 服务器收到回执后自动开始执行
+      publishMission(mission, `📋 任务已下发: ${waypoints.length} 个航点 (${newMissionId})`);
     } catch (error) {
       message.error('发送失败: ' + error.message);
     } finally {
@@ -455,14 +672,12 @@ export default function ControlPanel({ odometry, onWaypointsChange }) {
         action: actionEnumMap[action]
       });
 
-      const actionMap = {
-        START: '开始',
-        PAUSE: '暂停',
-        RESUME: '恢复',
-        STOP: '停止',
-        CLEAR: '清除'
-      };
-      message.success(`${actionMap[action]}任务指令已发送 (${currentExecutingId})`);
+      // 送达结果由 execution_response 提示
+      message.loading({
+        content: `${EXECUTION_ACTION_NAMES[actionEnumMap[action]]}任务指令发送中 (${currentExecutingId})`,
+        key: `execution_${currentExecutingId}_${actionEnumMap[action]}`,
+        duration: 0
+      });
 
       // 如果停止或清除，清空当前执行ID
       if (action === 'STOP' || action === 'CLEAR') {
@@ -480,7 +695,30 @@ export default function ControlPanel({ odometry, onWaypointsChange }) {
       dataIndex: 'key',
       key: 'index',
       width: 40,
-      render: (_text, _record, index) => index + 1
+      render: (_text, record, index) => invalidWaypoints[record.key] ? (
+        <Tooltip title={invalidWaypoints[record.key].join('; ')}>
+          <span style={{ color: '#ff4d4f', fontWeight: 600 }}>{index + 1} ⚠</span>
+        </Tooltip>
+      ) : index + 1
+    },
+    {
+      title: '类型',
+      dataIndex: 'type',
+      key: 'type',
+      width: 80,
+      render: (text, record, index) => (
+        <Select
+          value={text === 'line' ? 'line' : 'autoPilot'}
+          size="small"
+          style={{ width: '100%' }}
+          disabled={index === 0}
+          onChange={(value) => handleChangeWaypointType(record.key, value)}
+          options={[
+            { value: 'autoPilot', label: '航点' },
+            { value: 'line', label: '直线' }
+          ]}
+        />
+      )
     },
     {
       title: 'X',
@@ -542,6 +780,25 @@ export default function ControlPanel({ odometry, onWaypointsChange }) {
         />
       )
     },
+    {
+      title: <CameraOutlined />,
+      dataIndex: 'cameraOn',
+      key: 'camera',
+      width: 50,
+      render: (text, record) => (
+        <Tooltip title={text ? (record.cameraMode === 'VIDEO' ? '录像' : `拍照 ${record.cameraInterval ?? DEFAULT_CAMERA_INTERVAL}ms`) : '相机关闭'}>
+          <Switch
+            size="small"
+            checked={!!text}
+            onChange={(checked) => handleUpdateWaypointProps(record.key, {
+              cameraOn: checked,
+              cameraMode: record.cameraMode || 'PHOTO',
+              cameraInterval: record.cameraInterval ?? DEFAULT_CAMERA_INTERVAL
+            })}
+          />
+        </Tooltip>
+      )
+    },
     {
       title: '',
       key: 'action',
@@ -559,6 +816,105 @@ export default function ControlPanel({ odometry, onWaypointsChange }) {
     }
   ];
 
+  /**
+   * 相机参数编辑（展开行）
+   */
+  const renderCameraParams = (record) => (
+    <Space size={4} wrap style={{ fontSize: 12 }}>
+      <span>相机:</span>
+      <Radio.Group
+        size="small"
+        value={record.cameraMode || 'PHOTO'}
+        onChange={(e) => handleUpdateWaypointProps(record.key, { cameraMode: e.target.value })}
+      >
+        <Radio.Button value="PHOTO">拍照</Radio.Button>
+        <Radio.Button value="VIDEO">录像</Radio.Button>
+      </Radio.Group>
+      {record.cameraMode !== 'VIDEO' && (
+        <>
+          <span>间隔(ms):</span>
+          <InputNumber
+            value={record.cameraInterval ?? DEFAULT_CAMERA_INTERVAL}
+            size="small"
+            min={0}
+            step={500}
+            style={{ width: 80 }}
+            onChange={(value) => handleUpdateWaypointProps(record.key, { cameraInterval: value ?? 0 })}
+          />
+        </>
+      )}
+    </Space>
+  );
+
+  /**
+   * 航点参数编辑（展开行）：直线参数 + 相机参数
+   */
+  const renderWaypointParams = (record) => (
+    <Space direction="vertical" size={4} style={{ width: '100%' }}>
+      {record.type === 'line' && renderLineParams(record)}
+      {record.cameraOn && renderCameraParams(record)}
+    </Space>
+  );
+
+  /**
+   * 直线任务参数编辑
+   */
+  const renderLineParams = (record) => (
+    <Space direction="vertical" size={4} style={{ width: '100%', fontSize: 12 }}>
+      <Space size={4} wrap>
+        <span>最大速度(m/s):</span>
+        <InputNumber
+          value={record.maxSpeed}
+          size="small"
+          min={0.1}
+          max={3}
+          step={0.1}
+          style={{ width: 70 }}
+          onChange={(value) => handleUpdateWaypointProps(record.key, { maxSpeed: value })}
+        />
+        <span>最大加速度(m/s²):</span>
+        <InputNumber
+          value={record.maxAccel}
+          size="small"
+          min={0.1}
+          max={3}
+          step={0.1}
+          style={{ width: 70 }}
+          onChange={(value) => handleUpdateWaypointProps(record.key, { maxAccel: value })}
+        />
+      </Space>
+      <Space size={4} wrap>
+        <span>航向:</span>
+        <Radio.Group
+          size="small"
+          value={record.yawMode || 'FIXED'}
+          onChange={(e) => handleUpdateWaypointProps(record.key, { yawMode: e.target.value })}
+        >
+          <Radio.Button value="FIXED">固定(Yaw)</Radio.Button>
+          <Radio.Button value="TARGET">指向目标</Radio.Button>
+        </Radio.Group>
+      </Space>
+      {record.yawMode === 'TARGET' && (
+        <Space size={4} wrap>
+          <span>目标点:</span>
+          {['x', 'y', 'z'].map(axis => (
+            <InputNumber
+              key={axis}
+              placeholder={axis.toUpperCase()}
+              value={record.yawTarget?.[axis]}
+              size="small"
+              step={0.1}
+              style={{ width: 60 }}
+              onChange={(value) => handleUpdateWaypointProps(record.key, {
+                yawTarget: { ...DEFAULT_LINE_PARAMS.yawTarget, ...record.yawTarget, [axis]: parseFloat(value) || 0 }
+              })}
+            />
+          ))}
+        </Space>
+      )}
+    </Space>
+  );
+
   return (
     <Card
       title={<><SendOutlined /> 控制面板</>}
@@ -588,6 +944,31 @@ export default function ControlPanel({ odometry, onWaypointsChange }) {
           </Button>
         </Space>
 
+        {/* 一键返航 */}
+        <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+          <Popconfirm
+            title="确认返航到起点？"
+            description={returnHomeLand ? '到达起点后自动降落' : '到达起点后悬停'}
+            onConfirm={handleReturnHome}
+            okText="返航"
+            cancelText="取消"
+          >
+            <Button
+              icon={<HomeOutlined />}
+              loading={returnHomeRequesting}
+              style={{ flex: 1 }}
+            >
+              {returningHome ? '返航中…' : '一键返航'}
+            </Button>
+          </Popconfirm>
+          <Switch
+            checked={returnHomeLand}
+            onChange={setReturnHomeLand}
+            checkedChildren="降落"
+            unCheckedChildren="悬停"
+          />
+        </div>
+
         {/* 自由探索模式按钮 */}
         {presetRoutes.length > 0 && (
           <Space direction="vertical" style={{ width: '100%' }}>
@@ -682,7 +1063,44 @@ export default function ControlPanel({ odometry, onWaypointsChange }) {
                   size="small"
                   style={{ marginBottom: 12 }}
                   scroll={{ y: 200 }}
+                  rowClassName={(record) => invalidWaypoints[record.key] ? 'waypoint-row-invalid' : ''}
+                  rowSelection={{
+                    selectedRowKeys: selectedWaypointKeys,
+                    onChange: setSelectedWaypointKeys,
+                    columnWidth: 32
+                  }}
+                  expandable={{
+                    expandedRowRender: renderWaypointParams,
+                    rowExpandable: (record) => record.type === 'line' || !!record.cameraOn
+                  }}
                 />
+                {/* 航测：为勾选的航段批量开启定时拍照 */}
+                <Space style={{ width: '100%', marginBottom: 12 }} wrap>
+                  <span style={{ fontSize: 12 }}>航测间隔(ms):</span>
+                  <InputNumber
+                    value={surveyInterval}
+                    size="small"
+                    min={100}
+                    step={500}
+                    style={{ width: 80 }}
+                    onChange={(value) => setSurveyInterval(value || DEFAULT_CAMERA_INTERVAL)}
+                  />
+                  <Button
+                    size="small"
+                    icon={<CameraOutlined />}
+                    onClick={handleSurveySelected}
+                    disabled={selectedWaypointKeys.length === 0}
+                  >
+                    航测拍照
+                  </Button>
+                  <Button
+                    size="small"
+                    onClick={handleCameraOffSelected}
+                    disabled={selectedWaypointKeys.length === 0}
+                  >
+                    关闭相机
+                  </Button>
+                </Space>
                 <Space style={{ width: '100%', marginBottom: 12 }} wrap>
                   <Popconfirm
                     title="确定清空所有航点?"
@@ -799,6 +1217,26 @@ export default function ControlPanel({ odometry, onWaypointsChange }) {
                 }}>
                   <strong>当前任务ID:</strong><br/>
                   {currentExecutingId}
+                  {missionState && missionState.id === currentExecutingId && (
+                    <div style={{ marginTop: '6px' }}>
+                      <Tag color={MISSION_STATUS_DISPLAY[missionState.status]?.color}>
+                        {MISSION_STATUS_DISPLAY[missionState.status]?.text || missionState.status}
+                      </Tag>
+                      {missionState.currentTaskIndex !== null && missionState.taskCount > 0 && (
+                        <span>子任务 {missionState.currentTaskIndex + 1}/{missionState.taskCount}</span>
+                      )}
+                      {missionState.taskCount > 0 && missionState.currentTaskIndex !== null && (
+                        <Progress
+                          percent={Math.round(
+                            ((missionState.status === 'completed' ? missionState.taskCount : missionState.currentTaskIndex) /
+                              missionState.taskCount) * 100
+                          )}
+                          size="small"
+                          status={missionState.status === 'failed' ? 'exception' : undefined}
+                        />
+                      )}
+                    </div>
+                  )}
                 </div>
               )}
               <Button
@@ -0,0 +1,238 @@
+import React, { useState, useEffect } from 'react';
+import { Card, Button, Space, Row, Col, Statistic, message, InputNumber, Input, Checkbox, Select } from 'antd';
+import { BorderOuterOutlined, SendOutlined, SaveOutlined } from '@ant-design/icons';
+import websocket from '../services/websocket';
+
+/**
+ * 覆盖扫描面板
+ * 在当前ROI内生成往返式覆盖航线（避开当前地图和先验地图中的障碍物），
+ * 航线在3D视图中预览，可直接下发为任务或保存为预设航线
+ */
+export default function CoveragePanel() {
+  const [roiPolygon, setRoiPolygon] = useState(null);
+  const [route, setRoute] = useState(null);
+  const [planning, setPlanning] = useState(false);
+  const [publishing, setPublishing] = useState(false);
+
+  // 覆盖参数
+  const [layers, setLayers] = useState([1.0]);
+  const [footprint, setFootprint] = useState(2.0);
+  const [overlap, setOverlap] = useState(0.2);
+  const [sweepAngle, setSweepAngle] = useState(0);
+  const [cameraInterval, setCameraInterval] = useState(2000);
+
+  // 下发/保存选项
+  const [returnToStart, setReturnToStart] = useState(false);
+  const [autoLand, setAutoLand] = useState(true);
+  const [routeName, setRouteName] = useState('');
+
+  useEffect(() => {
+    // 当前ROI跟随探索地图
+    const handleMap = (msg) => {
+      if (msg.data) {
+        setRoiPolygon(msg.data.roiPolygon || null);
+      }
+    };
+    const handleRoute = (msg) => {
+      if (msg.data) {
+        setRoute(msg.data);
+      }
+    };
+
+    websocket.on('exploration_map', handleMap);
+    websocket.on('coverage_route', handleRoute);
+
+    // 加载最近一次生成的航线
+    fetch('/api/coverage/route')
+      .then(res => res.json())
+      .then(result => {
+        if (result.success && result.route) {
+          setRoute(result.route);
+        }
+      })
+      .catch(error => console.error('加载覆盖航线失败:', error));
+
+    return () => {
+      websocket.off('exploration_map', handleMap);
+      websocket.off('coverage_route', handleRoute);
+    };
+  }, []);
+
+  // 生成覆盖航线
+  const handlePlan = async () => {
+    setPlanning(true);
+    try {
+      const response = await fetch('/api/coverage/plan', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          polygon: roiPolygon,
+          layers: layers.map(Number).sort((a, b) => a - b),
+          footprint,
+          overlap,
+          sweepAngle,
+          cameraInterval
+        })
+      });
+      const result = await response.json();
+      if (result.success) {
+        message.success(`覆盖航线已生成: ${result.route.waypoints.length} 个航点, ${result.route.length.toFixed(1)}m`);
+      } else {
+        message.error(result.message || result.error || '生成失败');
+      }
+    } catch (error) {
+      message.error('生成失败: ' + error.message);
+    } finally {
+      setPlanning(false);
+    }
+  };
+
+  // 下发为任务
+  const handlePublish = async () => {
+    setPublishing(true);
+    try {
+      const response = await fetch('/api/coverage/publish', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ returnToStart, autoLand })
+      });
+      const result = await response.json();
+      if (result.success) {
+        message.success(`📋 ${result.message} (${result.missionId})`);
+      } else {
+        const details = result.errors ? `: ${result.errors.map(e => e.message).join('; ')}` : '';
+        message.error((result.error || '下发失败') + details);
+      }
+    } catch (error) {
+      message.error('下发失败: ' + error.message);
+    } finally {
+      setPublishing(false);
+    }
+  };
+
+  // 保存为预设航线
+  const handleSave = async () => {
+    try {
+      const response = await fetch('/api/coverage/save', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: routeName || undefined })
+      });
+      const result = await response.json();
+      if (result.success) {
+        message.success(`${result.message}: ${result.routeId}`);
+      } else {
+        message.error(result.error || '保存失败');
+      }
+    } catch (error) {
+      message.error('保存失败: ' + error.message);
+    }
+  };
+
+  return (
+    <Card
+      title={<><BorderOuterOutlined /> 覆盖扫描</>}
+      size="small"
+      style={{ marginTop: 12 }}
+    >
+      <Space direction="vertical" style={{ width: '100%' }} size="middle">
+        <div style={{ fontSize: '12px', color: roiPolygon ? '#52c41a' : '#faad14' }}>
+          {roiPolygon
+            ? `✅ 覆盖区域: 当前ROI (${roiPolygon.length}个顶点)`
+            : '⚠️ 请先在探索地图中绘制ROI作为覆盖区域'}
+        </div>
+
+        {/* 覆盖参数 */}
+        <div>
+          <span style={{ fontSize: '12px' }}>高度层(m): </span>
+          <Select
+            mode="tags"
+            size="small"
+            value={layers.map(String)}
+            onChange={(values) => setLayers(values.map(Number).filter(v => Number.isFinite(v) && v > 0))}
+            tokenSeparators={[',', ' ']}
+            style={{ width: 180 }}
+          />
+        </div>
+        <Row gutter={8}>
+          <Col span={12}>
+            <span style={{ fontSize: '12px' }}>覆盖宽度(m): </span>
+            <InputNumber size="small" min={0.2} max={20} step={0.1} value={footprint} onChange={setFootprint} style={{ width: 70 }} />
+          </Col>
+          <Col span={12}>
+            <span style={{ fontSize: '12px' }}>重叠率: </span>
+            <InputNumber size="small" min={0} max={0.9} step={0.05} value={overlap} onChange={setOverlap} style={{ width: 70 }} />
+          </Col>
+        </Row>
+        <Row gutter={8}>
+          <Col span={12}>
+            <span style={{ fontSize: '12px' }}>扫描方向(°): </span>
+            <InputNumber size="small" min={-180} max={180} step={15} value={sweepAngle} onChange={setSweepAngle} style={{ width: 70 }} />
+          </Col>
+          <Col span={12}>
+            <span style={{ fontSize: '12px' }}>拍照间隔(ms): </span>
+            <InputNumber size="small" min={0} max={60000} step={500} value={cameraInterval} onChange={setCameraInterval} style={{ width: 70 }} />
+          </Col>
+        </Row>
+
+        <Button
+          type="primary"
+          icon={<BorderOuterOutlined />}
+          onClick={handlePlan}
+          loading={planning}
+          disabled={!roiPolygon || layers.length === 0}
+          block
+        >
+          生成覆盖航线
+        </Button>
+
+        {/* 航线统计 */}
+        {route && (
+          <>
+            <Row gutter={8}>
+              <Col span={8}>
+                <Statistic title="航点" value={route.waypoints.length} valueStyle={{ fontSize: '16px' }} />
+              </Col>
+              <Col span={8}>
+                <Statistic title="扫描线段" value={route.segmentCount} valueStyle={{ fontSize: '16px' }} />
+              </Col>
+              <Col span={8}>
+                <Statistic title="航线长度" value={route.length.toFixed(1)} suffix="m" valueStyle={{ fontSize: '16px' }} />
+              </Col>
+            </Row>
+            {(route.blockedCount > 0 || route.unreachableCount > 0) && (
+              <div style={{ fontSize: '12px', color: '#faad14' }}>
+                {route.blockedCount} 条扫描线被障碍物切分
+                {route.unreachableCount > 0 && `，${route.unreachableCount} 段无法到达已跳过`}
+              </div>
+            )}
+
+            <Space wrap>
+              <Checkbox checked={returnToStart} onChange={(e) => setReturnToStart(e.target.checked)}>
+                返回第一个航点
+              </Checkbox>
+              <Checkbox checked={autoLand} onChange={(e) => setAutoLand(e.target.checked)}>
+                返回起飞点降落
+              </Checkbox>
+            </Space>
+            <Button icon={<SendOutlined />} onClick={handlePublish} loading={publishing} block>
+              下发覆盖任务
+            </Button>
+
+            <Space.Compact style={{ width: '100%' }}>
+              <Input
+                size="small"
+                placeholder="预设航线名称（可选）"
+                value={routeName}
+                onChange={(e) => setRouteName(e.target.value)}
+              />
+              <Button size="small" icon={<SaveOutlined />} onClick={handleSave}>
+                保存为预设航线
+              </Button>
+            </Space.Compact>
+          </>
+        )}
+      </Space>
+    </Card>
+  );
+}
@@ -1,8 +1,9 @@
 import React from 'react';
 import { Card, Descriptions, Tag, Space } from 'antd';
 import { HeartOutlined, EnvironmentOutlined, ThunderboltOutlined } from '@ant-design/icons';
+import FailsafeAlert from './FailsafeAlert';
 
-export default function DroneStatus({ heartbeat, odometry }) {
+export default function DroneStatus({ heartbeat, odometry, failsafe }) {
   // 飞行模式映射
   const modeMap = {
     INIT: { text: '初始化', color: 'default' },
@@ -36,6 +37,9 @@ export default function DroneStatus({ heartbeat, odometry }) {
       size="small"
       style={{ flex: '1 1 auto', overflow: 'auto' }}
     >
+      {/* 失控保护告警 */}
+      <FailsafeAlert failsafe={failsafe} />
+
       {/* 基本信息 */}
       <Descriptions column={1} size="small" bordered>
         <Descriptions.Item label="设备编号">
@@ -0,0 +1,402 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { Button, Space, Radio, Tag, Popconfirm, message } from 'antd';
+import { AimOutlined, BorderOutlined, CheckOutlined, DeleteOutlined, EyeOutlined } from '@ant-design/icons';
+import websocket from '../services/websocket';
+
+// 画布尺寸（像素）
+const CANVAS_SIZE = 360;
+// 地图刷新间隔（毫秒）
+const REFRESH_INTERVAL = 1000;
+// 拖拽ROI顶点的拾取半径（像素）
+const VERTEX_PICK_RADIUS = 8;
+
+// 栅格颜色 [r, g, b]
+const CELL_COLORS = {
+  unknown: [200, 200, 200],
+  free: [255, 255, 255],
+  inflated: [255, 187, 150],
+  occupied: [0, 0, 0]
+};
+
+/**
+ * 探索二维地图面板
+ * 显示占据栅格（空闲/未知/占据/膨胀区）、无人机位姿、前沿点和当前目标，
+ * 支持绘制/编辑ROI多边形，以及点选"下一个探索目标"
+ */
+export default function ExplorationMap() {
+  const canvasRef = useRef(null);
+  const dragIndexRef = useRef(null);
+  const [mapData, setMapData] = useState(null);
+  const [mode, setMode] = useState('view'); // 'view' | 'roi' | 'goal'
+  const [draftPolygon, setDraftPolygon] = useState([]);
+
+  // 周期性请求地图
+  useEffect(() => {
+    const handleMap = (msg) => {
+      const data = msg.data || msg;
+      if (data && data.width) {
+        setMapData(data);
+      }
+    };
+
+    websocket.on('exploration_map', handleMap);
+    websocket.getExplorationMap();
+    const timer = setInterval(() => websocket.getExplorationMap(), REFRESH_INTERVAL);
+
+    return () => {
+      clearInterval(timer);
+      websocket.off('exploration_map', handleMap);
+    };
+  }, []);
+
+  /**
+   * 世界坐标 → 画布坐标（Y轴向上）
+   */
+  const worldToCanvas = useCallback((x, y) => {
+    const scale = CANVAS_SIZE / Math.max(mapData.width, mapData.height);
+    return {
+      x: (x - mapData.origin.x) / mapData.resolution * scale,
+      y: CANVAS_SIZE - (y - mapData.origin.y) / mapData.resolution * scale
+    };
+  }, [mapData]);
+
+  /**
+   * 鼠标事件 → 世界坐标
+   */
+  const eventToWorld = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    const px = (e.clientX - rect.left) * CANVAS_SIZE / rect.width;
+    const py = (e.clientY - rect.top) * CANVAS_SIZE / rect.height;
+    const scale = CANVAS_SIZE / Math.max(mapData.width, mapData.height);
+    return {
+      x: parseFloat((px / scale * mapData.resolution + mapData.origin.x).toFixed(2)),
+      y: parseFloat(((CANVAS_SIZE - py) / scale * mapData.resolution + mapData.origin.y).toFixed(2)),
+      px,
+      py
+    };
+  };
+
+  // 绘制
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !mapData) return;
+    const ctx = canvas.getContext('2d');
+    const { width, height, chunkSize, chunks } = mapData;
+
+    // 1. 栅格（离屏绘制后缩放）：先整体填充未知，再逐块绘制已分配的块
+    const offscreen = document.createElement('canvas');
+    offscreen.width = width;
+    offscreen.height = height;
+    const offCtx = offscreen.getContext('2d');
+    const image = offCtx.createImageData(width, height);
+    const paint = (gx, gy, color) => {
+      const p = ((height - 1 - gy) * width + gx) * 4;
+      image.data[p] = color[0];
+      image.data[p + 1] = color[1];
+      image.data[p + 2] = color[2];
+      image.data[p + 3] = 255;
+    };
+    for (let gy = 0; gy < height; gy++) {
+      for (let gx = 0; gx < width; gx++) {
+        paint(gx, gy, CELL_COLORS.unknown);
+      }
+    }
+    (chunks || []).forEach(({ gx, gy, data, inflated }) => {
+      for (let i = 0; i < data.length; i++) {
+        const color = data[i] === -1 ? CELL_COLORS.occupied
+          : inflated[i] === -1 ? CELL_COLORS.inflated
+          : data[i] === 1 ? CELL_COLORS.free
+          : CELL_COLORS.unknown;
+        paint(gx + i % chunkSize, gy + Math.floor(i / chunkSize), color);
+      }
+    });
+    offCtx.putImageData(image, 0, 0);
+
+    ctx.clearRect(0, 0, CANVAS_SIZE, CANVAS_SIZE);
+    ctx.imageSmoothingEnabled = false;
+    const scale = CANVAS_SIZE / Math.max(width, height);
+    ctx.drawImage(offscreen, 0, CANVAS_SIZE - height * scale, width * scale, height * scale);
+
+    const drawPolygon = (polygon, stroke, fill, dashed) => {
+      if (!polygon || polygon.length === 0) return;
+      ctx.beginPath();
+      polygon.forEach((p, i) => {
+        const c = worldToCanvas(p.x, p.y);
+        if (i === 0) ctx.moveTo(c.x, c.y);
+        else ctx.lineTo(c.x, c.y);
+      });
+      if (polygon.length >= 3) ctx.closePath();
+      ctx.setLineDash(dashed ? [4, 4] : []);
+      ctx.strokeStyle = stroke;
+      ctx.lineWidth = 2;
+      ctx.stroke();
+      if (fill && polygon.length >= 3) {
+        ctx.fillStyle = fill;
+        ctx.fill();
+      }
+      ctx.setLineDash([]);
+    };
+
+    // 2. ROI（编辑中显示草稿和顶点）
+    if (mode === 'roi') {
+      drawPolygon(draftPolygon, '#722ed1', 'rgba(114, 46, 209, 0.1)', true);
+      draftPolygon.forEach(p => {
+        const c = worldToCanvas(p.x, p.y);
+        ctx.beginPath();
+        ctx.arc(c.x, c.y, 4, 0, Math.PI * 2);
+        ctx.fillStyle = '#722ed1';
+        ctx.fill();
+      });
+    } else {
+      drawPolygon(mapData.roiPolygon, '#1890ff', 'rgba(24, 144, 255, 0.12)', false);
+    }
+
+    // 3. 前沿点
+    (mapData.frontiers || []).forEach(f => {
+      const c = worldToCanvas(f.x, f.y);
+      ctx.beginPath();
+      ctx.arc(c.x, c.y, 3, 0, Math.PI * 2);
+      ctx.fillStyle = '#fa8c16';
+      ctx.fill();
+    });
+
+    // 4. 当前目标及规划路径
+    const goal = mapData.currentGoal;
+    if (goal) {
+      if (goal.path && goal.path.length > 1) {
+        drawPolygon(goal.path, '#52c41a', null, false);
+      }
+      const c = worldToCanvas(goal.x, goal.y);
+      ctx.beginPath();
+      ctx.arc(c.x, c.y, 6, 0, Math.PI * 2);
+      ctx.strokeStyle = '#f5222d';
+      ctx.lineWidth = 2;
+      ctx.stroke();
+    }
+
+    // 5. 操作员指定的下一个目标
+    if (mapData.manualGoal) {
+      const c = worldToCanvas(mapData.manualGoal.x, mapData.manualGoal.y);
+      ctx.strokeStyle = '#722ed1';
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.moveTo(c.x - 6, c.y - 6);
+      ctx.lineTo(c.x + 6, c.y + 6);
+      ctx.moveTo(c.x + 6, c.y - 6);
+      ctx.lineTo(c.x - 6, c.y + 6);
+      ctx.stroke();
+    }
+
+    // 6. 无人机位姿（三角形指向航向）
+    const pose = mapData.dronePose;
+    if (pose) {
+      const c = worldToCanvas(pose.x, pose.y);
+      const yaw = pose.yaw || 0;
+      ctx.save();
+      ctx.translate(c.x, c.y);
+      ctx.rotate(-yaw);  // 画布Y轴向下，逆时针为正
+      ctx.beginPath();
+      ctx.moveTo(9, 0);
+      ctx.lineTo(-6, 5);
+      ctx.lineTo(-6, -5);
+      ctx.closePath();
+      ctx.fillStyle = '#1890ff';
+      ctx.fill();
+      ctx.restore();
+    }
+  }, [mapData, mode, draftPolygon, worldToCanvas]);
+
+  /**
+   * 切换模式：进入ROI编辑时以当前ROI为草稿
+   */
+  const handleModeChange = (value) => {
+    if (value === 'roi') {
+      setDraftPolygon(mapData?.roiPolygon ? mapData.roiPolygon.map(p => ({ x: p.x, y: p.y })) : []);
+    }
+    setMode(value);
+  };
+
+  const findVertex = (px, py) => draftPolygon.findIndex(p => {
+    const c = worldToCanvas(p.x, p.y);
+    return Math.hypot(c.x - px, c.y - py) <= VERTEX_PICK_RADIUS;
+  });
+
+  const handleMouseDown = (e) => {
+    if (!mapData || e.button !== 0) return;
+    const point = eventToWorld(e);
+
+    if (mode === 'roi') {
+      const index = findVertex(point.px, point.py);
+      if (index >= 0) {
+        dragIndexRef.current = index;  // 拖动已有顶点
+      } else {
+        setDraftPolygon([...draftPolygon, { x: point.x, y: point.y }]);
+      }
+    } else if (mode === 'goal') {
+      handleSetGoal(point);
+    }
+  };
+
+  const handleMouseMove = (e) => {
+    if (mode !== 'roi' || dragIndexRef.current === null) return;
+    const point = eventToWorld(e);
+    setDraftPolygon(draftPolygon.map((p, i) => (i === dragIndexRef.current ? { x: point.x, y: point.y } : p)));
+  };
+
+  const handleMouseUp = () => {
+    dragIndexRef.current = null;
+  };
+
+  // 右键删除ROI顶点
+  const handleContextMenu = (e) => {
+    if (mode !== 'roi' || !mapData) return;
+    e.preventDefault();
+    const point = eventToWorld(e);
+    const index = findVertex(point.px, point.py);
+    if (index >= 0) {
+      setDraftPolygon(draftPolygon.filter((_p, i) => i !== index));
+    }
+  };
+
+  const postJson = async (url, method, body) => {
+    const response = await fetch(url, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    return response.json();
+  };
+
+  /**
+   * 应用ROI多边形
+   */
+  const handleApplyROI = async () => {
+    if (draftPolygon.length < 3) {
+      message.warning('⚠️ ROI多边形至少需要3个顶点');
+      return;
+    }
+    try {
+      const data = await postJson('/api/exploration/roi/set', 'POST', { polygon: draftPolygon });
+      if (data.success) {
+        message.success(data.message);
+        setMode('view');
+        websocket.getExplorationMap();
+      } else {
+        message.error(data.message || '设置ROI失败');
+      }
+    } catch (error) {
+      message.error('设置ROI失败: ' + error.message);
+    }
+  };
+
+  const handleClearROI = async () => {
+    try {
+      const data = await postJson('/api/exploration/roi/clear', 'POST');
+      message.success(data.message);
+      setDraftPolygon([]);
+      websocket.getExplorationMap();
+    } catch (error) {
+      message.error('清除ROI失败: ' + error.message);
+    }
+  };
+
+  /**
+   * 指定下一个探索目标
+   */
+  const handleSetGoal = async (point) => {
+    try {
+      const data = await postJson('/api/exploration/goal', 'POST', { x: point.x, y: point.y });
+      if (data.success) {
+        message.success(`📌 下一个探索目标: (${point.x}, ${point.y})`);
+        websocket.getExplorationMap();
+      } else {
+        message.error(data.message || '设置目标失败');
+      }
+    } catch (error) {
+      message.error('设置目标失败: ' + error.message);
+    }
+  };
+
+  const handleClearGoal = async () => {
+    try {
+      const data = await postJson('/api/exploration/goal', 'DELETE');
+      message.success(data.message);
+      websocket.getExplorationMap();
+    } catch (error) {
+      message.error('清除目标失败: ' + error.message);
+    }
+  };
+
+  return (
+    <div>
+      <Space style={{ marginBottom: 8 }} wrap>
+        <Radio.Group size="small" value={mode} onChange={(e) => handleModeChange(e.target.value)}>
+          <Radio.Button value="view"><EyeOutlined /> 查看</Radio.Button>
+          <Radio.Button value="roi"><BorderOutlined /> 绘制ROI</Radio.Button>
+          <Radio.Button value="goal"><AimOutlined /> 指定目标</Radio.Button>
+        </Radio.Group>
+      </Space>
+
+      <canvas
+        ref={canvasRef}
+        width={CANVAS_SIZE}
+        height={CANVAS_SIZE}
+        style={{
+          width: '100%',
+          aspectRatio: '1 / 1',
+          border: '1px solid #d9d9d9',
+          borderRadius: 4,
+          cursor: mode === 'view' ? 'default' : 'crosshair',
+          background: '#c8c8c8'
+        }}
+        onMouseDown={handleMouseDown}
+        onMouseMove={handleMouseMove}
+        onMouseUp={handleMouseUp}
+        onMouseLeave={handleMouseUp}
+        onContextMenu={handleContextMenu}
+      />
+
+      {mode === 'roi' && (
+        <Space style={{ marginTop: 8 }} wrap>
+          <span style={{ fontSize: 12, color: '#666' }}>
+            单击添加顶点，拖动调整，右键删除（{draftPolygon.length}个顶点）
+          </span>
+          <Button size="small" type="primary" icon={<CheckOutlined />} onClick={handleApplyROI}>
+            应用ROI
+          </Button>
+          <Button size="small" onClick={() => setDraftPolygon([])}>
+            重画
+          </Button>
+        </Space>
+      )}
+
+      {mode === 'goal' && (
+        <div style={{ marginTop: 8, fontSize: 12, color: '#666' }}>
+          单击地图指定下一个探索目标（下次规划时优先前往，不可达时自动改选前沿点）
+        </div>
+      )}
+
+      <Space style={{ marginTop: 8 }} size={4} wrap>
+        {mapData?.roiPolygon && (
+          <Popconfirm title="确定清除ROI限制?" onConfirm={handleClearROI} okText="清除" cancelText="取消">
+            <Button size="small" danger icon={<DeleteOutlined />}>清除ROI</Button>
+          </Popconfirm>
+        )}
+        {mapData?.manualGoal && (
+          <Button size="small" onClick={handleClearGoal}>取消指定目标</Button>
+        )}
+      </Space>
+
+      <div style={{ marginTop: 8 }}>
+        <Tag>空闲</Tag>
+        <Tag color="#c8c8c8">未知</Tag>
+        <Tag color="#000">占据</Tag>
+        <Tag color="#ffbb96">膨胀区</Tag>
+        <Tag color="#fa8c16">前沿点</Tag>
+        <Tag color="#f5222d">当前目标</Tag>
+        <Tag color="#722ed1">指定目标</Tag>
+        <Tag color="#1890ff">无人机</Tag>
+      </div>
+    </div>
+  );
+}
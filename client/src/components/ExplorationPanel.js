@@ -1,15 +1,46 @@
 import React, { useState, useEffect } from 'react';
-import { Card, Button, Space, Progress, Switch, Statistic, Row, Col, message, InputNumber, Radio } from 'antd';
+import { Card, Button, Space, Progress, Switch, Statistic, Row, Col, message, InputNumber, Radio, Select, Slider, Input, Popconfirm } from 'antd';
 import {
   CompassOutlined,
   PauseCircleOutlined,
   PlayCircleOutlined,
   StopOutlined,
-  EnvironmentOutlined
+  EnvironmentOutlined,
+  SaveOutlined,
+  DeleteOutlined
 } from '@ant-design/icons';
 import websocket from '../services/websocket';
+import FailsafeAlert from './FailsafeAlert';
+import ExplorationMap from './ExplorationMap';
 
-export default function ExplorationPanel({ startPosition }) {
+// 默认评分权重（与服务器探索引擎一致）
+const DEFAULT_SCORING_WEIGHTS = {
+  infoGain: 0.5,
+  distance: 0.3,
+  consistency: 0.3,
+  density: 0.2,
+  history: 0.2
+};
+
+// 前沿点选择策略（与服务器 frontier-strategies.js 一致）
+const FRONTIER_STRATEGY_OPTIONS = [
+  { value: 'weighted', label: '加权评分' },
+  { value: 'nearest', label: '最近前沿点' },
+  { value: 'information', label: '信息增益优先' },
+  { value: 'utility', label: '单位距离收益' },
+  { value: 'tour', label: '全局巡游' }
+];
+
+// 评分权重滑块
+const WEIGHT_LABELS = [
+  ['infoGain', '信息增益'],
+  ['distance', '距离成本'],
+  ['consistency', '方向一致性'],
+  ['density', '密度惩罚'],
+  ['history', '历史惩罚']
+];
+
+export default function ExplorationPanel({ startPosition, failsafe }) {
   const [isExploring, setIsExploring] = useState(false);
   const [isPaused, setIsPaused] = useState(false);
   const [exploredPercentage, setExploredPercentage] = useState(0);
@@ -29,6 +60,38 @@ export default function ExplorationPanel({ startPosition }) {
   const [minHeight, setMinHeight] = useState(0.5);
   const [maxHeight, setMaxHeight] = useState(3.0);
 
+  // 相机配置（探索航段定时拍照）
+  const [cameraOn, setCameraOn] = useState(false);
+  const [cameraInterval, setCameraInterval] = useState(2000);
+
+  // 规划参数
+  const [resolution, setResolution] = useState(0.2);
+  const [clusterRadius, setClusterRadius] = useState(1.0);
+  const [arrivalTimeout, setArrivalTimeout] = useState(8000);
+  const [stuckThreshold, setStuckThreshold] = useState(3000);
+  const [velocityThreshold, setVelocityThreshold] = useState(0.1);
+  const [yawMode, setYawMode] = useState('frontier');         // 航向规划方式
+  const [scanOnArrival, setScanOnArrival] = useState(false);  // 到达后原地旋转扫描
+  const [scoringWeights, setScoringWeights] = useState(DEFAULT_SCORING_WEIGHTS);
+  const [frontierStrategy, setFrontierStrategy] = useState('weighted');  // 前沿点选择策略
+  const [activeStrategy, setActiveStrategy] = useState(null);            // 当前探索使用的策略
+
+  // 续航预算（飞行时间预算为空表示不限制）
+  const [flightTimeBudget, setFlightTimeBudget] = useState(null);
+  const [returnReserve, setReturnReserve] = useState(60);
+  const [cruiseSpeed, setCruiseSpeed] = useState(0.5);
+  const [budget, setBudget] = useState(null);  // 引擎最近一次续航估算
+
+  // 配置档案
+  const [profiles, setProfiles] = useState([]);
+  const [profileId, setProfileId] = useState(null);
+  const [newProfileName, setNewProfileName] = useState('');
+  const [currentROI, setCurrentROI] = useState(null);  // 引擎当前生效的ROI（随地图推送更新）
+
+  // 地图续飞
+  const [savedMaps, setSavedMaps] = useState([]);
+  const [resumeMapId, setResumeMapId] = useState(null);  // null 表示新地图
+
   // 边界配置
   const [boundaryMode, setBoundaryMode] = useState('auto'); // 'auto' 或 'custom'
   const [customBoundary, setCustomBoundary] = useState({
@@ -48,6 +111,8 @@ export default function ExplorationPanel({ startPosition }) {
       setCurrentGoal(data.currentGoal);
       setElapsedTime(data.elapsedTime || 0);
       setDistanceFromStart(data.distanceFromStart || 0);
+      setBudget(data.budget || null);
+      setActiveStrategy(data.frontierStrategy || null);
     };
 
     const handleExplorationResponse = (msgData) => {
@@ -59,17 +124,231 @@ export default function ExplorationPanel({ startPosition }) {
       }
     };
 
+    const handleExplorationMap = (msg) => {
+      setCurrentROI(msg.data?.roiPolygon ?? null);
+    };
+
     // 使用websocket服务的on方法订阅事件
     websocket.on('exploration_status', (msg) => handleExplorationStatus(msg.data || msg));
     websocket.on('exploration_response', handleExplorationResponse);
+    websocket.on('exploration_map', handleExplorationMap);
 
     return () => {
       // 清理订阅
       websocket.off('exploration_status', handleExplorationStatus);
       websocket.off('exploration_response', handleExplorationResponse);
+      websocket.off('exploration_map', handleExplorationMap);
     };
   }, []);
 
+  // 加载配置档案列表
+  useEffect(() => {
+    fetchProfiles();
+  }, []);
+
+  // 探索结束后地图会自动保存，刷新列表
+  useEffect(() => {
+    if (!isExploring) {
+      fetchSavedMaps();
+    }
+  }, [isExploring]);
+
+  /**
+   * 获取已保存的地图列表
+   */
+  const fetchSavedMaps = async () => {
+    try {
+      const response = await fetch('/api/exploration/maps');
+      const data = await response.json();
+      if (data.success) {
+        setSavedMaps(data.maps);
+      }
+    } catch (error) {
+      console.error('获取已保存地图失败:', error);
+    }
+  };
+
+  /**
+   * 立即保存当前地图
+   */
+  const handleSaveMap = async () => {
+    try {
+      const response = await fetch('/api/exploration/maps/save', { method: 'POST' });
+      const data = await response.json();
+      if (data.success) {
+        message.success(`💾 地图已保存: ${data.map.name}`);
+        fetchSavedMaps();
+      } else {
+        message.error(data.message);
+      }
+    } catch (error) {
+      message.error('保存地图失败: ' + error.message);
+    }
+  };
+
+  const handleDeleteMap = async () => {
+    try {
+      const response = await fetch(`/api/exploration/maps/${resumeMapId}`, { method: 'DELETE' });
+      const data = await response.json();
+      if (data.success) {
+        message.success(data.message);
+        setResumeMapId(null);
+        fetchSavedMaps();
+      } else {
+        message.error(data.message);
+      }
+    } catch (error) {
+      message.error('删除地图失败: ' + error.message);
+    }
+  };
+
+  /**
+   * 获取配置档案列表
+   */
+  const fetchProfiles = async () => {
+    try {
+      const response = await fetch('/api/exploration/profiles');
+      const data = await response.json();
+      if (data.success) {
+        setProfiles(data.profiles);
+      }
+    } catch (error) {
+      console.error('获取探索配置档案失败:', error);
+    }
+  };
+
+  /**
+   * 选择配置档案：填充参数，并把档案中的ROI应用到探索引擎
+   */
+  const handleSelectProfile = async (id) => {
+    try {
+      const response = await fetch(`/api/exploration/profiles/${id}`);
+      const data = await response.json();
+      if (!data.success) {
+        message.error(data.error || '获取档案失败');
+        return;
+      }
+
+      const settings = data.profile.settings;
+      setProfileId(id);
+      setScoringWeights(settings.scoringWeights);
+      setResolution(settings.resolution);
+      setExplorationHeight(settings.explorationHeight);
+      setMinHeight(settings.minHeight);
+      setMaxHeight(settings.maxHeight);
+      setClusterRadius(settings.clusterRadius);
+      setArrivalTimeout(settings.arrivalTimeout);
+      setStuckThreshold(settings.stuckThreshold);
+      setVelocityThreshold(settings.velocityThreshold);
+      setYawMode(settings.yawMode ?? 'frontier');
+      setScanOnArrival(settings.scanOnArrival ?? false);
+      setFrontierStrategy(settings.frontierStrategy ?? 'weighted');
+
+      await fetch(settings.roiPolygon ? '/api/exploration/roi/set' : '/api/exploration/roi/clear', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(settings.roiPolygon ? { polygon: settings.roiPolygon } : {})
+      });
+      setCurrentROI(settings.roiPolygon);
+      websocket.getExplorationMap();
+
+      message.success(`📂 已加载探索配置: ${data.profile.name}`);
+    } catch (error) {
+      message.error('加载档案失败: ' + error.message);
+    }
+  };
+
+  /**
+   * 当前参数（含引擎中生效的ROI）转换为档案设置
+   */
+  const buildProfileSettings = () => ({
+    scoringWeights,
+    resolution,
+    explorationHeight,
+    minHeight,
+    maxHeight,
+    clusterRadius,
+    arrivalTimeout,
+    stuckThreshold,
+    velocityThreshold,
+    yawMode,
+    scanOnArrival,
+    frontierStrategy,
+    roiPolygon: currentROI
+  });
+
+  /**
+   * 保存配置档案
+   * @param {string} id - 档案ID
+   * @param {string} name - 档案名称（更新已有档案时可省略）
+   */
+  const saveProfile = async (id, name) => {
+    try {
+      const response = await fetch(`/api/exploration/profiles/${id}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name, settings: buildProfileSettings() })
+      });
+      const data = await response.json();
+      if (data.success) {
+        message.success(`💾 探索配置已保存: ${data.profile.name}`);
+        setProfileId(id);
+        fetchProfiles();
+      } else {
+        message.error(`${data.error}: ${(data.errors || []).join('; ')}`);
+      }
+    } catch (error) {
+      message.error('保存档案失败: ' + error.message);
+    }
+  };
+
+  const handleSaveProfileAs = () => {
+    const name = newProfileName.trim();
+    if (!name) {
+      message.warning('请输入档案名称');
+      return;
+    }
+    saveProfile(`profile_${Date.now()}`, name);
+    setNewProfileName('');
+  };
+
+  const handleDeleteProfile = async () => {
+    try {
+      const response = await fetch(`/api/exploration/profiles/${profileId}`, { method: 'DELETE' });
+      const data = await response.json();
+      if (data.success) {
+        message.success(data.message);
+        setProfileId(null);
+        fetchProfiles();
+      } else {
+        message.error(data.message);
+      }
+    } catch (error) {
+      message.error('删除档案失败: ' + error.message);
+    }
+  };
+
+  /**
+   * 探索中应用评分权重（下一次选点生效）
+   */
+  const handleApplyWeights = async () => {
+    try {
+      const response = await fetch('/api/exploration/weights/set', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(scoringWeights)
+      });
+      const data = await response.json();
+      if (data.success) {
+        message.success('⚖️ 评分权重已更新');
+      } else {
+        message.error(data.message || '更新评分权重失败');
+      }
+    } catch (error) {
+      message.error('更新评分权重失败: ' + error.message);
+    }
+  };
+
   /**
    * 开始自主探索
    */
@@ -83,9 +362,42 @@ export default function ExplorationPanel({ startPosition }) {
         // Z轴探索配置
         enableZExploration: enableZExploration,
         minHeight: minHeight,
-        maxHeight: maxHeight
+        maxHeight: maxHeight,
+        // 相机配置（0 = PHOTO）
+        cameraParam: {
+          on: cameraOn,
+          mode: 0,
+          interval: cameraOn ? cameraInterval : 0
+        },
+        // 规划参数和评分权重
+        resolution,
+        clusterRadius,
+        arrivalTimeout,
+        stuckThreshold,
+        velocityThreshold,
+        yawMode,
+        scanOnArrival,
+        frontierStrategy,
+        scoringWeights,
+        // 续航预算
+        flightTimeBudget: flightTimeBudget || null,
+        returnReserve,
+        cruiseSpeed,
+        // ROI以引擎当前生效的为准（地图面板可能已修改）
+        roiPolygon: currentROI,
+        useROI: !!currentROI
       };
 
+      // 配置档案（服务器把档案名写入任务记录）
+      if (profileId) {
+        config.profileId = profileId;
+      }
+
+      // 续飞：在保存的地图上继续探索（起点与上次起飞点对齐）
+      if (resumeMapId) {
+        config.resumeMapId = resumeMapId;
+      }
+
       // 边界配置
       if (boundaryMode === 'custom') {
         config.boundaryMin = {
@@ -157,6 +469,9 @@ export default function ExplorationPanel({ startPosition }) {
     return `${mins}:${secs.toString().padStart(2, '0')}`;
   };
 
+  // 探索中显示引擎实际使用的策略
+  const shownStrategy = isExploring && activeStrategy ? activeStrategy : frontierStrategy;
+
   return (
     <Card
       title={<><CompassOutlined /> 自主探索模式</>}
@@ -164,6 +479,9 @@ export default function ExplorationPanel({ startPosition }) {
       style={{ marginTop: 12 }}
     >
       <Space direction="vertical" style={{ width: '100%' }} size="middle">
+        {/* 失控保护告警 */}
+        <FailsafeAlert failsafe={failsafe} style={{ marginBottom: 0 }} />
+
         {/* 探索进度 */}
         <div>
           <div style={{ marginBottom: 8, fontSize: '12px', color: '#666' }}>
@@ -205,6 +523,61 @@ export default function ExplorationPanel({ startPosition }) {
           </Col>
         </Row>
 
+        {/* 续航预算 */}
+        {isExploring && budget && (
+          <div style={{
+            fontSize: '12px',
+            color: budget.remaining - budget.reserve - budget.returnTime < 60 ? '#fa541c' : '#666'
+          }}>
+            🔋 剩余续航 {formatTime(Math.max(0, budget.remaining))}（时间预算）
+            ，返航需 {formatTime(budget.returnTime)}（{budget.pathLength.toFixed(1)}m）+ 预留 {budget.reserve}秒
+          </div>
+        )}
+
+        {/* 探索地图 */}
+        <div>
+          <div style={{ marginBottom: 8, fontSize: '12px', color: '#666' }}>探索地图</div>
+          <ExplorationMap />
+        </div>
+
+        {/* 前沿点选择策略（启动时指定）和评分权重（探索中也可调整） */}
+        <div style={{ background: '#f5f5f5', padding: '12px', borderRadius: '4px' }}>
+          <div style={{ fontSize: '12px', fontWeight: 'bold', marginBottom: 8 }}>
+            前沿点选择
+          </div>
+          <div style={{ marginBottom: 8 }}>
+            <span style={{ fontSize: '12px' }}>选择策略: </span>
+            <Select
+              size="small"
+              value={shownStrategy}
+              onChange={setFrontierStrategy}
+              disabled={isExploring}
+              options={FRONTIER_STRATEGY_OPTIONS}
+              style={{ width: 140 }}
+            />
+          </div>
+          {shownStrategy === 'weighted' && WEIGHT_LABELS.map(([key, label]) => (
+            <Row key={key} align="middle" gutter={8}>
+              <Col span={7} style={{ fontSize: '12px' }}>{label}</Col>
+              <Col span={17}>
+                <Slider
+                  min={0}
+                  max={1}
+                  step={0.05}
+                  value={scoringWeights[key]}
+                  onChange={(value) => setScoringWeights({ ...scoringWeights, [key]: value })}
+                  style={{ margin: '6px 0' }}
+                />
+              </Col>
+            </Row>
+          ))}
+          {isExploring && activeStrategy === 'weighted' && (
+            <Button size="small" onClick={handleApplyWeights} block>
+              应用到当前探索
+            </Button>
+          )}
+        </div>
+
         {/* 配置参数 (仅在未探索时显示) */}
         {!isExploring && (
           <div style={{ background: '#f5f5f5', padding: '12px', borderRadius: '4px' }}>
@@ -212,6 +585,84 @@ export default function ExplorationPanel({ startPosition }) {
               探索参数配置
             </div>
             <Space direction="vertical" style={{ width: '100%' }} size="small">
+              {/* 配置档案 */}
+              <div>
+                <span style={{ fontSize: '12px' }}>配置档案: </span>
+                <Space size={4}>
+                  <Select
+                    size="small"
+                    placeholder="选择档案"
+                    value={profileId}
+                    onChange={handleSelectProfile}
+                    options={profiles.map(p => ({ value: p.id, label: p.name }))}
+                    style={{ width: 120 }}
+                  />
+                  <Button
+                    size="small"
+                    icon={<SaveOutlined />}
+                    disabled={!profileId}
+                    onClick={() => saveProfile(profileId)}
+                  >
+                    保存
+                  </Button>
+                  <Popconfirm
+                    title="确定删除该配置档案?"
+                    onConfirm={handleDeleteProfile}
+                    okText="删除"
+                    cancelText="取消"
+                    disabled={!profileId || profileId === 'default'}
+                  >
+                    <Button
+                      size="small"
+                      danger
+                      icon={<DeleteOutlined />}
+                      disabled={!profileId || profileId === 'default'}
+                    />
+                  </Popconfirm>
+                </Space>
+              </div>
+              <Space size={4}>
+                <Input
+                  size="small"
+                  placeholder="新档案名称（如：A栋3层）"
+                  value={newProfileName}
+                  onChange={(e) => setNewProfileName(e.target.value)}
+                  style={{ width: 170 }}
+                />
+                <Button size="small" onClick={handleSaveProfileAs}>
+                  另存为
+                </Button>
+              </Space>
+
+              {/* 地图续飞 */}
+              <div>
+                <span style={{ fontSize: '12px' }}>探索地图: </span>
+                <Space size={4}>
+                  <Select
+                    size="small"
+                    value={resumeMapId || ''}
+                    onChange={(value) => setResumeMapId(value || null)}
+                    options={[
+                      { value: '', label: '新地图' },
+                      ...savedMaps.map(m => ({
+                        value: m.id,
+                        label: `续飞: ${m.name}（${m.flightCount}架次, ${m.exploredArea.toFixed(0)}m²）`
+                      }))
+                    ]}
+                    style={{ width: 200 }}
+                  />
+                  <Popconfirm
+                    title="确定删除该地图?"
+                    onConfirm={handleDeleteMap}
+                    okText="删除"
+                    cancelText="取消"
+                    disabled={!resumeMapId}
+                  >
+                    <Button size="small" danger icon={<DeleteOutlined />} disabled={!resumeMapId} />
+                  </Popconfirm>
+                </Space>
+              </div>
+
               {/* 基础参数 */}
               <div>
                 <span style={{ fontSize: '12px' }}>最大距离(m): </span>
@@ -236,6 +687,41 @@ export default function ExplorationPanel({ startPosition }) {
                   style={{ width: 80 }}
                 />
               </div>
+              <div>
+                <span style={{ fontSize: '12px' }}>飞行时间预算(秒): </span>
+                <InputNumber
+                  size="small"
+                  min={60}
+                  max={7200}
+                  step={60}
+                  value={flightTimeBudget}
+                  onChange={setFlightTimeBudget}
+                  placeholder="不限"
+                  style={{ width: 80 }}
+                />
+              </div>
+              <div>
+                <span style={{ fontSize: '12px' }}>返航预留(秒): </span>
+                <InputNumber
+                  size="small"
+                  min={0}
+                  max={600}
+                  step={10}
+                  value={returnReserve}
+                  onChange={setReturnReserve}
+                  style={{ width: 80 }}
+                />
+                <span style={{ fontSize: '12px', marginLeft: 8 }}>速度(m/s): </span>
+                <InputNumber
+                  size="small"
+                  min={0.1}
+                  max={5}
+                  step={0.1}
+                  value={cruiseSpeed}
+                  onChange={setCruiseSpeed}
+                  style={{ width: 70 }}
+                />
+              </div>
               <div>
                 <span style={{ fontSize: '12px' }}>默认飞行高度(m): </span>
                 <InputNumber
@@ -294,6 +780,122 @@ export default function ExplorationPanel({ startPosition }) {
                 )}
               </div>
 
+              {/* 规划参数 */}
+              <div style={{ marginTop: 8, paddingTop: 8, borderTop: '1px solid #ddd' }}>
+                <div style={{ fontSize: '12px', fontWeight: 'bold', marginBottom: 6 }}>
+                  规划参数
+                </div>
+                <div>
+                  <span style={{ fontSize: '12px' }}>地图分辨率(m): </span>
+                  <InputNumber
+                    size="small"
+                    min={0.05}
+                    max={0.5}
+                    step={0.05}
+                    value={resolution}
+                    onChange={(value) => setResolution(value || 0.2)}
+                    style={{ width: 80 }}
+                  />
+                </div>
+                <div>
+                  <span style={{ fontSize: '12px' }}>聚类半径(m): </span>
+                  <InputNumber
+                    size="small"
+                    min={0.2}
+                    max={5}
+                    step={0.1}
+                    value={clusterRadius}
+                    onChange={(value) => setClusterRadius(value || 1.0)}
+                    style={{ width: 80 }}
+                  />
+                </div>
+                <div>
+                  <span style={{ fontSize: '12px' }}>到达超时(ms): </span>
+                  <InputNumber
+                    size="small"
+                    min={1000}
+                    step={1000}
+                    value={arrivalTimeout}
+                    onChange={(value) => setArrivalTimeout(value || 8000)}
+                    style={{ width: 80 }}
+                  />
+                </div>
+                <div>
+                  <span style={{ fontSize: '12px' }}>僵死判定(ms): </span>
+                  <InputNumber
+                    size="small"
+                    min={500}
+                    step={500}
+                    value={stuckThreshold}
+                    onChange={(value) => setStuckThreshold(value || 3000)}
+                    style={{ width: 80 }}
+                  />
+                </div>
+                <div>
+                  <span style={{ fontSize: '12px' }}>僵死速度阈值(m/s): </span>
+                  <InputNumber
+                    size="small"
+                    min={0.01}
+                    max={1}
+                    step={0.05}
+                    value={velocityThreshold}
+                    onChange={(value) => setVelocityThreshold(value || 0.1)}
+                    style={{ width: 80 }}
+                  />
+                </div>
+                <div>
+                  <span style={{ fontSize: '12px' }}>机头朝向: </span>
+                  <Select
+                    size="small"
+                    value={yawMode}
+                    onChange={setYawMode}
+                    options={[
+                      { value: 'frontier', label: '朝向前沿点' },
+                      { value: 'travel', label: '朝向飞行方向' },
+                      { value: 'fixed', label: '固定朝向' }
+                    ]}
+                    style={{ width: 120 }}
+                  />
+                </div>
+                <div>
+                  <Switch
+                    size="small"
+                    checked={scanOnArrival}
+                    onChange={setScanOnArrival}
+                  />
+                  <span style={{ fontSize: '12px', marginLeft: 8 }}>
+                    到达前沿点后原地旋转扫描
+                  </span>
+                </div>
+              </div>
+
+              {/* 相机配置 */}
+              <div style={{ marginTop: 8, paddingTop: 8, borderTop: '1px solid #ddd' }}>
+                <div style={{ marginBottom: 6 }}>
+                  <Switch
+                    size="small"
+                    checked={cameraOn}
+                    onChange={setCameraOn}
+                  />
+                  <span style={{ fontSize: '12px', marginLeft: 8 }}>
+                    探索时定时拍照
+                  </span>
+                </div>
+                {cameraOn && (
+                  <div>
+                    <span style={{ fontSize: '12px' }}>拍照间隔(ms): </span>
+                    <InputNumber
+                      size="small"
+                      min={100}
+                      step={500}
+                      value={cameraInterval}
+                      onChange={(value) => setCameraInterval(value || 2000)}
+                      style={{ width: 80 }}
+                    />
+                  </div>
+                )}
+              </div>
+
               {/* 边界配置 */}
               <div style={{ marginTop: 8, paddingTop: 8, borderTop: '1px solid #ddd' }}>
                 <div style={{ fontSize: '12px', fontWeight: 'bold', marginBottom: 6 }}>
@@ -425,6 +1027,12 @@ export default function ExplorationPanel({ startPosition }) {
           >
             停止探索
           </Button>
+
+          {isExploring && (
+            <Button icon={<SaveOutlined />} onClick={handleSaveMap} block>
+              保存地图
+            </Button>
+          )}
         </Space>
 
         {/* 当前状态提示 */}
@@ -0,0 +1,38 @@
+import React from 'react';
+import { Alert } from 'antd';
+
+// 保护动作显示文本
+const ACTION_TEXT = {
+  none: '仅告警',
+  hover: '已暂停悬停',
+  return_home: '已返航',
+  land: '已降落'
+};
+
+/**
+ * 失控保护告警横幅（无告警时不渲染）
+ */
+export default function FailsafeAlert({ failsafe, style }) {
+  if (!failsafe || !failsafe.active) return null;
+
+  return (
+    <Alert
+      type="error"
+      showIcon
+      banner
+      style={{ marginBottom: 12, ...style }}
+      message={<strong>🚨 失控保护: {failsafe.alarms.map(alarm => alarm.message).join('、')}</strong>}
+      description={
+        <div style={{ fontSize: 12 }}>
+          {failsafe.alarms.map(alarm => (
+            <div key={alarm.type}>
+              {alarm.message} — {new Date(alarm.since).toLocaleTimeString()}起，
+              {alarm.actionTaken ? ACTION_TEXT[alarm.action] : (alarm.action === 'none' ? ACTION_TEXT.none : '无飞行任务，未执行动作')}
+            </div>
+          ))}
+          <div>条件恢复后告警自动解除，任务不会自动恢复，请确认后手动操作</div>
+        </div>
+      }
+    />
+  );
+}
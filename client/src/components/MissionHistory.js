@@ -1,5 +1,5 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { Card, Table, Button, Modal, Space, Tag, Slider, Popconfirm, message, Empty, Spin } from 'antd';
+import { Card, Table, Button, Modal, Space, Tag, Slider, Popconfirm, message, Empty, Spin, Select } from 'antd';
 import { HistoryOutlined, PlayCircleOutlined, PauseCircleOutlined, DeleteOutlined, EyeOutlined, ReloadOutlined } from '@ant-design/icons';
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls';
@@ -16,6 +16,7 @@ export default function MissionHistory() {
   const [missionDetail, setMissionDetail] = useState(null);
   const [frames, setFrames] = useState([]);
   const [currentFrameIndex, setCurrentFrameIndex] = useState(0);
+  const [frameWaypoints, setFrameWaypoints] = useState([]); // 按航点汇总的帧 [{waypointIndex, firstFrame, frameCount, photoCount}]
   const [isPlaying, setIsPlaying] = useState(false);
   const [playSpeed, setPlaySpeed] = useState(10); // 帧/秒
 
@@ -51,6 +52,7 @@ export default function MissionHistory() {
     setSelectedMission(mission);
     setDetailVisible(true);
     setCurrentFrameIndex(0);
+    setFrameWaypoints([]);
     setIsPlaying(false);
 
     try {
@@ -66,6 +68,7 @@ export default function MissionHistory() {
       const framesData = await framesRes.json();
       if (framesData.success) {
         setFrames(framesData.frames || []);
+        setFrameWaypoints(framesData.waypoints || []);
       }
     } catch (error) {
       console.error('获取任务详情失败:', error);
@@ -211,6 +214,21 @@ export default function MissionHistory() {
       width: 180,
       render: (text) => new Date(text).toLocaleString('zh-CN')
     },
+    {
+      title: '探索配置',
+      key: 'profile',
+      width: 140,
+      render: (_, record) => (record.type === 'exploration' ? (
+        <Space size={4} wrap>
+          <Tag color="cyan">{record.profile?.name || '未指定档案'}</Tag>
+          {record.summary && (
+            <span style={{ fontSize: 12, color: '#8c8c8c' }}>
+              {record.summary.exploredArea?.toFixed(1)}m² / {Math.round(record.summary.duration || 0)}s
+            </span>
+          )}
+        </Space>
+      ) : '-')
+    },
     {
       title: '视频帧',
       dataIndex: 'frameCount',
@@ -329,6 +347,33 @@ export default function MissionHistory() {
                       tooltip={{ formatter: (v) => `帧 ${v + 1}/${frames.length}` }}
                     />
                   </div>
+                  {frameWaypoints.length > 0 && (
+                    <Space style={{ marginBottom: 8 }} wrap>
+                      <Select
+                        size="small"
+                        placeholder="跳转到航点"
+                        style={{ width: 200 }}
+                        value={frames[currentFrameIndex]?.waypointIndex ?? undefined}
+                        onChange={(waypointIndex) => {
+                          const target = frameWaypoints.find(w => w.waypointIndex === waypointIndex);
+                          if (target) {
+                            setIsPlaying(false);
+                            setCurrentFrameIndex(target.firstFrame);
+                          }
+                        }}
+                        options={frameWaypoints.map(w => ({
+                          value: w.waypointIndex,
+                          label: w.photoCount > 0
+                            ? `航点 ${w.waypointIndex + 1}（拍照 ${w.photoCount} 帧）`
+                            : `航点 ${w.waypointIndex + 1}（${w.frameCount} 帧）`
+                        }))}
+                      />
+                      {frames[currentFrameIndex]?.waypointIndex !== null && frames[currentFrameIndex]?.waypointIndex !== undefined && (
+                        <Tag color="blue">航点 {frames[currentFrameIndex].waypointIndex + 1}</Tag>
+                      )}
+                      {frames[currentFrameIndex]?.cameraOn && <Tag color="gold">📷 拍照中</Tag>}
+                    </Space>
+                  )}
                   <Space>
                     <Button
                       icon={isPlaying ? <PauseCircleOutlined /> : <PlayCircleOutlined />}
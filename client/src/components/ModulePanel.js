@@ -0,0 +1,116 @@
+import React, { useState, useEffect } from 'react';
+import { Card, Button, Space, Tag, Popconfirm, message } from 'antd';
+import { AppstoreOutlined, PlayCircleOutlined, StopOutlined, ReloadOutlined } from '@ant-design/icons';
+import websocket from '../services/websocket';
+
+// 最近一次指令显示
+const ACTION_DISPLAY = {
+  START: { text: '已启动', color: 'success' },
+  STOP: { text: '已停止', color: 'default' },
+  RESTART: { text: '已重启', color: 'processing' }
+};
+
+/**
+ * 机载模块控制面板
+ * 通过 daf.control.Command 启动/停止/重启雷达、规划器、相机、SLAM 等模块
+ */
+export default function ModulePanel({ heartbeat }) {
+  const [modules, setModules] = useState([]);
+
+  useEffect(() => {
+    fetch('/api/modules')
+      .then(res => res.json())
+      .then(data => {
+        if (data.success) {
+          setModules(data.modules);
+        }
+      })
+      .catch(err => console.warn('获取模块列表失败:', err));
+
+    const handleModuleStatus = (msg) => {
+      setModules(msg.data || []);
+    };
+
+    const handleModuleResponse = (msg) => {
+      const data = msg.data || msg;
+      if (data.success) {
+        message.success(data.message);
+      } else {
+        message.error(data.message || '模块指令发送失败');
+      }
+    };
+
+    websocket.on('module_status', handleModuleStatus);
+    websocket.on('module_response', handleModuleResponse);
+    return () => {
+      websocket.off('module_status', handleModuleStatus);
+      websocket.off('module_response', handleModuleResponse);
+    };
+  }, []);
+
+  /**
+   * 心跳中上报的模块健康状态（仅雷达和相机）
+   */
+  const getHealth = (name) => {
+    const status = name === 'lidar' ? heartbeat?.lidar?.status
+      : name === 'camera' ? heartbeat?.fpvCamera?.status
+      : undefined;
+    if (status === undefined) return null;
+    return status === 'OK' || status === 0
+      ? <Tag color="success">正常</Tag>
+      : <Tag color="error">异常</Tag>;
+  };
+
+  return (
+    <Card
+      title={<><AppstoreOutlined /> 机载模块</>}
+      size="small"
+      style={{ marginTop: 12 }}
+    >
+      <Space direction="vertical" style={{ width: '100%' }}>
+        {modules.map(module => (
+          <div
+            key={module.name}
+            style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}
+          >
+            <Space size={4}>
+              <strong>{module.label}</strong>
+              {getHealth(module.name)}
+              {module.lastAction && (
+                <Tag color={module.delivered ? ACTION_DISPLAY[module.lastAction].color : 'warning'}>
+                  {module.delivered ? ACTION_DISPLAY[module.lastAction].text : '未送达'}
+                </Tag>
+              )}
+            </Space>
+            <Space size={4}>
+              <Button
+                size="small"
+                icon={<PlayCircleOutlined />}
+                onClick={() => websocket.sendModuleCommand(module.name, 'start')}
+              >
+                启动
+              </Button>
+              <Popconfirm
+                title={`确定停止${module.label}?`}
+                onConfirm={() => websocket.sendModuleCommand(module.name, 'stop')}
+                okText="停止"
+                cancelText="取消"
+              >
+                <Button size="small" danger icon={<StopOutlined />}>
+                  停止
+                </Button>
+              </Popconfirm>
+              <Button
+                size="small"
+                icon={<ReloadOutlined />}
+                onClick={() => websocket.sendModuleCommand(module.name, 'restart')}
+              >
+                重启
+              </Button>
+            </Space>
+          </div>
+        ))}
+      </Space>
+    </Card>
+  );
+}
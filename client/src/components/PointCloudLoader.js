@@ -1,6 +1,6 @@
 import React, { useState } from 'react';
-import { Card, Upload, Button, message, Space, InputNumber, Row, Col } from 'antd';
-import { UploadOutlined, EnvironmentOutlined, RocketOutlined, DownloadOutlined } from '@ant-design/icons';
+import { Card, Upload, Button, message, Space, InputNumber, Row, Col, Checkbox } from 'antd';
+import { UploadOutlined, EnvironmentOutlined, RocketOutlined, DownloadOutlined, DatabaseOutlined } from '@ant-design/icons';
 
 /**
  * 点云文件加载器组件
@@ -9,6 +9,9 @@ function PointCloudLoader({ onPointCloudLoaded, onStartPositionSet, accumulatedP
   const [loading, setLoading] = useState(false);
   const [fileInfo, setFileInfo] = useState(null);
   const [startPosition, setStartPosition] = useState({ x: 0, y: 0, z: 1.5 });
+  const [sourceFile, setSourceFile] = useState(null);
+  const [markFree, setMarkFree] = useState(false);
+  const [priorLoading, setPriorLoading] = useState(false);
 
   /**
    * 解析PCD文件
@@ -162,6 +165,7 @@ function PointCloudLoader({ onPointCloudLoaded, onStartPositionSet, accumulatedP
       message.success(`加载成功！共 ${result.loadedPoints.toLocaleString()} 个点`);
 
       setFileInfo(result);
+      setSourceFile(file);
       setStartPosition(result.defaultStart);
 
       // 通知父组件
@@ -196,11 +200,46 @@ function PointCloudLoader({ onPointCloudLoaded, onStartPositionSet, accumulatedP
     message.success(`起点已设置: (${startPosition.x}, ${startPosition.y}, ${startPosition.z})`);
   };
 
+  /**
+   * 将点云文件上传到探索引擎作为先验地图
+   * 标记空闲时以当前起点作为扫描视点
+   */
+  const handleImportPriorMap = async () => {
+    if (!sourceFile) {
+      message.warning('请先加载点云文件');
+      return;
+    }
+
+    setPriorLoading(true);
+    try {
+      const params = new URLSearchParams({ name: sourceFile.name, markFree: String(markFree) });
+      if (markFree) {
+        params.set('viewpoint', `${startPosition.x},${startPosition.y},${startPosition.z}`);
+      }
+      const response = await fetch(`/api/exploration/prior-map?${params}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/octet-stream' },
+        body: sourceFile
+      });
+      const result = await response.json();
+      if (result.success) {
+        message.success(`先验地图已导入: ${result.priorMap.voxelCount.toLocaleString()} 个障碍体素`);
+      } else {
+        message.error(result.message || result.error || '导入失败');
+      }
+    } catch (error) {
+      message.error('导入失败: ' + error.message);
+    } finally {
+      setPriorLoading(false);
+    }
+  };
+
   /**
    * 清空点云
    */
   const handleClearPointCloud = () => {
     setFileInfo(null);
+    setSourceFile(null);
     setStartPosition({ x: 0, y: 0, z: 1.5 });
     if (onPointCloudLoaded) {
       onPointCloudLoaded(null);
@@ -413,6 +452,25 @@ function PointCloudLoader({ onPointCloudLoaded, onStartPositionSet, accumulatedP
             <div style={{ fontSize: '12px', color: '#888' }}>
               💡 提示: 点云加载后，起点默认为场景中心。您可以手动调整XYZ坐标，然后点击"应用起点"
             </div>
+
+            {/* 先验地图 */}
+            <div>
+              <Checkbox checked={markFree} onChange={(e) => setMarkFree(e.target.checked)}>
+                从起点标记已知空闲区域
+              </Checkbox>
+              <Button
+                icon={<DatabaseOutlined />}
+                onClick={handleImportPriorMap}
+                loading={priorLoading}
+                block
+                style={{ marginTop: 8 }}
+              >
+                导入为探索先验地图
+              </Button>
+              <div style={{ fontSize: '12px', color: '#888', marginTop: 4 }}>
+                💡 先验地图中的障碍物会写入探索地图，探索只前往真正未知的区域
+              </div>
+            </div>
           </>
         )}
       </Space>
@@ -1,9 +1,26 @@
 import React, { useEffect, useRef, useState } from 'react';
 import { Canvas } from '@react-three/fiber';
-import { OrbitControls, Grid, Stats } from '@react-three/drei';
-import { Button, Space, Slider } from 'antd';
+import { OrbitControls, Grid, Stats, Line } from '@react-three/drei';
+import { Button, Space, Slider, Switch } from 'antd';
 import { ClearOutlined, PauseOutlined, PlayCircleOutlined } from '@ant-design/icons';
 import * as THREE from 'three';
+import websocket from '../services/websocket';
+
+// 前沿点拒绝原因
+const REJECT_REASON_LABELS = {
+  outside_roi: 'ROI外',
+  near_unreachable: '近不可达区',
+  suspected_window: '疑似窗户',
+  out_of_map: '超出地图',
+  in_obstacle: '在障碍物中',
+  too_close: '太近',
+  too_far: '太远',
+  out_of_bounds: '超出边界',
+  visited: '已访问',
+  no_path: '无可行路径',
+  path_too_long: '路径过长',
+  over_budget: '超出续航'
+};
 
 /**
  * 点云渲染组件（支持历史累计）
@@ -192,10 +209,99 @@ function DroneModel({ odometry }) {
   );
 }
 
+/**
+ * 前沿点评分叠加层
+ * 可选候选按得分着色（红=低, 绿=高），被拒绝的显示为灰色小球，选中目标为金色大球
+ * 全局巡游策略额外用虚线连出簇的访问顺序
+ */
+function FrontierOverlay({ decision }) {
+  if (!decision) return null;
+
+  const scores = decision.candidates.filter(c => c.score !== null).map(c => c.score);
+  const minScore = Math.min(...scores);
+  const maxScore = Math.max(...scores);
+
+  const colorOf = (candidate) => {
+    if (candidate.status === 'selected') return '#faad14';
+    if (candidate.status === 'rejected') return '#8c8c8c';
+    const t = maxScore > minScore ? (candidate.score - minScore) / (maxScore - minScore) : 1;
+    return new THREE.Color().setHSL(t / 3, 0.9, 0.5);  // 0=红 → 1/3=绿
+  };
+
+  const tour = decision.candidates
+    .filter(c => c.tourOrder)
+    .sort((a, b) => a.tourOrder - b.tourOrder);
+  const { dronePosition } = decision;
+
+  return (
+    <group>
+      {tour.length > 0 && (
+        <Line
+          points={[dronePosition, ...tour].map(p => [p.x, p.y, p.z ?? 0])}
+          color="#722ed1"
+          lineWidth={1}
+          dashed
+          dashSize={0.2}
+          gapSize={0.1}
+        />
+      )}
+      {decision.candidates.map((candidate, i) => {
+        const radius = candidate.status === 'selected' ? 0.2 : candidate.status === 'rejected' ? 0.06 : 0.12;
+        return (
+          <mesh key={i} position={[candidate.x, candidate.y, candidate.z ?? 0]}>
+            <sphereGeometry args={[radius, 12, 12]} />
+            <meshStandardMaterial
+              color={colorOf(candidate)}
+              transparent
+              opacity={candidate.status === 'rejected' ? 0.4 : 0.9}
+            />
+          </mesh>
+        );
+      })}
+    </group>
+  );
+}
+
+/**
+ * 覆盖航线预览
+ * 扫描线段（拍照）为青色实线，转场航段为灰色虚线，起点绿色、终点红色
+ */
+function CoverageRouteOverlay({ route }) {
+  if (!route || route.waypoints.length < 2) return null;
+
+  const { waypoints } = route;
+  const first = waypoints[0];
+  const last = waypoints[waypoints.length - 1];
+
+  return (
+    <group>
+      {waypoints.slice(1).map((wp, i) => (
+        <Line
+          key={i}
+          points={[[waypoints[i].x, waypoints[i].y, waypoints[i].z], [wp.x, wp.y, wp.z]]}
+          color={wp.cameraOn ? '#13c2c2' : '#8c8c8c'}
+          lineWidth={wp.cameraOn ? 2 : 1}
+          dashed={!wp.cameraOn}
+          dashSize={0.2}
+          gapSize={0.1}
+        />
+      ))}
+      <mesh position={[first.x, first.y, first.z]}>
+        <sphereGeometry args={[0.12, 12, 12]} />
+        <meshStandardMaterial color="#52c41a" />
+      </mesh>
+      <mesh position={[last.x, last.y, last.z]}>
+        <sphereGeometry args={[0.12, 12, 12]} />
+        <meshStandardMaterial color="#f5222d" />
+      </mesh>
+    </group>
+  );
+}
+
 /**
  * 场景组件
  */
-function Scene({ pointCloudHistory, odometry, maxPoints }) {
+function Scene({ pointCloudHistory, odometry, maxPoints, decision, coverageRoute }) {
   return (
     <>
       {/* 环境光 */}
@@ -229,6 +335,12 @@ function Scene({ pointCloudHistory, odometry, maxPoints }) {
       {/* 无人机模型 */}
       <DroneModel odometry={odometry} />
 
+      {/* 前沿点评分 */}
+      <FrontierOverlay decision={decision} />
+
+      {/* 覆盖航线预览 */}
+      <CoverageRouteOverlay route={coverageRoute} />
+
       {/* 相机控制 */}
       <OrbitControls
         enableDamping
@@ -243,6 +355,43 @@ function Scene({ pointCloudHistory, odometry, maxPoints }) {
   );
 }
 
+/**
+ * 规划决策摘要：选中目标、可选候选数和各拒绝原因计数
+ */
+function DecisionSummary({ decision }) {
+  const available = decision.candidates.filter(c => c.status !== 'rejected');
+  const rejectCounts = {};
+  decision.candidates
+    .filter(c => c.status === 'rejected')
+    .forEach(c => {
+      rejectCounts[c.reason] = (rejectCounts[c.reason] || 0) + 1;
+    });
+
+  return (
+    <div style={{ fontSize: 12, color: '#8c8c8c' }}>
+      <div>
+        候选 <strong>{available.length}</strong> / 共 {decision.candidates.length} 个前沿簇
+        {decision.chosen && (
+          <span>，选中 ({decision.chosen.x.toFixed(1)}, {decision.chosen.y.toFixed(1)}, {decision.chosen.z.toFixed(1)})</span>
+        )}
+      </div>
+      {Object.keys(rejectCounts).length > 0 && (
+        <div>
+          拒绝: {Object.entries(rejectCounts).map(([reason, count]) =>
+            `${REJECT_REASON_LABELS[reason] || reason} ${count}`
+          ).join('，')}
+        </div>
+      )}
+      <div>
+        <span style={{ color: '#f5222d' }}>●</span> 低分
+        <span style={{ color: '#52c41a', marginLeft: 8 }}>●</span> 高分
+        <span style={{ color: '#faad14', marginLeft: 8 }}>●</span> 选中
+        <span style={{ marginLeft: 8 }}>●</span> 拒绝
+      </div>
+    </div>
+  );
+}
+
 /**
  * 点云视图主组件
  */
@@ -252,6 +401,32 @@ export default function PointCloudViewer({ pointCloud, odometry, onPointCloudHis
   const [maxPoints, setMaxPoints] = useState(500000); // 最大显示50万个点
   const [totalPoints, setTotalPoints] = useState(0); // 维护总点数，避免每次计算
   const lastTimestampRef = useRef(null);
+  const [decision, setDecision] = useState(null);  // 最近一次规划决策
+  const [showFrontiers, setShowFrontiers] = useState(true);
+  const [coverageRoute, setCoverageRoute] = useState(null);  // 最近一次生成的覆盖航线
+  const [showCoverage, setShowCoverage] = useState(true);
+
+  // 订阅探索规划决策
+  useEffect(() => {
+    const handleDecision = (msg) => {
+      if (msg.data && msg.data.source === 'frontier') {
+        setDecision(msg.data);
+      }
+    };
+    websocket.on('exploration_decision', handleDecision);
+    return () => websocket.off('exploration_decision', handleDecision);
+  }, []);
+
+  // 订阅覆盖航线
+  useEffect(() => {
+    const handleCoverageRoute = (msg) => {
+      if (msg.data) {
+        setCoverageRoute(msg.data);
+      }
+    };
+    websocket.on('coverage_route', handleCoverageRoute);
+    return () => websocket.off('coverage_route', handleCoverageRoute);
+  }, []);
 
   // 监听点云数据并累计
   useEffect(() => {
@@ -327,6 +502,8 @@ export default function PointCloudViewer({ pointCloud, odometry, onPointCloudHis
             pointCloudHistory={pointCloudHistory}
             odometry={odometry}
             maxPoints={maxPoints}
+            decision={showFrontiers ? decision : null}
+            coverageRoute={showCoverage ? coverageRoute : null}
           />
         </Canvas>
       </div>
@@ -384,6 +561,20 @@ export default function PointCloudViewer({ pointCloud, odometry, onPointCloudHis
               清空
             </Button>
           </Space>
+
+          <div style={{ fontSize: 12, color: '#595959' }}>
+            <Switch size="small" checked={showFrontiers} onChange={setShowFrontiers} /> 前沿点评分
+          </div>
+          {showFrontiers && decision && <DecisionSummary decision={decision} />}
+
+          {coverageRoute && (
+            <div style={{ fontSize: 12, color: '#595959' }}>
+              <Switch size="small" checked={showCoverage} onChange={setShowCoverage} /> 覆盖航线
+              <span style={{ color: '#8c8c8c', marginLeft: 8 }}>
+                {coverageRoute.waypoints.length} 个航点 / {coverageRoute.length.toFixed(1)}m
+              </span>
+            </div>
+          )}
         </Space>
       </div>
     </div>
@@ -144,6 +144,22 @@ class WebSocketService {
     this.send('publish_command', commandData);
   }
 
+  /**
+   * 发送机载模块控制指令
+   * @param {string} module - 模块名称（lidar/planner/camera/slam）
+   * @param {string} action - start/stop/restart
+   */
+  sendModuleCommand(module, action) {
+    this.send('module_command', { module, action });
+  }
+
+  /**
+   * 请求探索地图（服务器回复 exploration_map）
+   */
+  getExplorationMap() {
+    this.send('get_exploration_map');
+  }
+
   /**
    * 订阅事件
    */
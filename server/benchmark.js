@@ -0,0 +1,521 @@
+/**
+ * 探索基准测试（无界面、无MQTT broker）
+ * 探索引擎和模拟器在同一进程中运行：任务/位姿/点云直接在内存中传递，
+ * 虚拟时钟驱动计时器，按模拟器步长（50ms）加速推进，
+ * 输出覆盖面积曲线、飞行路径长度、僵死/超时/不可达次数和达到90%覆盖的用时，
+ * 用于客观对比 selectBestFrontier、评分权重等改动的效果
+ *
+ * 用法:
+ *   node server/benchmark.js [场景文件...] [选项]
+ *   场景文件支持 .pcd/.txt/.json，default 为模拟器内置的默认房间场景（不指定场景时使用）
+ *
+ * 选项:
+ *   --config <file>          探索参数JSON（startExploration 的 options，如 scoringWeights）
+ *   --profile <id>           使用探索配置档案（--config 中的字段覆盖档案）
+ *   --label <name>           本次测试的标签（写入结果，便于对比）
+ *   --max-time <秒>          每个场景的最长模拟时间（默认600）
+ *   --start <x,y,z>          起点（默认使用模拟器起点）
+ *   --sample-interval <秒>   覆盖曲线采样间隔（默认5）
+ *   --reference-area <m²>    覆盖率的参考面积（默认取场景点云的XY外接矩形面积）
+ *   --seed <n>               随机种子（默认1，默认场景的墙面点随机生成）
+ *   --json <file>            输出完整结果（含覆盖曲线）
+ *   --csv <file>             输出每个场景的汇总（CSV）
+ *   --curves <file>          输出覆盖曲线（CSV）
+ *   --verbose                保留引擎和模拟器日志
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ExplorationEngine = require('./exploration-engine');
+const DroneSimulator = require('./simulator');
+const explorationProfiles = require('./exploration-profiles');
+
+const SIM_STEP = 50;             // 模拟器步长（毫秒，与 DroneSimulator.updatePosition 的 dt 一致）
+const POINTCLOUD_EVERY = 4;      // 每4步（200ms）发布一次点云，与模拟器 5Hz 一致
+const COVERAGE_TARGET = 0.9;     // 统计达到该覆盖率的用时
+
+const realNow = Date.now;        // 真实时间（统计实际耗时，不受虚拟时钟影响）
+
+const DEFAULT_OPTIONS = {
+  maxTime: 600,
+  sampleInterval: 5,
+  referenceArea: null,
+  start: null,
+  seed: 1,
+  label: null,
+  engineOptions: {},
+  verbose: false
+};
+
+/**
+ * 虚拟时钟：替换 Date.now 和全局计时器，由 advance() 推进时间并按顺序触发到期的计时器
+ */
+class VirtualClock {
+  constructor(startTime = Date.now()) {
+    this.now = startTime;
+    this.timers = new Map();  // id → {time, callback, args, interval}
+    this.nextId = 1;
+    this.originals = null;
+  }
+
+  install() {
+    this.originals = {
+      now: Date.now,
+      setTimeout: global.setTimeout,
+      clearTimeout: global.clearTimeout,
+      setInterval: global.setInterval,
+      clearInterval: global.clearInterval
+    };
+    Date.now = () => this.now;
+    global.setTimeout = (callback, delay = 0, ...args) => this.schedule(callback, delay, args, null);
+    global.setInterval = (callback, delay = 0, ...args) => this.schedule(callback, delay, args, Math.max(1, delay));
+    global.clearTimeout = timer => this.cancel(timer);
+    global.clearInterval = timer => this.cancel(timer);
+  }
+
+  uninstall() {
+    if (!this.originals) return;
+    Date.now = this.originals.now;
+    global.setTimeout = this.originals.setTimeout;
+    global.clearTimeout = this.originals.clearTimeout;
+    global.setInterval = this.originals.setInterval;
+    global.clearInterval = this.originals.clearInterval;
+    this.originals = null;
+  }
+
+  schedule(callback, delay, args, interval) {
+    const id = this.nextId++;
+    this.timers.set(id, { time: this.now + Math.max(0, delay), callback, args, interval });
+    // 与 Node 计时器对象的常用方法兼容
+    return { id, unref() { return this; }, ref() { return this; }, hasRef: () => false };
+  }
+
+  cancel(timer) {
+    if (timer) this.timers.delete(timer.id ?? timer);
+  }
+
+  /**
+   * 推进时间，依次触发期间到期的计时器
+   */
+  advance(ms) {
+    const target = this.now + ms;
+    for (;;) {
+      let nextId = null;
+      let next = null;
+      for (const [id, timer] of this.timers) {
+        if (timer.time <= target && (!next || timer.time < next.time)) {
+          nextId = id;
+          next = timer;
+        }
+      }
+      if (!next) break;
+
+      this.now = next.time;
+      if (next.interval) {
+        next.time += next.interval;
+      } else {
+        this.timers.delete(nextId);
+      }
+      next.callback(...next.args);
+    }
+    this.now = target;
+  }
+}
+
+// setImmediate 不受虚拟时钟影响
+const yieldLoop = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * 等待异步操作完成，期间推进虚拟时钟（操作内部可能等待计时器）
+ */
+async function settle(clock, promise) {
+  let done = false;
+  const result = promise.finally(() => { done = true; });
+  await yieldLoop();
+  while (!done) {
+    clock.advance(SIM_STEP);
+    await yieldLoop();
+  }
+  return result;
+}
+
+/**
+ * 可复现的伪随机数（mulberry32）
+ */
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * 内存传输：替代 MqttClient，任务直接交给模拟器执行
+ * 只实现探索引擎用到的接口（client.publish、publishMissionAndStart 和 publishCommand）
+ */
+class InMemoryTransport {
+  constructor(simulator) {
+    this.simulator = simulator;
+    // 模拟器配置话题（set_position / set_height_limits）为JSON消息
+    this.client = {
+      publish: (topic, payload) => simulator.handleMQTTMessage(topic, Buffer.from(payload))
+    };
+  }
+
+  async publishMissionAndStart(mission) {
+    // 与 protobuf 编解码后一致：模拟器拿到的是独立的对象
+    const decoded = JSON.parse(JSON.stringify(mission));
+    this.simulator.handleMission(decoded);
+    this.simulator.handleExecution({ id: decoded.id, action: 'START' });
+    return { delivered: true, missionId: decoded.id, attempts: 1, started: true };
+  }
+
+  async publishCommand(command) {
+    this.simulator.handleCommand({ ...command });
+    return { delivered: true, attempts: 1 };
+  }
+}
+
+/**
+ * 场景参考面积：场景点云（去掉地板）的XY外接矩形面积
+ */
+function computeReferenceArea(points) {
+  let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+  for (const p of points) {
+    if (p.z < 0.2) continue;
+    if (p.x < minX) minX = p.x;
+    if (p.x > maxX) maxX = p.x;
+    if (p.y < minY) minY = p.y;
+    if (p.y > maxY) maxY = p.y;
+  }
+  return Number.isFinite(minX) ? (maxX - minX) * (maxY - minY) : 0;
+}
+
+/**
+ * 创建场景模拟器（default 为内置默认场景）
+ */
+async function createSimulator(scene) {
+  const simulator = new DroneSimulator(scene === 'default' ? '' : scene);
+  if (scene === 'default') {
+    simulator.generateDefaultScene();
+  } else {
+    if (!fs.existsSync(scene)) {
+      throw new Error(`场景文件不存在: ${scene}`);
+    }
+    await simulator.loadScene();
+  }
+
+  // 无 broker：回执、心跳等直接丢弃
+  simulator.mqttClient = { publish() {} };
+  simulator.publishReceipt = () => {};
+  return simulator;
+}
+
+/**
+ * 在一个场景上运行一次探索
+ * @param {string} scene - 场景文件路径或 'default'
+ * @param {Object} options - 见 DEFAULT_OPTIONS
+ * @returns {Object} 场景结果 {scene, summary..., curve}
+ */
+async function runScene(scene, options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const clock = new VirtualClock();
+  const originalRandom = Math.random;
+  const originalLog = console.log;
+  const originalWarn = console.warn;
+  const wallStart = realNow();
+
+  Math.random = seededRandom(opts.seed);
+  if (!opts.verbose) {
+    console.log = () => {};
+    console.warn = () => {};
+  }
+  clock.install();
+
+  try {
+    const simulator = await createSimulator(scene);
+    if (opts.start) {
+      simulator.position = { ...opts.start };
+    }
+    const referenceArea = opts.referenceArea || computeReferenceArea(simulator.scenePoints);
+
+    // 碰撞次数（模拟器碰撞后放弃当前任务）
+    let collisionCount = 0;
+    const checkCollision = simulator.checkCollision.bind(simulator);
+    simulator.checkCollision = (x, y, z) => {
+      const hit = checkCollision(x, y, z);
+      if (hit) collisionCount++;
+      return hit;
+    };
+
+    // 飞行中离障碍物的最小距离（模拟器有符号距离，负值表示进入碰撞半径）
+    let minClearance = null;
+
+    const engine = new ExplorationEngine(new InMemoryTransport(simulator), { mapWorker: false });
+    engine.saveMap = () => {};  // 基准测试不保存地图
+
+    const goalFailures = { stuck: 0, timeout: 0 };
+    engine.on('exploration:goal_failed', ({ reason }) => {
+      goalFailures[reason] = (goalFailures[reason] || 0) + 1;
+    });
+
+    const publishOdometry = () => engine.onOdometryReceived({
+      pose: { position: { ...simulator.position }, orientation: { ...simulator.orientation } }
+    });
+
+    // 评分权重可只写需要对比的项，其余沿用默认值
+    const engineOptions = { ...opts.engineOptions, autoSaveInterval: 0 };
+    if (engineOptions.scoringWeights) {
+      engineOptions.scoringWeights = { ...engine.config.scoringWeights, ...engineOptions.scoringWeights };
+    }
+
+    publishOdometry();
+    const started = await settle(clock, engine.startExploration(engineOptions));
+    if (!started.success) {
+      throw new Error(`探索启动失败: ${started.message}`);
+    }
+
+    const startTime = clock.now;
+    const sampleEvery = Math.max(1, Math.round(opts.sampleInterval * 1000 / SIM_STEP));
+    const maxSteps = Math.round(opts.maxTime * 1000 / SIM_STEP);
+    const curve = [];
+    let pathLength = 0;
+    let timeToTarget = null;
+    let step = 0;
+
+    const sample = () => {
+      const exploredArea = engine.map.getExploredArea();
+      const coverage = referenceArea > 0 ? Math.min(1, exploredArea / referenceArea) : 0;
+      const time = (clock.now - startTime) / 1000;
+      curve.push({ time, exploredArea, coverage });
+      if (timeToTarget === null && coverage >= COVERAGE_TARGET) {
+        timeToTarget = time;
+      }
+    };
+    sample();
+
+    while (engine.isExploring && step < maxSteps) {
+      step++;
+      clock.advance(SIM_STEP);
+
+      const before = { ...simulator.position };
+      simulator.updatePosition();
+      pathLength += Math.hypot(
+        simulator.position.x - before.x,
+        simulator.position.y - before.y,
+        simulator.position.z - before.z
+      );
+
+      publishOdometry();
+      if (step % POINTCLOUD_EVERY === 0) {
+        engine.onPointCloudReceived({ points: simulator.getVisiblePoints() });
+
+        const clearance = simulator.getClearance();
+        if (clearance && (minClearance === null || clearance.clearance < minClearance)) {
+          minClearance = clearance.clearance;
+        }
+      }
+      if (step % sampleEvery === 0) {
+        sample();
+      }
+
+      // 让出事件循环（任务下发等异步回调）
+      await yieldLoop();
+    }
+
+    if (engine.isExploring) {
+      engine.stopExploration('benchmark_timeout', { returnHome: false });
+    }
+    sample();
+
+    const last = curve[curve.length - 1];
+    return {
+      scene,
+      label: opts.label,
+      seed: opts.seed,
+      stopReason: engine.stopReason,
+      duration: last.time,
+      exploredArea: last.exploredArea,
+      referenceArea,
+      coverage: last.coverage,
+      timeTo90: timeToTarget,
+      pathLength,
+      goalsVisited: engine.visitedGoals.length,
+      decisions: engine.decisionSeq,
+      stuckCount: goalFailures.stuck,
+      timeoutCount: goalFailures.timeout,
+      unreachableCount: engine.unreachableGoals.length,
+      collisionCount,
+      minClearance,
+      wallTime: (realNow() - wallStart) / 1000,
+      curve
+    };
+  } finally {
+    clock.uninstall();
+    Math.random = originalRandom;
+    console.log = originalLog;
+    console.warn = originalWarn;
+  }
+}
+
+/**
+ * 依次运行多个场景
+ * @returns {Object} {label, startedAt, options, results}
+ */
+async function runBenchmark(scenes, options = {}, onResult = null) {
+  const results = [];
+  for (const scene of scenes) {
+    const result = await runScene(scene, options);
+    results.push(result);
+    if (onResult) onResult(result);
+  }
+  return {
+    label: options.label || null,
+    startedAt: new Date().toISOString(),
+    options: { ...DEFAULT_OPTIONS, ...options },
+    results
+  };
+}
+
+// 汇总CSV字段
+const SUMMARY_FIELDS = [
+  'scene', 'label', 'seed', 'stopReason', 'duration', 'exploredArea', 'referenceArea', 'coverage',
+  'timeTo90', 'pathLength', 'goalsVisited', 'decisions', 'stuckCount', 'timeoutCount',
+  'unreachableCount', 'collisionCount', 'minClearance', 'wallTime'
+];
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return Number.isInteger(value) ? String(value) : value.toFixed(3);
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toSummaryCSV(results) {
+  const rows = results.map(r => SUMMARY_FIELDS.map(f => csvValue(r[f])).join(','));
+  return [SUMMARY_FIELDS.join(','), ...rows].join('\n') + '\n';
+}
+
+function toCurvesCSV(results) {
+  const rows = [];
+  for (const r of results) {
+    for (const p of r.curve) {
+      rows.push([r.scene, r.label, p.time, p.exploredArea, p.coverage].map(csvValue).join(','));
+    }
+  }
+  return ['scene,label,time,exploredArea,coverage', ...rows].join('\n') + '\n';
+}
+
+/**
+ * 解析命令行参数
+ */
+function parseArgs(argv) {
+  const scenes = [];
+  const options = { ...DEFAULT_OPTIONS };
+  const outputs = {};
+  let configFile = null;
+  let profileId = null;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => {
+      if (i + 1 >= argv.length) throw new Error(`${arg} 缺少参数值`);
+      return argv[++i];
+    };
+    const number = () => {
+      const value = Number(next());
+      if (!Number.isFinite(value) || value <= 0) throw new Error(`${arg} 必须为正数`);
+      return value;
+    };
+
+    switch (arg) {
+      case '--config': configFile = next(); break;
+      case '--profile': profileId = next(); break;
+      case '--label': options.label = next(); break;
+      case '--max-time': options.maxTime = number(); break;
+      case '--sample-interval': options.sampleInterval = number(); break;
+      case '--reference-area': options.referenceArea = number(); break;
+      case '--seed': options.seed = number(); break;
+      case '--start': {
+        const [x, y, z] = next().split(',').map(Number);
+        if (![x, y, z].every(Number.isFinite)) throw new Error('--start 格式为 x,y,z');
+        options.start = { x, y, z };
+        break;
+      }
+      case '--json': outputs.json = next(); break;
+      case '--csv': outputs.csv = next(); break;
+      case '--curves': outputs.curves = next(); break;
+      case '--verbose': options.verbose = true; break;
+      default:
+        if (arg.startsWith('--')) throw new Error(`未知选项: ${arg}`);
+        scenes.push(arg);
+    }
+  }
+
+  let engineOptions = {};
+  if (profileId) {
+    engineOptions = explorationProfiles.toExplorationOptions(profileId);
+    if (!engineOptions) throw new Error(`探索配置档案不存在: ${profileId}`);
+  }
+  if (configFile) {
+    engineOptions = { ...engineOptions, ...JSON.parse(fs.readFileSync(configFile, 'utf-8')) };
+  }
+  options.engineOptions = engineOptions;
+
+  return { scenes: scenes.length > 0 ? scenes : ['default'], options, outputs };
+}
+
+function writeOutput(file, content) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  fs.writeFileSync(file, content, 'utf-8');
+  console.log(`💾 已保存: ${file}`);
+}
+
+// 命令行启动
+if (require.main === module) {
+  (async () => {
+    let args;
+    try {
+      args = parseArgs(process.argv.slice(2));
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    }
+    const { scenes, options, outputs } = args;
+
+    console.log(`📏 探索基准测试: ${scenes.length} 个场景，最长 ${options.maxTime}s（模拟时间）${options.label ? `，标签 ${options.label}` : ''}`);
+
+    try {
+      const report = await runBenchmark(scenes, options, result => {
+        console.log(`✅ ${result.scene}: 覆盖 ${(result.coverage * 100).toFixed(1)}%（${result.exploredArea.toFixed(1)}/${result.referenceArea.toFixed(1)}m²），` +
+          `用时 ${result.duration.toFixed(0)}s，90%覆盖 ${result.timeTo90 !== null ? `${result.timeTo90.toFixed(0)}s` : '未达到'}，` +
+          `路径 ${result.pathLength.toFixed(1)}m，僵死 ${result.stuckCount}，超时 ${result.timeoutCount}，` +
+          `不可达 ${result.unreachableCount}，碰撞 ${result.collisionCount}，` +
+          `最小离障距离 ${result.minClearance !== null ? `${result.minClearance.toFixed(2)}m` : '-'}，结束原因 ${result.stopReason}（实际耗时 ${result.wallTime.toFixed(1)}s）`);
+      });
+
+      if (outputs.json) writeOutput(outputs.json, JSON.stringify(report, null, 2));
+      if (outputs.csv) writeOutput(outputs.csv, toSummaryCSV(report.results));
+      if (outputs.curves) writeOutput(outputs.curves, toCurvesCSV(report.results));
+      if (!outputs.json && !outputs.csv && !outputs.curves) {
+        const { results } = report;
+        console.log(JSON.stringify(results.map(({ curve, ...summary }) => summary), null, 2));
+      }
+      process.exit(0);
+    } catch (error) {
+      console.error('❌ 基准测试失败:', error.message);
+      process.exit(1);
+    }
+  })();
+}
+
+module.exports = {
+  runScene,
+  runBenchmark,
+  VirtualClock,
+  InMemoryTransport
+};
@@ -6,6 +6,32 @@ module.exports = {
     clientId: 'drone_web_control_' + Math.random().toString(16).substr(2, 8)
   },
 
+  // 指令下发可靠性配置
+  publish: {
+    qos: 1,                 // 所有指令使用 QoS 1
+    receiptTimeout: 1000,   // 等待任务回执的初始超时（毫秒）
+    maxAttempts: 3,         // 任务最多发送次数（含首次）
+    backoffFactor: 2,       // 每次重试超时时间的倍数
+    ackTimeout: 3000        // 等待 broker PUBACK 的超时（毫秒）
+  },
+
+  // 失控保护配置（超时单位：毫秒）
+  // 动作: 'none' 仅告警, 'hover' 暂停探索并悬停, 'return_home' 返航, 'land' 原地降落
+  failsafe: {
+    enabled: true,
+    checkInterval: 500,
+    heartbeatTimeout: 3000,   // 心跳超时
+    odometryTimeout: 2000,    // 位姿超时
+    mqttTimeout: 5000,        // MQTT 断线超时
+    operatorTimeout: 30000,   // 无操作员（WebSocket 客户端）超时
+    actions: {
+      heartbeat_stale: 'hover',
+      odometry_stale: 'hover',
+      mqtt_disconnected: 'hover',
+      operator_absent: 'return_home'
+    }
+  },
+
   // WebSocket 配置
   websocket: {
     port: 8080
@@ -16,6 +42,14 @@ module.exports = {
     port: process.env.PORT || 3000
   },
 
+  // 机载模块（可通过 /daf/control 启停）
+  modules: [
+    { name: 'lidar', label: '激光雷达' },
+    { name: 'planner', label: '规划器' },
+    { name: 'camera', label: '相机' },
+    { name: 'slam', label: 'SLAM' }
+  ],
+
   // 订阅的话题列表
   topics: [
     '/daf/pointcloud',
@@ -23,6 +57,7 @@ module.exports = {
     '/daf/local/odometry',
     '/daf/heartbeat',
     '/daf/camera',
-    '/daf/mission/receipt'
+    '/daf/mission/receipt',
+    '/daf/simulator/status'
   ]
 };
@@ -0,0 +1,230 @@
+/**
+ * 覆盖路径规划器（巡检用全覆盖扫描）
+ * 在ROI多边形内按传感器覆盖宽度生成往返式（boustrophedon / 割草机）扫描线：
+ *   扫描线与障碍物（膨胀栅格中的占据格子）相交的部分被切除，剩余线段按蛇形顺序连接，
+ *   线段之间直线不通时用路径规划器绕行；多个高度层依次扫描，相邻层首尾相接
+ * 未知格子视为可通行（巡检区域可能只有先验墙体，没有完整的空闲信息）
+ */
+
+const PathPlanner = require('./path-planner');
+
+const DEFAULT_OPTIONS = {
+  footprint: 2.0,         // 传感器覆盖宽度（米）
+  overlap: 0.2,           // 相邻扫描线重叠比例
+  sweepAngle: 0,          // 扫描线方向（度，0 = 沿X轴）
+  edgeMargin: 0.3,        // 扫描线两端与ROI边界的距离（米）
+  minSegmentLength: 0.5,  // 短于该长度的线段丢弃（米）
+  cameraInterval: 2000    // 扫描线段拍照间隔（毫秒）
+};
+
+class CoveragePlanner {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    // 线段间转场：未知格子可通行
+    this.transitPlanner = new PathPlanner({ algorithm: 'theta', allowUnknown: true });
+  }
+
+  /**
+   * 生成覆盖航线
+   * @param {Array} polygon - ROI多边形 [{x, y}]（与 setROI 格式一致）
+   * @param {Array} layers - 各高度层 [{z, grid}]，grid 为该高度已膨胀的占据栅格
+   * @param {Object} options - 覆盖参数（footprint, overlap, sweepAngle...），缺省使用默认值
+   * @returns {Object} {waypoints, length, spacing, segmentCount, blockedCount, unreachableCount}
+   *   blockedCount 为与障碍物相交（被切分）的扫描线数，unreachableCount 为无法转场而跳过的线段数
+   *   waypoints 与控制面板航点格式一致：扫描线段终点开启拍照，转场航段关闭相机
+   */
+  plan(polygon, layers, options = {}) {
+    const opts = { ...this.options, ...options };
+    const spacing = opts.footprint * (1 - opts.overlap);
+    const angle = opts.sweepAngle * Math.PI / 180;
+
+    const waypoints = [];
+    let segmentCount = 0;
+    let blockedCount = 0;
+    let unreachableCount = 0;
+
+    layers.forEach(({ z, grid }, layerIndex) => {
+      const lines = this.sweepLines(polygon, spacing, angle, opts.edgeMargin);
+
+      // 切除障碍物，蛇形排列线段
+      let segments = [];
+      lines.forEach((line, lineIndex) => {
+        const { pieces, blocked } = this.splitByObstacles(grid, line.start, line.end, opts.minSegmentLength);
+        if (blocked) blockedCount++;
+        const ordered = lineIndex % 2 === 0
+          ? pieces
+          : pieces.reverse().map(p => ({ start: p.end, end: p.start }));
+        segments.push(...ordered);
+      });
+
+      // 奇数层反向扫描，使相邻层首尾相接
+      if (layerIndex % 2 === 1) {
+        segments = segments.reverse().map(s => ({ start: s.end, end: s.start }));
+      }
+
+      for (const segment of segments) {
+        const previous = waypoints[waypoints.length - 1];
+        if (previous) {
+          const transit = this.planTransit(grid, previous, segment.start);
+          if (!transit) {
+            unreachableCount++;
+            continue;
+          }
+          // 换层时先在原位置升降到新高度
+          if (previous.z !== z) {
+            waypoints.push(this.makeWaypoint(previous, z, false));
+          }
+          transit.forEach(p => waypoints.push(this.makeWaypoint(p, z, false)));
+        } else {
+          waypoints.push(this.makeWaypoint(segment.start, z, false));
+        }
+        waypoints.push(this.makeWaypoint(segment.end, z, true, opts.cameraInterval));
+        segmentCount++;
+      }
+    });
+
+    return {
+      waypoints,
+      length: this.routeLength(waypoints),
+      spacing,
+      segmentCount,
+      blockedCount,
+      unreachableCount
+    };
+  }
+
+  /**
+   * 生成多边形内的扫描线（世界坐标）
+   * 在旋转后的坐标系中按 spacing 水平切割多边形，每条扫描线可能被凹多边形分成多段
+   */
+  sweepLines(polygon, spacing, angle, margin) {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    // 世界 → 扫描坐标系（扫描线沿 u 轴）
+    const toSweep = p => ({ u: p.x * cos + p.y * sin, v: -p.x * sin + p.y * cos });
+    const toWorld = (u, v) => ({ x: u * cos - v * sin, y: u * sin + v * cos });
+
+    const rotated = polygon.map(toSweep);
+    const minV = Math.min(...rotated.map(p => p.v));
+    const maxV = Math.max(...rotated.map(p => p.v));
+
+    const lines = [];
+    const count = Math.max(1, Math.ceil((maxV - minV) / spacing));
+    // 扫描线在高度方向居中分布
+    const offset = (maxV - minV - (count - 1) * spacing) / 2;
+
+    for (let k = 0; k < count; k++) {
+      const v = minV + offset + k * spacing;
+      const crossings = [];
+      for (let i = 0; i < rotated.length; i++) {
+        const a = rotated[i];
+        const b = rotated[(i + 1) % rotated.length];
+        if ((a.v <= v && v < b.v) || (b.v <= v && v < a.v)) {
+          crossings.push(a.u + (v - a.v) * (b.u - a.u) / (b.v - a.v));
+        }
+      }
+      crossings.sort((a, b) => a - b);
+
+      for (let i = 0; i + 1 < crossings.length; i += 2) {
+        const u0 = crossings[i] + margin;
+        const u1 = crossings[i + 1] - margin;
+        if (u1 > u0) {
+          lines.push({ start: toWorld(u0, v), end: toWorld(u1, v) });
+        }
+      }
+    }
+
+    return lines;
+  }
+
+  /**
+   * 按障碍物切分线段
+   * @returns {Object} {pieces: 不经过占据格子的子线段, blocked: 是否与障碍物相交}
+   */
+  splitByObstacles(grid, start, end, minLength) {
+    const length = Math.hypot(end.x - start.x, end.y - start.y);
+    const steps = Math.max(1, Math.ceil(length / (grid.resolution / 2)));
+    const pieces = [];
+    let pieceStart = null;
+    let last = null;
+    let blocked = false;
+
+    for (let i = 0; i <= steps; i++) {
+      const t = i / steps;
+      const p = { x: start.x + (end.x - start.x) * t, y: start.y + (end.y - start.y) * t };
+      if (!this.isBlocked(grid, p)) {
+        if (!pieceStart) pieceStart = p;
+        last = p;
+      } else {
+        blocked = true;
+        if (pieceStart) {
+          pieces.push({ start: pieceStart, end: last });
+          pieceStart = null;
+        }
+      }
+    }
+    if (pieceStart) {
+      pieces.push({ start: pieceStart, end: last });
+    }
+
+    return {
+      pieces: pieces.filter(p => Math.hypot(p.end.x - p.start.x, p.end.y - p.start.y) >= minLength),
+      blocked
+    };
+  }
+
+  isBlocked(grid, point) {
+    const cell = grid.worldToGrid(point.x, point.y);
+    return grid.getInflatedOccupancy(cell.x, cell.y) === -1;
+  }
+
+  /**
+   * 两个线段端点之间的转场路径（不含起点，含终点）
+   * @returns {Array|null} 转场点 [{x, y}]，无法到达时返回 null
+   */
+  planTransit(grid, from, to) {
+    const length = Math.hypot(to.x - from.x, to.y - from.y);
+    const steps = Math.max(1, Math.ceil(length / (grid.resolution / 2)));
+    let clear = true;
+    for (let i = 1; i <= steps && clear; i++) {
+      const t = i / steps;
+      clear = !this.isBlocked(grid, { x: from.x + (to.x - from.x) * t, y: from.y + (to.y - from.y) * t });
+    }
+    if (clear) {
+      return [{ x: to.x, y: to.y }];
+    }
+
+    const result = this.transitPlanner.plan(grid, from, to);
+    if (!result.success) return null;
+    const path = result.path.slice(1);
+    path[path.length - 1] = { x: to.x, y: to.y };
+    return path;
+  }
+
+  makeWaypoint(point, z, cameraOn, cameraInterval) {
+    const waypoint = {
+      x: parseFloat(point.x.toFixed(2)),
+      y: parseFloat(point.y.toFixed(2)),
+      z,
+      yaw: 0,
+      cameraOn
+    };
+    if (cameraOn) {
+      waypoint.cameraMode = 'PHOTO';
+      waypoint.cameraInterval = cameraInterval;
+    }
+    return waypoint;
+  }
+
+  routeLength(waypoints) {
+    let length = 0;
+    for (let i = 1; i < waypoints.length; i++) {
+      const a = waypoints[i - 1];
+      const b = waypoints[i];
+      length += Math.hypot(b.x - a.x, b.y - a.y, b.z - a.z);
+    }
+    return length;
+  }
+}
+
+module.exports = CoveragePlanner;
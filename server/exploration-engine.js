@@ -1,19 +1,48 @@
 const EventEmitter = require('events');
-const OccupancyGrid = require('./occupancy-grid');
+const PathPlanner = require('./path-planner');
+const CoveragePlanner = require('./coverage-planner');
+const MapPipeline = require('./map-pipeline');
+const missionValidator = require('./mission-validator');
+const safetyEnvelope = require('./safety-envelope');
+const mapStore = require('./map-store');
+const FRONTIER_STRATEGIES = require('./frontier-strategies');
+
+// 保留的规划决策记录条数
+const MAX_DECISION_HISTORY = 50;
+
+// 返航路径方式
+const RETURN_STRATEGY_LABELS = {
+  breadcrumb: '沿飞行轨迹原路返回',
+  planner: '栅格路径规划',
+  direct: '直线返航'
+};
+
+// 航向规划方式
+const YAW_MODES = ['fixed', 'travel', 'frontier'];
+
+/**
+ * 角度归一化到 (-π, π]
+ */
+function normalizeAngle(angle) {
+  return Math.atan2(Math.sin(angle), Math.cos(angle));
+}
 
 /**
  * Web端自主探索引擎
  * 基于前沿点检测的探索算法
  */
 class ExplorationEngine extends EventEmitter {
-  constructor(mqttClient) {
+  /**
+   * @param {Object} mqttClient - MQTT客户端（client.publish / publishMissionAndStart）
+   * @param {Object} options - {mapWorker: 地图更新是否放在独立线程（默认 true，false 时在主线程同步处理）}
+   */
+  constructor(mqttClient, options = {}) {
     super();
     this.mqtt = mqttClient;
 
     // 配置参数
     this.config = {
-      mapWidth: 100,          // 地图宽度（格子数）= 20m
-      mapHeight: 100,         // 地图高度（格子数）= 20m
+      mapChunkSize: 64,       // 二维栅格分块边长（格子数），地图按需自动扩展
       resolution: 0.2,        // 分辨率（米/格子）
       maxDistance: 20,        // 最大探索距离（米）
       maxDuration: 600,       // 最大探索时间（秒）
@@ -25,12 +54,43 @@ class ExplorationEngine extends EventEmitter {
       boundaryMin: null,      // 最小边界 {x, y, z} 自动或自定义
       boundaryMax: null,      // 最大边界 {x, y, z} 自动或自定义
       enableZExploration: true, // 是否启用Z轴探索
+      cameraParam: { on: false, mode: 0, interval: 0 }, // 探索航段的相机参数（返航始终关闭）
+      // 航向规划（前向相机/雷达朝向未探索区域）
+      yawMode: 'frontier',       // 'fixed' 固定0 / 'travel' 朝飞行方向 / 'frontier' 朝前沿点簇中心，到达后朝未知区域
+      scanOnArrival: false,      // 到达前沿点后原地旋转一周扫描
+      scanSteps: 4,              // 旋转扫描的朝向数（含到达时的朝向，相邻朝向间隔 360°/scanSteps）
+      scanYawRate: 45,           // 估计旋转速度（度/秒），用于扫描等待时间
+      // 路径规划（膨胀栅格上搜索，绕过拐角/穿过门洞）
+      plannerAlgorithm: 'theta', // 'astar' 或 'theta'（任意角度，路径更直）
+      waypointSpacing: 2.0,      // 相邻路点最大间距（米）
+      // 三维体素地图
+      sensorMaxRange: 10,        // 雷达最大有效测距（米）
+      sliceHalfHeight: 1.0,      // 二维规划切片：无人机高度上下各取多少米
       minHeight: 0.5,         // 最小飞行高度（米）
       maxHeight: 3.0,         // 最大飞行高度（米）
+      // 到达超时和僵死检测
+      arrivalTimeout: 8000,   // 到达超时（毫秒）
+      stuckThreshold: 3000,   // 僵死判定时间（毫秒）
+      velocityThreshold: 0.1, // 僵死速度阈值（m/s）
+      profile: null,          // 本次探索使用的配置档案 {id, name}
+      // 地图持久化（换电池后续飞）
+      autoSaveInterval: 60000, // 探索中自动保存地图的间隔（毫秒，0=不自动保存）
+      // 续航预算（剩余续航扣除预留后不足以返航时自动返航）
+      flightTimeBudget: null,    // 操作员输入的飞行时间预算（秒），null=不限制
+      returnReserve: 60,         // 返航预留时间（秒）
+      cruiseSpeed: 0.5,          // 飞行速度估计（m/s），用于估算返航和往返时间
+      budgetCheckInterval: 2000, // 返航时间估算间隔（毫秒）
+      // 返航
+      returnStrategy: 'auto',    // 'breadcrumb' 沿飞行轨迹原路返回 / 'planner' 栅格路径规划 / 'auto' 两者取较短
+      breadcrumbSpacing: 0.5,    // 飞行轨迹记录间距（米）
+      maxBreadcrumbs: 1000,      // 飞行轨迹最大记录点数（超出后隔点抽稀）
+      landOnReturn: false,       // 返航到达后降落
       // ✅ ROI区域限定探索
       roiPolygon: null,       // 用户绘制的探索区域多边形 [{x, y}, ...]
       useROI: false,          // 是否启用ROI限定
-      // ✅ 评分权重可配置化
+      // 前沿点选择策略（见 frontier-strategies.js）
+      frontierStrategy: 'weighted', // 'weighted' 加权评分 / 'nearest' 最近 / 'information' 信息增益优先 / 'utility' 单位距离收益 / 'tour' 全局巡游
+      // ✅ 评分权重可配置化（weighted 策略使用）
       scoringWeights: {
         infoGain: 0.5,        // 信息增益权重
         distance: 0.3,        // 距离成本权重
@@ -45,15 +105,26 @@ class ExplorationEngine extends EventEmitter {
     this.isPaused = false;
     this.startPos = null;
     this.currentPos = null;
+    this.currentYaw = 0;
+    this.manualGoal = null;   // 操作员指定的下一个探索目标 {x, y, z}
     this.startTime = null;
     this.lastUpdateTime = 0;
 
-    // 地图
-    this.map = new OccupancyGrid(
-      this.config.mapWidth,
-      this.config.mapHeight,
-      this.config.resolution
-    );
+    // 地图：三维体素地图为主，二维栅格为无人机所在高度的切片（用于路径规划和可视化）
+    // 体素地图在地图线程中维护，this.map 是主线程上的切片镜像（见 map-pipeline.js）
+    this.mapPipeline = new MapPipeline({
+      resolution: this.config.resolution,
+      chunkSize: this.config.mapChunkSize,
+      maxRange: this.config.sensorMaxRange,
+      useWorker: options.mapWorker !== false
+    });
+    this.map = this.mapPipeline.grid;
+
+    // 路径规划器
+    this.planner = new PathPlanner({
+      algorithm: this.config.plannerAlgorithm,
+      waypointSpacing: this.config.waypointSpacing
+    });
 
     // 前沿点
     this.frontiers = [];
@@ -69,17 +140,30 @@ class ExplorationEngine extends EventEmitter {
     this.isWaitingForArrival = false;
     this.isPreparingNextGoal = false;  // 滚动时域规划标志
     this.missionStartTime = null;  // 任务开始时间
-    this.arrivalTimeout = 8000;  // 8秒超时（加快探索速度）
+    this.arrivalTimeout = this.config.arrivalTimeout;  // 8秒超时（加快探索速度）
 
     // ✅ 僵死检测（速度监控）
     this.lastVelocityCheck = null;   // 上次速度检查 {x, y, time}
     this.stuckStartTime = null;       // 僵死开始时间
-    this.STUCK_THRESHOLD = 3000;      // 僵死判定时间（3秒）
-    this.VELOCITY_THRESHOLD = 0.1;    // 速度阈值（0.1m/s）
+    this.STUCK_THRESHOLD = this.config.stuckThreshold;       // 僵死判定时间（3秒）
+    this.VELOCITY_THRESHOLD = this.config.velocityThreshold; // 速度阈值（0.1m/s）
 
     // 返航状态
     this.isReturningHome = false;
     this.returnHomeMissionId = null;
+    this.returnHomeTarget = null;  // 本次返航的目标点
+    this.returnHomeReason = null;  // 本次返航的原因（返航完成时上报）
+    this.stopReason = null;  // 最近一次停止探索的原因
+    this.trajectory = [];    // 飞行轨迹（返航面包屑），首点为返航起点；探索开始时从探索起点重新记录
+
+    // 地图持久化
+    this.mapId = null;          // 当前地图ID（续飞时沿用被续飞地图的ID）
+    this.mapName = null;        // 地图名称（启动时可指定）
+    this.flightCount = 0;       // 该地图累计的探索架次
+    this.autoSaveTimer = null;
+
+    // 先验地图（上传的已有点云，每次启动探索时重新写入新地图）
+    this.priorMap = null;       // {name, points, viewpoint, pointCount, voxelCount, loadedAt}
 
     // 场景边界（从点云自动计算）
     this.sceneBounds = null;  // {minX, maxX, minY, maxY, minZ, maxZ}
@@ -90,6 +174,18 @@ class ExplorationEngine extends EventEmitter {
     // 探索状态推送计时
     this.lastStatusPublishTime = 0;  // 上次推送状态时间
 
+    // 规划决策记录（每次选点的候选评分明细，用于调参可视化）
+    this.decisionHistory = [];
+    this.decisionSeq = 0;
+
+    // 续航预算
+    this.budgetStatus = null;       // 最近一次续航估算 {remaining, returnTime, reserve, pathLength}
+    this.lastBudgetCheck = 0;
+
+    // 覆盖路径规划（巡检全覆盖扫描）
+    this.coveragePlanner = new CoveragePlanner();
+    this.coverageRoute = null;  // 最近一次生成的覆盖航线
+
     console.log('✅ ExplorationEngine initialized');
   }
 
@@ -179,6 +275,74 @@ class ExplorationEngine extends EventEmitter {
     return { success: true, message: 'ROI限制已清除' };
   }
 
+  /**
+   * 设置操作员指定的下一个探索目标
+   * 在下一次规划时优先于前沿点使用（只使用一次）
+   * @param {Object} goal - {x, y, z}，z 省略时使用探索高度
+   */
+  setManualGoal(goal) {
+    if (!goal || !Number.isFinite(goal.x) || !Number.isFinite(goal.y) ||
+        (goal.z !== undefined && goal.z !== null && !Number.isFinite(goal.z))) {
+      return { success: false, message: '目标点必须包含数值 x、y（z 可选）' };
+    }
+
+    const grid = this.map.worldToGrid(goal.x, goal.y);
+    if (!this.map.isInMap(grid.x, grid.y)) {
+      return { success: false, message: '目标点超出已探索地图范围' };
+    }
+
+    this.manualGoal = {
+      x: goal.x,
+      y: goal.y,
+      z: goal.z ?? this.config.explorationHeight
+    };
+    console.log(`📌 操作员指定下一个探索目标: (${goal.x.toFixed(2)}, ${goal.y.toFixed(2)}, ${this.manualGoal.z.toFixed(2)})`);
+
+    // 空闲时立即规划
+    if (this.isExploring && !this.isPaused && !this.isWaitingForArrival) {
+      setTimeout(() => this.explorationStep(), 0);
+    }
+
+    return { success: true, message: '已设置下一个探索目标', goal: { ...this.manualGoal } };
+  }
+
+  /**
+   * 清除操作员指定的目标
+   */
+  clearManualGoal() {
+    this.manualGoal = null;
+    return { success: true, message: '已清除指定目标' };
+  }
+
+  /**
+   * 取出操作员指定的目标并规划路径（取出后即清除）
+   * @returns {Object|null} 目标（含规划路径），无目标或不可达时返回 null
+   */
+  takeManualGoal() {
+    if (!this.manualGoal) return null;
+
+    const goal = this.manualGoal;
+    this.manualGoal = null;
+
+    const plan = this.planPath(this.currentPos, goal);
+    if (!plan.success) {
+      console.warn(`⚠️ 指定目标 (${goal.x.toFixed(2)}, ${goal.y.toFixed(2)}) 无可行路径 (${plan.reason})，改为自动选择前沿点`);
+      this.emit('exploration:goal_rejected', { goal, reason: plan.reason });
+      return null;
+    }
+
+    const pathEnd = plan.path[plan.path.length - 1];
+    console.log(`📌 使用指定目标 (${pathEnd.x.toFixed(2)}, ${pathEnd.y.toFixed(2)}) path=${plan.path.length - 1}段/${plan.length.toFixed(2)}m`);
+    return {
+      x: pathEnd.x,
+      y: pathEnd.y,
+      z: goal.z,
+      manual: true,
+      path: plan.path,
+      pathLength: plan.length
+    };
+  }
+
   /**
    * 射线法判断点是否在多边形内
    * @param {Object} point - {x, y}
@@ -278,7 +442,7 @@ class ExplorationEngine extends EventEmitter {
     // 检查任务超时（即使在等待到达时也要检查）
     if (this.isWaitingForArrival && this.missionStartTime) {
       const elapsed = Date.now() - this.missionStartTime;
-      if (elapsed > this.arrivalTimeout) {
+      if (elapsed > this.arrivalTimeout + (this.currentGoal?.scan?.duration || 0)) {
         console.log(`⏰ 任务超时 (${(elapsed/1000).toFixed(1)}s)，规划下一个目标`);
 
         // 增加目标尝试计数（解决无限重试问题）
@@ -297,6 +461,7 @@ class ExplorationEngine extends EventEmitter {
               y: this.currentGoal.y
             });
           }
+          this.emit('exploration:goal_failed', { goal: { ...this.currentGoal }, reason: 'timeout' });
         }
 
         this.isWaitingForArrival = false;
@@ -335,22 +500,34 @@ class ExplorationEngine extends EventEmitter {
       z: position.z
     };
 
+    // 记录航向（地图面板显示无人机朝向，旋转扫描判断是否转到位）
+    const orientation = odometry.pose?.orientation || odometry.orientation;
+    if (orientation && orientation.w !== undefined) {
+      this.currentYaw = Math.atan2(2.0 * (orientation.w * orientation.z + orientation.x * orientation.y),
+                                   1.0 - 2.0 * (orientation.y * orientation.y + orientation.z * orientation.z));
+    }
+
     // ✅ 优先检查返航完成（返航比探索优先级更高）
-    if (this.isReturningHome && this.startPos) {
+    if (this.isReturningHome && this.returnHomeTarget) {
       const distToHome = Math.hypot(
-        newPos.x - this.startPos.x,
-        newPos.y - this.startPos.y
+        newPos.x - this.returnHomeTarget.x,
+        newPos.y - this.returnHomeTarget.y
       );
 
       if (distToHome < 0.5) {  // 50cm阈值认为返航成功
         console.log('🏠 ✅ 返航完成！已到达起点');
         this.isReturningHome = false;
         this.returnHomeMissionId = null;
+        this.saveMap();
 
         this.emit('exploration:returned', {
           position: newPos,
-          startPosition: this.startPos
+          startPosition: this.returnHomeTarget,
+          reason: this.returnHomeReason,
+          exploredArea: this.map.getExploredArea(),
+          duration: this.startTime ? (Date.now() - this.startTime) / 1000 : 0
         });
+        this.returnHomeTarget = null;
       }
     }
 
@@ -361,8 +538,11 @@ class ExplorationEngine extends EventEmitter {
         newPos.y - this.currentGoal.y
       );
 
+      // 已到达目标位置、正在原地旋转扫描（转到最后一个朝向才算到达，期间不做僵死检测）
+      const scanning = dist < 0.3 && this.currentGoal.scan && !this.isScanComplete(this.currentGoal.scan);
+
       // ✅ 僵死检测（速度监控）
-      if (this.lastVelocityCheck) {
+      if (this.lastVelocityCheck && !scanning) {
         const dt = Date.now() - this.lastVelocityCheck.time;
         const dx = newPos.x - this.lastVelocityCheck.x;
         const dy = newPos.y - this.lastVelocityCheck.y;
@@ -394,6 +574,7 @@ class ExplorationEngine extends EventEmitter {
                     y: this.currentGoal.y
                   });
                 }
+                this.emit('exploration:goal_failed', { goal: { ...this.currentGoal }, reason: 'stuck' });
               }
 
               this.isWaitingForArrival = false;
@@ -423,14 +604,15 @@ class ExplorationEngine extends EventEmitter {
       // 滚动时域规划：提前触发下一次规划（距离目标还有1.5m时）
       const RECEDING_HORIZON_DISTANCE = 1.5;  // 提前触发距离（米）
 
-      if (dist <= RECEDING_HORIZON_DISTANCE && !this.isPreparingNextGoal) {
+      // 需要到达后旋转扫描时不提前规划（新任务会打断扫描）
+      if (dist <= RECEDING_HORIZON_DISTANCE && !this.isPreparingNextGoal && !this.currentGoal.scan) {
         console.log(`🔄 接近目标（剩余${dist.toFixed(2)}m），提前规划下一目标...`);
         this.isPreparingNextGoal = true;  // 标记正在准备下一目标
         // 触发探索更新（会在主循环中计算下一个目标）
         // 注意：不在这里直接调用，而是在探索主循环中检测
       }
 
-      if (dist < 0.3) {  // 30cm阈值
+      if (dist < 0.3 && !scanning) {  // 30cm阈值
         console.log('✅ Arrived at goal');
 
         // 记录到达的目标到历史（避免重复尝试）
@@ -453,39 +635,68 @@ class ExplorationEngine extends EventEmitter {
     }
 
     this.currentPos = newPos;
+    this.recordBreadcrumb(newPos);
+
+    // 持续估算返航时间，续航不足时返航
+    if (this.isExploring && !this.isPaused) {
+      this.checkFlightBudget();
+    }
   }
 
   /**
-   * 从点云更新地图
+   * 从点云更新地图（在地图线程中积分，主线程只做降采样）
    */
   updateMapFromPointCloud(pointcloud, dronePos) {
-    const droneGrid = this.map.worldToGrid(dronePos.x, dronePos.y);
-
     // 降采样点云（每10个点取1个）
     const sampleRate = 10;
-    for (let i = 0; i < pointcloud.points.length; i += sampleRate) {
-      const point = pointcloud.points[i];
-
-      // 过滤高度（只处理±1米范围内的点）
-      if (Math.abs(point.z - dronePos.z) > 1.0) continue;
-
-      // 投影到2D
-      const obstacleGrid = this.map.worldToGrid(point.x, point.y);
+    const source = pointcloud.points;
+    const points = new Float64Array(Math.ceil(source.length / sampleRate) * 3);
+    for (let i = 0, j = 0; i < source.length; i += sampleRate, j += 3) {
+      // 支持两种格式: proto点 {xyz: {x, y, z}} 或扁平点 {x, y, z}
+      const p = source[i].xyz || source[i];
+      points[j] = p.x;
+      points[j + 1] = p.y;
+      points[j + 2] = p.z;
+    }
 
-      if (!this.map.isInMap(obstacleGrid.x, obstacleGrid.y)) continue;
+    // 三维光线投射，并更新无人机所在高度的二维切片
+    this.mapPipeline.integrate({ x: dronePos.x, y: dronePos.y, z: dronePos.z }, points, this.getMapView(dronePos.z));
+  }
 
-      // 光线追踪：从无人机到障碍物的路径标记为空闲
-      this.map.raytrace(
-        droneGrid.x, droneGrid.y,
-        obstacleGrid.x, obstacleGrid.y
-      );
+  /**
+   * 地图线程的切片和前沿检测参数
+   * 切片为 z ± sliceHalfHeight，高度变化超过一个体素时整体重建，否则只更新变化的体素列；
+   * 探索中（或 frontiers=true）同时在当前位置周围检测并聚类三维前沿
+   * @param {number} z - 切片中心高度（无人机高度）
+   * @param {Object} options - {full: 强制整体重建, frontiers: 强制检测前沿}
+   */
+  getMapView(z, { full = false, frontiers = this.isExploring } = {}) {
+    const { minZ, maxZ } = this.getFrontierHeightRange();
+    const center = this.currentPos || this.startPos;
+    return {
+      z,
+      halfHeight: this.config.sliceHalfHeight,
+      full,
+      frontier: frontiers && center ? {
+        center: { x: center.x, y: center.y },
+        radius: this.config.maxDistance,
+        minZ,
+        maxZ,
+        clusterRadius: this.config.clusterRadius,
+        minClusterSize: this.config.minClusterSize
+      } : null
+    };
+  }
 
-      // 障碍物点标记为占据
-      this.map.setOccupancy(obstacleGrid.x, obstacleGrid.y, -1);
+  /**
+   * 前沿检测的高度范围
+   * 启用Z轴探索时为 [minHeight, maxHeight]，否则为探索高度所在的体素层
+   */
+  getFrontierHeightRange() {
+    if (this.config.enableZExploration) {
+      return { minZ: this.config.minHeight, maxZ: this.config.maxHeight };
     }
-
-    // 更新膨胀地图（考虑无人机体积）
-    this.map.inflateObstacles();
+    return { minZ: this.config.explorationHeight, maxZ: this.config.explorationHeight };
   }
 
   /**
@@ -512,15 +723,49 @@ class ExplorationEngine extends EventEmitter {
       return { success: false, message: '无当前位置信息，请先设置起点或等待MQTT位姿数据' };
     }
 
-    // 合并配置
-    Object.assign(this.config, options);
+    // 续飞：加载保存的地图快照（续飞参数不写入配置）
+    const { resumeMapId, resumeAlignment = 'start', mapName, ...configOptions } = options;
+    let snapshot = null;
+    if (resumeMapId) {
+      snapshot = mapStore.loadMap(resumeMapId);
+      if (!snapshot) {
+        return { success: false, message: `要续飞的地图不存在: ${resumeMapId}` };
+      }
+      // 体素索引依赖分辨率，续飞时必须沿用保存时的分辨率
+      if (configOptions.resolution !== undefined && configOptions.resolution !== snapshot.resolution) {
+        console.warn(`⚠️ 续飞地图分辨率为 ${snapshot.resolution}m，忽略请求的 ${configOptions.resolution}m`);
+      }
+      configOptions.resolution = snapshot.resolution;
+    }
+
+    if (configOptions.yawMode !== undefined && !YAW_MODES.includes(configOptions.yawMode)) {
+      return { success: false, message: `航向规划方式无效: ${configOptions.yawMode}（支持 ${YAW_MODES.join(' / ')}）` };
+    }
+
+    if (configOptions.frontierStrategy !== undefined && !FRONTIER_STRATEGIES[configOptions.frontierStrategy]) {
+      return { success: false, message: `前沿点选择策略无效: ${configOptions.frontierStrategy}（支持 ${Object.keys(FRONTIER_STRATEGIES).join(' / ')}）` };
+    }
+
+    // 合并配置（未指定档案时清除上一次的档案标记）
+    Object.assign(this.config, configOptions);
+    this.config.profile = configOptions.profile || null;
+    this.arrivalTimeout = this.config.arrivalTimeout;
+    this.STUCK_THRESHOLD = this.config.stuckThreshold;
+    this.VELOCITY_THRESHOLD = this.config.velocityThreshold;
+    this.planner.updateOptions({
+      algorithm: this.config.plannerAlgorithm,
+      waypointSpacing: this.config.waypointSpacing
+    });
 
     // 初始化状态 - 但先不设置isExploring=true，避免点云触发探索步骤
     this.isPaused = false;
     this.startPos = { ...this.currentPos };
+    this.trajectory = [{ ...this.startPos }];
     this.startTime = Date.now();
     this.lastUpdateTime = 0;
     this.visitedGoals = [];
+    this.budgetStatus = null;
+    this.lastBudgetCheck = 0;
     this.isWaitingForArrival = false;
     this.missionStartTime = null;
 
@@ -546,34 +791,47 @@ class ExplorationEngine extends EventEmitter {
     await new Promise(resolve => setTimeout(resolve, 100));
 
     // 重置地图
-    this.map = new OccupancyGrid(
-      this.config.mapWidth,
-      this.config.mapHeight,
-      this.config.resolution
-    );
+    this.mapPipeline.reset({
+      resolution: this.config.resolution,
+      chunkSize: this.config.mapChunkSize,
+      maxRange: this.config.sensorMaxRange
+    });
+    this.map = this.mapPipeline.grid;
 
     // 初始化起点周围为自由空间（否则无法找到前沿点）
-    const startGrid = this.map.worldToGrid(this.startPos.x, this.startPos.y);
-    const radius = 15; // 15格半径（3米），合理的初始化范围
-    for (let dx = -radius; dx <= radius; dx++) {
-      for (let dy = -radius; dy <= radius; dy++) {
-        const gx = startGrid.x + dx;
-        const gy = startGrid.y + dy;
-        if (this.map.isInMap(gx, gy)) {
-          const dist = Math.sqrt(dx * dx + dy * dy);
-          if (dist <= radius) {
-            this.map.setOccupancy(gx, gy, 1); // 标记为自由空间
-          }
-        }
-      }
+    const radius = 3.0; // 3米半径，合理的初始化范围
+    const { minZ, maxZ } = this.getFrontierHeightRange();
+    // 新地图：清空上一次探索的不可达黑名单；续飞：恢复保存的地图和目标记录
+    this.unreachableGoals = [];
+    this.goalAttempts.clear();
+    if (snapshot) {
+      this.restoreSnapshot(snapshot, resumeAlignment);
+      this.mapId = resumeMapId;
+      this.flightCount = (snapshot.flightCount || 1) + 1;
+    } else {
+      this.mapId = `map_${Date.now()}`;
+      this.flightCount = 1;
+    }
+    this.mapName = mapName || null;
+    if (this.priorMap) {
+      await this.applyPriorMap();
     }
 
+    this.mapPipeline.seedFree(this.startPos, radius, Math.min(minZ, this.startPos.z), Math.max(maxZ, this.startPos.z),
+      this.getMapView(this.startPos.z, { full: true, frontiers: true }));
+
     console.log('🚀 Exploration started at', this.startPos);
-    console.log('🗺️ 初始化地图: 起点周围', (radius * this.config.resolution).toFixed(1), 'm已标记为自由空间');
+    console.log(`🧭 前沿点选择策略: ${FRONTIER_STRATEGIES[this.config.frontierStrategy].label}`);
+    console.log('🗺️ 初始化地图: 起点周围', radius.toFixed(1), 'm已标记为自由空间');
 
     // ⭐ 现在才设置isExploring=true，确保地图已初始化
     this.isExploring = true;
 
+    // 定期保存地图
+    if (this.config.autoSaveInterval > 0) {
+      this.autoSaveTimer = setInterval(() => this.saveMap(), this.config.autoSaveInterval);
+    }
+
     this.emit('exploration:started', {
       startPos: this.startPos,
       config: this.config
@@ -582,7 +840,11 @@ class ExplorationEngine extends EventEmitter {
     // 立即执行第一步
     setTimeout(() => this.explorationStep(), 500);
 
-    return { success: true, message: '探索已启动' };
+    return {
+      success: true,
+      message: snapshot ? `探索已启动（续飞地图 ${resumeMapId}，第${this.flightCount}架次）` : '探索已启动',
+      mapId: this.mapId
+    };
   }
 
   /**
@@ -617,13 +879,21 @@ class ExplorationEngine extends EventEmitter {
 
   /**
    * 停止探索
+   * @param {string} reason - 停止原因
+   * @param {Object} options - {returnHome: 距起点超过1米时是否自动返航（默认 true）}
    */
-  stopExploration(reason = 'manual') {
+  stopExploration(reason = 'manual', { returnHome = true } = {}) {
     if (!this.isExploring) return { success: false, message: '未在探索中' };
 
     this.isExploring = false;
     this.isPaused = false;
     this.isWaitingForArrival = false;
+    this.stopReason = reason;
+
+    // 停止时保存地图（返航完成后会再保存一次）
+    clearInterval(this.autoSaveTimer);
+    this.autoSaveTimer = null;
+    this.saveMap();
 
     // 计算距离起点
     const distanceFromStart = this.startPos ? Math.hypot(
@@ -635,11 +905,13 @@ class ExplorationEngine extends EventEmitter {
     console.log(`   探索面积: ${this.map.getExploredArea().toFixed(2)} m²`);
     console.log(`   距起点: ${distanceFromStart.toFixed(2)} m`);
 
-    // ✅ 如果距离起点超过1米，自动返航
-    if (this.startPos && distanceFromStart > 1.0) {
+    // ✅ 如果距离起点超过1米，自动返航（返航被拒绝时已改为原地降落，按停止处理）
+    let returning = false;
+    if (returnHome && this.startPos && distanceFromStart > 1.0) {
       console.log('🏠 开始返航到起点...');
-      this.returnToHome();
-    } else {
+      returning = this.returnToHome().success;
+    }
+    if (!returning) {
       this.emit('exploration:stopped', {
         reason: reason,
         exploredArea: this.map.getExploredArea(),
@@ -652,58 +924,227 @@ class ExplorationEngine extends EventEmitter {
   }
 
   /**
-   * 返航到起点
+   * 返航目标点：探索起点；未探索过时为记录的第一个轨迹点（起飞位置）
+   * 高度不低于最小飞行高度
    */
-  returnToHome() {
-    if (!this.startPos || !this.currentPos) {
-      console.log('⚠️ 无起点信息，取消返航');
+  getHomePosition() {
+    const home = this.startPos || this.trajectory[0];
+    if (!home) return null;
+    return { x: home.x, y: home.y, z: Math.max(home.z, this.config.minHeight) };
+  }
+
+  /**
+   * 记录飞行轨迹点（与上一点间距达到 breadcrumbSpacing 才记录）
+   */
+  recordBreadcrumb(pos) {
+    const last = this.trajectory[this.trajectory.length - 1];
+    if (last && Math.hypot(pos.x - last.x, pos.y - last.y, pos.z - last.z) < this.config.breadcrumbSpacing) {
       return;
     }
+    this.trajectory.push({ ...pos });
 
-    // 检查返航路径是否畅通
-    const pathClear = this.isPathClear(this.currentPos, this.startPos);
+    // 超出上限：保留首点（返航起点）和最新点，其余隔点抽稀
+    if (this.trajectory.length > this.config.maxBreadcrumbs) {
+      const [first, ...rest] = this.trajectory;
+      this.trajectory = [first, ...rest.filter((_, i) => i % 2 === 1 || i === rest.length - 1)];
+    }
+  }
 
-    console.log(`🏠 规划返航路径: (${this.currentPos.x.toFixed(2)}, ${this.currentPos.y.toFixed(2)}) → (${this.startPos.x.toFixed(2)}, ${this.startPos.y.toFixed(2)})`);
-    console.log(`   路径状态: ${pathClear ? '✅ 畅通' : '⚠️ 需要绕行'}`);
+  /**
+   * 沿飞行轨迹原路返回的路径
+   * 轨迹倒序后做视线捷径剪枝（与路径平滑相同：从当前点连接到最远的直线可见点），
+   * 相邻轨迹点是飞过的航段，不要求直线可见
+   * @returns {Object|null} {path: [{x, y, z}]（含起点）, length}，无轨迹时返回 null
+   */
+  planBreadcrumbPath(from, home) {
+    if (this.trajectory.length === 0) return null;
+
+    // 起飞前/降落后记录的地面轨迹点抬升到最小飞行高度
+    const minHeight = this.config.minHeight;
+    const points = [
+      { ...from },
+      ...this.trajectory.slice().reverse().map(p => ({ x: p.x, y: p.y, z: Math.max(p.z, minHeight) })),
+      home
+    ].filter((p, i, all) => i === 0 || Math.hypot(p.x - all[i - 1].x, p.y - all[i - 1].y, p.z - all[i - 1].z) > 0.01);
+    const path = [points[0]];
+    let anchor = 0;
+
+    while (anchor < points.length - 1) {
+      let next = points.length - 1;
+      while (next > anchor + 1 && !this.isPathClear(points[anchor], points[next])) {
+        next--;
+      }
+      path.push(points[next]);
+      anchor = next;
+    }
 
-    // 下发返航任务
-    const missionId = `return_home_${Date.now()}`;
+    return { path, length: this.planner.pathLength(path) };
+  }
 
-    const mission = {
-      id: missionId,
-      tasks: [
-        {
-          autoPilot: {
-            position: {
-              x: this.startPos.x,
-              y: this.startPos.y,
-              z: this.startPos.z
-            },
-            yaw: 0,
-            cameraParam: {
-              on: false,
-              mode: 0,
-              interval: 0
-            }
-          }
-        }
-      ]
-    };
+  /**
+   * 生成返航路径
+   * @param {string} strategy - 'breadcrumb' | 'planner' | 'auto'（两者都可用时取较短者）
+   * @returns {Object} {strategy: 实际使用的方式（都不可用时为 'direct' 直线）, path, length}
+   */
+  buildReturnPath(from, home, strategy) {
+    const candidates = [];
+    if (strategy !== 'breadcrumb') {
+      const plan = this.planPath(from, home);
+      if (plan.success) {
+        candidates.push({ strategy: 'planner', path: plan.path, length: plan.length });
+      }
+    }
+    if (strategy !== 'planner') {
+      const breadcrumb = this.planBreadcrumbPath(from, home);
+      if (breadcrumb) {
+        candidates.push({ strategy: 'breadcrumb', ...breadcrumb });
+      }
+    }
 
-    this.mqtt.publishMission(mission);
+    if (candidates.length === 0) {
+      const path = [{ ...from }, home];
+      return { strategy: 'direct', path, length: this.planner.pathLength(path) };
+    }
+    return candidates.reduce((best, c) => (c.length < best.length ? c : best));
+  }
 
-    setTimeout(() => {
-      this.mqtt.publishExecution({
-        id: missionId,
-        action: 0  // START
-      });
-    }, 500);
+  /**
+   * 将超过最大航段长度的航段等分为多段（返航路径可能是跨越整个场地的直线）
+   * @param {Object} from - 起点
+   * @param {Array} waypoints - 航点
+   * @param {number} maxLegLength - 最大航段长度（米）
+   */
+  splitLongLegs(from, waypoints, maxLegLength) {
+    const result = [];
+    let previous = from;
+    for (const wp of waypoints) {
+      const length = Math.hypot(wp.x - previous.x, wp.y - previous.y, wp.z - previous.z);
+      // 留1%余量，避免浮点误差导致等分后的航段仍略超上限
+      const pieces = Math.ceil(length / (maxLegLength * 0.99));
+      for (let i = 1; i < pieces; i++) {
+        const t = i / pieces;
+        result.push({
+          x: previous.x + (wp.x - previous.x) * t,
+          y: previous.y + (wp.y - previous.y) * t,
+          z: previous.z + (wp.z - previous.z) * t
+        });
+      }
+      result.push(wp);
+      previous = wp;
+    }
+    return result;
+  }
+
+  /**
+   * 返航失败：通知界面并原地降落（不能让无人机悬停在原地而界面以为正在返航）
+   * @param {string} reason - 'safety_envelope' | 'not_delivered'
+   * @param {string} message - 失败说明
+   */
+  handleReturnFailure(reason, message, errors = []) {
+    console.error(`❌ ${message}，改为原地降落`);
+    this.isReturningHome = false;
+    this.returnHomeMissionId = null;
+    this.returnHomeTarget = null;
+
+    Promise.resolve(this.mqtt.publishCommand({ action: 1 })).then(result => {  // LAND
+      if (result && !result.delivered) {
+        console.error('❌ 降落指令未送达');
+      }
+    }).catch(error => console.error('❌ 发送降落指令失败:', error.message));
+
+    this.emit('exploration:return_failed', { reason, message, errors, fallback: 'land' });
+  }
+
+  /**
+   * 返航到起点（探索中和探索外均可调用）
+   * @param {Object} options - {strategy: 返航路径方式（默认 config.returnStrategy）,
+   *   land: 到达后降落（默认 config.landOnReturn）, reason: 返航原因（默认最近一次停止探索的原因）}
+   * @returns {Object} {success, message, missionId, strategy, length, waypointCount}
+   */
+  returnToHome(options = {}) {
+    const home = this.getHomePosition();
+    if (!home || !this.currentPos) {
+      console.log('⚠️ 无起点信息，取消返航');
+      return { success: false, message: '无起点信息，无法返航' };
+    }
+
+    const strategy = options.strategy || this.config.returnStrategy;
+    const land = options.land ?? this.config.landOnReturn;
+    const route = this.buildReturnPath(this.currentPos, home, strategy);
+
+    console.log(`🏠 规划返航路径: (${this.currentPos.x.toFixed(2)}, ${this.currentPos.y.toFixed(2)}) → (${home.x.toFixed(2)}, ${home.y.toFixed(2)})`);
+    console.log(`   返航方式: ${RETURN_STRATEGY_LABELS[route.strategy]}，${route.path.length - 1} 段共 ${route.length.toFixed(2)}m${land ? '，到达后降落' : ''}`);
+
+    // 下发返航任务（最后一个路点始终为起点）
+    const missionId = `return_home_${Date.now()}`;
+    const planned = this.planner.toWaypoints(route.path, Math.max(this.currentPos.z, this.config.minHeight), home.z);
+    planned.splice(-1, 1, { ...home });
+    const waypoints = this.splitLongLegs(this.currentPos, planned, safetyEnvelope.getEnvelope().maxLegLength);
+
+    // 返航朝飞行方向（固定航向模式除外）
+    const yaws = this.planYaws(this.currentPos, waypoints, null, this.config.yawMode === 'fixed' ? 'fixed' : 'travel');
+    const tasks = waypoints.map((wp, index) => ({
+      autoPilot: {
+        position: {
+          x: wp.x,
+          y: wp.y,
+          z: wp.z
+        },
+        yaw: yaws[index],
+        cameraParam: {
+          on: false,
+          mode: 0,
+          interval: 0
+        }
+      }
+    }));
+    if (land) {
+      tasks.push({ land: {} });
+    }
+    const mission = { id: missionId, tasks };
+
+    // 收到回执后自动开始执行（返航任务不限制航点数量，长航段已拆分）
+    const validation = missionValidator.validateMission(mission, { startPosition: this.currentPos, returnHome: true });
+    if (!validation.valid) {
+      const message = `返航任务超出安全边界: ${validation.errors.map(e => e.message).join('; ')}`;
+      this.handleReturnFailure('safety_envelope', message, validation.errors);
+      return { success: false, message: '返航任务超出安全边界，已改为原地降落', errors: validation.errors, fallback: 'land' };
+    }
+
+    this.mqtt.publishMissionAndStart(validation.mission).then(result => {
+      if (!result.delivered && this.returnHomeMissionId === missionId) {
+        this.handleReturnFailure('not_delivered', `返航任务 ${missionId} 未送达（已发送${result.attempts}次）`);
+      }
+    }).catch(error => {
+      // 编码失败等异常按未送达处理
+      console.error(`❌ 返航任务 ${missionId} 发送失败:`, error.message);
+      if (this.returnHomeMissionId === missionId) {
+        this.handleReturnFailure('not_delivered', `返航任务 ${missionId} 发送失败: ${error.message}`);
+      }
+    });
 
     console.log(`🏠 返航任务已下发`);
 
     // 监听返航完成
     this.isReturningHome = true;
     this.returnHomeMissionId = missionId;
+    this.returnHomeTarget = home;
+    this.returnHomeReason = options.reason ?? this.stopReason;
+
+    const summary = {
+      missionId,
+      strategy: route.strategy,
+      length: route.length,
+      waypointCount: waypoints.length,
+      land
+    };
+    this.emit('exploration:returning', { ...summary, target: home, reason: this.returnHomeReason });
+
+    return {
+      success: true,
+      message: `返航任务已下发（${RETURN_STRATEGY_LABELS[route.strategy]}，${route.length.toFixed(1)}m）`,
+      ...summary
+    };
   }
 
   /**
@@ -745,24 +1186,42 @@ class ExplorationEngine extends EventEmitter {
       return;
     }
 
+    // 检查续航预算
+    if (this.checkFlightBudget(true)) {
+      return;
+    }
+
     // 1. 检测前沿点
     this.frontiers = this.detectFrontiers();
 
     console.log(`🔍 Detected ${this.frontiers.length} frontier clusters`);
 
-    if (this.frontiers.length === 0) {
-      console.log('✅ Exploration complete - no more frontiers');
-      this.stopExploration('complete');
-      return;
-    }
+    // 2. 选择目标：操作员指定的目标优先，否则选择最优前沿点
+    let nextGoal = this.takeManualGoal();
+
+    if (nextGoal) {
+      this.recordDecision('manual', [], nextGoal);
+    } else {
+      if (this.frontiers.length === 0) {
+        console.log('✅ Exploration complete - no more frontiers');
+        this.stopExploration('complete');
+        return;
+      }
 
-    // 2. 选择最优前沿点
-    const nextGoal = this.selectBestFrontier(this.frontiers, this.currentPos);
+      nextGoal = this.selectBestFrontier(this.frontiers, this.currentPos);
 
-    if (!nextGoal) {
-      console.log('⚠️ No valid frontier selected');
-      this.stopExploration('no_valid_frontier');
-      return;
+      if (!nextGoal) {
+        // 剩余前沿点往返都超出续航预算：按续航不足结束并返航
+        const lastDecision = this.decisionHistory[this.decisionHistory.length - 1];
+        if (lastDecision && lastDecision.candidates.some(c => c.reason === 'over_budget')) {
+          console.log('🔋 剩余前沿点往返时间均超出续航预算');
+          this.stopExploration('budget');
+          return;
+        }
+        console.log('⚠️ No valid frontier selected');
+        this.stopExploration('no_valid_frontier');
+        return;
+      }
     }
 
     // 3. 下发任务
@@ -770,7 +1229,15 @@ class ExplorationEngine extends EventEmitter {
     this.isWaitingForArrival = true;
     this.isPreparingNextGoal = false;  // 重置准备标志
     this.missionStartTime = Date.now();  // 记录任务开始时间
-    this.publishExplorationMission(nextGoal);
+    if (!this.publishExplorationMission(nextGoal)) {
+      // 任务被安全边界拒绝：目标加入黑名单，稍后重新规划
+      this.unreachableGoals.push({ x: nextGoal.x, y: nextGoal.y });
+      this.isWaitingForArrival = false;
+      this.currentGoal = null;
+      this.missionStartTime = null;
+      setTimeout(() => this.explorationStep(), 500);
+      return;
+    }
 
     // 4. 发布探索状态
     this.publishExplorationStatus();
@@ -778,100 +1245,10 @@ class ExplorationEngine extends EventEmitter {
 
   /**
    * 检测前沿点
+   * 前沿体素检测和聚类在地图线程中随每次地图更新完成，这里取最近一次的结果
    */
   detectFrontiers() {
-    const frontierCandidates = [];
-
-    // 限制搜索范围（以当前位置为中心）
-    const droneGrid = this.map.worldToGrid(this.currentPos.x, this.currentPos.y);
-    const searchRadius = Math.floor(this.config.maxDistance / this.config.resolution);
-
-    const xMin = Math.max(1, droneGrid.x - searchRadius);
-    const xMax = Math.min(this.map.width - 2, droneGrid.x + searchRadius);
-    const yMin = Math.max(1, droneGrid.y - searchRadius);
-    const yMax = Math.min(this.map.height - 2, droneGrid.y + searchRadius);
-
-    // 遍历地图
-    for (let x = xMin; x <= xMax; x++) {
-      for (let y = yMin; y <= yMax; y++) {
-        // 检查是否为空闲格子
-        if (this.map.getOccupancy(x, y) === 1) {
-          // 检查8邻域是否有未知格子
-          if (this.hasUnknownNeighbor(x, y)) {
-            const worldPos = this.map.gridToWorld(x, y);
-            frontierCandidates.push(worldPos);
-          }
-        }
-      }
-    }
-
-    // 聚类前沿点
-    return this.clusterFrontiers(frontierCandidates);
-  }
-
-  /**
-   * 检查是否有未知邻居
-   */
-  hasUnknownNeighbor(gx, gy) {
-    for (let dx = -1; dx <= 1; dx++) {
-      for (let dy = -1; dy <= 1; dy++) {
-        if (dx === 0 && dy === 0) continue;
-
-        const nx = gx + dx;
-        const ny = gy + dy;
-
-        if (this.map.getOccupancy(nx, ny) === 0) {
-          return true;
-        }
-      }
-    }
-    return false;
-  }
-
-  /**
-   * 聚类前沿点
-   */
-  clusterFrontiers(rawFrontiers) {
-    if (rawFrontiers.length === 0) return [];
-
-    const clusters = [];
-    const visited = new Set();
-    const clusterRadius = this.config.clusterRadius;
-
-    for (let i = 0; i < rawFrontiers.length; i++) {
-      if (visited.has(i)) continue;
-
-      const cluster = [rawFrontiers[i]];
-      visited.add(i);
-
-      // 找到所有邻近点
-      for (let j = i + 1; j < rawFrontiers.length; j++) {
-        if (visited.has(j)) continue;
-
-        const dist = Math.hypot(
-          rawFrontiers[i].x - rawFrontiers[j].x,
-          rawFrontiers[i].y - rawFrontiers[j].y
-        );
-
-        if (dist < clusterRadius) {
-          cluster.push(rawFrontiers[j]);
-          visited.add(j);
-        }
-      }
-
-      // 过滤太小的簇
-      if (cluster.length >= this.config.minClusterSize) {
-        // 计算簇中心
-        const center = {
-          x: cluster.reduce((sum, p) => sum + p.x, 0) / cluster.length,
-          y: cluster.reduce((sum, p) => sum + p.y, 0) / cluster.length,
-          size: cluster.length
-        };
-        clusters.push(center);
-      }
-    }
-
-    return clusters;
+    return this.mapPipeline.frontiers;
   }
 
   /**
@@ -1034,18 +1411,112 @@ class ExplorationEngine extends EventEmitter {
     return true;  // 路径畅通
   }
 
+  /**
+   * 规划从起点到目标的路径
+   * 直线畅通时直接连接，否则在膨胀栅格上搜索（A* / Theta*）
+   * @returns {Object} {success, path: [{x, y}], length, reason}
+   */
+  planPath(start, goal) {
+    if (this.isPathClear(start, goal)) {
+      const path = [{ x: start.x, y: start.y }, { x: goal.x, y: goal.y }];
+      return { success: true, path, length: this.planner.pathLength(path), reason: null };
+    }
+    return this.planner.plan(this.map, start, goal);
+  }
+
+  /**
+   * 剩余续航（秒）：操作员输入的飞行时间预算扣除已飞时间
+   * （daf.Heartbeat 不含电量信息，续航只按时间预算估算）
+   * @returns {Object|null} {remaining}，未设置预算时返回 null
+   */
+  getRemainingBudget() {
+    if (!(this.config.flightTimeBudget > 0) || !this.startTime) return null;
+    return { remaining: this.config.flightTimeBudget - (Date.now() - this.startTime) / 1000 };
+  }
+
+  /**
+   * 估算从指定位置返航所需时间
+   * 沿已知空闲区域规划返航路径，规划失败时按直线距离（与 returnToHome 一致）
+   * @returns {Object} {time: 秒, pathLength: 米, planned: 是否沿规划路径}
+   */
+  estimateReturnTime(from) {
+    const plan = this.planPath(from, this.startPos);
+    const pathLength = plan.success
+      ? plan.length
+      : Math.hypot(from.x - this.startPos.x, from.y - this.startPos.y);
+    const climb = Math.abs((from.z ?? this.startPos.z) - this.startPos.z);
+    return {
+      time: (pathLength + climb) / this.config.cruiseSpeed,
+      pathLength,
+      planned: plan.success
+    };
+  }
+
+  /**
+   * 续航预算检查：剩余续航扣除预留后不足以返航时停止探索并返航
+   * @param {boolean} force - 忽略估算间隔立即检查
+   * @returns {boolean} 是否触发了返航
+   */
+  checkFlightBudget(force = false) {
+    if (!this.isExploring || !this.startPos || !this.currentPos) return false;
+
+    const now = Date.now();
+    if (!force && now - this.lastBudgetCheck < this.config.budgetCheckInterval) return false;
+    this.lastBudgetCheck = now;
+
+    const budget = this.getRemainingBudget();
+    if (!budget) {
+      this.budgetStatus = null;
+      return false;
+    }
+
+    const estimate = this.estimateReturnTime(this.currentPos);
+    this.budgetStatus = {
+      remaining: budget.remaining,
+      returnTime: estimate.time,
+      reserve: this.config.returnReserve,
+      pathLength: estimate.pathLength
+    };
+
+    if (budget.remaining - this.config.returnReserve <= estimate.time) {
+      console.log(`🔋 续航不足：时间预算剩余 ${budget.remaining.toFixed(0)}s，` +
+        `返航需 ${estimate.time.toFixed(0)}s（${estimate.pathLength.toFixed(1)}m）+ 预留 ${this.config.returnReserve}s，开始返航`);
+      this.stopExploration('budget');
+      return true;
+    }
+    return false;
+  }
+
   /**
    * 选择最优前沿点（支持Z轴探索）
+   * 过滤后的有效候选由 config.frontierStrategy 指定的选择策略挑选（见 frontier-strategies.js），
+   * 每个前沿点的评分明细或拒绝原因都记录在候选列表中，结束时生成决策记录
    */
   selectBestFrontier(frontiers, currentPos) {
-    let bestScore = -Infinity;
-    let bestFrontier = null;
+    // 续航预算（未设置飞行时间预算时为 null）
+    const budget = this.startPos ? this.getRemainingBudget() : null;
+    const candidates = [];
+    const entries = [];  // 通过过滤的候选，交给选择策略
 
     for (const frontier of frontiers) {
+      const candidate = {
+        x: frontier.x,
+        y: frontier.y,
+        z: frontier.z,
+        size: frontier.size || 1,
+        status: 'rejected',
+        reason: null,
+        score: null,
+        breakdown: null,
+        pathLength: null
+      };
+      candidates.push(candidate);
+
       // 0. ✅ ROI区域过滤（最优先检查）
       if (this.config.useROI && this.config.roiPolygon) {
         if (!this.isPointInPolygon(frontier, this.config.roiPolygon)) {
           // 跳过ROI区域外的前沿点（不输出日志，避免刷屏）
+          candidate.reason = 'outside_roi';
           continue;
         }
       }
@@ -1059,35 +1530,34 @@ class ExplorationEngine extends EventEmitter {
       if (isUnreachable) {
         const minDist = Math.min(...this.unreachableGoals.map(g => Math.hypot(frontier.x - g.x, frontier.y - g.y)));
         console.log(`   跳过前沿点 (${frontier.x.toFixed(2)}, ${frontier.y.toFixed(2)}) - 接近不可达区域 (距离${minDist.toFixed(2)}m)`);
+        candidate.reason = 'near_unreachable';
         continue;  // 跳过不可达目标周围区域
       }
 
-      // 1. ✅ 新增：检查路径可达性（利用地图信息，避免碰撞）
-      const pathClear = this.isPathClear(currentPos, frontier);
-      if (!pathClear) {
-        console.log(`   跳过前沿点 (${frontier.x.toFixed(2)}, ${frontier.y.toFixed(2)}) - 路径被阻挡`);
-        continue;  // 路径不通，跳过
-      }
-
       // 1.5. ✅ 窗户陷阱检测：检查前沿点周围是否有足够的障碍物
       // 重要：只在探索面积 > 50m² 后启用（避免探索初期误判）
       if (this.map.getExploredArea() > 50) {
         const nearbyObstacleCount = this.countNearbyObstacles(frontier.x, frontier.y, 1.5);
         if (nearbyObstacleCount === 0) {
           console.log(`   ⚠️ 跳过前沿点 (${frontier.x.toFixed(2)}, ${frontier.y.toFixed(2)}) - 周围无障碍物，疑似窗户`);
+          candidate.reason = 'suspected_window';
           continue;  // 可能是窗户，跳过
         }
       }
 
       // 2. 检查前沿点是否在自由空间中（避免选中障碍物内的点）
       const grid = this.map.worldToGrid(frontier.x, frontier.y);
-      if (!this.map.isInMap(grid.x, grid.y)) continue;
+      if (!this.map.isInMap(grid.x, grid.y)) {
+        candidate.reason = 'out_of_map';
+        continue;
+      }
 
       const occupancy = this.map.getOccupancy(grid.x, grid.y);
       // 地图数据定义：1=空闲, 0=未知, -1=占据
       // 前沿点通常在未知区域边界，所以 occupancy=0 或 occupancy=1 都可接受
       // 但如果前沿点在明确的障碍物中（occupancy=-1），则跳过
       if (occupancy === -1) {
+        candidate.reason = 'in_obstacle';
         continue;  // 在障碍物中，跳过
       }
 
@@ -1098,41 +1568,35 @@ class ExplorationEngine extends EventEmitter {
       );
 
       // 过滤太近的点
-      if (distance < 0.5) continue;
+      if (distance < 0.5) {
+        candidate.reason = 'too_close';
+        continue;
+      }
 
       // 过滤太远的点（避免飞太远）
-      if (distance > 15) continue;
+      if (distance > 15) {
+        candidate.reason = 'too_far';
+        continue;
+      }
 
       // 2. 决定目标高度（Z轴探索）
       let targetHeight = this.config.explorationHeight;
 
-      if (this.config.enableZExploration) {
-        // Z轴探索：根据场景边界动态调整高度
+      if (this.config.enableZExploration && frontier.z !== undefined) {
+        // Z轴探索：飞到三维前沿簇所在高度（未知空间实际所在的高度）
         const minZ = this.config.minHeight;
         const maxZ = this.config.maxHeight;
 
-        // 策略：在允许范围内上下变化，探索不同高度
-        // 每个目标点根据位置选择一个高度层
-        const heightLevels = [];
-        for (let h = minZ; h <= maxZ; h += 0.5) {
-          heightLevels.push(h);
-        }
-
-        // 根据前沿点位置选择高度（使用哈希使同一位置总是得到相同高度）
-        const hash = Math.floor(frontier.x * 10) + Math.floor(frontier.y * 10);
-        targetHeight = heightLevels[Math.abs(hash) % heightLevels.length];
-
         // 限制在配置范围内
-        targetHeight = Math.max(minZ, Math.min(maxZ, targetHeight));
+        targetHeight = Math.max(minZ, Math.min(maxZ, frontier.z));
       }
 
       // 检查目标位置是否在边界内
       if (!this.isWithinBounds(frontier.x, frontier.y, targetHeight)) {
+        candidate.reason = 'out_of_bounds';
         continue;  // 超出边界，跳过
       }
 
-      const distanceCost = 1.0 / (1.0 + distance);
-
       // 3. 信息增益（簇大小）
       const infoGain = Math.min((frontier.size || 1) / 50.0, 1.0);
 
@@ -1153,7 +1617,40 @@ class ExplorationEngine extends EventEmitter {
       }
 
       // 跳过已尝试过的点
-      if (skipThisFrontier) continue;
+      if (skipThisFrontier) {
+        candidate.reason = 'visited';
+        continue;
+      }
+
+      // 检查路径可达性：在膨胀栅格上规划路径（可绕过拐角、穿过门洞）
+      const plan = this.planPath(currentPos, frontier);
+      if (!plan.success) {
+        console.log(`   跳过前沿点 (${frontier.x.toFixed(2)}, ${frontier.y.toFixed(2)}) - 无可行路径 (${plan.reason})`);
+        candidate.reason = 'no_path';
+        continue;  // 路径不通，跳过
+      }
+
+      candidate.pathLength = plan.length;
+
+      // 过滤路径太长的点（绕行距离过远）
+      if (plan.length > 15) {
+        candidate.reason = 'path_too_long';
+        continue;
+      }
+
+      // 续航预算：飞到前沿点再返航（返航段按直线距离估算）超出剩余续航扣除预留的，跳过
+      if (budget) {
+        const pathEnd = plan.path[plan.path.length - 1];
+        const homeDistance = Math.hypot(pathEnd.x - this.startPos.x, pathEnd.y - this.startPos.y);
+        const roundTrip = (plan.length + homeDistance) / this.config.cruiseSpeed;
+        if (roundTrip > budget.remaining - this.config.returnReserve) {
+          candidate.reason = 'over_budget';
+          continue;
+        }
+      }
+
+      // 距离成本使用实际路径长度
+      const distanceCost = 1.0 / (1.0 + plan.length);
 
       // 5. 点云密度惩罚（优先选择低密度区域）
       const density = this.calculatePointCloudDensity(frontier.x, frontier.y, 2.0);
@@ -1174,27 +1671,50 @@ class ExplorationEngine extends EventEmitter {
         directionBonus = Math.max(0, dotProduct) * this.config.scoringWeights.consistency;
       }
 
-      // ✅ 综合评分（使用可配置权重）
-      const weights = this.config.scoringWeights;
-      const score =
-        weights.distance * distanceCost +      // 距离成本
-        weights.infoGain * infoGain +          // 信息增益
-        -weights.history * historyPenalty +    // 历史惩罚
-        -weights.density * densityPenalty +    // 密度惩罚
-        directionBonus;                        // 方向一致性奖励
-
-      if (score > bestScore) {
-        bestScore = score;
-        bestFrontier = {
-          ...frontier,
-          z: targetHeight,
-          density: density,     // 记录密度用于日志
-          pathClear: true       // 标记路径畅通
-        };
-      }
+      candidate.status = 'candidate';
+      candidate.breakdown = {
+        distanceCost,
+        infoGain,
+        historyPenalty,
+        densityPenalty,
+        directionBonus
+      };
+      entries.push({
+        candidate,
+        frontier,
+        plan,
+        targetHeight,
+        density,
+        metrics: { ...candidate.breakdown, pathLength: plan.length, size: candidate.size }
+      });
+    }
+
+    // 由前沿点选择策略从有效候选中选出目标
+    const strategy = FRONTIER_STRATEGIES[this.config.frontierStrategy];
+    const best = entries.length > 0
+      ? strategy.select(entries, { currentPos, weights: this.config.scoringWeights })
+      : null;
+    let bestFrontier = null;
+
+    if (best) {
+      // 前沿点不可通行时规划器会就近替换终点，目标以路径终点为准
+      const pathEnd = best.plan.path[best.plan.path.length - 1];
+      bestFrontier = {
+        ...best.frontier,
+        centroid: { x: best.frontier.x, y: best.frontier.y },  // 前沿点簇中心（航向规划朝向）
+        x: pathEnd.x,
+        y: pathEnd.y,
+        z: best.targetHeight,
+        density: best.density,  // 记录密度用于日志
+        pathClear: true,        // 标记路径畅通
+        path: best.plan.path,   // 规划路径（世界坐标折线，含起点）
+        pathLength: best.plan.length
+      };
     }
 
     if (bestFrontier) {
+      best.candidate.status = 'selected';
+
       // 更新方向记录
       const dist = Math.hypot(
         bestFrontier.x - currentPos.x,
@@ -1206,19 +1726,167 @@ class ExplorationEngine extends EventEmitter {
       };
 
       // 不在这里记录历史，而是在实际到达时记录（onOdometryReceived）
-      console.log(`🎯 Selected frontier at (${bestFrontier.x.toFixed(2)}, ${bestFrontier.y.toFixed(2)}, ${bestFrontier.z.toFixed(2)}) score=${bestScore.toFixed(3)} density=${bestFrontier.density.toFixed(2)} pathClear=✅`);
+      console.log(`🎯 Selected frontier at (${bestFrontier.x.toFixed(2)}, ${bestFrontier.y.toFixed(2)}, ${bestFrontier.z.toFixed(2)}) ${strategy.label} score=${best.candidate.score.toFixed(3)} density=${bestFrontier.density.toFixed(2)} path=${bestFrontier.path.length - 1}段/${bestFrontier.pathLength.toFixed(2)}m`);
     }
 
+    this.recordDecision('frontier', candidates, bestFrontier);
+
     return bestFrontier;
   }
 
   /**
-   * 生成路径路点（简化版直线插值）
+   * 记录一次规划决策并推送（exploration:decision）
+   * @param {string} source - 目标来源：'frontier' 前沿点评分 / 'manual' 操作员指定
+   * @param {Array} candidates - 候选前沿点（含评分明细或拒绝原因）
+   * @param {Object|null} chosen - 最终选定的目标
+   */
+  recordDecision(source, candidates, chosen) {
+    const decision = {
+      id: ++this.decisionSeq,
+      timestamp: Date.now(),
+      source,
+      strategy: source === 'frontier' ? this.config.frontierStrategy : null,
+      dronePosition: { x: this.currentPos.x, y: this.currentPos.y, z: this.currentPos.z },
+      weights: { ...this.config.scoringWeights },
+      candidates,
+      chosen: chosen ? {
+        x: chosen.x,
+        y: chosen.y,
+        z: chosen.z,
+        pathLength: chosen.pathLength ?? null
+      } : null,
+      unreachableGoals: this.unreachableGoals.map(g => ({ x: g.x, y: g.y }))
+    };
+
+    this.decisionHistory.push(decision);
+    if (this.decisionHistory.length > MAX_DECISION_HISTORY) {
+      this.decisionHistory.shift();
+    }
+
+    this.emit('exploration:decision', decision);
+    return decision;
+  }
+
+  /**
+   * 获取最近的规划决策记录（新的在前）
+   * @param {number} limit - 返回条数
+   */
+  getDecisions(limit = 10) {
+    return this.decisionHistory.slice(-limit).reverse();
+  }
+
+  /**
+   * 航向规划：计算每个路点的机头朝向（弧度，0 = X轴正方向，逆时针为正）
+   *   fixed    全部为 0
+   *   travel   朝飞向该路点的方向
+   *   frontier 朝前沿点簇中心；接近簇中心的路点朝周围未知区域（找不到时朝飞行方向）
+   * @param {Object} start - 起点 {x, y}
+   * @param {Array} waypoints - 路点 [{x, y, z}]（不含起点）
+   * @param {Object|null} target - 前沿点簇中心 {x, y}（frontier 模式使用）
+   * @param {string} mode - 航向规划方式（默认 config.yawMode）
+   * @returns {Array} 每个路点的航向
+   */
+  planYaws(start, waypoints, target, mode = this.config.yawMode) {
+    if (mode === 'fixed') {
+      return waypoints.map(() => 0);
+    }
+
+    // 簇中心周围未知区域的方向只需计算一次
+    let unknownYaw;
+    let heading = this.currentYaw;
+    let previous = start;
+
+    return waypoints.map(wp => {
+      if (Math.hypot(wp.x - previous.x, wp.y - previous.y) > 0.05) {
+        heading = Math.atan2(wp.y - previous.y, wp.x - previous.x);
+      }
+      previous = wp;
+
+      if (mode !== 'frontier' || !target) {
+        return heading;
+      }
+      if (Math.hypot(target.x - wp.x, target.y - wp.y) > 0.5) {
+        return Math.atan2(target.y - wp.y, target.x - wp.x);
+      }
+      if (unknownYaw === undefined) {
+        unknownYaw = this.getUnknownDirection(target);
+      }
+      return unknownYaw ?? heading;
+    });
+  }
+
+  /**
+   * 指定位置周围未知格子的平均方向
+   * @param {Object} point - 世界坐标 {x, y}
+   * @param {number} radius - 统计半径（米）
+   * @returns {number|null} 航向（弧度），周围没有未知格子时返回 null
+   */
+  getUnknownDirection(point, radius = 2.0) {
+    const center = this.map.worldToGrid(point.x, point.y);
+    const cells = Math.ceil(radius / this.config.resolution);
+    let sumX = 0;
+    let sumY = 0;
+
+    for (let dx = -cells; dx <= cells; dx++) {
+      for (let dy = -cells; dy <= cells; dy++) {
+        const distance = Math.hypot(dx, dy);
+        if (distance === 0 || distance > cells) continue;
+        if (this.map.getOccupancy(center.x + dx, center.y + dy) === 0) {
+          sumX += dx / distance;
+          sumY += dy / distance;
+        }
+      }
+    }
+
+    return Math.hypot(sumX, sumY) > 1e-6 ? Math.atan2(sumY, sumX) : null;
+  }
+
+  /**
+   * 原地旋转扫描的航向序列：从到达时的航向开始每次旋转 360°/scanSteps，
+   * 不含到达时的航向本身（共 scanSteps - 1 个）
+   */
+  planScanYaws(arrivalYaw) {
+    const steps = Math.max(2, this.config.scanSteps);
+    const yaws = [];
+    for (let i = 1; i < steps; i++) {
+      yaws.push(normalizeAngle(arrivalYaw + 2 * Math.PI * i / steps));
+    }
+    return yaws;
+  }
+
+  /**
+   * 原地旋转扫描是否完成：转到最后一个朝向，或到达后超过预计旋转时间的2倍（航向反馈异常时不至于一直等待）
+   */
+  isScanComplete(scan) {
+    if (!scan.arrivedAt) {
+      scan.arrivedAt = Date.now();
+      console.log('🔄 到达目标，原地旋转扫描...');
+    }
+    const yawError = Math.abs(normalizeAngle(this.currentYaw - scan.finalYaw));
+    return yawError < 0.2 || Date.now() - scan.arrivedAt > scan.duration * 2;
+  }
+
+  /**
+   * 生成路径路点
+   * 沿规划路径按最大间距抽稀生成路点；规划失败时退化为直线插值
    * @param {Object} start - 起点 {x, y, z}
    * @param {Object} goal - 终点 {x, y, z}
+   * @param {Array} path - 已规划的路径（可选，未提供时重新规划）
    * @returns {Array} 路点数组
    */
-  generateWaypoints(start, goal) {
+  generateWaypoints(start, goal, path = null) {
+    const goalZ = goal.z ?? this.config.explorationHeight;
+    // 从地面或低空开始时，航点高度从最小飞行高度起插值（与返航一致），避免低于安全边界
+    const startZ = Math.max(start.z, this.config.minHeight);
+    if (!path) {
+      const plan = this.planPath(start, goal);
+      path = plan.success ? plan.path : null;
+    }
+    if (path) {
+      return this.planner.toWaypoints(path, startZ, goalZ);
+    }
+
+    console.warn('⚠️ 未找到可行路径，退化为直线插值');
     const distance = Math.hypot(goal.x - start.x, goal.y - start.y);
 
     // 每2米一个路点，最少2个路点
@@ -1230,7 +1898,7 @@ class ExplorationEngine extends EventEmitter {
       waypoints.push({
         x: start.x + (goal.x - start.x) * t,
         y: start.y + (goal.y - start.y) * t,
-        z: start.z + (goal.z - start.z) * t
+        z: startZ + (goalZ - startZ) * t
       });
     }
 
@@ -1239,47 +1907,75 @@ class ExplorationEngine extends EventEmitter {
 
   /**
    * 下发探索任务（非阻塞式路点队列）
+   * @returns {boolean} 任务未通过安全边界检查时返回 false
    */
   publishExplorationMission(goal) {
     const missionId = `exploration_${Date.now()}`;
     this.currentMissionId = missionId;
 
     // ✅ 生成路径路点（而非单个目标点）
-    const waypoints = this.generateWaypoints(this.currentPos, goal);
+    const waypoints = this.generateWaypoints(this.currentPos, goal, goal.path);
 
     console.log(`📤 生成路径任务: ${waypoints.length}个路点`);
 
-    const mission = {
-      id: missionId,
-      tasks: waypoints.map((wp, index) => ({
+    const yaws = this.planYaws(this.currentPos, waypoints, goal.centroid || goal);
+    const tasks = waypoints.map((wp, index) => ({
+      autoPilot: {
+        position: {
+          x: wp.x,
+          y: wp.y,
+          z: wp.z
+        },
+        yaw: yaws[index],
+        cameraParam: { ...this.config.cameraParam }
+      }
+    }));
+
+    // 到达后原地旋转扫描：在终点追加只改变航向的路点（无人机原地旋转，任务状态 ROTATE）
+    if (this.config.scanOnArrival && waypoints.length > 0) {
+      const last = waypoints[waypoints.length - 1];
+      const scanYaws = this.planScanYaws(yaws[yaws.length - 1]);
+      scanYaws.forEach(yaw => tasks.push({
         autoPilot: {
-          position: {
-            x: wp.x,
-            y: wp.y,
-            z: wp.z
-          },
-          yaw: 0,
-          cameraParam: {
-            on: false,
-            mode: 0,
-            interval: 0
-          }
+          position: { x: last.x, y: last.y, z: last.z },
+          yaw,
+          cameraParam: { ...this.config.cameraParam }
         }
-      }))
-    };
+      }));
+      goal.scan = {
+        finalYaw: scanYaws[scanYaws.length - 1],
+        duration: 360 * scanYaws.length / this.config.scanSteps / this.config.scanYawRate * 1000,
+        arrivedAt: null
+      };
+    }
 
-    // 通过MQTT下发
-    this.mqtt.publishMission(mission);
+    const mission = { id: missionId, tasks };
 
-    // 自动开始执行
-    setTimeout(() => {
-      this.mqtt.publishExecution({
-        id: missionId,
-        action: 0  // START
-      });
-    }, 500);
+    const validation = missionValidator.validateMission(mission, { startPosition: this.currentPos });
+    if (!validation.valid) {
+      console.warn(`🛡️ 探索任务超出安全边界，放弃目标 (${goal.x.toFixed(2)}, ${goal.y.toFixed(2)}):`,
+        validation.errors.map(e => e.message).join('; '));
+      return false;
+    }
+
+    // 通过MQTT下发，收到回执后自动开始执行
+    this.mqtt.publishMissionAndStart(validation.mission).then(result => {
+      if (result.delivered || this.currentMissionId !== missionId || !this.isExploring) {
+        return;
+      }
+      // 无人机多次重发仍无回执，通信异常，停止探索
+      console.error(`❌ 探索任务 ${missionId} 未送达（已发送${result.attempts}次）`);
+      this.stopExploration('mission_timeout');
+    }).catch(error => {
+      // 编码失败等异常按未送达处理
+      console.error(`❌ 探索任务 ${missionId} 发送失败:`, error.message);
+      if (this.currentMissionId === missionId && this.isExploring) {
+        this.stopExploration('mission_timeout');
+      }
+    });
 
     console.log(`📋 Mission ${missionId} published: ${waypoints.length}个路点 → goal (${goal.x.toFixed(2)}, ${goal.y.toFixed(2)}, ${(goal.z || this.config.explorationHeight).toFixed(2)})`);
+    return true;
   }
 
   /**
@@ -1298,7 +1994,11 @@ class ExplorationEngine extends EventEmitter {
         this.currentPos.y - this.startPos.y
       ) : 0,
       currentGoal: this.currentGoal,
-      mapStats: this.map.stats
+      mapStats: this.map.stats,
+      priorMap: this.getPriorMapInfo(),
+      budget: this.budgetStatus,
+      returningHome: this.isReturningHome,
+      frontierStrategy: this.config.frontierStrategy
     };
 
     this.emit('exploration:status', status);
@@ -1309,19 +2009,311 @@ class ExplorationEngine extends EventEmitter {
    * 获取地图数据（用于可视化）
    */
   getMapData() {
-    return this.map.exportData();
+    return {
+      ...this.map.exportData(),
+      sliceZ: this.mapPipeline.sliceZ,
+      sliceHalfHeight: this.config.sliceHalfHeight,
+      voxelStats: this.mapPipeline.voxelStats,
+      mapPipeline: {
+        worker: !!this.mapPipeline.worker,
+        lastUpdateDuration: this.mapPipeline.lastUpdateDuration,
+        droppedFrames: this.mapPipeline.droppedFrames
+      },
+      // 地图面板叠加显示
+      dronePose: this.currentPos ? { ...this.currentPos, yaw: this.currentYaw } : null,
+      frontiers: this.frontiers.map(f => ({ x: f.x, y: f.y, z: f.z, size: f.size })),
+      currentGoal: this.currentGoal,
+      manualGoal: this.manualGoal,
+      roiPolygon: this.config.useROI ? this.config.roiPolygon : null
+    };
+  }
+
+  /**
+   * 导出指定高度的二维切片（用于查看不同高度层的地图）
+   * @param {number} z - 切片中心高度（米）
+   * @param {number} halfHeight - 切片半高（米）
+   */
+  async getMapSlice(z, halfHeight = this.config.sliceHalfHeight) {
+    const [{ grid }] = await this.mapPipeline.exportSlices([z], halfHeight);
+    return {
+      ...grid.exportData(),
+      sliceZ: z,
+      sliceHalfHeight: halfHeight,
+      voxelStats: this.mapPipeline.voxelStats
+    };
+  }
+
+  /**
+   * 加载先验地图（部分已测绘场地的已有点云）
+   * 点所在位置标记为已知障碍物，可选从视点光线投射标记已知空闲，
+   * 使前沿点只落在真正未知的区域，路径检查也能使用先验墙体
+   * @param {Array} points - 点 [{x, y, z}]
+   * @param {Object} options - {name, markFree, viewpoint}，markFree 时视点默认为当前位置
+   */
+  async loadPriorMap(points, options = {}) {
+    if (!Array.isArray(points) || points.length === 0) {
+      return { success: false, message: '先验地图没有有效的点' };
+    }
+
+    const viewpoint = options.markFree ? (options.viewpoint || this.currentPos) : null;
+    if (options.markFree && !viewpoint) {
+      return { success: false, message: '尚未收到无人机位置，标记空闲时请指定视点' };
+    }
+    if (viewpoint && ![viewpoint.x, viewpoint.y, viewpoint.z].every(Number.isFinite)) {
+      return { success: false, message: '视点必须包含数值 x、y、z' };
+    }
+
+    const priorMap = this.priorMap = {
+      name: options.name || 'prior',
+      points,
+      viewpoint: viewpoint ? { x: viewpoint.x, y: viewpoint.y, z: viewpoint.z } : null,
+      pointCount: points.length,
+      voxelCount: 0,
+      loadedAt: new Date().toISOString()
+    };
+    await this.applyPriorMap();
+
+    console.log(`🗺️ 先验地图已加载: ${priorMap.name} (${points.length} 个点, ${priorMap.voxelCount} 个障碍体素${viewpoint ? ', 已标记空闲' : ''})`);
+    return { success: true, message: '先验地图已加载', priorMap: this.getPriorMapInfo() };
+  }
+
+  /**
+   * 将先验地图写入当前体素地图并重建规划切片
+   */
+  async applyPriorMap() {
+    const priorMap = this.priorMap;
+    const z = this.mapPipeline.sliceZ ?? this.currentPos?.z ?? this.config.explorationHeight;
+    priorMap.voxelCount = await this.mapPipeline.insertPriorMap(priorMap.points, priorMap.viewpoint, this.getMapView(z, { full: true }));
+  }
+
+  /**
+   * 清除先验地图（已写入当前地图的数据保留到下次启动探索）
+   */
+  clearPriorMap() {
+    if (!this.priorMap) {
+      return { success: false, message: '未加载先验地图' };
+    }
+    this.priorMap = null;
+    console.log('🗺️ 先验地图已清除');
+    return { success: true, message: '先验地图已清除，下次启动探索时生效' };
+  }
+
+  /**
+   * 先验地图摘要（不含点数据）
+   */
+  getPriorMapInfo() {
+    if (!this.priorMap) return null;
+    const { points, ...info } = this.priorMap;
+    return info;
+  }
+
+  /**
+   * 生成ROI覆盖航线（往返式扫描）
+   * 每个高度层使用该高度的地图切片（含先验地图）避开障碍物
+   * @param {Object} options - {polygon, layers: [z], footprint, overlap, sweepAngle, cameraInterval}
+   *   polygon 缺省使用当前ROI，layers 缺省为探索高度
+   */
+  async planCoverage(options = {}) {
+    const {
+      polygon = this.config.roiPolygon,
+      layers = [this.config.explorationHeight],
+      ...rest
+    } = options;
+
+    if (!Array.isArray(polygon) || polygon.length < 3 ||
+        !polygon.every(p => p && Number.isFinite(p.x) && Number.isFinite(p.y))) {
+      return { success: false, message: '覆盖区域多边形至少需要3个 {x, y} 顶点（未指定时使用当前ROI）' };
+    }
+    if (!Array.isArray(layers) || layers.length === 0 || !layers.every(z => Number.isFinite(z) && z > 0)) {
+      return { success: false, message: 'layers 必须为正数高度数组' };
+    }
+
+    const coverageOptions = {};
+    for (const key of ['footprint', 'overlap', 'sweepAngle', 'cameraInterval']) {
+      if (rest[key] !== undefined) coverageOptions[key] = rest[key];
+    }
+    const merged = { ...this.coveragePlanner.options, ...coverageOptions };
+    if (!Number.isFinite(merged.footprint) || merged.footprint <= 0) {
+      return { success: false, message: 'footprint 必须为正数' };
+    }
+    if (!Number.isFinite(merged.overlap) || merged.overlap < 0 || merged.overlap >= 1) {
+      return { success: false, message: 'overlap 必须在 [0, 1) 范围内' };
+    }
+    if (!Number.isFinite(merged.sweepAngle) || !Number.isFinite(merged.cameraInterval) || merged.cameraInterval < 0) {
+      return { success: false, message: 'sweepAngle 必须为数字，cameraInterval 必须为非负数' };
+    }
+
+    // 每层导出该高度的切片并膨胀（栅格覆盖整个区域，转场可绕行穿过未知区域）
+    const half = this.config.sliceHalfHeight;
+    const xs = polygon.map(p => p.x);
+    const ys = polygon.map(p => p.y);
+    const layerGrids = await this.mapPipeline.exportSlices(layers, half);
+    layerGrids.forEach(({ grid }) => {
+      grid.allocateArea(Math.min(...xs) - 1, Math.min(...ys) - 1, Math.max(...xs) + 1, Math.max(...ys) + 1);
+      grid.inflateObstacles();
+    });
+
+    const result = this.coveragePlanner.plan(polygon, layerGrids, coverageOptions);
+    if (result.waypoints.length === 0) {
+      return { success: false, message: '覆盖区域内没有可飞行的扫描线' };
+    }
+
+    this.coverageRoute = {
+      id: `coverage_${Date.now()}`,
+      createdAt: new Date().toISOString(),
+      polygon,
+      layers,
+      options: merged,
+      ...result
+    };
+
+    console.log(`🧹 覆盖航线已生成: ${layers.length}层, ${result.segmentCount}条扫描线段, ${result.waypoints.length}个航点, ${result.length.toFixed(1)}m` +
+      (result.unreachableCount > 0 ? `（${result.unreachableCount}段无法到达已跳过）` : ''));
+    this.emit('coverage:planned', this.coverageRoute);
+
+    return { success: true, message: '覆盖航线已生成', route: this.coverageRoute };
+  }
+
+  /**
+   * 覆盖航线转换为任务
+   * @param {Object} options - {returnToStart: 结束后飞回第一个航点, autoLand: 返回起飞点并降落}
+   * @returns {Object|null} 任务 {id, tasks}，未生成航线时返回 null
+   */
+  buildCoverageMission({ returnToStart = false, autoLand = false } = {}) {
+    const route = this.coverageRoute;
+    if (!route) return null;
+
+    const cameraOff = { on: false, mode: 0, interval: 0 };
+    const tasks = [{ takeOff: {} }];
+    route.waypoints.forEach(wp => {
+      tasks.push({
+        autoPilot: {
+          position: { x: wp.x, y: wp.y, z: wp.z },
+          yaw: wp.yaw,
+          cameraParam: wp.cameraOn ? { on: true, mode: 0, interval: wp.cameraInterval } : cameraOff
+        }
+      });
+    });
+
+    if (returnToStart) {
+      const first = route.waypoints[0];
+      tasks.push({ autoPilot: { position: { x: first.x, y: first.y, z: first.z }, yaw: first.yaw, cameraParam: cameraOff } });
+    }
+    if (autoLand) {
+      // 沿规划路径返回起飞点后降落；没有起点或规划失败时在航线终点原地降落
+      const last = tasks[tasks.length - 1].autoPilot?.position;
+      const home = this.getHomePosition();
+      const plan = last && home ? this.planPath(last, home) : null;
+      if (plan && plan.success) {
+        const planned = this.planner.toWaypoints(plan.path, last.z, home.z);
+        planned.splice(-1, 1, { ...home });
+        const waypoints = this.splitLongLegs(last, planned, safetyEnvelope.getEnvelope().maxLegLength);
+        const yaws = this.planYaws(last, waypoints, null, this.config.yawMode === 'fixed' ? 'fixed' : 'travel');
+        waypoints.forEach((wp, index) => {
+          tasks.push({ autoPilot: { position: { x: wp.x, y: wp.y, z: wp.z }, yaw: yaws[index], cameraParam: cameraOff } });
+        });
+      } else {
+        console.warn('⚠️ 无法规划覆盖航线终点到起飞点的路径，到达终点后原地降落');
+      }
+      tasks.push({ land: {} });
+    }
+
+    return { id: `${route.id}_${Date.now()}`, tasks };
+  }
+
+  /**
+   * 导出地图快照（体素地图、已访问/不可达目标、起飞位姿）
+   */
+  async exportSnapshot() {
+    // 先记录当前状态，再等待地图线程导出体素（期间引擎可能被重置）
+    const snapshot = {
+      version: 1,
+      savedAt: Date.now(),
+      resolution: this.config.resolution,
+      startPos: this.startPos,
+      flightCount: this.flightCount,
+      exploredArea: this.map.getExploredArea(),
+      visitedGoals: this.visitedGoals.map(g => ({ x: g.x, y: g.y })),
+      unreachableGoals: this.unreachableGoals.map(g => ({ x: g.x, y: g.y }))
+    };
+    snapshot.voxels = await this.mapPipeline.exportVoxels();
+    return snapshot;
+  }
+
+  /**
+   * 从快照恢复地图（在新建体素地图之后、初始化起点自由空间之前调用）
+   * @param {Object} snapshot - 地图快照
+   * @param {string} alignment - 坐标对齐方式：
+   *   'start' 本架次从保存地图的起飞点起飞、里程计原点随起飞重置 → 平移地图使两次起飞点重合（只平移XY）
+   *   'none'  两个架次处于同一世界坐标系（如模拟器、全局定位）→ 不平移
+   */
+  restoreSnapshot(snapshot, alignment = 'start') {
+    const res = this.config.resolution;
+    const offset = { x: 0, y: 0, z: 0 };
+    if (alignment === 'start' && snapshot.startPos) {
+      offset.x = Math.round((this.startPos.x - snapshot.startPos.x) / res);
+      offset.y = Math.round((this.startPos.y - snapshot.startPos.y) / res);
+    }
+    const dx = offset.x * res;
+    const dy = offset.y * res;
+
+    this.mapPipeline.importVoxels(snapshot.voxels, offset, this.getMapView(this.startPos.z, { full: true }));
+    this.visitedGoals = (snapshot.visitedGoals || []).map(g => ({ x: g.x + dx, y: g.y + dy }));
+    this.unreachableGoals = (snapshot.unreachableGoals || []).map(g => ({ x: g.x + dx, y: g.y + dy }));
+
+    console.log(`🗺️ 已恢复地图: ${snapshot.voxels.keys.length} 个体素, ${this.visitedGoals.length} 个已访问目标, ${this.unreachableGoals.length} 个不可达目标, 平移 (${dx.toFixed(2)}, ${dy.toFixed(2)})m`);
+  }
+
+  /**
+   * 保存当前地图（探索停止、定期和手动保存）
+   * @param {string} name - 地图名称（可选）
+   * @returns {Object} {success, message, map}
+   */
+  async saveMap(name) {
+    if (!this.startPos || this.mapPipeline.voxelStats.voxelCount === 0) {
+      return { success: false, message: '当前没有可保存的地图' };
+    }
+    if (!this.mapId) {
+      this.mapId = `map_${Date.now()}`;
+      this.flightCount = 1;
+    }
+
+    const mapId = this.mapId;
+    const mapName = name || this.mapName;
+    try {
+      const map = mapStore.saveMap(mapId, await this.exportSnapshot(), mapName);
+      console.log(`💾 地图已保存: ${map.name} (${map.voxelCount} 个体素, ${map.exploredArea.toFixed(1)}m²)`);
+      return { success: true, message: '地图已保存', map };
+    } catch (error) {
+      console.error('保存地图失败:', error);
+      return { success: false, message: '保存地图失败: ' + error.message };
+    }
   }
 
   /**
    * 重置探索引擎
    */
   reset() {
-    this.stopExploration();
-    this.map.reset();
+    this.stopExploration('reset', { returnHome: false });
+    this.mapPipeline.reset();
+    this.map = this.mapPipeline.grid;
     this.frontiers = [];
     this.visitedGoals = [];
+    this.decisionHistory = [];
+    this.unreachableGoals = [];
+    this.goalAttempts.clear();
+    this.mapId = null;
+    this.flightCount = 0;
+    this.priorMap = null;
     console.log('🔄 ExplorationEngine reset');
   }
+
+  /**
+   * 等待地图线程处理完已发送的更新（包括停止时的地图保存）后关闭地图线程
+   */
+  close() {
+    return this.mapPipeline.close();
+  }
 }
 
 module.exports = ExplorationEngine;
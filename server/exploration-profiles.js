@@ -0,0 +1,218 @@
+const fs = require('fs');
+const path = require('path');
+const FRONTIER_STRATEGIES = require('./frontier-strategies');
+
+// 探索配置档案文件路径
+const PROFILES_FILE = path.join(__dirname, 'data', 'exploration-profiles.json');
+
+// 默认档案设置（与探索引擎默认配置一致）
+const DEFAULT_SETTINGS = {
+  scoringWeights: {
+    infoGain: 0.5,
+    distance: 0.3,
+    consistency: 0.3,
+    density: 0.2,
+    history: 0.2
+  },
+  resolution: 0.2,          // 地图分辨率（米）
+  explorationHeight: 1.0,   // 默认飞行高度（米）
+  minHeight: 0.5,           // 最低飞行高度（米）
+  maxHeight: 3.0,           // 最高飞行高度（米）
+  clusterRadius: 1.0,       // 前沿点聚类半径（米）
+  arrivalTimeout: 8000,     // 到达超时（毫秒）
+  stuckThreshold: 3000,     // 僵死判定时间（毫秒）
+  velocityThreshold: 0.1,   // 僵死速度阈值（m/s）
+  yawMode: 'frontier',      // 航向规划：fixed / travel / frontier
+  scanOnArrival: false,     // 到达前沿点后原地旋转一周扫描
+  frontierStrategy: 'weighted', // 前沿点选择策略：weighted / nearest / information / utility / tour
+  roiPolygon: null          // ROI多边形 [{x, y}]，null 表示不限制
+};
+
+// 内置默认档案ID（不可删除）
+const DEFAULT_PROFILE_ID = 'default';
+
+/**
+ * 探索配置档案
+ * 按名称保存评分权重、分辨率、高度、聚类半径、超时/僵死阈值、航向规划和ROI，
+ * 启动探索时按档案展开为探索引擎配置，并把档案名写入任务记录，便于对比不同建筑中的效果
+ */
+class ExplorationProfiles {
+  constructor() {
+    this.profiles = this.load();
+  }
+
+  /**
+   * 从文件加载档案（缺少默认档案时自动补充）
+   */
+  load() {
+    let profiles = {};
+    try {
+      if (fs.existsSync(PROFILES_FILE)) {
+        profiles = JSON.parse(fs.readFileSync(PROFILES_FILE, 'utf-8'));
+      }
+    } catch (error) {
+      console.error('加载探索配置档案失败，使用默认档案:', error.message);
+    }
+
+    if (!profiles[DEFAULT_PROFILE_ID]) {
+      profiles[DEFAULT_PROFILE_ID] = {
+        id: DEFAULT_PROFILE_ID,
+        name: '默认',
+        description: '探索引擎默认参数',
+        settings: JSON.parse(JSON.stringify(DEFAULT_SETTINGS)),
+        updatedAt: null
+      };
+    }
+    return profiles;
+  }
+
+  /**
+   * 保存档案到文件
+   */
+  save() {
+    const dataDir = path.dirname(PROFILES_FILE);
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true });
+    }
+    fs.writeFileSync(PROFILES_FILE, JSON.stringify(this.profiles, null, 2), 'utf-8');
+  }
+
+  /**
+   * 档案列表（不含详细设置）
+   */
+  listProfiles() {
+    return Object.values(this.profiles).map(p => ({
+      id: p.id,
+      name: p.name,
+      description: p.description,
+      updatedAt: p.updatedAt
+    }));
+  }
+
+  /**
+   * 获取档案详情
+   */
+  getProfile(id) {
+    const profile = this.profiles[id];
+    return profile ? JSON.parse(JSON.stringify(profile)) : null;
+  }
+
+  /**
+   * 新建/更新档案
+   * @param {string} id - 档案ID
+   * @param {Object} data - {name, description, settings}，settings 缺省字段使用默认值
+   * @returns {Object} {success, profile, errors}
+   */
+  saveProfile(id, data = {}) {
+    if (!/^[\w-]{1,64}$/.test(id)) {
+      return { success: false, errors: ['档案ID只能包含字母、数字、下划线和连字符（最长64）'] };
+    }
+
+    const incoming = data.settings || {};
+    const settings = {
+      ...DEFAULT_SETTINGS,
+      ...incoming,
+      scoringWeights: { ...DEFAULT_SETTINGS.scoringWeights, ...(incoming.scoringWeights || {}) }
+    };
+    // 只保留档案支持的字段
+    for (const key of Object.keys(settings)) {
+      if (!(key in DEFAULT_SETTINGS)) delete settings[key];
+    }
+
+    const errors = this.validateSettings(settings);
+    if (errors.length > 0) {
+      return { success: false, errors };
+    }
+
+    this.profiles[id] = {
+      id,
+      name: data.name || this.profiles[id]?.name || id,
+      description: data.description ?? this.profiles[id]?.description ?? '',
+      settings,
+      updatedAt: new Date().toISOString()
+    };
+    this.save();
+    console.log(`💾 探索配置档案已保存: ${this.profiles[id].name} (${id})`);
+    return { success: true, profile: this.getProfile(id) };
+  }
+
+  /**
+   * 删除档案
+   */
+  deleteProfile(id) {
+    if (id === DEFAULT_PROFILE_ID) {
+      return { success: false, message: '默认档案不能删除' };
+    }
+    if (!this.profiles[id]) {
+      return { success: false, message: '档案不存在' };
+    }
+    delete this.profiles[id];
+    this.save();
+    return { success: true, message: '档案已删除' };
+  }
+
+  /**
+   * 校验档案设置
+   */
+  validateSettings(settings) {
+    const errors = [];
+    const positive = ['resolution', 'clusterRadius', 'arrivalTimeout', 'stuckThreshold', 'velocityThreshold'];
+
+    for (const key of positive) {
+      if (!Number.isFinite(settings[key]) || settings[key] <= 0) {
+        errors.push(`${key} 必须为正数`);
+      }
+    }
+    if (!Number.isFinite(settings.minHeight) || !Number.isFinite(settings.maxHeight) ||
+        settings.minHeight >= settings.maxHeight) {
+      errors.push('minHeight 必须小于 maxHeight');
+    }
+    if (!Number.isFinite(settings.explorationHeight) ||
+        settings.explorationHeight < settings.minHeight || settings.explorationHeight > settings.maxHeight) {
+      errors.push('explorationHeight 必须在 [minHeight, maxHeight] 范围内');
+    }
+    if (!['fixed', 'travel', 'frontier'].includes(settings.yawMode)) {
+      errors.push('yawMode 必须为 fixed / travel / frontier');
+    }
+    if (typeof settings.scanOnArrival !== 'boolean') {
+      errors.push('scanOnArrival 必须为布尔值');
+    }
+    if (!FRONTIER_STRATEGIES[settings.frontierStrategy]) {
+      errors.push(`frontierStrategy 必须为 ${Object.keys(FRONTIER_STRATEGIES).join(' / ')}`);
+    }
+    for (const [key, value] of Object.entries(settings.scoringWeights)) {
+      if (!(key in DEFAULT_SETTINGS.scoringWeights)) {
+        errors.push(`未知的评分权重 ${key}`);
+      } else if (!Number.isFinite(value) || value < 0 || value > 1) {
+        errors.push(`评分权重 ${key} 必须在 0-1 之间`);
+      }
+    }
+    if (settings.roiPolygon !== null &&
+        (!Array.isArray(settings.roiPolygon) || settings.roiPolygon.length < 3 ||
+         !settings.roiPolygon.every(p => p && Number.isFinite(p.x) && Number.isFinite(p.y)))) {
+      errors.push('roiPolygon 必须为 null 或至少3个 {x, y} 顶点');
+    }
+
+    return errors;
+  }
+
+  /**
+   * 档案展开为探索引擎启动参数
+   * @returns {Object|null} startExploration 的 options（含 profile: {id, name}）
+   */
+  toExplorationOptions(id) {
+    const profile = this.getProfile(id);
+    if (!profile) return null;
+
+    // 旧版本保存的档案缺少新增字段时使用默认值
+    const { roiPolygon, ...settings } = { ...DEFAULT_SETTINGS, ...profile.settings };
+    return {
+      ...settings,
+      roiPolygon,
+      useROI: !!roiPolygon,
+      profile: { id: profile.id, name: profile.name }
+    };
+  }
+}
+
+module.exports = new ExplorationProfiles();
@@ -0,0 +1,275 @@
+const EventEmitter = require('events');
+const config = require('./config');
+
+// 告警描述
+const ALARM_MESSAGES = {
+  heartbeat_stale: '心跳超时',
+  odometry_stale: '位姿数据超时',
+  mqtt_disconnected: 'MQTT 连接断开',
+  operator_absent: '无操作员在线'
+};
+
+// 动作描述
+const ACTION_MESSAGES = {
+  none: '仅告警',
+  hover: '暂停悬停',
+  return_home: '返航',
+  land: '原地降落'
+};
+
+/**
+ * 失控保护监督器
+ * 监测心跳/位姿新鲜度、MQTT 连接和操作员在线状态，超时后执行保护动作：
+ *   暂停探索 + PAUSE 悬停 / 返航 / 降落
+ * 每次告警只触发一次动作，条件恢复后告警清除，但不会自动恢复任务
+ */
+class FailsafeSupervisor extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Object} options.mqttClient - MQTT 客户端（发布执行/控制指令）
+   * @param {Function} options.getExplorationEngine - 返回探索引擎实例
+   * @param {Object} options.missionTracker - 任务跟踪器（获取当前执行任务）
+   * @param {Function} options.getOperatorCount - 返回当前 WebSocket 客户端数量
+   */
+  constructor({ mqttClient, getExplorationEngine, missionTracker, getOperatorCount }) {
+    super();
+
+    this.mqtt = mqttClient;
+    this.getExplorationEngine = getExplorationEngine;
+    this.missionTracker = missionTracker;
+    this.getOperatorCount = getOperatorCount;
+
+    this.config = {
+      ...config.failsafe,
+      actions: { ...config.failsafe.actions }
+    };
+
+    this.lastHeartbeat = null;        // 最近一次心跳时间（收到第一帧后才开始监测）
+    this.lastOdometry = null;         // 最近一次位姿时间
+    this.mqttEverConnected = false;
+    this.mqttDisconnectedSince = null;
+    this.operatorAbsentSince = null;
+
+    this.alarms = new Map();          // {type: {type, message, since, action, actionTaken}}
+    this.lastAction = null;
+    this.timer = null;
+  }
+
+  /**
+   * 启动周期检查
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.check(), this.config.checkInterval);
+    console.log('🛟 失控保护已启动');
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  onHeartbeat() {
+    this.lastHeartbeat = Date.now();
+  }
+
+  onOdometry() {
+    this.lastOdometry = Date.now();
+  }
+
+  /**
+   * 更新配置（部分更新）
+   */
+  updateConfig(updates = {}) {
+    const { actions, ...rest } = updates;
+    const invalid = Object.entries(actions || {}).filter(([type, action]) =>
+      !ALARM_MESSAGES[type] || !ACTION_MESSAGES[action]
+    );
+    if (invalid.length > 0) {
+      return { success: false, message: `无效的保护动作: ${invalid.map(([t, a]) => `${t}=${a}`).join(', ')}` };
+    }
+
+    const timeoutKeys = ['heartbeatTimeout', 'odometryTimeout', 'mqttTimeout', 'operatorTimeout'];
+    for (const key of timeoutKeys) {
+      if (rest[key] !== undefined && !(Number.isFinite(rest[key]) && rest[key] > 0)) {
+        return { success: false, message: `${key} 必须为正数` };
+      }
+    }
+    if (rest.enabled !== undefined && typeof rest.enabled !== 'boolean') {
+      return { success: false, message: 'enabled 必须为 true 或 false' };
+    }
+
+    for (const key of [...timeoutKeys, 'enabled']) {
+      if (rest[key] !== undefined) {
+        this.config[key] = rest[key];
+      }
+    }
+    this.config.actions = { ...this.config.actions, ...actions };
+
+    console.log('🛟 失控保护配置已更新:', this.config);
+    this.emitStatus();
+    return { success: true, config: this.getConfig() };
+  }
+
+  getConfig() {
+    return { ...this.config, actions: { ...this.config.actions } };
+  }
+
+  /**
+   * 周期检查各项条件
+   */
+  check() {
+    const now = Date.now();
+    const { heartbeatTimeout, odometryTimeout, mqttTimeout, operatorTimeout } = this.config;
+
+    // MQTT 连接状态
+    if (this.mqtt.connected) {
+      this.mqttEverConnected = true;
+      this.mqttDisconnectedSince = null;
+    } else if (this.mqttEverConnected && !this.mqttDisconnectedSince) {
+      this.mqttDisconnectedSince = now;
+    }
+
+    // 操作员在线状态
+    if (this.getOperatorCount() > 0) {
+      this.operatorAbsentSince = null;
+    } else if (!this.operatorAbsentSince) {
+      this.operatorAbsentSince = now;
+    }
+
+    this.updateAlarm('heartbeat_stale',
+      this.lastHeartbeat !== null && now - this.lastHeartbeat > heartbeatTimeout);
+    this.updateAlarm('odometry_stale',
+      this.lastOdometry !== null && now - this.lastOdometry > odometryTimeout);
+    this.updateAlarm('mqtt_disconnected',
+      this.mqttDisconnectedSince !== null && now - this.mqttDisconnectedSince > mqttTimeout);
+    this.updateAlarm('operator_absent',
+      this.operatorAbsentSince !== null && now - this.operatorAbsentSince > operatorTimeout && this.isActive());
+  }
+
+  /**
+   * 更新单项告警状态
+   */
+  updateAlarm(type, triggered) {
+    const existing = this.alarms.get(type);
+
+    if (triggered && !existing) {
+      const action = this.config.enabled ? this.config.actions[type] : 'none';
+      const alarm = {
+        type,
+        message: ALARM_MESSAGES[type],
+        since: Date.now(),
+        action,
+        actionTaken: false
+      };
+      this.alarms.set(type, alarm);
+      console.warn(`🚨 失控保护告警: ${alarm.message}（动作: ${ACTION_MESSAGES[action]}）`);
+
+      // 只有在探索或任务执行中才需要执行保护动作
+      if (action !== 'none' && this.isActive()) {
+        alarm.actionTaken = this.executeAction(action, type);
+      }
+
+      this.emit('failsafe:alarm', { ...alarm });
+      this.emitStatus();
+    } else if (!triggered && existing) {
+      this.alarms.delete(type);
+      console.log(`✅ 失控保护告警已解除: ${existing.message}`);
+      this.emit('failsafe:cleared', { type });
+      this.emitStatus();
+    }
+  }
+
+  /**
+   * 是否有需要保护的飞行活动（探索中或有执行中的任务）
+   */
+  isActive() {
+    const engine = this.getExplorationEngine();
+    if (engine && (engine.isExploring || engine.isReturningHome)) {
+      return true;
+    }
+    return !!this.missionTracker.getState().activeMission;
+  }
+
+  /**
+   * 执行保护动作
+   * @returns {boolean} 是否已执行
+   */
+  executeAction(action, reason) {
+    const engine = this.getExplorationEngine();
+    const activeMission = this.missionTracker.getState().activeMission;
+
+    console.warn(`🛟 执行失控保护动作: ${ACTION_MESSAGES[action]}（${ALARM_MESSAGES[reason]}）`);
+
+    try {
+      switch (action) {
+        case 'hover':
+          if (engine && engine.isExploring && !engine.isPaused) {
+            engine.pauseExploration();
+          }
+          if (activeMission) {
+            this.mqtt.publishExecution({ id: activeMission.id, action: 1 }); // PAUSE
+          }
+          break;
+
+        case 'return_home':
+          if (engine && engine.isExploring) {
+            // 停止探索时引擎自动返航到起点
+            engine.stopExploration(`failsafe_${reason}`);
+          } else if (engine && engine.currentPos && engine.getHomePosition()) {
+            engine.returnToHome({ reason: `failsafe_${reason}` });
+          } else {
+            // 没有起点信息，退化为原地降落
+            console.warn('⚠️ 无返航起点，改为原地降落');
+            return this.executeAction('land', reason);
+          }
+          break;
+
+        case 'land':
+          if (engine && engine.isExploring && !engine.isPaused) {
+            engine.pauseExploration();
+          }
+          if (activeMission) {
+            this.mqtt.publishExecution({ id: activeMission.id, action: 3 }); // STOP
+          }
+          this.mqtt.publishCommand({ action: 1 }); // LAND
+          break;
+
+        default:
+          return false;
+      }
+    } catch (error) {
+      console.error('❌ 执行失控保护动作失败:', error.message);
+      return false;
+    }
+
+    this.lastAction = { action, reason, timestamp: Date.now() };
+    this.emit('failsafe:action', { ...this.lastAction });
+    return true;
+  }
+
+  /**
+   * 获取当前状态
+   */
+  getStatus() {
+    const now = Date.now();
+    return {
+      enabled: this.config.enabled,
+      active: this.alarms.size > 0,
+      alarms: Array.from(this.alarms.values()).map(alarm => ({ ...alarm })),
+      lastAction: this.lastAction,
+      heartbeatAge: this.lastHeartbeat !== null ? now - this.lastHeartbeat : null,
+      odometryAge: this.lastOdometry !== null ? now - this.lastOdometry : null,
+      mqttConnected: this.mqtt.connected,
+      operatorCount: this.getOperatorCount()
+    };
+  }
+
+  emitStatus() {
+    this.emit('failsafe:status', this.getStatus());
+  }
+}
+
+module.exports = FailsafeSupervisor;
@@ -0,0 +1,164 @@
+/**
+ * 前沿点选择策略
+ * 探索引擎先过滤前沿点簇（ROI、不可达黑名单、路径可达性、续航预算等），
+ * 再由策略从有效候选中选出下一个目标：
+ *   weighted    加权评分：信息增益、路径距离、方向一致性、密度和历史惩罚（权重可配置，默认）
+ *   nearest     最近优先：路径最短的簇，适合杂乱的办公室（少绕路、少掉头）
+ *   information 信息增益优先：最大的簇，适合开阔大厅（快速扩大覆盖）
+ *   utility     单位距离收益：簇大小 / 路径长度
+ *   tour        全局巡游：对所有有效簇求访问顺序（TSP，多起点最近邻 + 2-opt），飞向巡游中的第一个簇，
+ *               避免在相距很远的簇之间来回折返（参考 FUEL 的全局巡游规划）
+ *
+ * 每个策略的 select(entries, context) 为每个候选写入 candidate.score，返回选中的 entry
+ *   entries: [{candidate, frontier, plan, metrics}]
+ *     metrics: {distanceCost, infoGain, historyPenalty, densityPenalty, directionBonus, pathLength, size}
+ *   context: {currentPos, weights}
+ */
+
+const MAX_TOUR_NODES = 30;       // 参与巡游排序的簇数上限（按路径长度取最近的）
+const MAX_TWO_OPT_ROUNDS = 20;   // 2-opt 最大迭代轮数
+
+/**
+ * 选出得分最高的候选
+ */
+function selectMaxScore(entries, scoreFn) {
+  let best = null;
+  for (const entry of entries) {
+    const score = scoreFn(entry.metrics);
+    entry.candidate.score = score;
+    if (!best || score > best.candidate.score) {
+      best = entry;
+    }
+  }
+  return best;
+}
+
+/**
+ * 从指定的第一站出发，最近邻构造访问顺序
+ * @returns {Array} 节点序号顺序
+ */
+function nearestNeighborOrder(count, first, between) {
+  const order = [first];
+  const remaining = new Set([...Array(count).keys()].filter(i => i !== first));
+  let last = first;
+  while (remaining.size > 0) {
+    let next = null;
+    let nextCost = Infinity;
+    for (const i of remaining) {
+      const cost = between(last, i);
+      if (cost < nextCost) {
+        next = i;
+        nextCost = cost;
+      }
+    }
+    order.push(next);
+    remaining.delete(next);
+    last = next;
+  }
+  return order;
+}
+
+/**
+ * 2-opt 改进（起点固定，终点开放），原地修改并返回 order
+ * @param {Function} edge - (a, b) => 代价，a 为 null 表示从起点出发
+ */
+function twoOpt(order, edge, between) {
+  for (let round = 0; round < MAX_TWO_OPT_ROUNDS; round++) {
+    let improved = false;
+    for (let i = 0; i < order.length - 1; i++) {
+      for (let k = i + 1; k < order.length; k++) {
+        const before = i === 0 ? null : order[i - 1];
+        const after = k + 1 < order.length ? order[k + 1] : null;
+        const current = edge(before, order[i]) + (after === null ? 0 : between(order[k], after));
+        const swapped = edge(before, order[k]) + (after === null ? 0 : between(order[i], after));
+        if (swapped < current - 1e-6) {
+          order.splice(i, k - i + 1, ...order.slice(i, k + 1).reverse());
+          improved = true;
+        }
+      }
+    }
+    if (!improved) break;
+  }
+  return order;
+}
+
+const weighted = {
+  label: '加权评分',
+  select(entries, { weights }) {
+    return selectMaxScore(entries, m =>
+      weights.distance * m.distanceCost +      // 距离成本
+      weights.infoGain * m.infoGain +          // 信息增益
+      -weights.history * m.historyPenalty +    // 历史惩罚
+      -weights.density * m.densityPenalty +    // 密度惩罚
+      m.directionBonus                         // 方向一致性奖励
+    );
+  }
+};
+
+const nearest = {
+  label: '最近前沿点',
+  select(entries) {
+    return selectMaxScore(entries, m => -m.pathLength);
+  }
+};
+
+const information = {
+  label: '信息增益优先',
+  select(entries) {
+    // 簇大小相同时选更近的
+    return selectMaxScore(entries, m => m.size + m.distanceCost * 1e-3);
+  }
+};
+
+const utility = {
+  label: '单位距离收益',
+  select(entries) {
+    return selectMaxScore(entries, m => m.size / Math.max(m.pathLength, 0.5));
+  }
+};
+
+const tour = {
+  label: '全局巡游',
+  select(entries) {
+    // 只对最近的若干簇排序，控制计算量
+    const nodes = [...entries]
+      .sort((a, b) => a.metrics.pathLength - b.metrics.pathLength)
+      .slice(0, MAX_TOUR_NODES);
+
+    // 起点到簇用实际路径长度，簇之间用直线距离近似（逐对规划路径代价太高）
+    const fromStart = i => nodes[i].metrics.pathLength;
+    const between = (i, j) => Math.hypot(
+      nodes[i].frontier.x - nodes[j].frontier.x,
+      nodes[i].frontier.y - nodes[j].frontier.y
+    );
+
+    const edge = (a, b) => (a === null ? fromStart(b) : between(a, b));
+    const tourCost = order => order.reduce((sum, node, i) => sum + edge(i === 0 ? null : order[i - 1], node), 0);
+
+    // 依次以每个簇作为第一站，最近邻构造顺序后做 2-opt 改进，取总长度最短的巡游
+    // （只从最近的簇出发时，2-opt 无法把另一侧的少量簇调整到最前面，会先飞远再折返）
+    let order = [];
+    let orderCost = Infinity;
+    for (const first of nodes.keys()) {
+      const candidate = twoOpt(nearestNeighborOrder(nodes.length, first, between), edge, between);
+      const cost = tourCost(candidate);
+      if (cost < orderCost - 1e-6) {
+        order = candidate;
+        orderCost = cost;
+      }
+    }
+
+    // 得分为巡游顺序的倒序（第一个最高），超出排序数量的候选排在最后
+    entries.forEach(entry => { entry.candidate.score = -order.length; });
+    order.forEach((index, rank) => {
+      nodes[index].candidate.score = -rank;
+      nodes[index].candidate.tourOrder = rank + 1;
+    });
+
+    return order.length > 0 ? nodes[order[0]] : null;
+  }
+};
+
+const FRONTIER_STRATEGIES = { weighted, nearest, information, utility, tour };
+
+module.exports = FRONTIER_STRATEGIES;
@@ -9,6 +9,13 @@ const mqttClient = require('./mqtt-client');
 const protoHandler = require('./proto-handler');
 const ExplorationEngine = require('./exploration-engine');
 const MissionRecorder = require('./mission-recorder');
+const MissionTracker = require('./mission-tracker');
+const FailsafeSupervisor = require('./failsafe-supervisor');
+const missionValidator = require('./mission-validator');
+const safetyEnvelope = require('./safety-envelope');
+const explorationProfiles = require('./exploration-profiles');
+const mapStore = require('./map-store');
+const { SUPPORTED_FORMATS, parsePointCloudInWorker } = require('./point-cloud-parser');
 
 // 预设航线数据文件路径
 const PRESET_ROUTES_FILE = path.join(__dirname, 'data', 'preset-routes.json');
@@ -32,6 +39,24 @@ let latestOdometry = {
 // 创建任务记录器实例
 const missionRecorder = new MissionRecorder();
 
+// 创建任务状态跟踪器实例
+const missionTracker = new MissionTracker();
+
+// 创建失控保护监督器实例
+const failsafeSupervisor = new FailsafeSupervisor({
+  mqttClient,
+  getExplorationEngine: () => explorationEngine,
+  missionTracker,
+  getOperatorCount: () => wss.clients.size
+});
+
+// 机载模块控制状态（记录最近一次下发的指令）
+const MODULE_ACTIONS = { STOP: 0, START: 1, RESTART: 2 };
+const moduleStates = {};
+config.modules.forEach(module => {
+  moduleStates[module.name] = { ...module, lastAction: null, delivered: null, updatedAt: null };
+});
+
 // 运行模式检测（检测是否有模拟器在同一broker上运行）
 const DRONE_MODE = process.env.DRONE_MODE || 'auto'; // 'real', 'simulator', 'auto'
 
@@ -72,31 +97,156 @@ app.get('/api/drone/odometry', (req, res) => {
   });
 });
 
-// 发布任务
-app.post('/api/mission', (req, res) => {
+// 发布任务（等待回执；autoStart 为 true 时收到回执后自动开始执行）
+app.post('/api/mission', async (req, res) => {
   try {
-    mqttClient.publishMission(req.body);
-    res.json({ success: true, message: '任务已下发' });
+    const { autoStart, ...missionData } = req.body || {};
+    const validation = missionValidator.validateMission(missionData, { startPosition: getFreshPosition() });
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: getValidationErrorTitle(validation.reason),
+        reason: validation.reason,
+        errors: validation.errors
+      });
+    }
+    const result = autoStart
+      ? await mqttClient.publishMissionAndStart(validation.mission)
+      : await mqttClient.publishMission(validation.mission);
+    if (!result.delivered) {
+      return res.status(504).json({ success: false, error: '任务回执超时', ...result });
+    }
+    res.json({ success: true, message: autoStart ? '任务已送达并开始执行' : '任务已送达', ...result });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 // 任务执行控制
-app.post('/api/execution', (req, res) => {
+app.post('/api/execution', async (req, res) => {
+  try {
+    const result = await mqttClient.publishExecution(req.body);
+    if (!result.delivered) {
+      return res.status(504).json({ success: false, error: '执行指令未送达', ...result });
+    }
+    res.json({ success: true, message: '执行指令已送达', ...result });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 获取安全边界配置
+app.get('/api/safety-envelope', (req, res) => {
   try {
-    mqttClient.publishExecution(req.body);
-    res.json({ success: true, message: '执行指令已发送' });
+    res.json({ success: true, envelope: safetyEnvelope.getEnvelope() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 更新安全边界配置（部分更新，持久化到 data/safety-envelope.json）
+app.post('/api/safety-envelope', (req, res) => {
+  try {
+    const result = safetyEnvelope.updateEnvelope(req.body || {});
+    if (!result.success) {
+      return res.status(400).json({ success: false, error: '安全边界配置无效', errors: result.errors });
+    }
+    broadcastToAll({ type: 'safety_envelope', data: result.envelope });
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 获取失控保护状态和配置
+app.get('/api/failsafe', (req, res) => {
+  try {
+    res.json({ success: true, status: failsafeSupervisor.getStatus(), config: failsafeSupervisor.getConfig() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 更新失控保护配置
+app.post('/api/failsafe/config', (req, res) => {
+  try {
+    const result = failsafeSupervisor.updateConfig(req.body || {});
+    if (!result.success) {
+      return res.status(400).json({ success: false, error: result.message });
+    }
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 获取任务执行状态（当前任务和最近任务列表）
+app.get('/api/mission/state', (req, res) => {
+  try {
+    res.json({ success: true, ...missionTracker.getState() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 获取指定任务的执行状态
+app.get('/api/mission/state/:missionId', (req, res) => {
+  try {
+    const mission = missionTracker.getMission(req.params.missionId);
+    if (!mission) {
+      return res.status(404).json({ success: false, error: '任务不存在' });
+    }
+    res.json({ success: true, mission });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 // 起飞/降落指令
-app.post('/api/command', (req, res) => {
+app.post('/api/command', async (req, res) => {
+  try {
+    const result = await mqttClient.publishCommand(req.body);
+    if (!result.delivered) {
+      return res.status(504).json({ success: false, error: '指令未送达', ...result });
+    }
+    res.json({ success: true, message: '指令已送达', ...result });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 一键返航（探索中先停止探索；strategy: breadcrumb / planner / auto，land: 到达后降落）
+app.post('/api/drone/return-home', (req, res) => {
+  try {
+    const { strategy, land } = req.body || {};
+    if (strategy !== undefined && !['breadcrumb', 'planner', 'auto'].includes(strategy)) {
+      return res.status(400).json({ success: false, message: 'strategy 必须为 breadcrumb / planner / auto' });
+    }
+    if (explorationEngine.isExploring) {
+      explorationEngine.stopExploration('return_home', { returnHome: false });
+    }
+    const result = explorationEngine.returnToHome({ strategy, land, reason: 'return_home' });
+    res.status(result.success ? 200 : 400).json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ========== 机载模块控制API ==========
+
+// 获取机载模块列表及最近一次控制指令
+app.get('/api/modules', (req, res) => {
+  res.json({ success: true, modules: Object.values(moduleStates) });
+});
+
+// 启动/停止/重启机载模块
+app.post('/api/modules/:name/:action', async (req, res) => {
   try {
-    mqttClient.publishCommand(req.body);
-    res.json({ success: true, message: '指令已发送' });
+    const { status, ...result } = await sendModuleCommand(req.params.name, req.params.action);
+    if (!result.success) {
+      return res.status(status).json({ success: false, error: result.message, module: result.module });
+    }
+    res.json(result);
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
@@ -165,6 +315,35 @@ function broadcastMjpegFrame(frameData) {
 
 // ========== 预设航线API ==========
 
+/**
+ * 保存/更新预设航线
+ * @param {string} routeId - 航线ID
+ * @param {Object} route - {name, description, waypoints}
+ */
+function savePresetRoute(routeId, { name, description, waypoints }) {
+  // 确保data目录存在
+  const dataDir = path.dirname(PRESET_ROUTES_FILE);
+  if (!fs.existsSync(dataDir)) {
+    fs.mkdirSync(dataDir, { recursive: true });
+  }
+
+  // 读取现有数据
+  let data = {};
+  if (fs.existsSync(PRESET_ROUTES_FILE)) {
+    data = JSON.parse(fs.readFileSync(PRESET_ROUTES_FILE, 'utf-8'));
+  }
+
+  // 更新航线
+  data[routeId] = {
+    name: name || routeId,
+    description: description || '',
+    waypoints: waypoints || []
+  };
+
+  // 保存
+  fs.writeFileSync(PRESET_ROUTES_FILE, JSON.stringify(data, null, 2), 'utf-8');
+}
+
 // 获取所有预设航线列表
 app.get('/api/preset-routes', (req, res) => {
   try {
@@ -208,30 +387,7 @@ app.get('/api/preset-routes/:routeId', (req, res) => {
 app.post('/api/preset-routes/:routeId', (req, res) => {
   try {
     const { routeId } = req.params;
-    const { name, description, waypoints } = req.body;
-
-    // 确保data目录存在
-    const dataDir = path.dirname(PRESET_ROUTES_FILE);
-    if (!fs.existsSync(dataDir)) {
-      fs.mkdirSync(dataDir, { recursive: true });
-    }
-
-    // 读取现有数据
-    let data = {};
-    if (fs.existsSync(PRESET_ROUTES_FILE)) {
-      data = JSON.parse(fs.readFileSync(PRESET_ROUTES_FILE, 'utf-8'));
-    }
-
-    // 更新航线
-    data[routeId] = {
-      name: name || routeId,
-      description: description || '',
-      waypoints: waypoints || []
-    };
-
-    // 保存
-    fs.writeFileSync(PRESET_ROUTES_FILE, JSON.stringify(data, null, 2), 'utf-8');
-
+    savePresetRoute(routeId, req.body);
     res.json({ success: true, message: '航线已保存' });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -282,7 +438,11 @@ app.get('/api/missions/:timestamp', (req, res) => {
 // 获取任务视频帧列表
 app.get('/api/missions/:timestamp/frames', (req, res) => {
   try {
-    const result = missionRecorder.getMissionFrames(req.params.timestamp);
+    const waypoint = req.query.waypoint !== undefined ? parseInt(req.query.waypoint, 10) : null;
+    if (waypoint !== null && !(Number.isInteger(waypoint) && waypoint >= 0)) {
+      return res.status(400).json({ success: false, error: 'waypoint 必须为非负整数' });
+    }
+    const result = missionRecorder.getMissionFrames(req.params.timestamp, waypoint);
     res.json(result);
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -336,10 +496,14 @@ app.post('/api/missions/recording/stop', (req, res) => {
 
 // ========== 探索相关API ==========
 
-// 启动探索
+// 启动探索（可指定 profileId，档案设置作为默认值，请求体中的字段覆盖）
 app.post('/api/exploration/start', async (req, res) => {
   try {
-    const result = await explorationEngine.startExploration(req.body);
+    const options = resolveExplorationOptions(req.body || {});
+    if (!options) {
+      return res.status(404).json({ success: false, message: '探索配置档案不存在' });
+    }
+    const result = await explorationEngine.startExploration(options);
     res.json(result);
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -387,9 +551,17 @@ app.get('/api/exploration/status', (req, res) => {
 });
 
 // 获取地图数据
-app.get('/api/exploration/map', (req, res) => {
+app.get('/api/exploration/map', async (req, res) => {
   try {
-    const mapData = explorationEngine.getMapData();
+    // 指定 z 时导出该高度的二维切片，否则返回当前规划切片
+    const z = req.query.z !== undefined ? parseFloat(req.query.z) : null;
+    const halfHeight = req.query.halfHeight !== undefined ? parseFloat(req.query.halfHeight) : undefined;
+    if ((z !== null && !Number.isFinite(z)) || (halfHeight !== undefined && !(halfHeight > 0))) {
+      return res.status(400).json({ success: false, error: 'z 必须为数字，halfHeight 必须为正数' });
+    }
+    const mapData = z !== null
+      ? await explorationEngine.getMapSlice(z, halfHeight)
+      : explorationEngine.getMapData();
     res.json(mapData);
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -433,6 +605,26 @@ app.post('/api/exploration/roi/clear', (req, res) => {
   }
 });
 
+// 指定下一个探索目标
+app.post('/api/exploration/goal', (req, res) => {
+  try {
+    const { x, y, z } = req.body;
+    const result = explorationEngine.setManualGoal({ x, y, z });
+    res.status(result.success ? 200 : 400).json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 清除指定的探索目标
+app.delete('/api/exploration/goal', (req, res) => {
+  try {
+    res.json(explorationEngine.clearManualGoal());
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // 设置评分权重
 app.post('/api/exploration/weights/set', (req, res) => {
   try {
@@ -454,6 +646,237 @@ app.get('/api/exploration/weights', (req, res) => {
   }
 });
 
+// ========== 探索地图持久化API ==========
+
+// 获取已保存的地图列表
+app.get('/api/exploration/maps', (req, res) => {
+  try {
+    res.json({ success: true, maps: mapStore.listMaps() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 立即保存当前地图
+app.post('/api/exploration/maps/save', async (req, res) => {
+  try {
+    const result = await explorationEngine.saveMap(req.body?.name);
+    res.status(result.success ? 200 : 400).json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 删除已保存的地图
+app.delete('/api/exploration/maps/:mapId', (req, res) => {
+  try {
+    const result = mapStore.deleteMap(req.params.mapId);
+    res.status(result.success ? 200 : 404).json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ========== 先验地图API ==========
+
+// 上传先验地图（请求体为点云文件原始字节，二进制PCD不能按文本接收）
+// 查询参数: format=pcd|txt|json（缺省按 name 扩展名判断）, name, markFree=true, viewpoint=x,y,z
+app.post('/api/exploration/prior-map', express.raw({ type: '*/*', limit: '100mb' }), async (req, res) => {
+  try {
+    const name = req.query.name || 'prior';
+    const format = (req.query.format || path.extname(name).slice(1)).toLowerCase();
+    if (!SUPPORTED_FORMATS.includes(format)) {
+      return res.status(400).json({ success: false, message: `不支持的点云格式: ${format}（支持 ${SUPPORTED_FORMATS.join('/')}）` });
+    }
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ success: false, message: '请求体必须为点云文件内容' });
+    }
+
+    let viewpoint = null;
+    if (req.query.viewpoint !== undefined) {
+      const parts = String(req.query.viewpoint).split(',');
+      const [x, y, z] = parts.map(v => (v.trim() === '' ? NaN : Number(v)));
+      if (parts.length !== 3 || ![x, y, z].every(Number.isFinite)) {
+        return res.status(400).json({ success: false, message: 'viewpoint 必须为 x,y,z 三个数值' });
+      }
+      viewpoint = { x, y, z };
+    }
+
+    // 在独立线程中解析，大文件不阻塞主线程
+    let points;
+    try {
+      points = await parsePointCloudInWorker(req.body, format);
+    } catch (error) {
+      return res.status(400).json({ success: false, message: `点云解析失败: ${error.message}` });
+    }
+
+    const result = await explorationEngine.loadPriorMap(points, {
+      name,
+      markFree: req.query.markFree === 'true',
+      viewpoint
+    });
+    res.status(result.success ? 200 : 400).json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 获取先验地图信息
+app.get('/api/exploration/prior-map', (req, res) => {
+  try {
+    res.json({ success: true, priorMap: explorationEngine.getPriorMapInfo() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 清除先验地图
+app.delete('/api/exploration/prior-map', (req, res) => {
+  try {
+    const result = explorationEngine.clearPriorMap();
+    res.status(result.success ? 200 : 404).json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ========== 覆盖路径规划API ==========
+
+// 生成ROI覆盖航线
+app.post('/api/coverage/plan', async (req, res) => {
+  try {
+    const result = await explorationEngine.planCoverage(req.body || {});
+    res.status(result.success ? 200 : 400).json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 获取最近一次生成的覆盖航线
+app.get('/api/coverage/route', (req, res) => {
+  try {
+    res.json({ success: true, route: explorationEngine.coverageRoute });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 下发覆盖航线任务（默认收到回执后自动开始执行）
+app.post('/api/coverage/publish', async (req, res) => {
+  try {
+    const { returnToStart, autoLand, autoStart = true } = req.body || {};
+    const mission = explorationEngine.buildCoverageMission({ returnToStart, autoLand });
+    if (!mission) {
+      return res.status(404).json({ success: false, error: '尚未生成覆盖航线' });
+    }
+
+    const validation = missionValidator.validateMission(mission, { startPosition: getFreshPosition() });
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: getValidationErrorTitle(validation.reason),
+        reason: validation.reason,
+        errors: validation.errors
+      });
+    }
+    const result = autoStart
+      ? await mqttClient.publishMissionAndStart(validation.mission)
+      : await mqttClient.publishMission(validation.mission);
+    if (!result.delivered) {
+      return res.status(504).json({ success: false, error: '任务回执超时', ...result });
+    }
+    res.json({ success: true, message: autoStart ? '覆盖任务已送达并开始执行' : '覆盖任务已送达', missionId: mission.id, ...result });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 覆盖航线另存为预设航线
+app.post('/api/coverage/save', (req, res) => {
+  try {
+    const route = explorationEngine.coverageRoute;
+    if (!route) {
+      return res.status(404).json({ success: false, error: '尚未生成覆盖航线' });
+    }
+    const { routeId = route.id, name, description } = req.body || {};
+    if (!/^[\w-]{1,64}$/.test(routeId)) {
+      return res.status(400).json({ success: false, error: '航线ID只能包含字母、数字、下划线和连字符（最长64）' });
+    }
+
+    savePresetRoute(routeId, {
+      name: name || `覆盖扫描 ${route.layers.join('/')}m`,
+      description: description || `${route.segmentCount}条扫描线段，${route.length.toFixed(1)}m，覆盖宽度${route.options.footprint}m`,
+      waypoints: route.waypoints
+    });
+    res.json({ success: true, message: '覆盖航线已保存为预设航线', routeId });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ========== 探索配置档案API ==========
+
+// 获取档案列表
+app.get('/api/exploration/profiles', (req, res) => {
+  try {
+    res.json({ success: true, profiles: explorationProfiles.listProfiles() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 获取档案详情
+app.get('/api/exploration/profiles/:profileId', (req, res) => {
+  try {
+    const profile = explorationProfiles.getProfile(req.params.profileId);
+    if (!profile) {
+      return res.status(404).json({ success: false, error: '档案不存在' });
+    }
+    res.json({ success: true, profile });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 新建/更新档案（持久化到 data/exploration-profiles.json）
+app.post('/api/exploration/profiles/:profileId', (req, res) => {
+  try {
+    const result = explorationProfiles.saveProfile(req.params.profileId, req.body || {});
+    if (!result.success) {
+      return res.status(400).json({ success: false, error: '探索配置档案无效', errors: result.errors });
+    }
+    res.json({ success: true, message: '档案已保存', profile: result.profile });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 删除档案
+app.delete('/api/exploration/profiles/:profileId', (req, res) => {
+  try {
+    const result = explorationProfiles.deleteProfile(req.params.profileId);
+    if (!result.success) {
+      return res.status(result.message === '档案不存在' ? 404 : 400).json(result);
+    }
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 获取规划决策记录（候选前沿点评分明细、拒绝原因、选定目标）
+app.get('/api/exploration/decisions', (req, res) => {
+  try {
+    const limit = req.query.limit !== undefined ? Number(req.query.limit) : 10;
+    if (!Number.isInteger(limit) || limit <= 0) {
+      return res.status(400).json({ success: false, error: 'limit 必须为正整数' });
+    }
+    res.json({ success: true, decisions: explorationEngine.getDecisions(limit) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // WebSocket 连接处理
 wss.on('connection', (ws) => {
   console.log('🌐 WebSocket 客户端已连接');
@@ -477,7 +900,9 @@ wss.on('connection', (ws) => {
   ws.on('message', (message) => {
     try {
       const data = JSON.parse(message);
-      handleWebSocketMessage(ws, data);
+      handleWebSocketMessage(ws, data).catch(error => {
+        console.error('WebSocket 消息处理失败:', error);
+      });
     } catch (error) {
       console.error('WebSocket 消息处理失败:', error);
     }
@@ -492,6 +917,21 @@ wss.on('connection', (ws) => {
     console.error('WebSocket 错误:', error);
   });
 
+  // 发送当前失控保护状态
+  ws.send(JSON.stringify({
+    type: 'failsafe_status',
+    data: failsafeSupervisor.getStatus()
+  }));
+
+  // 发送当前任务执行状态
+  const { activeMission } = missionTracker.getState();
+  if (activeMission) {
+    ws.send(JSON.stringify({
+      type: 'mission_state',
+      data: activeMission
+    }));
+  }
+
   // 如果探索引擎已初始化，发送当前状态
   if (explorationEngine) {
     try {
@@ -540,39 +980,119 @@ async function handleWebSocketMessage(ws, data) {
       ws.send(JSON.stringify({ type: 'pong', timestamp: Date.now() }));
       break;
 
-    case 'publish_mission':
+    case 'publish_mission': {
       console.log('📋 发布任务:', payload);
+      const { autoStart, ...missionData } = payload || {};
+      const validation = missionValidator.validateMission(missionData, { startPosition: getFreshPosition() });
+      if (!validation.valid) {
+        const title = getValidationErrorTitle(validation.reason);
+        console.warn(`❌ ${title}:`, validation.errors);
+        ws.send(JSON.stringify({
+          type: 'mission_response',
+          data: {
+            success: false,
+            id: missionData.id,
+            message: `${title}: ` + validation.errors.map(e => e.message).join('; '),
+            reason: validation.reason,
+            errors: validation.errors
+          }
+        }));
+        break;
+      }
       // 启动任务记录
-      if (payload && payload.id) {
-        const waypointCount = payload.tasks ? payload.tasks.filter(t => t.autoPilot).length : 0;
-        missionRecorder.startRecording(payload.id, {
-          waypoints: payload.tasks,
-          waypointCount
-        });
+      const mission = validation.mission;
+      const waypointCount = mission.tasks.filter(t => t.autoPilot || t.line).length;
+      missionRecorder.startRecording(mission.id, {
+        waypoints: mission.tasks,
+        waypointCount
+      });
+      let result;
+      try {
+        result = autoStart
+          ? await mqttClient.publishMissionAndStart(mission)
+          : await mqttClient.publishMission(mission);
+      } catch (error) {
+        // 编码失败等异常：任务未发出，停止记录并通知客户端
+        console.error(`❌ 任务 ${mission.id} 发送失败:`, error.message);
+        const { currentMission } = missionRecorder.getRecordingStatus();
+        if (currentMission && currentMission.id === mission.id) {
+          missionRecorder.stopRecording('failed');
+        }
+        ws.send(JSON.stringify({
+          type: 'mission_response',
+          data: {
+            success: false,
+            id: mission.id,
+            message: `任务发送失败: ${error.message}`,
+            reason: 'publish_error'
+          }
+        }));
+        break;
       }
-      mqttClient.publishMission(payload);
+      ws.send(JSON.stringify({
+        type: 'mission_response',
+        data: {
+          success: result.delivered,
+          id: mission.id,
+          message: result.delivered
+            ? (result.started ? '任务已送达并开始执行' : '任务已送达')
+            : `任务回执超时（已发送${result.attempts}次）`,
+          ...result
+        }
+      }));
       break;
+    }
 
-    case 'publish_execution':
+    case 'publish_execution': {
       console.log('▶️ 发布执行指令:', payload);
-      // 如果是停止任务，停止记录
-      if (payload && payload.action === 'STOP') {
-        missionRecorder.stopRecording();
-      }
-      mqttClient.publishExecution(payload);
+      // 停止任务时由任务跟踪器结束记录
+      const result = await mqttClient.publishExecution(payload);
+      ws.send(JSON.stringify({
+        type: 'execution_response',
+        data: {
+          success: result.delivered,
+          id: payload?.id,
+          action: payload?.action,
+          message: result.delivered ? '执行指令已送达' : '执行指令未送达',
+          ...result
+        }
+      }));
       break;
+    }
 
-    case 'publish_command':
+    case 'publish_command': {
       console.log('🎮 发布控制指令:', payload);
-      mqttClient.publishCommand(payload);
+      const result = await mqttClient.publishCommand(payload);
+      ws.send(JSON.stringify({
+        type: 'command_response',
+        data: {
+          success: result.delivered,
+          message: result.delivered ? '指令已送达' : '指令未送达',
+          ...result
+        }
+      }));
       break;
+    }
+
+    case 'module_command': {
+      console.log('🔧 模块控制指令:', payload);
+      const { status, ...result } = await sendModuleCommand(payload?.module, payload?.action);
+      ws.send(JSON.stringify({
+        type: 'module_response',
+        data: result
+      }));
+      break;
+    }
 
     // ========== 探索相关WebSocket消息 ==========
     case 'start_exploration':
       console.log('🧭 启动探索:', payload);
       if (explorationEngine) {
         try {
-          const result = await explorationEngine.startExploration(payload || {});
+          const options = resolveExplorationOptions(payload || {});
+          const result = options
+            ? await explorationEngine.startExploration(options)
+            : { success: false, message: '探索配置档案不存在' };
           ws.send(JSON.stringify({
             type: 'exploration_response',
             data: result
@@ -646,7 +1166,7 @@ async function handleWebSocketMessage(ws, data) {
       break;
 
     case 'get_exploration_map':
-      console.log('🗺️ 获取探索地图');
+      // 地图面板会周期性请求，不打印日志
       if (explorationEngine) {
         try {
           const mapData = explorationEngine.getMapData();
@@ -668,6 +1188,85 @@ async function handleWebSocketMessage(ws, data) {
   }
 }
 
+/**
+ * 下发机载模块控制指令并广播模块状态
+ * @param {string} name - 模块名称（见 config.modules）
+ * @param {string} action - stop / start / restart（不区分大小写）
+ */
+async function sendModuleCommand(name, action) {
+  const module = moduleStates[name];
+  if (!module) {
+    return { success: false, status: 404, message: `未知模块: ${name}` };
+  }
+
+  const actionName = String(action || '').toUpperCase();
+  if (!(actionName in MODULE_ACTIONS)) {
+    return { success: false, status: 400, message: `无效的模块动作: ${action}，可选 start/stop/restart` };
+  }
+
+  const result = await mqttClient.publishModuleCommand({ module: name, action: MODULE_ACTIONS[actionName] });
+
+  module.lastAction = actionName;
+  module.delivered = result.delivered;
+  module.updatedAt = Date.now();
+
+  broadcastToAll({
+    type: 'module_status',
+    data: Object.values(moduleStates)
+  });
+
+  return {
+    success: result.delivered,
+    status: result.delivered ? 200 : 504,
+    message: result.delivered ? `${module.label} ${actionName} 指令已送达` : `${module.label} ${actionName} 指令未送达`,
+    module: { ...module }
+  };
+}
+
+/**
+ * 获取最新的无人机位置（位姿数据超过5秒视为过时，返回null）
+ */
+function getFreshPosition() {
+  if (!latestOdometry.lastUpdate || Date.now() - latestOdometry.lastUpdate > 5000) {
+    return null;
+  }
+  return latestOdometry.position;
+}
+
+/**
+ * 展开探索启动参数：指定 profileId 时以档案设置为默认值，请求中的字段覆盖档案
+ * @returns {Object|null} startExploration 的 options，档案不存在时返回 null
+ */
+function resolveExplorationOptions({ profileId, ...options }) {
+  if (!profileId) return options;
+
+  const profileOptions = explorationProfiles.toExplorationOptions(profileId);
+  if (!profileOptions) return null;
+  return { ...profileOptions, ...options, profile: profileOptions.profile };
+}
+
+/**
+ * 任务校验失败的提示标题
+ */
+function getValidationErrorTitle(reason) {
+  return reason === 'SAFETY_ENVELOPE' ? '任务超出安全边界' : '任务校验失败';
+}
+
+/**
+ * 结束探索任务记录（探索停止或返航完成时）
+ * @param {Object} data - {reason, exploredArea, duration}
+ */
+function stopExplorationRecording({ reason, exploredArea, duration }) {
+  const { currentMission } = missionRecorder.getRecordingStatus();
+  if (!currentMission || currentMission.type !== 'exploration') return;
+
+  missionRecorder.stopRecording(reason === 'complete' ? 'completed' : 'stopped', {
+    reason,
+    exploredArea,
+    duration
+  });
+}
+
 /**
  * 广播消息到所有WebSocket客户端
  */
@@ -705,6 +1304,11 @@ async function start() {
     // 4. 监听探索引擎事件
     explorationEngine.on('exploration:started', (data) => {
       console.log('🚀 探索已启动:', data);
+      // 整个探索过程记录为一条任务记录，并标记使用的配置档案
+      missionRecorder.startRecording(`exploration_${Date.now()}`, {
+        type: 'exploration',
+        profile: data.config.profile
+      });
       broadcastToAll({
         type: 'exploration_status',
         data: { isExploring: true, ...data }
@@ -713,6 +1317,7 @@ async function start() {
 
     explorationEngine.on('exploration:stopped', (data) => {
       console.log('🛑 探索已停止:', data);
+      stopExplorationRecording(data);
       broadcastToAll({
         type: 'exploration_status',
         data: { isExploring: false, ...data }
@@ -735,6 +1340,55 @@ async function start() {
       });
     });
 
+    explorationEngine.on('exploration:returning', (data) => {
+      broadcastToAll({
+        type: 'return_home_status',
+        data: { returning: true, ...data }
+      });
+    });
+
+    explorationEngine.on('exploration:returned', (data) => {
+      console.log('🏠 探索返航完成');
+      stopExplorationRecording(data);
+      broadcastToAll({
+        type: 'return_home_status',
+        data: { returning: false, ...data }
+      });
+    });
+
+    explorationEngine.on('exploration:return_failed', (data) => {
+      console.log('⚠️ 返航失败，已改为原地降落');
+      stopExplorationRecording({ reason: 'return_failed' });
+      broadcastToAll({
+        type: 'return_home_status',
+        data: { returning: false, failed: true, ...data }
+      });
+    });
+
+    explorationEngine.on('exploration:goal_rejected', ({ goal }) => {
+      broadcastToAll({
+        type: 'exploration_response',
+        data: {
+          success: false,
+          message: `指定目标 (${goal.x.toFixed(2)}, ${goal.y.toFixed(2)}) 无可行路径，已改为自动选择前沿点`
+        }
+      });
+    });
+
+    explorationEngine.on('exploration:decision', (decision) => {
+      broadcastToAll({
+        type: 'exploration_decision',
+        data: decision
+      });
+    });
+
+    explorationEngine.on('coverage:planned', (route) => {
+      broadcastToAll({
+        type: 'coverage_route',
+        data: route
+      });
+    });
+
     explorationEngine.on('exploration:status', (status) => {
       // 定期广播探索状态
       broadcastToAll({
@@ -754,6 +1408,11 @@ async function start() {
         }
       }
 
+      // 失控保护监测位姿新鲜度
+      if (dataType === 'odometry') {
+        failsafeSupervisor.onOdometry();
+      }
+
       // 缓存最新的位姿数据（供REST API查询）
       if (dataType === 'odometry' && data) {
         const pos = data.pose?.position || data.position;
@@ -793,19 +1452,58 @@ async function start() {
       }
     });
 
-    // 7. 连接MQTT任务回执到任务记录器（任务完成时自动停止记录）
+    // 7. 连接任务发布、回执和心跳到任务跟踪器
+    mqttClient.setMissionPublishCallback((dataType, data) => {
+      if (dataType === 'mission') {
+        missionTracker.onMissionPublished(data);
+      } else if (dataType === 'execution') {
+        missionTracker.onExecution(data);
+      } else if (dataType === 'receipt_timeout') {
+        missionTracker.onReceiptTimeout(data.id);
+      } else if (dataType === 'command') {
+        missionTracker.onCommand(data);
+      }
+    });
+
     mqttClient.setMissionReceiptCallback((receiptData) => {
       console.log('📋 收到任务回执:', receiptData);
-      // 当任务完成（状态为COMPLETED或STOPPED）时，停止记录
-      if (receiptData && (receiptData.status === 'COMPLETED' || receiptData.status === 'STOPPED' || receiptData.status === 2 || receiptData.status === 3)) {
-        if (missionRecorder.isRecording) {
-          console.log('📹 任务完成，停止记录');
-          missionRecorder.stopRecording();
-        }
+      missionTracker.onReceipt(receiptData);
+    });
+
+    mqttClient.setHeartbeatCallback((heartbeat) => {
+      missionTracker.onHeartbeat(heartbeat);
+      failsafeSupervisor.onHeartbeat();
+    });
+
+    missionTracker.on('mission:state', (mission) => {
+      broadcastToAll({
+        type: 'mission_state',
+        data: mission
+      });
+
+      // 视频帧按当前子任务标记航点
+      missionRecorder.setCurrentTask(mission.id, mission.currentTaskIndex);
+    });
+
+    // 任务结束（完成/停止/失败）时自动停止记录
+    missionTracker.on('mission:finished', (mission) => {
+      const { currentMission } = missionRecorder.getRecordingStatus();
+      if (currentMission && currentMission.id === mission.id) {
+        console.log(`📹 任务${mission.status}，停止记录`);
+        missionRecorder.stopRecording(mission.status);
       }
     });
 
-    // 8. 启动 HTTP + WebSocket 服务器
+    // 8. 启动失控保护监督
+    failsafeSupervisor.on('failsafe:status', (status) => {
+      broadcastToAll({
+        type: 'failsafe_status',
+        data: status
+      });
+    });
+    failsafeSupervisor.start();
+
+    // 9. 启动 HTTP + WebSocket 服务器
     server.listen(config.http.port, () => {
       console.log('');
       console.log('✅ 服务器启动成功!');
@@ -827,20 +1525,24 @@ async function start() {
 process.on('SIGINT', () => {
   console.log('\n👋 正在关闭服务器...');
 
-  // 停止探索引擎
+  failsafeSupervisor.stop();
+
+  // 停止探索引擎（等待地图线程完成停止时的地图保存）
+  let engineClosed = Promise.resolve();
   if (explorationEngine) {
     try {
       explorationEngine.stopExploration();
       console.log('🛑 探索引擎已停止');
+      engineClosed = explorationEngine.close();
     } catch (error) {
       console.error('停止探索引擎失败:', error);
     }
   }
 
-  server.close(() => {
+  engineClosed.finally(() => server.close(() => {
     mqttClient.client?.end();
     process.exit(0);
-  });
+  }));
 });
 
 // 启动
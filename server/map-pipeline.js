@@ -0,0 +1,234 @@
+/**
+ * 地图更新管线（主线程侧）
+ * 点云积分、切片导出、膨胀和前沿检测在地图线程（map-worker.js）中完成，
+ * 主线程保留规划切片的镜像栅格（grid），按地图线程回复的增量更新，
+ * 路径规划、前沿点筛选和可视化照常同步读取 grid
+ *
+ * 背压（地图线程模式）：同一时刻只有一帧点云在地图线程中处理，处理期间到达的新帧只保留最新一帧，
+ * 其余丢弃（计入 droppedFrames），大点云不会在消息队列中堆积
+ *
+ * useWorker=false 时在主线程中直接调用同一个 MapBackend（结果同步可用，用于基准测试等需要确定性的场景）
+ */
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+const OccupancyGrid = require('./occupancy-grid');
+const { MapBackend } = require('./map-worker');
+
+class MapPipeline {
+  /**
+   * @param {Object} options - {resolution, chunkSize, maxRange, useWorker}
+   */
+  constructor(options = {}) {
+    this.options = { useWorker: true, ...options };
+    this.grid = null;
+    this.nextId = 1;
+    this.pending = new Map();  // id → {promise, resolve, reject, generation}
+    this.generation = 0;       // 每次重置地图加1，丢弃重置前发出的消息的更新
+
+    this.worker = null;
+    this.backend = null;
+    if (this.options.useWorker) {
+      this.startWorker();
+    } else {
+      this.backend = new MapBackend();
+    }
+
+    // 点云背压
+    this.integrating = false;
+    this.queuedFrame = null;
+    this.droppedFrames = 0;
+    this.lastUpdateDuration = 0;  // 地图线程最近一次处理耗时（毫秒）
+
+    this.resetState();
+    this.post({ type: 'reset', options: this.mapOptions() });
+  }
+
+  mapOptions() {
+    const { resolution, chunkSize, maxRange } = this.options;
+    return { resolution, chunkSize, maxRange };
+  }
+
+  resetState() {
+    // 分辨率和块大小不变时沿用同一个栅格对象（调用方可长期持有 grid 引用）
+    const { resolution, chunkSize } = this.options;
+    if (this.grid && this.grid.resolution === resolution && this.grid.chunkSize === chunkSize) {
+      this.grid.reset();
+    } else {
+      this.grid = new OccupancyGrid(resolution, chunkSize);
+    }
+    this.sliceZ = null;
+    this.frontiers = [];
+    this.voxelStats = { voxelCount: 0, free: 0, occupied: 0, resolution: this.options.resolution };
+  }
+
+  startWorker() {
+    this.worker = new Worker(path.join(__dirname, 'map-worker.js'));
+    this.worker.unref();  // 空闲的地图线程不阻止进程退出
+    this.worker.on('message', reply => this.onReply(reply));
+    this.worker.on('error', (error) => {
+      // 地图线程异常退出：改为主线程同步处理，地图从空白重新开始
+      console.error('❌ 地图线程异常，改为主线程处理（地图已重置）:', error);
+      this.worker = null;
+      this.backend = new MapBackend(this.mapOptions());
+      this.integrating = false;
+      this.queuedFrame = null;
+      for (const { reject } of this.pending.values()) {
+        reject(new Error('地图线程异常退出'));
+      }
+      this.pending.clear();
+      this.resetState();
+    });
+  }
+
+  /**
+   * 发送消息
+   * @returns {Promise} 地图线程的回复结果
+   */
+  post(msg, transfer = []) {
+    const id = this.nextId++;
+    const request = { generation: this.generation };
+    request.promise = new Promise((resolve, reject) => {
+      request.resolve = resolve;
+      request.reject = reject;
+    });
+    request.promise.catch(() => {});  // 不等待结果的调用方无需处理失败（已记录日志）
+    this.pending.set(id, request);
+
+    if (this.worker) {
+      this.worker.postMessage({ ...msg, id }, transfer);
+    } else {
+      let reply;
+      try {
+        reply = this.backend.handle({ ...msg, id });
+      } catch (error) {
+        reply = { id, type: 'error', error: error.message };
+      }
+      this.onReply(reply);
+    }
+    return request.promise;
+  }
+
+  onReply(reply) {
+    const request = this.pending.get(reply.id);
+    this.pending.delete(reply.id);
+
+    if (reply.type === 'error') {
+      console.error('❌ 地图更新失败:', reply.error);
+      request?.reject(new Error(reply.error));
+      return;
+    }
+    if (reply.type === 'update' && request?.generation === this.generation) {
+      this.applyUpdate(reply);
+    }
+    request?.resolve(reply.result);
+  }
+
+  /**
+   * 将地图线程的更新写入镜像栅格
+   */
+  applyUpdate(update) {
+    if (update.full) {
+      this.grid.importChunks(update.chunks);
+    } else {
+      this.grid.applyCells(update.cells);
+    }
+    this.sliceZ = update.sliceZ;
+    if (update.frontiers) {
+      this.frontiers = update.frontiers;
+    }
+    this.voxelStats = update.voxelStats;
+    this.lastUpdateDuration = update.duration;
+  }
+
+  /**
+   * 重建空白地图（分辨率等参数可变）
+   */
+  reset(options = {}) {
+    Object.assign(this.options, options);
+    this.generation++;
+    this.queuedFrame = null;
+    this.resetState();
+    return this.post({ type: 'reset', options: this.mapOptions() });
+  }
+
+  /**
+   * 积分一帧点云（处理中再到达的帧只保留最新一帧）
+   * @param {Object} origin - 传感器位置 {x, y, z}
+   * @param {Float64Array} points - 点坐标 [x, y, z, ...]
+   * @param {Object} view - 切片和前沿检测参数（见 map-worker.js）
+   */
+  integrate(origin, points, view) {
+    if (!this.worker) {
+      this.post({ type: 'integrate', origin, points, view });
+      return;
+    }
+    if (this.integrating) {
+      if (this.queuedFrame) this.droppedFrames++;
+      this.queuedFrame = { origin, points, view };
+      return;
+    }
+
+    this.integrating = true;
+    this.post({ type: 'integrate', origin, points, view }, [points.buffer])
+      .catch(() => {})
+      .finally(() => {
+        this.integrating = false;
+        const next = this.queuedFrame;
+        this.queuedFrame = null;
+        if (next) {
+          this.integrate(next.origin, next.points, next.view);
+        }
+      });
+  }
+
+  seedFree(center, radius, minZ, maxZ, view) {
+    return this.post({ type: 'seedFree', center, radius, minZ, maxZ, view });
+  }
+
+  /**
+   * @returns {Promise<number>} 先验占据体素数
+   */
+  insertPriorMap(points, viewpoint, view) {
+    return this.post({ type: 'insertPriorMap', points, viewpoint, view });
+  }
+
+  importVoxels(data, offset, view) {
+    return this.post({ type: 'importVoxels', data, offset, view });
+  }
+
+  /**
+   * @returns {Promise<Object>} {keys, values}
+   */
+  exportVoxels() {
+    return this.post({ type: 'exportVoxels' });
+  }
+
+  /**
+   * 导出若干高度的二维切片（未膨胀）
+   * @param {Array} zs - 切片中心高度
+   * @param {number} halfHeight - 切片半高
+   * @returns {Promise<Array>} [{z, grid}]
+   */
+  async exportSlices(zs, halfHeight) {
+    const slices = await this.post({ type: 'exportSlices', zs, halfHeight });
+    return slices.map(({ z, chunks }) => {
+      const grid = new OccupancyGrid(this.grid.resolution, this.grid.chunkSize);
+      grid.importChunks(chunks);
+      return { z, grid };
+    });
+  }
+
+  /**
+   * 等待已发送的消息处理完后结束地图线程
+   */
+  async close() {
+    await Promise.allSettled([...this.pending.values()].map(request => request.promise));
+    if (this.worker) {
+      await this.worker.terminate();
+      this.worker = null;
+    }
+  }
+}
+
+module.exports = MapPipeline;
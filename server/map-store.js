@@ -0,0 +1,115 @@
+/**
+ * 探索地图存储 - 保存/加载探索地图快照，用于换电池后续飞
+ * 快照包含体素地图、已访问目标、不可达目标和起飞位姿
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// 数据存储目录
+const DATA_DIR = path.join(__dirname, 'data', 'maps');
+const DB_FILE = path.join(__dirname, 'data', 'maps.json');
+
+class MapStore {
+  constructor() {
+    this.maps = this.loadIndex();
+  }
+
+  /**
+   * 加载地图索引
+   */
+  loadIndex() {
+    try {
+      if (fs.existsSync(DB_FILE)) {
+        return JSON.parse(fs.readFileSync(DB_FILE, 'utf-8'));
+      }
+    } catch (error) {
+      console.error('加载地图索引失败:', error);
+    }
+    return [];
+  }
+
+  /**
+   * 保存地图索引
+   */
+  saveIndex() {
+    fs.writeFileSync(DB_FILE, JSON.stringify(this.maps, null, 2), 'utf-8');
+  }
+
+  /**
+   * 保存地图快照（同一 mapId 覆盖，续飞时累计）
+   * @param {string} mapId - 地图ID
+   * @param {Object} snapshot - 探索引擎导出的快照
+   * @param {string} name - 地图名称（可选，保留已有名称）
+   * @returns {Object} 地图元数据
+   */
+  saveMap(mapId, snapshot, name) {
+    if (!fs.existsSync(DATA_DIR)) {
+      fs.mkdirSync(DATA_DIR, { recursive: true });
+    }
+
+    fs.writeFileSync(path.join(DATA_DIR, `${mapId}.json`), JSON.stringify(snapshot), 'utf-8');
+
+    const existing = this.maps.find(m => m.id === mapId);
+    const meta = {
+      id: mapId,
+      name: name || existing?.name || mapId,
+      createdAt: existing?.createdAt || new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      flightCount: snapshot.flightCount,
+      exploredArea: snapshot.exploredArea,
+      voxelCount: snapshot.voxels.keys.length,
+      resolution: snapshot.resolution,
+      startPos: snapshot.startPos
+    };
+
+    if (existing) {
+      Object.assign(existing, meta);
+    } else {
+      this.maps.unshift(meta);
+    }
+    this.saveIndex();
+
+    return { ...meta };
+  }
+
+  /**
+   * 加载地图快照
+   * @returns {Object|null} 快照，不存在时返回 null
+   */
+  loadMap(mapId) {
+    if (!this.maps.some(m => m.id === mapId)) return null;
+
+    const file = path.join(DATA_DIR, `${mapId}.json`);
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  }
+
+  /**
+   * 获取地图列表
+   */
+  listMaps() {
+    return this.maps.map(m => ({ ...m }));
+  }
+
+  /**
+   * 删除地图
+   */
+  deleteMap(mapId) {
+    const index = this.maps.findIndex(m => m.id === mapId);
+    if (index === -1) {
+      return { success: false, message: '地图不存在' };
+    }
+
+    this.maps.splice(index, 1);
+    this.saveIndex();
+
+    const file = path.join(DATA_DIR, `${mapId}.json`);
+    if (fs.existsSync(file)) {
+      fs.rmSync(file, { force: true });
+    }
+    return { success: true, message: '地图已删除' };
+  }
+}
+
+module.exports = new MapStore();
@@ -0,0 +1,204 @@
+/**
+ * 地图线程
+ * 持有三维体素地图和二维规划切片，在独立线程中完成点云光线投射、切片导出、
+ * 增量膨胀（只重算变化格子周围）和前沿检测/聚类，通过消息与主线程的 MapPipeline 通信，
+ * 大点云不会阻塞主线程上的 HTTP / WebSocket / MQTT 处理
+ *
+ * 消息（主线程 → 地图线程，均带 id，按发送顺序处理）:
+ *   reset          {options: {resolution, chunkSize, maxRange}}
+ *   integrate      {origin, points: Float64Array [x,y,z,...], view}
+ *   seedFree       {center, radius, minZ, maxZ, view}
+ *   insertPriorMap {points, viewpoint, view}
+ *   importVoxels   {data, offset, view}
+ *   exportVoxels   {}
+ *   exportSlices   {zs, halfHeight}
+ * 修改地图的消息带 view = {z, halfHeight, full, frontier}，处理后回复 update:
+ *   {id, type: 'update', full, chunks | cells, sliceZ, frontiers, voxelStats, duration, result}
+ *   full 时 chunks 为整个切片，否则 cells 为占据值或膨胀值可能变化的格子
+ *   frontier = {center, radius, minZ, maxZ, clusterRadius, minClusterSize}，为 null 时不检测前沿（frontiers 为 null）
+ *
+ * 同一个 MapBackend 也可在主线程中直接调用（MapPipeline 的同步模式）
+ */
+
+const { isMainThread, parentPort } = require('worker_threads');
+const VoxelMap = require('./voxel-map');
+const OccupancyGrid = require('./occupancy-grid');
+
+/**
+ * 聚类前沿点
+ * @param {Array} rawFrontiers - 前沿体素中心 [{x, y, z}]
+ * @param {number} clusterRadius - 聚类半径（米）
+ * @param {number} minClusterSize - 最小簇大小
+ * @returns {Array} 簇中心 [{x, y, z, size}]
+ */
+function clusterFrontiers(rawFrontiers, clusterRadius, minClusterSize) {
+  if (rawFrontiers.length === 0) return [];
+
+  const clusters = [];
+  const visited = new Set();
+
+  for (let i = 0; i < rawFrontiers.length; i++) {
+    if (visited.has(i)) continue;
+
+    const cluster = [rawFrontiers[i]];
+    visited.add(i);
+
+    // 找到所有邻近点
+    for (let j = i + 1; j < rawFrontiers.length; j++) {
+      if (visited.has(j)) continue;
+
+      const dist = Math.hypot(
+        rawFrontiers[i].x - rawFrontiers[j].x,
+        rawFrontiers[i].y - rawFrontiers[j].y,
+        rawFrontiers[i].z - rawFrontiers[j].z
+      );
+
+      if (dist < clusterRadius) {
+        cluster.push(rawFrontiers[j]);
+        visited.add(j);
+      }
+    }
+
+    // 过滤太小的簇
+    if (cluster.length >= minClusterSize) {
+      // 计算簇中心
+      clusters.push({
+        x: cluster.reduce((sum, p) => sum + p.x, 0) / cluster.length,
+        y: cluster.reduce((sum, p) => sum + p.y, 0) / cluster.length,
+        z: cluster.reduce((sum, p) => sum + p.z, 0) / cluster.length,
+        size: cluster.length
+      });
+    }
+  }
+
+  return clusters;
+}
+
+class MapBackend {
+  constructor(options = {}) {
+    this.reset(options);
+  }
+
+  reset({ resolution = 0.2, chunkSize, maxRange } = {}) {
+    this.voxelMap = new VoxelMap({ resolution, maxRange });
+    this.grid = new OccupancyGrid(resolution, chunkSize);
+    this.grid.trackChanges();
+    this.sliceZ = null;  // 当前二维切片的中心高度
+  }
+
+  /**
+   * 处理一条消息
+   * @returns {Object} 回复（带相同 id）
+   */
+  handle(msg) {
+    const startTime = Date.now();
+    let result = null;
+
+    switch (msg.type) {
+      case 'reset':
+        this.reset(msg.options);
+        return { id: msg.id, type: 'reset' };
+
+      case 'integrate': {
+        // 三维光线投射：从无人机到点的体素记为空闲，终点体素记为占据
+        const { points, origin } = msg;
+        for (let i = 0; i + 2 < points.length; i += 3) {
+          this.voxelMap.insertRay(origin, { x: points[i], y: points[i + 1], z: points[i + 2] });
+        }
+        break;
+      }
+
+      case 'seedFree':
+        this.voxelMap.seedFree(msg.center, msg.radius, msg.minZ, msg.maxZ);
+        break;
+
+      case 'insertPriorMap':
+        result = this.voxelMap.insertPriorMap(msg.points, msg.viewpoint);
+        break;
+
+      case 'importVoxels':
+        this.voxelMap.importVoxels(msg.data, msg.offset);
+        break;
+
+      case 'exportVoxels':
+        return { id: msg.id, type: 'voxels', result: this.voxelMap.exportVoxels() };
+
+      case 'exportSlices':
+        return {
+          id: msg.id,
+          type: 'slices',
+          result: msg.zs.map(z => {
+            const grid = new OccupancyGrid(this.grid.resolution, this.grid.chunkSize);
+            this.voxelMap.exportSlice(grid, z - msg.halfHeight, z + msg.halfHeight, true, false);
+            return { z, chunks: grid.exportChunks() };
+          })
+        };
+
+      default:
+        throw new Error(`未知的地图消息: ${msg.type}`);
+    }
+
+    return { id: msg.id, type: 'update', result, ...this.updateView(msg.view), duration: Date.now() - startTime };
+  }
+
+  /**
+   * 更新二维规划切片（无人机高度 ± halfHeight）并检测前沿
+   * 高度变化超过一个体素时整体重建并整体膨胀，否则只更新变化的体素列、只重算变化格子周围的膨胀
+   */
+  updateView({ z, halfHeight, full = false, frontier = null }) {
+    if (full || this.sliceZ === null || Math.abs(z - this.sliceZ) >= this.voxelMap.resolution) {
+      this.sliceZ = z;
+      full = true;
+    }
+
+    this.voxelMap.exportSlice(this.grid, this.sliceZ - halfHeight, this.sliceZ + halfHeight, full);
+
+    const update = { full, sliceZ: this.sliceZ };
+    if (full) {
+      this.grid.takeChanges();
+      this.grid.inflateObstacles();
+      update.chunks = this.grid.exportChunks();
+    } else {
+      update.cells = this.grid.exportCells(this.grid.updateInflation(this.grid.takeChanges()));
+    }
+
+    // 三维前沿体素：空闲且与未知体素相邻（限制在当前位置周围和允许的飞行高度内）
+    update.frontiers = frontier
+      ? clusterFrontiers(this.voxelMap.detectFrontiers(frontier), frontier.clusterRadius, frontier.minClusterSize)
+      : null;
+    update.voxelStats = this.voxelMap.getStats();
+    return update;
+  }
+}
+
+/**
+ * 回复中可转移（零拷贝）的缓冲区
+ */
+function transferList(reply) {
+  const buffers = [];
+  if (reply.chunks) {
+    reply.chunks.forEach(c => buffers.push(c.data.buffer, c.inflated.buffer));
+  }
+  if (reply.cells) {
+    buffers.push(reply.cells.ax.buffer, reply.cells.ay.buffer, reply.cells.data.buffer, reply.cells.inflated.buffer);
+  }
+  if (reply.type === 'slices') {
+    reply.result.forEach(slice => slice.chunks.forEach(c => buffers.push(c.data.buffer, c.inflated.buffer)));
+  }
+  return buffers;
+}
+
+// 作为工作线程启动
+if (!isMainThread && parentPort) {
+  const backend = new MapBackend();
+  parentPort.on('message', (msg) => {
+    try {
+      const reply = backend.handle(msg);
+      parentPort.postMessage(reply, transferList(reply));
+    } catch (error) {
+      parentPort.postMessage({ id: msg.id, type: 'error', error: error.message });
+    }
+  });
+}
+
+module.exports = { MapBackend, clusterFrontiers };
@@ -20,6 +20,7 @@ class MissionRecorder {
     this.pointCloudSnapshots = [];
     this.trajectoryPoints = [];
     this.hasReceivedData = false; // 标记是否真正收到过数据
+    this.currentTaskIndex = null; // 当前执行的子任务序号（用于给视频帧标记航点）
 
     // 确保数据目录存在
     this.ensureDataDir();
@@ -68,6 +69,7 @@ class MissionRecorder {
    * 开始记录任务
    * @param {string} missionId - 任务ID
    * @param {object} missionData - 任务数据（航点等）
+   *   type: 'mission' 普通任务 / 'exploration' 自主探索；profile: 探索配置档案 {id, name}
    */
   startRecording(missionId, missionData = {}) {
     if (this.isRecording) {
@@ -87,10 +89,14 @@ class MissionRecorder {
       status: 'recording',
       waypoints: missionData.waypoints || [],
       waypointCount: missionData.waypointCount || 0,
+      type: missionData.type || 'mission',
+      profile: missionData.profile || null,
+      summary: null,
       dir: missionDir,
       videoFile: path.join(missionDir, 'video_frames'),
       pointCloudFile: path.join(missionDir, 'pointcloud.json'),
-      trajectoryFile: path.join(missionDir, 'trajectory.json')
+      trajectoryFile: path.join(missionDir, 'trajectory.json'),
+      framesIndexFile: path.join(missionDir, 'frames.json')
     };
 
     // 创建视频帧目录
@@ -101,13 +107,38 @@ class MissionRecorder {
     this.pointCloudSnapshots = [];
     this.trajectoryPoints = [];
     this.hasReceivedData = false; // 重置数据接收标记
+    this.currentTaskIndex = null;
 
     console.log(`📹 开始记录任务: ${missionId}`);
     return { success: true, missionId, timestamp };
   }
 
+  /**
+   * 更新当前执行的子任务（由任务跟踪器驱动）
+   * @param {string} missionId - 任务ID
+   * @param {number|null} taskIndex - 子任务序号
+   */
+  setCurrentTask(missionId, taskIndex) {
+    if (!this.isRecording || !this.currentMission || this.currentMission.id !== missionId) return;
+    this.currentTaskIndex = taskIndex;
+  }
+
+  /**
+   * 子任务序号转换为航点序号（只统计 autoPilot / line 子任务）
+   * 起飞/降落子任务返回 null
+   */
+  getWaypointIndex(taskIndex) {
+    const tasks = this.currentMission.waypoints;
+    if (taskIndex === null || !tasks[taskIndex]) return null;
+
+    const isWaypoint = task => !!(task.autoPilot || task.line);
+    if (!isWaypoint(tasks[taskIndex])) return null;
+    return tasks.slice(0, taskIndex).filter(isWaypoint).length;
+  }
+
   /**
    * 记录视频帧
+   * 帧会标记采集时正在执行的子任务和航点序号
    * @param {string} frameData - Base64编码的JPEG帧
    */
   recordVideoFrame(frameData) {
@@ -116,16 +147,24 @@ class MissionRecorder {
     try {
       this.hasReceivedData = true; // 标记收到数据
       const frameIndex = this.videoFrames.length;
-      const framePath = path.join(this.currentMission.videoFile, `frame_${String(frameIndex).padStart(6, '0')}.jpg`);
+      const filename = `frame_${String(frameIndex).padStart(6, '0')}.jpg`;
+      const framePath = path.join(this.currentMission.videoFile, filename);
 
       // 将Base64转为Buffer并保存
       const buffer = Buffer.from(frameData, 'base64');
       fs.writeFileSync(framePath, buffer);
 
+      const task = this.currentTaskIndex !== null ? this.currentMission.waypoints[this.currentTaskIndex] : null;
+      const cameraParam = task && (task.autoPilot || task.line)?.cameraParam;
+
       this.videoFrames.push({
         index: frameIndex,
         timestamp: Date.now(),
-        path: framePath
+        path: framePath,
+        filename,
+        taskIndex: this.currentTaskIndex,
+        waypointIndex: this.getWaypointIndex(this.currentTaskIndex),
+        cameraOn: !!(cameraParam && cameraParam.on)
       });
 
       // 每100帧输出一次日志
@@ -189,8 +228,10 @@ class MissionRecorder {
 
   /**
    * 停止记录并保存
+   * @param {string} status - 任务最终状态（completed/stopped/failed）
+   * @param {object} summary - 结果摘要（探索记录：{reason, exploredArea, duration}）
    */
-  stopRecording() {
+  stopRecording(status = 'completed', summary = null) {
     if (!this.isRecording || !this.currentMission) {
       return { success: false, message: '没有正在记录的任务' };
     }
@@ -218,7 +259,8 @@ class MissionRecorder {
 
       // 更新任务状态
       this.currentMission.endTime = new Date().toISOString();
-      this.currentMission.status = 'completed';
+      this.currentMission.status = status;
+      this.currentMission.summary = summary;
       this.currentMission.frameCount = this.videoFrames.length;
       this.currentMission.pointCloudSnapshotCount = this.pointCloudSnapshots.length;
       this.currentMission.trajectoryPointCount = this.trajectoryPoints.length;
@@ -237,6 +279,13 @@ class MissionRecorder {
         'utf-8'
       );
 
+      // 保存视频帧索引（帧与航点的对应关系）
+      fs.writeFileSync(
+        this.currentMission.framesIndexFile,
+        JSON.stringify(this.videoFrames.map(({ path: _path, ...frame }) => frame)),
+        'utf-8'
+      );
+
       // 添加到记录列表
       const missionRecord = {
         id: this.currentMission.id,
@@ -248,6 +297,9 @@ class MissionRecorder {
         frameCount: this.currentMission.frameCount,
         pointCloudSnapshotCount: this.currentMission.pointCloudSnapshotCount,
         trajectoryPointCount: this.currentMission.trajectoryPointCount,
+        type: this.currentMission.type,
+        profile: this.currentMission.profile,
+        summary: this.currentMission.summary,
         dir: this.currentMission.dir
       };
 
@@ -319,7 +371,10 @@ class MissionRecorder {
       waypointCount: m.waypointCount,
       frameCount: m.frameCount,
       pointCloudSnapshotCount: m.pointCloudSnapshotCount,
-      trajectoryPointCount: m.trajectoryPointCount
+      trajectoryPointCount: m.trajectoryPointCount,
+      type: m.type || 'mission',
+      profile: m.profile || null,
+      summary: m.summary || null
     }));
   }
 
@@ -344,7 +399,10 @@ class MissionRecorder {
         waypointCount: mission.waypointCount,
         frameCount: mission.frameCount,
         pointCloudSnapshotCount: mission.pointCloudSnapshotCount,
-        trajectoryPointCount: mission.trajectoryPointCount
+        trajectoryPointCount: mission.trajectoryPointCount,
+        type: mission.type || 'mission',
+        profile: mission.profile || null,
+        summary: mission.summary || null
       }
     };
 
@@ -374,8 +432,9 @@ class MissionRecorder {
   /**
    * 获取任务视频帧列表
    * @param {number} timestamp - 任务时间戳
+   * @param {number} waypointIndex - 只返回该航点（从0开始）采集的帧，可选
    */
-  getMissionFrames(timestamp) {
+  getMissionFrames(timestamp, waypointIndex = null) {
     const mission = this.missions.find(m => m.timestamp === parseInt(timestamp));
     if (!mission) {
       return { success: false, error: '任务记录不存在' };
@@ -386,16 +445,52 @@ class MissionRecorder {
       return { success: true, frames: [] };
     }
 
-    const frames = fs.readdirSync(framesDir)
+    // 读取帧索引（旧记录没有索引文件，航点信息为空）
+    const framesIndexFile = path.join(mission.dir, 'frames.json');
+    const frameMeta = {};
+    if (fs.existsSync(framesIndexFile)) {
+      try {
+        JSON.parse(fs.readFileSync(framesIndexFile, 'utf-8')).forEach(frame => {
+          frameMeta[frame.filename] = frame;
+        });
+      } catch (e) {
+        // 索引损坏时忽略航点信息
+      }
+    }
+
+    let frames = fs.readdirSync(framesDir)
       .filter(f => f.endsWith('.jpg'))
       .sort()
       .map((f, index) => ({
         index,
         filename: f,
-        url: `/api/missions/${timestamp}/frames/${f}`
+        url: `/api/missions/${timestamp}/frames/${f}`,
+        timestamp: frameMeta[f]?.timestamp ?? null,
+        taskIndex: frameMeta[f]?.taskIndex ?? null,
+        waypointIndex: frameMeta[f]?.waypointIndex ?? null,
+        cameraOn: frameMeta[f]?.cameraOn ?? false
       }));
 
-    return { success: true, frames, total: frames.length };
+    // 按航点汇总：每个航点的帧数和第一帧序号（用于跳转）
+    const waypointSummary = {};
+    frames.forEach(frame => {
+      if (frame.waypointIndex === null) return;
+      const summary = waypointSummary[frame.waypointIndex] ||
+        (waypointSummary[frame.waypointIndex] = { waypointIndex: frame.waypointIndex, firstFrame: frame.index, frameCount: 0, photoCount: 0 });
+      summary.frameCount++;
+      if (frame.cameraOn) summary.photoCount++;
+    });
+
+    if (waypointIndex !== null) {
+      frames = frames.filter(frame => frame.waypointIndex === waypointIndex);
+    }
+
+    return {
+      success: true,
+      frames,
+      total: frames.length,
+      waypoints: Object.values(waypointSummary).sort((a, b) => a.waypointIndex - b.waypointIndex)
+    };
   }
 
   /**
@@ -454,6 +549,8 @@ class MissionRecorder {
       currentMission: this.currentMission ? {
         id: this.currentMission.id,
         startTime: this.currentMission.startTime,
+        type: this.currentMission.type,
+        profile: this.currentMission.profile,
         frameCount: this.videoFrames.length,
         trajectoryPointCount: this.trajectoryPoints.length
       } : null
@@ -0,0 +1,305 @@
+const EventEmitter = require('events');
+
+// 最多保留的任务数量
+const MAX_TRACKED = 20;
+
+// 下发START后等待无人机进入执行状态的超时时间（毫秒）
+const DISPATCH_TIMEOUT = 10000;
+
+// 心跳 mission_state 中表示"正在执行"的状态
+const ACTIVE_STATES = ['DISPATCH', 'PLAN', 'REPLAN', 'LINE', 'CIRCLE', 'ROTATE', 'ESCAPT'];
+
+// 终止状态
+const FINAL_STATUSES = ['completed', 'stopped', 'failed'];
+
+/**
+ * 任务状态跟踪器
+ * 跟踪每个已发布任务的生命周期：
+ *   published → receipted → dispatched → executing → completed / stopped / failed
+ * 执行进度由心跳中的 mission_state（state + queue_size）推算
+ */
+class MissionTracker extends EventEmitter {
+  constructor() {
+    super();
+
+    this.missions = new Map();     // {missionId: mission}
+    this.activeMissionId = null;   // 当前下发执行的任务ID
+    this.lastMissionState = null;  // 最近一次心跳中的任务状态
+    this.dispatchTimer = null;
+
+    console.log('📋 任务跟踪器已初始化');
+  }
+
+  /**
+   * 任务已发布到 /daf/mission
+   * @param {Object} mission - {id, tasks}
+   */
+  onMissionPublished(mission) {
+    if (!mission || !mission.id) return;
+
+    const tracked = {
+      id: mission.id,
+      taskCount: mission.tasks ? mission.tasks.length : 0,
+      status: 'published',
+      currentTaskIndex: null,
+      queueSize: null,
+      droneState: null,
+      reason: null,
+      publishedAt: Date.now(),
+      receiptedAt: null,
+      dispatchedAt: null,
+      startedAt: null,
+      endedAt: null,
+      history: []
+    };
+
+    this.missions.delete(mission.id);
+    this.missions.set(mission.id, tracked);
+    this.recordTransition(tracked, 'published');
+    this.cleanup();
+  }
+
+  /**
+   * 收到 /daf/mission/receipt
+   * @param {Object} receipt - {id}
+   */
+  onReceipt(receipt) {
+    const mission = receipt && this.missions.get(receipt.id);
+    if (!mission) return;
+
+    if (mission.status === 'published') {
+      mission.receiptedAt = Date.now();
+      this.transition(mission, 'receipted');
+    }
+  }
+
+  /**
+   * 任务多次重发后仍未收到回执
+   * @param {string} missionId
+   */
+  onReceiptTimeout(missionId) {
+    const mission = this.missions.get(missionId);
+    if (!mission || mission.status !== 'published') return;
+
+    this.finish(mission, 'failed', 'receipt_timeout');
+  }
+
+  /**
+   * 执行指令已发布到 /daf/mission/execution
+   * action 兼容数字枚举和字符串
+   * @param {Object} execution - {id, action}
+   */
+  onExecution(execution) {
+    const mission = execution && this.missions.get(execution.id);
+    if (!mission || this.isFinal(mission)) return;
+
+    const action = typeof execution.action === 'string'
+      ? execution.action
+      : ['START', 'PAUSE', 'RESUME', 'STOP', 'CLEAR'][execution.action];
+
+    switch (action) {
+      case 'START':
+        // 新任务开始执行，之前仍在执行的任务被替换
+        if (this.activeMissionId && this.activeMissionId !== mission.id) {
+          const previous = this.missions.get(this.activeMissionId);
+          if (previous && !this.isFinal(previous)) {
+            this.finish(previous, 'stopped', 'superseded');
+          }
+        }
+        this.activeMissionId = mission.id;
+        mission.dispatchedAt = Date.now();
+        this.transition(mission, 'dispatched');
+        this.startDispatchTimer(mission);
+        break;
+
+      case 'PAUSE':
+        if (mission.status === 'executing') {
+          this.transition(mission, 'paused');
+        }
+        break;
+
+      case 'RESUME':
+        if (mission.status === 'paused') {
+          this.transition(mission, 'executing');
+        }
+        break;
+
+      case 'STOP':
+      case 'CLEAR':
+        this.finish(mission, 'stopped', action === 'STOP' ? 'operator_stop' : 'operator_clear');
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  /**
+   * 起飞/降落指令已发布到 /daf/command
+   * 无人机收到指令后中止当前任务再执行起飞/降落，当前任务按停止处理
+   * @param {Object} command - {action}，TAKE_OFF=0 / LAND=1
+   */
+  onCommand(command) {
+    const mission = this.activeMissionId && this.missions.get(this.activeMissionId);
+    if (!mission || this.isFinal(mission)) return;
+
+    const action = typeof command.action === 'string'
+      ? command.action
+      : ['TAKE_OFF', 'LAND'][command.action ?? 0];
+    this.finish(mission, 'stopped', action === 'LAND' ? 'command_land' : 'command_take_off');
+  }
+
+  /**
+   * 收到心跳，根据 mission_state 推进当前任务状态
+   * @param {Object} heartbeat - 解码后的心跳 {missionState: {state, queueSize}}
+   */
+  onHeartbeat(heartbeat) {
+    const missionState = heartbeat && heartbeat.missionState;
+    if (!missionState) return;
+
+    this.lastMissionState = {
+      state: missionState.state,
+      queueSize: missionState.queueSize || 0,
+      timestamp: Date.now()
+    };
+
+    const mission = this.activeMissionId && this.missions.get(this.activeMissionId);
+    if (!mission || this.isFinal(mission)) return;
+
+    const { state, queueSize } = this.lastMissionState;
+    const changed = mission.droneState !== state || mission.queueSize !== queueSize;
+    mission.droneState = state;
+    mission.queueSize = queueSize;
+
+    // 无人机报告任务停止（停止指令或机载中止，如避障中止）
+    if (state === 'STOP') {
+      this.finish(mission, 'stopped', 'drone_stop');
+      return;
+    }
+
+    if (ACTIVE_STATES.includes(state) && queueSize > 0) {
+      // 当前子任务序号 = 总数 - 剩余队列（队列包含正在执行的子任务）
+      mission.currentTaskIndex = Math.max(0, Math.min(mission.taskCount - 1, mission.taskCount - queueSize));
+
+      if (mission.status === 'dispatched' || mission.status === 'receipted' || mission.status === 'published') {
+        mission.startedAt = Date.now();
+        this.clearDispatchTimer();
+        this.transition(mission, 'executing');
+      } else if (changed) {
+        this.emitUpdate(mission);
+      }
+      return;
+    }
+
+    // 执行过程中队列清空并回到等待状态 → 任务完成
+    // 短任务可能在两次心跳之间执行完，没有观察到执行状态：已回执（无人机持有任务队列）且已下发START，
+    // 再回到空闲且队列为空同样视为完成（未执行前队列不为空）
+    const running = mission.status === 'executing' || mission.status === 'paused' ||
+      (mission.status === 'dispatched' && mission.receiptedAt !== null);
+    if (running && queueSize === 0 && (state === 'WAIT' || state === 'INIT')) {
+      mission.currentTaskIndex = mission.taskCount - 1;
+      this.finish(mission, 'completed');
+    }
+  }
+
+  /**
+   * 启动派发超时计时：START后无人机迟迟不进入执行状态则判定失败
+   */
+  startDispatchTimer(mission) {
+    this.clearDispatchTimer();
+    this.dispatchTimer = setTimeout(() => {
+      this.dispatchTimer = null;
+      if (mission.status === 'dispatched') {
+        console.warn(`⏰ 任务 ${mission.id} 下发后 ${DISPATCH_TIMEOUT / 1000}s 未开始执行`);
+        this.finish(mission, 'failed', 'dispatch_timeout');
+      }
+    }, DISPATCH_TIMEOUT);
+  }
+
+  clearDispatchTimer() {
+    if (this.dispatchTimer) {
+      clearTimeout(this.dispatchTimer);
+      this.dispatchTimer = null;
+    }
+  }
+
+  /**
+   * 任务进入终止状态
+   */
+  finish(mission, status, reason = null) {
+    mission.endedAt = Date.now();
+    mission.reason = reason;
+    if (mission.id === this.activeMissionId) {
+      this.clearDispatchTimer();
+      this.activeMissionId = null;
+    }
+    this.transition(mission, status);
+    this.emit('mission:finished', this.snapshot(mission));
+  }
+
+  /**
+   * 状态切换并推送
+   */
+  transition(mission, status) {
+    if (mission.status === status) return;
+    mission.status = status;
+    this.recordTransition(mission, status);
+  }
+
+  recordTransition(mission, status) {
+    mission.history.push({ status, timestamp: Date.now() });
+    console.log(`📋 任务 ${mission.id} → ${status}${mission.reason ? ` (${mission.reason})` : ''}`);
+    this.emitUpdate(mission);
+  }
+
+  emitUpdate(mission) {
+    this.emit('mission:state', this.snapshot(mission));
+  }
+
+  isFinal(mission) {
+    return FINAL_STATUSES.includes(mission.status);
+  }
+
+  /**
+   * 清理超出上限的旧任务
+   */
+  cleanup() {
+    while (this.missions.size > MAX_TRACKED) {
+      const oldestId = this.missions.keys().next().value;
+      if (oldestId === this.activeMissionId) break;
+      this.missions.delete(oldestId);
+    }
+  }
+
+  /**
+   * 任务快照（用于推送和REST查询）
+   */
+  snapshot(mission) {
+    return {
+      ...mission,
+      history: [...mission.history]
+    };
+  }
+
+  /**
+   * 获取指定任务状态
+   */
+  getMission(missionId) {
+    const mission = this.missions.get(missionId);
+    return mission ? this.snapshot(mission) : null;
+  }
+
+  /**
+   * 获取当前执行中的任务和最近任务列表
+   */
+  getState() {
+    const active = this.activeMissionId ? this.missions.get(this.activeMissionId) : null;
+    return {
+      activeMission: active ? this.snapshot(active) : null,
+      droneMissionState: this.lastMissionState,
+      missions: Array.from(this.missions.values()).reverse().map(m => this.snapshot(m))
+    };
+  }
+}
+
+module.exports = MissionTracker;
@@ -0,0 +1,184 @@
+/**
+ * 任务校验器
+ * 在任务编码下发前检查任务结构和参数是否合法，并检查是否在安全边界内
+ */
+const safetyEnvelope = require('./safety-envelope');
+
+// Line 任务速度/加速度上限（室内飞行）
+const MAX_LINE_SPEED = 3.0;   // m/s
+const MAX_LINE_ACCEL = 3.0;   // m/s²
+const MIN_LINE_LENGTH = 0.1;  // 线段最短长度（米）
+
+// Line.YawMode 枚举（与 mission.proto 一致）
+const YAW_MODE = {
+  FIXED: 0,
+  TARGET: 1
+};
+
+// CameraParam.Mode 枚举（与 camera.proto 一致）
+const CAMERA_MODE = {
+  PHOTO: 0,
+  VIDEO: 1
+};
+
+class MissionValidator {
+  /**
+   * 校验任务
+   * @param {Object} mission - 任务数据 {id, tasks: [...]}
+   * @param {Object} options - {startPosition}: 无人机当前位置（用于安全边界航段检查）
+   * @returns {Object} {valid, reason, errors: [{taskIndex, field, code?, message}], mission}
+   *   reason 为 'INVALID_MISSION'（结构错误）或 'SAFETY_ENVELOPE'（超出安全边界）
+   *   mission 为规范化后的任务（枚举统一为数字，供 protobuf 编码）
+   */
+  validateMission(mission, options = {}) {
+    const errors = [];
+
+    if (!mission || typeof mission !== 'object') {
+      return { valid: false, reason: 'INVALID_MISSION', errors: [{ taskIndex: null, field: 'mission', message: '任务数据为空' }], mission };
+    }
+
+    if (!mission.id || typeof mission.id !== 'string') {
+      errors.push({ taskIndex: null, field: 'id', message: '任务ID必须是非空字符串' });
+    }
+
+    if (!Array.isArray(mission.tasks) || mission.tasks.length === 0) {
+      errors.push({ taskIndex: null, field: 'tasks', message: '任务列表不能为空' });
+      return { valid: false, reason: 'INVALID_MISSION', errors, mission };
+    }
+
+    const tasks = mission.tasks.map((task, index) => this.validateTask(task, index, errors));
+    const normalized = { ...mission, tasks };
+
+    if (errors.length > 0) {
+      return { valid: false, reason: 'INVALID_MISSION', errors, mission: normalized };
+    }
+
+    // 结构合法后再检查安全边界
+    const safetyErrors = safetyEnvelope.checkMission(normalized, options);
+    if (safetyErrors.length > 0) {
+      return { valid: false, reason: 'SAFETY_ENVELOPE', errors: safetyErrors, mission: normalized };
+    }
+
+    return { valid: true, reason: null, errors, mission: normalized };
+  }
+
+  /**
+   * 校验单个子任务，返回规范化后的子任务
+   */
+  validateTask(task, index, errors) {
+    if (!task || typeof task !== 'object') {
+      errors.push({ taskIndex: index, field: 'task', message: `第${index + 1}个子任务为空` });
+      return task;
+    }
+
+    const types = ['takeOff', 'land', 'autoPilot', 'line'].filter(type => task[type]);
+    if (types.length !== 1) {
+      errors.push({ taskIndex: index, field: 'task', message: `第${index + 1}个子任务必须且只能包含一种类型` });
+      return task;
+    }
+
+    if (task.autoPilot) {
+      if (!this.isValidVector(task.autoPilot.position)) {
+        errors.push({ taskIndex: index, field: 'autoPilot.position', message: `第${index + 1}个子任务航点坐标无效` });
+      }
+      const cameraParam = this.validateCameraParam(task.autoPilot.cameraParam, index, 'autoPilot', errors);
+      return { ...task, autoPilot: { ...task.autoPilot, cameraParam } };
+    }
+
+    if (task.line) {
+      return { ...task, line: this.validateLine(task.line, index, errors) };
+    }
+
+    return task;
+  }
+
+  /**
+   * 校验 Line 子任务参数
+   */
+  validateLine(line, index, errors) {
+    const label = `第${index + 1}个子任务(直线)`;
+    const normalized = { ...line };
+
+    if (!this.isValidVector(line.start)) {
+      errors.push({ taskIndex: index, field: 'line.start', message: `${label}起点坐标无效` });
+    }
+    if (!this.isValidVector(line.end)) {
+      errors.push({ taskIndex: index, field: 'line.end', message: `${label}终点坐标无效` });
+    }
+    if (this.isValidVector(line.start) && this.isValidVector(line.end)) {
+      const length = Math.hypot(
+        line.end.x - line.start.x,
+        line.end.y - line.start.y,
+        line.end.z - line.start.z
+      );
+      if (length < MIN_LINE_LENGTH) {
+        errors.push({ taskIndex: index, field: 'line.end', message: `${label}起点与终点过近 (${length.toFixed(2)}m)` });
+      }
+    }
+
+    if (!this.isPositiveNumber(line.maxSpeed) || line.maxSpeed > MAX_LINE_SPEED) {
+      errors.push({ taskIndex: index, field: 'line.maxSpeed', message: `${label}最大速度必须在 0-${MAX_LINE_SPEED} m/s 之间` });
+    }
+    if (!this.isPositiveNumber(line.maxAccel) || line.maxAccel > MAX_LINE_ACCEL) {
+      errors.push({ taskIndex: index, field: 'line.maxAccel', message: `${label}最大加速度必须在 0-${MAX_LINE_ACCEL} m/s² 之间` });
+    }
+
+    // 航向模式：兼容字符串 "FIXED"/"TARGET" 和数字枚举
+    const yawMode = typeof line.yawMode === 'string' ? YAW_MODE[line.yawMode] : (line.yawMode ?? YAW_MODE.FIXED);
+    if (yawMode !== YAW_MODE.FIXED && yawMode !== YAW_MODE.TARGET) {
+      errors.push({ taskIndex: index, field: 'line.yawMode', message: `${label}航向模式无效: ${line.yawMode}` });
+    } else {
+      normalized.yawMode = yawMode;
+    }
+
+    if (yawMode === YAW_MODE.TARGET && !this.isValidVector(line.yawTarget)) {
+      errors.push({ taskIndex: index, field: 'line.yawTarget', message: `${label}指向目标模式需要有效的目标坐标` });
+    }
+    if (yawMode === YAW_MODE.FIXED && line.yawFixed !== undefined && !Number.isFinite(line.yawFixed)) {
+      errors.push({ taskIndex: index, field: 'line.yawFixed', message: `${label}固定航向无效` });
+    }
+
+    normalized.cameraParam = this.validateCameraParam(line.cameraParam, index, 'line', errors);
+
+    return normalized;
+  }
+
+  /**
+   * 校验相机参数，返回规范化后的参数（未设置时默认关闭）
+   * 模式兼容字符串 "PHOTO"/"VIDEO" 和数字枚举，interval 单位为毫秒
+   */
+  validateCameraParam(cameraParam, index, taskType, errors) {
+    if (!cameraParam) {
+      return { on: false, mode: CAMERA_MODE.PHOTO, interval: 0 };
+    }
+
+    const label = `第${index + 1}个子任务相机参数`;
+    const mode = typeof cameraParam.mode === 'string' ? CAMERA_MODE[cameraParam.mode] : (cameraParam.mode ?? CAMERA_MODE.PHOTO);
+    const interval = cameraParam.interval ?? 0;
+
+    if (mode !== CAMERA_MODE.PHOTO && mode !== CAMERA_MODE.VIDEO) {
+      errors.push({ taskIndex: index, field: `${taskType}.cameraParam.mode`, message: `${label}模式无效: ${cameraParam.mode}` });
+    }
+    if (!Number.isFinite(interval) || interval < 0) {
+      errors.push({ taskIndex: index, field: `${taskType}.cameraParam.interval`, message: `${label}拍照间隔必须是非负数（毫秒）` });
+    }
+
+    return { on: !!cameraParam.on, mode, interval };
+  }
+
+  /**
+   * 检查 {x, y, z} 是否为有限数值
+   */
+  isValidVector(v) {
+    return !!v && Number.isFinite(v.x) && Number.isFinite(v.y) && Number.isFinite(v.z);
+  }
+
+  /**
+   * 检查是否为正数
+   */
+  isPositiveNumber(value) {
+    return Number.isFinite(value) && value > 0;
+  }
+}
+
+module.exports = new MissionValidator();
@@ -9,6 +9,9 @@ class MqttClient {
     this.subscribers = new Set();
     this.explorationCallback = null; // 探索引擎数据回调
     this.cameraCallback = null; // 摄像头数据回调（用于MJPEG流）
+    this.heartbeatCallback = null; // 心跳数据回调（用于任务状态跟踪）
+    this.missionPublishCallback = null; // 任务/执行指令发布回调（用于任务状态跟踪）
+    this.pendingReceipts = new Map(); // 等待回执的任务 {missionId: {resolve, timer, attempts}}
   }
 
   /**
@@ -59,7 +62,9 @@ class MqttClient {
    */
   subscribeAll() {
     config.topics.forEach(topic => {
-      this.client.subscribe(topic, (err) => {
+      // 任务回执使用 QoS 1，避免回执丢失导致重发
+      const qos = topic === '/daf/mission/receipt' ? config.publish.qos : 0;
+      this.client.subscribe(topic, { qos }, (err) => {
         if (err) {
           console.error(`❌ 订阅失败 [${topic}]:`, err);
         } else {
@@ -74,6 +79,17 @@ class MqttClient {
    */
   handleMessage(topic, payload) {
     try {
+      // 模拟器状态为 JSON（不是 Protobuf），直接转发给 WebSocket 客户端
+      if (topic === '/daf/simulator/status') {
+        this.broadcast({
+          type: 'mqtt_message',
+          topic: topic,
+          data: JSON.parse(payload.toString()),
+          timestamp: Date.now()
+        });
+        return;
+      }
+
       // 解码 Protobuf 消息
       const data = protoHandler.decode(topic, payload);
 
@@ -100,9 +116,17 @@ class MqttClient {
           this.cameraCallback(data.data);
         }
 
-        // 如果有任务回执回调，传递任务回执数据
-        if (this.missionReceiptCallback && topic === '/daf/mission/receipt') {
-          this.missionReceiptCallback(data);
+        // 任务回执：先完成等待中的下发，再通知回调
+        if (topic === '/daf/mission/receipt') {
+          this.resolveReceipt(data);
+          if (this.missionReceiptCallback) {
+            this.missionReceiptCallback(data);
+          }
+        }
+
+        // 如果有心跳回调，传递心跳数据
+        if (this.heartbeatCallback && topic === '/daf/heartbeat') {
+          this.heartbeatCallback(data);
         }
 
         // 日志已关闭 - 避免刷屏
@@ -125,45 +149,213 @@ class MqttClient {
   }
 
   /**
-   * 发布任务
+   * 发布任务（QoS 1），等待 /daf/mission/receipt 回执，超时按退避重发
+   * 编码失败时同步抛出异常；下发结果通过 Promise 返回（不会 reject）
+   * @returns {Promise<Object>} {delivered, missionId, attempts, elapsed}
    */
   publishMission(missionData) {
-    try {
-      const buffer = protoHandler.createMission(missionData);
-      this.client.publish('/daf/mission', buffer);
-      console.log('✅ 任务已发布:', missionData.id);
-    } catch (error) {
-      console.error('❌ 发布任务失败:', error);
-      throw error;
+    const buffer = protoHandler.createMission(missionData);
+    const missionId = missionData.id;
+    const { receiptTimeout, maxAttempts, backoffFactor, ackTimeout } = config.publish;
+    const startTime = Date.now();
+
+    // 同一任务重复下发时，之前的等待作废
+    this.cancelPendingReceipt(missionId, 'superseded');
+
+    return new Promise((resolve) => {
+      const pending = { resolve, timer: null, attempts: 0, startTime };
+      this.pendingReceipts.set(missionId, pending);
+
+      const attempt = () => {
+        pending.attempts++;
+        // 每次发送独立等待 PUBACK，未确认的副本超时后移除，重发由回执超时负责
+        this.publishBuffer('/daf/mission', buffer, ackTimeout).catch(error => {
+          console.error(`❌ 任务 ${missionId} 第${pending.attempts}次发送失败:`, error.message);
+        });
+        console.log(`📤 发送任务: ${missionId} (第${pending.attempts}次)`);
+
+        if (pending.attempts === 1 && this.missionPublishCallback) {
+          this.missionPublishCallback('mission', missionData);
+        }
+
+        const timeout = receiptTimeout * Math.pow(backoffFactor, pending.attempts - 1);
+        pending.timer = setTimeout(() => {
+          if (pending.attempts < maxAttempts) {
+            console.warn(`⏳ 任务 ${missionId} 未收到回执，${timeout}ms 后重发`);
+            attempt();
+            return;
+          }
+
+          console.error(`❌ 任务 ${missionId} 回执超时（已发送${pending.attempts}次）`);
+          this.pendingReceipts.delete(missionId);
+          if (this.missionPublishCallback) {
+            this.missionPublishCallback('receipt_timeout', missionData);
+          }
+          resolve({
+            delivered: false,
+            missionId,
+            attempts: pending.attempts,
+            elapsed: Date.now() - startTime,
+            reason: 'receipt_timeout'
+          });
+        }, timeout);
+      };
+
+      attempt();
+    });
+  }
+
+  /**
+   * 发布任务并在收到回执后发送 START 执行指令
+   * @returns {Promise<Object>} {delivered, started, missionId, attempts, elapsed}
+   */
+  async publishMissionAndStart(missionData) {
+    const result = await this.publishMission(missionData);
+    if (!result.delivered) {
+      return { ...result, started: false };
     }
+
+    const execution = await this.publishExecution({ id: missionData.id, action: 0 }); // START
+    return { ...result, started: execution.delivered };
+  }
+
+  /**
+   * 收到任务回执，完成对应的等待
+   */
+  resolveReceipt(receipt) {
+    const pending = receipt && this.pendingReceipts.get(receipt.id);
+    if (!pending) return;
+
+    clearTimeout(pending.timer);
+    this.pendingReceipts.delete(receipt.id);
+    pending.resolve({
+      delivered: true,
+      missionId: receipt.id,
+      attempts: pending.attempts,
+      elapsed: Date.now() - pending.startTime
+    });
+  }
+
+  /**
+   * 取消等待中的任务回执
+   */
+  cancelPendingReceipt(missionId, reason) {
+    const pending = this.pendingReceipts.get(missionId);
+    if (!pending) return;
+
+    clearTimeout(pending.timer);
+    this.pendingReceipts.delete(missionId);
+    pending.resolve({
+      delivered: false,
+      missionId,
+      attempts: pending.attempts,
+      elapsed: Date.now() - pending.startTime,
+      reason
+    });
   }
 
   /**
-   * 发布任务执行指令
+   * 发布任务执行指令（QoS 1，等待 broker PUBACK）
+   * @returns {Promise<Object>} {delivered, reason?}
    */
   publishExecution(executionData) {
-    try {
-      const buffer = protoHandler.createExecution(executionData);
-      this.client.publish('/daf/mission/execution', buffer);
-      console.log('✅ 执行指令已发布:', executionData);
-    } catch (error) {
-      console.error('❌ 发布执行指令失败:', error);
-      throw error;
+    const buffer = protoHandler.createExecution(executionData);
+    console.log('📤 发送执行指令:', executionData);
+
+    if (this.missionPublishCallback) {
+      this.missionPublishCallback('execution', executionData);
     }
+
+    return this.publishAcked('/daf/mission/execution', buffer);
   }
 
   /**
-   * 发布起飞/降落指令
+   * 发布起飞/降落指令（QoS 1，等待 broker PUBACK）
+   * @returns {Promise<Object>} {delivered, reason?}
    */
   publishCommand(commandData) {
-    try {
-      const buffer = protoHandler.createCommand(commandData);
-      this.client.publish('/daf/command', buffer);
-      console.log('✅ 指令已发布:', commandData);
-    } catch (error) {
-      console.error('❌ 发布指令失败:', error);
-      throw error;
+    const buffer = protoHandler.createCommand(commandData);
+    console.log('📤 发送指令:', commandData);
+
+    if (this.missionPublishCallback) {
+      this.missionPublishCallback('command', commandData);
     }
+
+    return this.publishAcked('/daf/command', buffer);
+  }
+
+  /**
+   * 发布机载模块控制指令（QoS 1，等待 broker PUBACK）
+   * @param {Object} commandData - {module, action}，action 为 STOP=0/START=1/RESTART=2
+   * @returns {Promise<Object>} {delivered, reason?}
+   */
+  publishModuleCommand(commandData) {
+    const buffer = protoHandler.createModuleCommand(commandData);
+    console.log('📤 发送模块控制指令:', commandData);
+
+    return this.publishAcked('/daf/control', buffer);
+  }
+
+  /**
+   * 以 QoS 1 发布并等待 PUBACK，未连接或超时返回 {delivered: false}
+   * 未送达的指令不会留在发送队列中（避免重连后补发过时的 START/STOP/LAND）
+   */
+  publishAcked(topic, buffer) {
+    return this.publishBuffer(topic, buffer, config.publish.ackTimeout)
+      .then(() => ({ delivered: true }))
+      .catch(error => {
+        console.error(`❌ 指令未送达 [${topic}]:`, error.message);
+        return { delivered: false, reason: error.code || error.message };
+      });
+  }
+
+  /**
+   * 以配置的 QoS 发布原始数据，PUBACK 后 resolve
+   * 未连接时直接失败，不进入 mqtt.js 的离线队列；
+   * 指定 ackTimeout 时超时未收到 PUBACK 则从发送队列中移除该消息并失败
+   * @param {string} topic - 话题
+   * @param {Buffer} buffer - 消息内容
+   * @param {number} ackTimeout - 等待 PUBACK 的超时（毫秒），不指定则一直等待
+   */
+  publishBuffer(topic, buffer, ackTimeout = null) {
+    return new Promise((resolve, reject) => {
+      if (!this.client || !this.client.connected) {
+        reject(Object.assign(new Error('MQTT 未连接，消息未发送'), { code: 'not_connected' }));
+        return;
+      }
+
+      let settled = false;
+      let timer = null;
+      const callback = (error) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        if (error) {
+          reject(error);
+        } else {
+          resolve();
+        }
+      };
+
+      this.client.publish(topic, buffer, { qos: config.publish.qos }, callback);
+
+      if (ackTimeout && config.publish.qos > 0) {
+        timer = setTimeout(() => {
+          if (settled) return;
+          settled = true;
+          // mqtt.js 按 messageId 保存待确认消息，断线重连后会补发，超时后移除
+          const messageId = Object.keys(this.client.outgoing)
+            .find(id => this.client.outgoing[id].cb === callback);
+          if (messageId !== undefined) {
+            this.client.removeOutgoingMessage(Number(messageId));
+          }
+          reject(Object.assign(
+            new Error(`等待 PUBACK 超时（${ackTimeout}ms），已从发送队列移除，不会补发`),
+            { code: 'ack_timeout' }
+          ));
+        }, ackTimeout);
+      }
+    });
   }
 
   /**
@@ -199,7 +391,8 @@ class MqttClient {
     return {
       connected: this.connected,
       broker: `${config.mqtt.broker}:${config.mqtt.port}`,
-      subscribers: this.subscribers.size
+      subscribers: this.subscribers.size,
+      pendingReceipts: this.pendingReceipts.size
     };
   }
 
@@ -223,6 +416,21 @@ class MqttClient {
   setMissionReceiptCallback(callback) {
     this.missionReceiptCallback = callback;
   }
+
+  /**
+   * 设置心跳数据回调（用于任务状态跟踪）
+   */
+  setHeartbeatCallback(callback) {
+    this.heartbeatCallback = callback;
+  }
+
+  /**
+   * 设置任务/执行指令发布回调（用于任务状态跟踪）
+   * callback(type, data)，type 为 'mission' 或 'execution'
+   */
+  setMissionPublishCallback(callback) {
+    this.missionPublishCallback = callback;
+  }
 }
 
 module.exports = new MqttClient();
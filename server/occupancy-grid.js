@@ -1,37 +1,148 @@
 /**
  * 占据栅格地图
  * 用于Web端探索的2D地图表示
+ *
+ * 分块存储：地图由 chunkSize × chunkSize 的格子块组成，写入新区域时按需分配，
+ * 内存只随已探索区域增长（长走廊、仓库不受固定地图尺寸限制）。
+ * width/height/origin 是所有已分配块的外接矩形，栅格坐标 (gx, gy) 相对于 origin，
+ * 地图向负方向生长时 origin 会随之移动，因此栅格坐标只在两次写入之间有效，跨周期保存位置请使用世界坐标。
  */
+
+// 默认块边长（格子数），0.2m 分辨率时约 12.8m
+const DEFAULT_CHUNK_SIZE = 64;
+
+// 绝对格子坐标键的偏移（坐标范围 ±2^24 格，0.2m 分辨率时约 ±3300km，键值不超过 2^50，保持整数精度）
+const CELL_OFFSET = 16777216;   // 2^24
+const CELL_SPAN = 33554432;     // 2^25
+
 class OccupancyGrid {
-  constructor(width, height, resolution) {
-    this.width = width;           // 格子数（X方向）
-    this.height = height;          // 格子数（Y方向）
+  /**
+   * @param {number} resolution - 每格分辨率（米）
+   * @param {number} chunkSize - 块边长（格子数）
+   */
+  constructor(resolution, chunkSize = DEFAULT_CHUNK_SIZE) {
     this.resolution = resolution;  // 每格分辨率（米）
+    this.chunkSize = chunkSize;
 
-    // 地图原点（世界坐标）
-    this.origin = {
-      x: -width * resolution / 2,
-      y: -height * resolution / 2
-    };
+    // 块数据：块键 → {data, inflated}
+    // data: 0=未知, 1=空闲, -1=占据
+    // inflated: 膨胀地图（考虑无人机体积），0=未知, 1=空闲, -1=占据（已膨胀）
+    this.chunks = new Map();
 
-    // 地图数据：0=未知, 1=空闲, -1=占据
-    this.data = new Int8Array(width * height).fill(0);
+    // 已分配块的范围（块坐标），无块时为 null
+    this.chunkBounds = null;
 
-    // 膨胀地图：考虑无人机体积的安全地图
-    // 0=未知, 1=空闲, -1=占据（已膨胀）
-    this.inflatedData = new Int8Array(width * height).fill(0);
+    // 外接矩形（格子数）和原点（世界坐标）
+    this.width = 0;
+    this.height = 0;
+    this.origin = { x: 0, y: 0 };
 
     // 无人机半径（米）+ 安全余量
     // 降低至0.2m（原0.3m），信任DF Planner局部避障能力
     this.robotRadius = 0.2;  // 无人机半径约15cm + 5cm安全余量
     this.inflationRadius = Math.ceil(this.robotRadius / this.resolution);  // 转换为格子数
 
-    // 统计信息
+    // 统计信息（unknown 为外接矩形内的未知格子数）
     this.stats = {
-      unknown: width * height,
+      unknown: 0,
       free: 0,
       occupied: 0
     };
+
+    // 占据值发生变化的格子（绝对坐标键），trackChanges() 后启用，供增量膨胀使用
+    this.changedCells = null;
+  }
+
+  chunkKey(cx, cy) {
+    // 块坐标范围 ±2^20，足够覆盖任意室内/园区场景
+    return (cx + 1048576) * 2097152 + (cy + 1048576);
+  }
+
+  /**
+   * 栅格坐标 → 块和块内索引（块不存在时 chunk 为 undefined）
+   */
+  locate(gx, gy) {
+    return this.locateAbsolute(
+      gx + Math.round(this.origin.x / this.resolution),
+      gy + Math.round(this.origin.y / this.resolution)
+    );
+  }
+
+  /**
+   * 绝对格子坐标（相对世界原点，不随地图扩展变化）→ 块和块内索引
+   */
+  locateAbsolute(ax, ay) {
+    const cx = Math.floor(ax / this.chunkSize);
+    const cy = Math.floor(ay / this.chunkSize);
+    return {
+      cx,
+      cy,
+      chunk: this.chunks.get(this.chunkKey(cx, cy)),
+      index: (ay - cy * this.chunkSize) * this.chunkSize + (ax - cx * this.chunkSize)
+    };
+  }
+
+  /**
+   * 绝对格子坐标键
+   */
+  cellKey(ax, ay) {
+    return (ax + CELL_OFFSET) * CELL_SPAN + (ay + CELL_OFFSET);
+  }
+
+  decodeCellKey(key) {
+    const ay = key % CELL_SPAN - CELL_OFFSET;
+    const ax = (key - (ay + CELL_OFFSET)) / CELL_SPAN - CELL_OFFSET;
+    return { ax, ay };
+  }
+
+  /**
+   * 分配新块并更新外接矩形
+   */
+  allocateChunk(cx, cy) {
+    const size = this.chunkSize * this.chunkSize;
+    const chunk = {
+      data: new Int8Array(size),
+      inflated: new Int8Array(size)
+    };
+    this.chunks.set(this.chunkKey(cx, cy), chunk);
+
+    const b = this.chunkBounds;
+    this.chunkBounds = b ? {
+      minX: Math.min(b.minX, cx),
+      maxX: Math.max(b.maxX, cx),
+      minY: Math.min(b.minY, cy),
+      maxY: Math.max(b.maxY, cy)
+    } : { minX: cx, maxX: cx, minY: cy, maxY: cy };
+
+    this.updateBounds();
+    return chunk;
+  }
+
+  /**
+   * 预先分配覆盖世界坐标矩形区域的块（区域内未观测部分保持未知）
+   * 用于需要在未知区域中规划的场景，使路径搜索范围覆盖整个区域
+   */
+  allocateArea(minX, minY, maxX, maxY) {
+    const span = this.chunkSize * this.resolution;
+    for (let cx = Math.floor(minX / span); cx <= Math.floor(maxX / span); cx++) {
+      for (let cy = Math.floor(minY / span); cy <= Math.floor(maxY / span); cy++) {
+        if (!this.chunks.has(this.chunkKey(cx, cy))) {
+          this.allocateChunk(cx, cy);
+        }
+      }
+    }
+  }
+
+  /**
+   * 根据块范围更新外接矩形、原点和未知格子统计
+   */
+  updateBounds() {
+    const b = this.chunkBounds;
+    const span = this.chunkSize * this.resolution;
+    this.width = (b.maxX - b.minX + 1) * this.chunkSize;
+    this.height = (b.maxY - b.minY + 1) * this.chunkSize;
+    this.origin = { x: b.minX * span, y: b.minY * span };
+    this.stats.unknown = this.width * this.height - this.stats.free - this.stats.occupied;
   }
 
   /**
@@ -53,36 +164,62 @@ class OccupancyGrid {
   }
 
   /**
-   * 检查是否在地图范围内
+   * 检查是否在地图外接矩形内
    */
   isInMap(gx, gy) {
     return gx >= 0 && gx < this.width && gy >= 0 && gy < this.height;
   }
 
   /**
-   * 获取占据值
+   * 获取占据值（未分配区域为未知）
    */
   getOccupancy(gx, gy) {
-    if (!this.isInMap(gx, gy)) return -1;
-    return this.data[gy * this.width + gx];
+    const { chunk, index } = this.locate(gx, gy);
+    return chunk ? chunk.data[index] : 0;
   }
 
   /**
-   * 设置占据值
+   * 设置占据值（写入未分配区域时自动分配新块）
    */
   setOccupancy(gx, gy, value) {
-    if (!this.isInMap(gx, gy)) return;
+    // 绝对坐标在分配新块之前换算（分配可能移动原点）
+    const ax = gx + Math.round(this.origin.x / this.resolution);
+    const ay = gy + Math.round(this.origin.y / this.resolution);
+    let { cx, cy, chunk, index } = this.locateAbsolute(ax, ay);
+    if (!chunk) {
+      if (value === 0) return;  // 未知无需分配
+      chunk = this.allocateChunk(cx, cy);
+    }
 
-    const index = gy * this.width + gx;
-    const oldValue = this.data[index];
+    const oldValue = chunk.data[index];
 
     if (oldValue !== value) {
       // 更新统计
       this.updateStats(oldValue, value);
-      this.data[index] = value;
+      chunk.data[index] = value;
+      if (this.changedCells) {
+        this.changedCells.add(this.cellKey(ax, ay));
+      }
     }
   }
 
+  /**
+   * 开始记录占据值变化的格子
+   */
+  trackChanges() {
+    this.changedCells = new Set();
+  }
+
+  /**
+   * 取出并清空变化记录
+   * @returns {Set} 绝对坐标键
+   */
+  takeChanges() {
+    const changes = this.changedCells || new Set();
+    if (this.changedCells) this.changedCells = new Set();
+    return changes;
+  }
+
   /**
    * 更新统计信息
    */
@@ -98,41 +235,6 @@ class OccupancyGrid {
     else if (newValue === -1) this.stats.occupied++;
   }
 
-  /**
-   * Bresenham直线算法（光线追踪）
-   * 用于标记从起点到终点路径上的空闲格子
-   */
-  raytrace(x0, y0, x1, y1) {
-    const dx = Math.abs(x1 - x0);
-    const dy = Math.abs(y1 - y0);
-    const sx = x0 < x1 ? 1 : -1;
-    const sy = y0 < y1 ? 1 : -1;
-    let err = dx - dy;
-
-    let steps = 0;
-    const maxSteps = Math.max(this.width, this.height);
-
-    while (steps < maxSteps) {
-      // 标记为空闲（不覆盖已知占据的格子）
-      if (this.isInMap(x0, y0) && this.getOccupancy(x0, y0) !== -1) {
-        this.setOccupancy(x0, y0, 1);
-      }
-
-      if (x0 === x1 && y0 === y1) break;
-
-      const e2 = 2 * err;
-      if (e2 > -dy) {
-        err -= dy;
-        x0 += sx;
-      }
-      if (e2 < dx) {
-        err += dx;
-        y0 += sy;
-      }
-      steps++;
-    }
-  }
-
   /**
    * 获取已探索面积（平方米）
    */
@@ -143,36 +245,134 @@ class OccupancyGrid {
   }
 
   /**
-   * 获取探索百分比
+   * 获取探索百分比（相对于当前外接矩形）
    */
   getExploredPercentage() {
     const totalCells = this.width * this.height;
+    if (totalCells === 0) return '0.0';
     const knownCells = this.stats.free + this.stats.occupied;
     return (knownCells / totalCells * 100).toFixed(1);
   }
 
   /**
    * 导出地图数据（用于可视化）
+   * 只导出已分配的块（不按外接矩形展开，稀疏的长走廊地图不会产生大数组），未分配区域为未知
+   * 每块 {gx, gy, data, inflated}：gx/gy 为块左下角格子的栅格坐标，data/inflated 为块内行优先数组（ly * chunkSize + lx）
    */
   exportData() {
+    const chunks = [];
+    const size = this.chunkSize;
+    for (const [key, chunk] of this.chunks) {
+      const cy = key % 2097152 - 1048576;
+      const cx = (key - (cy + 1048576)) / 2097152 - 1048576;
+      chunks.push({
+        gx: (cx - this.chunkBounds.minX) * size,
+        gy: (cy - this.chunkBounds.minY) * size,
+        data: Array.from(chunk.data),
+        inflated: Array.from(chunk.inflated)
+      });
+    }
+
     return {
       width: this.width,
       height: this.height,
       resolution: this.resolution,
       origin: this.origin,
-      data: Array.from(this.data),
+      chunkSize: this.chunkSize,
+      chunkCount: this.chunks.size,
+      chunks,
       stats: { ...this.stats }
     };
   }
 
   /**
-   * 重置地图
+   * 导出所有块（副本，用于跨线程传输）
+   * @returns {Array} [{cx, cy, data, inflated}]
+   */
+  exportChunks() {
+    const chunks = [];
+    for (const [key, chunk] of this.chunks) {
+      const cy = key % 2097152 - 1048576;
+      const cx = (key - (cy + 1048576)) / 2097152 - 1048576;
+      chunks.push({ cx, cy, data: chunk.data.slice(), inflated: chunk.inflated.slice() });
+    }
+    return chunks;
+  }
+
+  /**
+   * 用导出的块替换整个地图（块边长需一致）
+   * @param {Array} chunks - exportChunks 的输出
+   */
+  importChunks(chunks) {
+    this.reset();
+    for (const { cx, cy, data, inflated } of chunks) {
+      const chunk = this.allocateChunk(cx, cy);
+      chunk.data.set(data);
+      chunk.inflated.set(inflated);
+      for (const value of data) {
+        if (value === 1) this.stats.free++;
+        else if (value === -1) this.stats.occupied++;
+      }
+    }
+    if (this.chunkBounds) {
+      this.updateBounds();
+    }
+  }
+
+  /**
+   * 导出指定格子的占据值和膨胀值（用于跨线程传输增量）
+   * @param {Array} cells - 绝对坐标 [{ax, ay}]
+   * @returns {Object} {ax, ay, data, inflated}（类型化数组）
+   */
+  exportCells(cells) {
+    const delta = {
+      ax: new Int32Array(cells.length),
+      ay: new Int32Array(cells.length),
+      data: new Int8Array(cells.length),
+      inflated: new Int8Array(cells.length)
+    };
+    cells.forEach(({ ax, ay }, i) => {
+      const { chunk, index } = this.locateAbsolute(ax, ay);
+      delta.ax[i] = ax;
+      delta.ay[i] = ay;
+      delta.data[i] = chunk ? chunk.data[index] : 0;
+      delta.inflated[i] = chunk ? chunk.inflated[index] : 0;
+    });
+    return delta;
+  }
+
+  /**
+   * 写入格子增量（exportCells 的输出），同步更新统计
+   */
+  applyCells({ ax, ay, data, inflated }) {
+    for (let i = 0; i < ax.length; i++) {
+      let { cx, cy, chunk, index } = this.locateAbsolute(ax[i], ay[i]);
+      if (!chunk) {
+        if (data[i] === 0 && inflated[i] === 0) continue;  // 未知无需分配
+        chunk = this.allocateChunk(cx, cy);
+      }
+      if (chunk.data[index] !== data[i]) {
+        this.updateStats(chunk.data[index], data[i]);
+        chunk.data[index] = data[i];
+      }
+      chunk.inflated[index] = inflated[i];
+    }
+  }
+
+  /**
+   * 重置地图（释放所有块）
    */
   reset() {
-    this.data.fill(0);
-    this.inflatedData.fill(0);
+    if (this.changedCells) {
+      this.changedCells.clear();
+    }
+    this.chunks.clear();
+    this.chunkBounds = null;
+    this.width = 0;
+    this.height = 0;
+    this.origin = { x: 0, y: 0 };
     this.stats = {
-      unknown: this.width * this.height,
+      unknown: 0,
       free: 0,
       occupied: 0
     };
@@ -184,18 +384,19 @@ class OccupancyGrid {
    */
   inflateObstacles() {
     // 复制原始地图
-    for (let i = 0; i < this.data.length; i++) {
-      this.inflatedData[i] = this.data[i];
+    for (const chunk of this.chunks.values()) {
+      chunk.inflated.set(chunk.data);
     }
 
-    // 对每个障碍物格子进行膨胀
-    for (let gy = 0; gy < this.height; gy++) {
-      for (let gx = 0; gx < this.width; gx++) {
-        const index = gy * this.width + gx;
-
+    // 对每个障碍物格子进行膨胀（按绝对坐标，膨胀到相邻未分配块时会分配新块）
+    const size = this.chunkSize;
+    for (const [key, chunk] of [...this.chunks]) {
+      const cy = key % 2097152 - 1048576;
+      const cx = (key - (cy + 1048576)) / 2097152 - 1048576;
+      for (let i = 0; i < chunk.data.length; i++) {
         // 如果是障碍物，膨胀周围区域
-        if (this.data[index] === -1) {
-          this.inflateCell(gx, gy);
+        if (chunk.data[i] === -1) {
+          this.inflateCell(cx * size + i % size, cy * size + Math.floor(i / size));
         }
       }
     }
@@ -203,36 +404,73 @@ class OccupancyGrid {
 
   /**
    * 膨胀单个障碍物格子
-   * @param {number} cx - 中心格子X坐标
-   * @param {number} cy - 中心格子Y坐标
+   * @param {number} ax - 中心格子绝对X坐标
+   * @param {number} ay - 中心格子绝对Y坐标
    */
-  inflateCell(cx, cy) {
+  inflateCell(ax, ay) {
     const radius = this.inflationRadius;
 
-    // 遍历以(cx, cy)为中心的正方形区域
+    // 遍历以(ax, ay)为中心的正方形区域
     for (let dy = -radius; dy <= radius; dy++) {
       for (let dx = -radius; dx <= radius; dx++) {
-        const gx = cx + dx;
-        const gy = cy + dy;
-
-        if (!this.isInMap(gx, gy)) continue;
-
         // 计算实际距离（欧氏距离）
         const distance = Math.sqrt(dx * dx + dy * dy);
 
         // 只膨胀圆形区域内的格子
         if (distance <= radius) {
-          const index = gy * this.width + gx;
-
-          // 只膨胀原本是空闲或未知的格子（不覆盖已有障碍物）
-          if (this.inflatedData[index] !== -1) {
-            this.inflatedData[index] = -1;  // 标记为膨胀障碍物
+          let { cx, cy, chunk, index } = this.locateAbsolute(ax + dx, ay + dy);
+          if (!chunk) {
+            chunk = this.allocateChunk(cx, cy);
           }
+          chunk.inflated[index] = -1;  // 标记为膨胀障碍物
         }
       }
     }
   }
 
+  /**
+   * 增量更新膨胀地图：只重新计算变化格子膨胀半径内的格子
+   * 结果与 inflateObstacles() 整体重建一致：半径内有障碍物的格子为 -1，否则等于原始占据值
+   * @param {Set} changes - 占据值变化的格子（绝对坐标键，见 takeChanges）
+   * @returns {Array} 占据值或膨胀值可能变化的格子 [{ax, ay}]
+   */
+  updateInflation(changes) {
+    const radius = this.inflationRadius;
+    const offsets = [];
+    for (let dy = -radius; dy <= radius; dy++) {
+      for (let dx = -radius; dx <= radius; dx++) {
+        if (Math.sqrt(dx * dx + dy * dy) <= radius) offsets.push([dx, dy]);
+      }
+    }
+
+    // 变化格子膨胀半径内的格子都可能受影响
+    const affected = new Set();
+    for (const key of changes) {
+      const { ax, ay } = this.decodeCellKey(key);
+      for (const [dx, dy] of offsets) {
+        affected.add(this.cellKey(ax + dx, ay + dy));
+      }
+    }
+
+    const cells = [];
+    for (const key of affected) {
+      const { ax, ay } = this.decodeCellKey(key);
+      const blocked = offsets.some(([dx, dy]) => {
+        const { chunk, index } = this.locateAbsolute(ax + dx, ay + dy);
+        return chunk && chunk.data[index] === -1;
+      });
+
+      let { cx, cy, chunk, index } = this.locateAbsolute(ax, ay);
+      if (!chunk) {
+        if (!blocked) continue;
+        chunk = this.allocateChunk(cx, cy);
+      }
+      chunk.inflated[index] = blocked ? -1 : chunk.data[index];
+      cells.push({ ax, ay });
+    }
+    return cells;
+  }
+
   /**
    * 获取膨胀地图的占据值（用于路径检查）
    * @param {number} gx - 格子X坐标
@@ -240,8 +478,8 @@ class OccupancyGrid {
    * @returns {number} 膨胀后的占据值（-1=障碍, 0=未知, 1=空闲）
    */
   getInflatedOccupancy(gx, gy) {
-    if (!this.isInMap(gx, gy)) return -1;
-    return this.inflatedData[gy * this.width + gx];
+    const { chunk, index } = this.locate(gx, gy);
+    return chunk ? chunk.inflated[index] : 0;
   }
 }
 
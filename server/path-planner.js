@@ -0,0 +1,349 @@
+/**
+ * 栅格路径规划器
+ * 在膨胀占据栅格上搜索路径（A* / Theta*），并做路径平滑和路点抽稀
+ * 默认只有膨胀地图中明确空闲（1）的格子可以通行，未知和障碍（含膨胀区）都不可通行；
+ * allowUnknown 时未知格子也可通行（覆盖航线在未完全测绘的区域中转场）
+ */
+
+// 8邻域：[dx, dy, 代价]
+const NEIGHBORS = [
+  [1, 0, 1], [-1, 0, 1], [0, 1, 1], [0, -1, 1],
+  [1, 1, Math.SQRT2], [1, -1, Math.SQRT2], [-1, 1, Math.SQRT2], [-1, -1, Math.SQRT2]
+];
+
+const DEFAULT_OPTIONS = {
+  algorithm: 'theta',     // 'astar' 8邻域A* / 'theta' 任意角度Theta*
+  maxIterations: 20000,   // 最大扩展节点数（防止大地图上卡住主循环）
+  goalTolerance: 0.6,     // 目标不可通行时，在该半径（米）内寻找替代目标
+  startTolerance: 0.6,    // 起点在膨胀区内时，在该半径（米）内寻找可通行起点
+  waypointSpacing: 2.0,   // 抽稀后相邻路点最大间距（米）
+  allowUnknown: false     // 未知格子是否可通行
+};
+
+/**
+ * 二叉堆（按 f 值排序的开放列表）
+ */
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent].f <= items[i].f) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      while (true) {
+        const left = i * 2 + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && items[left].f < items[smallest].f) smallest = left;
+        if (right < items.length && items[right].f < items[smallest].f) smallest = right;
+        if (smallest === i) break;
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+class PathPlanner {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+  }
+
+  /**
+   * 更新规划参数（部分更新）
+   */
+  updateOptions(options = {}) {
+    Object.assign(this.options, options);
+  }
+
+  /**
+   * 格子是否可通行（膨胀地图中明确空闲，allowUnknown 时非障碍即可）
+   */
+  isTraversable(grid, gx, gy) {
+    const value = grid.getInflatedOccupancy(gx, gy);
+    return this.options.allowUnknown ? value !== -1 : value === 1;
+  }
+
+  /**
+   * 两个格子之间是否直线可见（Bresenham 经过的格子都可通行）
+   */
+  lineOfSight(grid, x0, y0, x1, y1) {
+    const dx = Math.abs(x1 - x0);
+    const dy = Math.abs(y1 - y0);
+    const sx = x0 < x1 ? 1 : -1;
+    const sy = y0 < y1 ? 1 : -1;
+    let err = dx - dy;
+
+    while (true) {
+      if (!this.isTraversable(grid, x0, y0)) return false;
+      if (x0 === x1 && y0 === y1) return true;
+
+      const e2 = 2 * err;
+      if (e2 > -dy) {
+        err -= dy;
+        x0 += sx;
+      }
+      if (e2 < dx) {
+        err += dx;
+        y0 += sy;
+      }
+    }
+  }
+
+  /**
+   * 在半径内寻找距离最近的可通行格子
+   * @returns {Object|null} {x, y} 栅格坐标
+   */
+  findNearestTraversable(grid, cell, radiusMeters) {
+    if (this.isTraversable(grid, cell.x, cell.y)) return cell;
+
+    const radius = Math.ceil(radiusMeters / grid.resolution);
+    let best = null;
+    let bestDist = Infinity;
+
+    for (let dy = -radius; dy <= radius; dy++) {
+      for (let dx = -radius; dx <= radius; dx++) {
+        const dist = Math.hypot(dx, dy);
+        if (dist > radius || dist >= bestDist) continue;
+        if (this.isTraversable(grid, cell.x + dx, cell.y + dy)) {
+          best = { x: cell.x + dx, y: cell.y + dy };
+          bestDist = dist;
+        }
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * 规划路径
+   * @param {OccupancyGrid} grid - 占据栅格（使用 inflatedData）
+   * @param {Object} start - 起点 {x, y}（世界坐标）
+   * @param {Object} goal - 终点 {x, y}（世界坐标）
+   * @returns {Object} {success, path: [{x, y}], length, reason}
+   *   path 为平滑后的世界坐标折线（含起点和终点），length 为路径长度（米）
+   */
+  plan(grid, start, goal) {
+    const startCell = this.findNearestTraversable(grid, grid.worldToGrid(start.x, start.y), this.options.startTolerance);
+    if (!startCell) {
+      return { success: false, path: [], length: Infinity, reason: 'start_blocked' };
+    }
+
+    const goalCell = this.findNearestTraversable(grid, grid.worldToGrid(goal.x, goal.y), this.options.goalTolerance);
+    if (!goalCell) {
+      return { success: false, path: [], length: Infinity, reason: 'goal_blocked' };
+    }
+
+    const cells = this.search(grid, startCell, goalCell);
+    if (!cells) {
+      return { success: false, path: [], length: Infinity, reason: 'no_path' };
+    }
+
+    const smoothed = this.smoothPath(grid, cells);
+
+    // 栅格路径转世界坐标：首尾使用真实起点/终点（已在可通行格子内时）
+    const path = smoothed.map(cell => grid.gridToWorld(cell.x, cell.y));
+    if (this.sameCell(grid, start, startCell)) {
+      path[0] = { x: start.x, y: start.y };
+    }
+    if (this.sameCell(grid, goal, goalCell)) {
+      path[path.length - 1] = { x: goal.x, y: goal.y };
+    }
+
+    return { success: true, path, length: this.pathLength(path), reason: null };
+  }
+
+  sameCell(grid, point, cell) {
+    const c = grid.worldToGrid(point.x, point.y);
+    return c.x === cell.x && c.y === cell.y;
+  }
+
+  /**
+   * A* / Theta* 搜索
+   * 节点状态按格子索引稀疏保存，内存只与扩展的节点数（≤ maxIterations × 8）有关，与地图大小无关
+   * @returns {Array|null} 栅格路径 [{x, y}]
+   */
+  search(grid, startCell, goalCell) {
+    const width = grid.width;
+    const index = (x, y) => y * width + x;
+    const heuristic = (x, y) => Math.hypot(goalCell.x - x, goalCell.y - y);
+    const useTheta = this.options.algorithm === 'theta';
+
+    // 格子索引 → {g, parent, closed}
+    const nodes = new Map();
+
+    const startIndex = index(startCell.x, startCell.y);
+    const goalIndex = index(goalCell.x, goalCell.y);
+    nodes.set(startIndex, { g: 0, parent: startIndex, closed: false });
+
+    const open = new MinHeap();
+    open.push({ index: startIndex, x: startCell.x, y: startCell.y, f: heuristic(startCell.x, startCell.y) });
+
+    let iterations = 0;
+
+    while (open.size > 0) {
+      const current = open.pop();
+      const currentNode = nodes.get(current.index);
+      if (currentNode.closed) continue;
+      currentNode.closed = true;
+
+      if (current.index === goalIndex) {
+        return this.reconstructPath(nodes, goalIndex, width);
+      }
+
+      if (++iterations > this.options.maxIterations) {
+        console.warn(`⚠️ 路径规划超过最大迭代次数 ${this.options.maxIterations}`);
+        return null;
+      }
+
+      const parentIndex = currentNode.parent;
+      const parentG = nodes.get(parentIndex).g;
+      const px = parentIndex % width;
+      const py = Math.floor(parentIndex / width);
+
+      for (const [dx, dy, cost] of NEIGHBORS) {
+        const nx = current.x + dx;
+        const ny = current.y + dy;
+        if (!grid.isInMap(nx, ny) || !this.isTraversable(grid, nx, ny)) continue;
+
+        // 斜向移动不允许切过障碍物拐角
+        if (dx !== 0 && dy !== 0 &&
+            (!this.isTraversable(grid, current.x + dx, current.y) || !this.isTraversable(grid, current.x, current.y + dy))) {
+          continue;
+        }
+
+        const neighborIndex = index(nx, ny);
+        const neighbor = nodes.get(neighborIndex);
+        if (neighbor && neighbor.closed) continue;
+
+        let tentativeG;
+        let tentativeParent;
+
+        // Theta*: 父节点直线可见时直接连接父节点（任意角度路径）
+        if (useTheta && this.lineOfSight(grid, px, py, nx, ny)) {
+          tentativeG = parentG + Math.hypot(nx - px, ny - py);
+          tentativeParent = parentIndex;
+        } else {
+          tentativeG = currentNode.g + cost;
+          tentativeParent = current.index;
+        }
+
+        if (!neighbor || tentativeG < neighbor.g) {
+          if (neighbor) {
+            neighbor.g = tentativeG;
+            neighbor.parent = tentativeParent;
+          } else {
+            nodes.set(neighborIndex, { g: tentativeG, parent: tentativeParent, closed: false });
+          }
+          open.push({ index: neighborIndex, x: nx, y: ny, f: tentativeG + heuristic(nx, ny) });
+        }
+      }
+    }
+
+    return null;
+  }
+
+  reconstructPath(nodes, goalIndex, width) {
+    const cells = [];
+    let i = goalIndex;
+    while (true) {
+      cells.push({ x: i % width, y: Math.floor(i / width) });
+      const parent = nodes.get(i).parent;
+      if (parent === i) break;
+      i = parent;
+    }
+    return cells.reverse();
+  }
+
+  /**
+   * 路径平滑（视线捷径）：从当前点出发，连接到最远的直线可见点
+   */
+  smoothPath(grid, cells) {
+    if (cells.length <= 2) return cells;
+
+    const smoothed = [cells[0]];
+    let anchor = 0;
+
+    while (anchor < cells.length - 1) {
+      let next = cells.length - 1;
+      while (next > anchor + 1 &&
+             !this.lineOfSight(grid, cells[anchor].x, cells[anchor].y, cells[next].x, cells[next].y)) {
+        next--;
+      }
+      smoothed.push(cells[next]);
+      anchor = next;
+    }
+
+    return smoothed;
+  }
+
+  pathLength(path) {
+    let length = 0;
+    for (let i = 1; i < path.length; i++) {
+      length += Math.hypot(path[i].x - path[i - 1].x, path[i].y - path[i - 1].y);
+    }
+    return length;
+  }
+
+  /**
+   * 路点抽稀：去掉起点，长航段按最大间距插入中间路点，高度沿路径线性插值
+   * （折线点带高度时按航段两端高度插值，如沿飞行轨迹返航）
+   * @param {Array} path - 世界坐标折线 [{x, y}] 或 [{x, y, z}]（含起点）
+   * @param {number} startZ - 起点高度
+   * @param {number} goalZ - 终点高度
+   * @returns {Array} 路点 [{x, y, z}]（不含起点）
+   */
+  toWaypoints(path, startZ, goalZ) {
+    const spacing = this.options.waypointSpacing;
+    const totalLength = this.pathLength(path);
+    const waypoints = [];
+    let travelled = 0;
+
+    for (let i = 1; i < path.length; i++) {
+      const from = path[i - 1];
+      const to = path[i];
+      const segment = Math.hypot(to.x - from.x, to.y - from.y);
+      const steps = Math.max(1, Math.ceil(segment / spacing));
+
+      for (let s = 1; s <= steps; s++) {
+        const t = s / steps;
+        const along = travelled + segment * t;
+        const ratio = totalLength > 0 ? along / totalLength : 1;
+        waypoints.push({
+          x: from.x + (to.x - from.x) * t,
+          y: from.y + (to.y - from.y) * t,
+          z: from.z !== undefined && to.z !== undefined
+            ? from.z + (to.z - from.z) * t
+            : startZ + (goalZ - startZ) * ratio
+        });
+      }
+      travelled += segment;
+    }
+
+    return waypoints;
+  }
+}
+
+module.exports = PathPlanner;
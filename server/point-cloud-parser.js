@@ -0,0 +1,312 @@
+/**
+ * 点云文件解析 - 支持与模拟器场景加载相同的格式
+ *   .pcd  PCD（DATA ascii / binary / binary_compressed，按 FIELDS/SIZE/TYPE/COUNT 头查找 x/y/z）
+ *   .txt  每行 "x y z [intensity]"，# 开头为注释
+ *   .json 点数组 [{x, y, z}] 或 {points: [...]}
+ *
+ * 大文件可用 parsePointCloudInWorker 在独立线程中解析，不阻塞主线程的事件循环
+ */
+
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+
+const SUPPORTED_FORMATS = ['pcd', 'txt', 'json'];
+
+/**
+ * PCD 二进制字段读取（TYPE + SIZE）
+ */
+const PCD_READERS = {
+  F4: (buf, pos) => buf.readFloatLE(pos),
+  F8: (buf, pos) => buf.readDoubleLE(pos),
+  I1: (buf, pos) => buf.readInt8(pos),
+  I2: (buf, pos) => buf.readInt16LE(pos),
+  I4: (buf, pos) => buf.readInt32LE(pos),
+  U1: (buf, pos) => buf.readUInt8(pos),
+  U2: (buf, pos) => buf.readUInt16LE(pos),
+  U4: (buf, pos) => buf.readUInt32LE(pos)
+};
+
+/**
+ * LZF 解压（PCD binary_compressed 使用的压缩算法）
+ * @param {Buffer} input - 压缩数据
+ * @param {number} outputLength - 解压后长度
+ */
+function lzfDecompress(input, outputLength) {
+  const output = Buffer.alloc(outputLength);
+  let ip = 0;
+  let op = 0;
+
+  while (ip < input.length) {
+    let ctrl = input[ip++];
+
+    if (ctrl < 32) {
+      // 字面量：后面 ctrl + 1 个字节原样复制
+      ctrl++;
+      if (ip + ctrl > input.length || op + ctrl > outputLength) {
+        throw new Error('PCD压缩数据已损坏');
+      }
+      input.copy(output, op, ip, ip + ctrl);
+      ip += ctrl;
+      op += ctrl;
+    } else {
+      // 回溯引用：从已解压数据中复制 len 个字节
+      let len = ctrl >> 5;
+      if (len === 7) {
+        if (ip >= input.length) throw new Error('PCD压缩数据已损坏');
+        len += input[ip++];
+      }
+      if (ip >= input.length) throw new Error('PCD压缩数据已损坏');
+      let ref = op - ((ctrl & 0x1f) << 8) - 1 - input[ip++];
+      len += 2;
+      if (ref < 0 || op + len > outputLength) {
+        throw new Error('PCD压缩数据已损坏');
+      }
+      while (len-- > 0) {
+        output[op++] = output[ref++];
+      }
+    }
+  }
+
+  if (op !== outputLength) {
+    throw new Error('PCD压缩数据长度与文件头不一致');
+  }
+  return output;
+}
+
+/**
+ * 读取PCD文件头（到 DATA 行为止）
+ * @returns {Object} {header: {FIELDS: [...], ...}, dataOffset: 数据起始字节}
+ */
+function readPCDHeader(buffer) {
+  const header = {};
+  let offset = 0;
+
+  while (offset < buffer.length) {
+    let end = buffer.indexOf(0x0a, offset);
+    if (end < 0) end = buffer.length;
+    const line = buffer.toString('latin1', offset, end).trim();
+    offset = end + 1;
+
+    if (!line || line.startsWith('#')) continue;
+    const [key, ...values] = line.split(/\s+/);
+    header[key.toUpperCase()] = values;
+    if (key.toUpperCase() === 'DATA') {
+      return { header, dataOffset: offset };
+    }
+  }
+
+  throw new Error('PCD文件缺少 DATA 头');
+}
+
+/**
+ * 解析PCD格式点云
+ * @param {Buffer} buffer - 文件内容
+ */
+function parsePCD(buffer) {
+  const { header, dataOffset } = readPCDHeader(buffer);
+
+  const fields = header.FIELDS || [];
+  const counts = fields.map((_, i) => Number(header.COUNT?.[i] ?? 1));
+  const axes = ['x', 'y', 'z'].map(name => fields.indexOf(name));
+  if (axes.some(i => i < 0)) {
+    throw new Error('PCD文件缺少 x/y/z 字段');
+  }
+
+  const dataType = header.DATA[0];
+  if (dataType === 'ascii') {
+    // 字段的 COUNT 大于1时占多列
+    const columns = axes.map(i => counts.slice(0, i).reduce((a, b) => a + b, 0));
+    const points = [];
+    for (const line of buffer.toString('latin1', dataOffset).split('\n')) {
+      const trimmed = line.trim();
+      if (!trimmed) continue;
+      const parts = trimmed.split(/\s+/);
+      points.push({
+        x: parseFloat(parts[columns[0]]),
+        y: parseFloat(parts[columns[1]]),
+        z: parseFloat(parts[columns[2]])
+      });
+    }
+    return points;
+  }
+
+  if (dataType !== 'binary' && dataType !== 'binary_compressed') {
+    throw new Error(`不支持的PCD数据格式: ${dataType}`);
+  }
+
+  const sizes = fields.map((_, i) => Number(header.SIZE?.[i]));
+  const types = fields.map((_, i) => header.TYPE?.[i]);
+  const readers = axes.map(i => PCD_READERS[`${types[i]}${sizes[i]}`]);
+  if (readers.some(reader => !reader)) {
+    throw new Error('PCD文件 x/y/z 字段的 TYPE/SIZE 无效');
+  }
+  if (sizes.some(size => !(size > 0)) || counts.some(count => !(count > 0))) {
+    throw new Error('PCD文件 SIZE/COUNT 头无效');
+  }
+
+  const pointCount = header.POINTS
+    ? Number(header.POINTS[0])
+    : Number(header.WIDTH?.[0]) * Number(header.HEIGHT?.[0] ?? 1);
+  if (!Number.isInteger(pointCount) || pointCount < 0) {
+    throw new Error('PCD文件 POINTS/WIDTH/HEIGHT 头无效');
+  }
+
+  const fieldBytes = fields.map((_, i) => sizes[i] * counts[i]);
+  const pointStep = fieldBytes.reduce((a, b) => a + b, 0);
+  const points = new Array(pointCount);
+
+  if (dataType === 'binary') {
+    // 按点存储：每个点依次包含所有字段
+    if (buffer.length - dataOffset < pointStep * pointCount) {
+      throw new Error('PCD文件数据长度不足');
+    }
+    const offsets = axes.map(i => fieldBytes.slice(0, i).reduce((a, b) => a + b, 0));
+    for (let p = 0; p < pointCount; p++) {
+      const base = dataOffset + p * pointStep;
+      points[p] = {
+        x: readers[0](buffer, base + offsets[0]),
+        y: readers[1](buffer, base + offsets[1]),
+        z: readers[2](buffer, base + offsets[2])
+      };
+    }
+    return points;
+  }
+
+  // binary_compressed：压缩长度、原始长度（uint32）+ LZF 数据，解压后按字段存储（先所有点的 x，再所有点的 y ...）
+  if (buffer.length - dataOffset < 8) {
+    throw new Error('PCD文件数据长度不足');
+  }
+  const compressedSize = buffer.readUInt32LE(dataOffset);
+  const rawSize = buffer.readUInt32LE(dataOffset + 4);
+  if (rawSize !== pointStep * pointCount || buffer.length - dataOffset - 8 < compressedSize) {
+    throw new Error('PCD压缩数据长度与文件头不一致');
+  }
+  const raw = lzfDecompress(buffer.subarray(dataOffset + 8, dataOffset + 8 + compressedSize), rawSize);
+  const offsets = axes.map(i => fieldBytes.slice(0, i).reduce((a, b) => a + b, 0) * pointCount);
+  const strides = axes.map(i => fieldBytes[i]);
+  for (let p = 0; p < pointCount; p++) {
+    points[p] = {
+      x: readers[0](raw, offsets[0] + p * strides[0]),
+      y: readers[1](raw, offsets[1] + p * strides[1]),
+      z: readers[2](raw, offsets[2] + p * strides[2])
+    };
+  }
+  return points;
+}
+
+/**
+ * 解析TXT格式点云 (x y z 或 x y z intensity)
+ */
+function parseTXT(content) {
+  const points = [];
+  for (const line of content.split('\n')) {
+    if (line.trim() && !line.startsWith('#')) {
+      const parts = line.trim().split(/\s+/);
+      if (parts.length >= 3) {
+        points.push({
+          x: parseFloat(parts[0]),
+          y: parseFloat(parts[1]),
+          z: parseFloat(parts[2])
+        });
+      }
+    }
+  }
+  return points;
+}
+
+/**
+ * 解析JSON格式点云
+ */
+function parseJSON(content) {
+  const data = JSON.parse(content);
+  const points = Array.isArray(data) ? data : data.points;
+  if (!Array.isArray(points)) {
+    throw new Error('JSON点云必须为点数组或包含 points 数组');
+  }
+  // 兼容 {xyz: {x, y, z}} 格式（与实时点云消息一致）
+  return points.map(p => p.xyz || p);
+}
+
+/**
+ * 解析点云文件内容
+ * @param {Buffer|string} content - 文件内容（二进制PCD必须为 Buffer）
+ * @param {string} format - 'pcd' | 'txt' | 'json'
+ * @returns {Array} 有效点 [{x, y, z}]（丢弃非数值坐标）
+ */
+function parsePointCloud(content, format) {
+  const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content);
+  let points;
+  if (format === 'pcd') {
+    points = parsePCD(buffer);
+  } else if (format === 'txt') {
+    points = parseTXT(buffer.toString('utf8'));
+  } else if (format === 'json') {
+    points = parseJSON(buffer.toString('utf8'));
+  } else {
+    throw new Error(`不支持的点云格式: ${format}（支持 ${SUPPORTED_FORMATS.join('/')}）`);
+  }
+
+  return points
+    .filter(p => p && Number.isFinite(p.x) && Number.isFinite(p.y) && Number.isFinite(p.z))
+    .map(p => ({ x: p.x, y: p.y, z: p.z }));
+}
+
+/**
+ * 在独立线程中解析点云文件（解析大文件时不阻塞主线程）
+ * @param {Buffer} content - 文件内容
+ * @param {string} format - 'pcd' | 'txt' | 'json'
+ * @returns {Promise<Array>} 有效点 [{x, y, z}]，格式不支持或解析失败时 reject
+ */
+function parsePointCloudInWorker(content, format) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(__filename, { workerData: { task: 'parsePointCloud', format } });
+    let settled = false;
+
+    worker.once('message', (reply) => {
+      settled = true;
+      if (reply.error) {
+        reject(new Error(reply.error));
+        return;
+      }
+      // 坐标按 [x, y, z, ...] 打包传回，避免结构化克隆大量小对象
+      const packed = reply.points;
+      const points = new Array(packed.length / 3);
+      for (let i = 0; i < points.length; i++) {
+        points[i] = { x: packed[i * 3], y: packed[i * 3 + 1], z: packed[i * 3 + 2] };
+      }
+      resolve(points);
+    });
+    worker.once('error', (error) => {
+      settled = true;
+      reject(error);
+    });
+    worker.once('exit', (code) => {
+      if (!settled) reject(new Error(`点云解析线程异常退出 (${code})`));
+    });
+
+    worker.postMessage(content);
+  });
+}
+
+// 解析线程入口：收到一份文件内容，解析后回复打包的坐标并退出
+if (!isMainThread && workerData && workerData.task === 'parsePointCloud') {
+  parentPort.once('message', (content) => {
+    try {
+      const points = parsePointCloud(Buffer.from(content.buffer, content.byteOffset, content.byteLength), workerData.format);
+      const packed = new Float64Array(points.length * 3);
+      points.forEach((p, i) => {
+        packed[i * 3] = p.x;
+        packed[i * 3 + 1] = p.y;
+        packed[i * 3 + 2] = p.z;
+      });
+      parentPort.postMessage({ points: packed }, [packed.buffer]);
+    } catch (error) {
+      parentPort.postMessage({ error: error.message });
+    }
+  });
+}
+
+module.exports = {
+  SUPPORTED_FORMATS,
+  parsePointCloud,
+  parsePointCloudInWorker
+};
@@ -30,7 +30,8 @@ class ProtoHandler {
         Mission: this.root.lookupType('daf.mission.Mission'),
         Execution: this.root.lookupType('daf.mission.Execution'),
         Receipt: this.root.lookupType('daf.mission.Receipt'),
-        Command: this.root.lookupType('daf.Command')
+        Command: this.root.lookupType('daf.Command'),
+        ModuleCommand: this.root.lookupType('daf.control.Command')
       };
 
       console.log('✅ Protobuf 文件加载成功');
@@ -70,6 +71,12 @@ class ProtoHandler {
         case '/daf/mission/receipt':
           messageType = this.types.Receipt;
           break;
+        case '/daf/command':
+          messageType = this.types.Command;
+          break;
+        case '/daf/control':
+          messageType = this.types.ModuleCommand;
+          break;
         default:
           console.warn(`未知话题: ${topic}`);
           return null;
@@ -132,6 +139,13 @@ class ProtoHandler {
     return this.encode('Command', commandData);
   }
 
+  /**
+   * 创建机载模块控制指令（daf.control.Command）
+   */
+  createModuleCommand(commandData) {
+    return this.encode('ModuleCommand', commandData);
+  }
+
   /**
    * 创建心跳消息
    */
@@ -152,6 +166,13 @@ class ProtoHandler {
   createPointCloud(data) {
     return this.encode('PointCloud', data);
   }
+
+  /**
+   * 创建任务回执消息
+   */
+  createReceipt(data) {
+    return this.encode('Receipt', data);
+  }
 }
 
 module.exports = new ProtoHandler();
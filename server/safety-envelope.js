@@ -0,0 +1,353 @@
+const fs = require('fs');
+const path = require('path');
+
+// 安全边界配置文件路径
+const ENVELOPE_FILE = path.join(__dirname, 'data', 'safety-envelope.json');
+
+// 默认安全边界
+const DEFAULT_ENVELOPE = {
+  enabled: true,
+  geofence: [],             // 电子围栏多边形 [{x, y}]，为空表示不限制
+  minAltitude: 0.3,         // 最低飞行高度（米）
+  maxAltitude: 3.0,         // 最高飞行高度（米）
+  maxLegLength: 20,         // 相邻航点最大距离（米）
+  maxWaypointCount: 100,    // 单个任务最大航点数
+  noFlyZones: []            // 禁飞区 [{name, min: {x, y, z}, max: {x, y, z}}]
+};
+
+/**
+ * 安全边界
+ * 所有下发任务（界面、REST、探索引擎）在编码前都要通过安全边界检查
+ */
+class SafetyEnvelope {
+  constructor() {
+    this.envelope = this.load();
+  }
+
+  /**
+   * 从文件加载安全边界配置
+   */
+  load() {
+    try {
+      if (fs.existsSync(ENVELOPE_FILE)) {
+        const saved = JSON.parse(fs.readFileSync(ENVELOPE_FILE, 'utf-8'));
+        // 只取已知字段（兼容旧版本写入的多余字段），缺失字段使用默认值
+        const envelope = { ...DEFAULT_ENVELOPE };
+        for (const key of Object.keys(DEFAULT_ENVELOPE)) {
+          if (saved && saved[key] !== undefined) envelope[key] = saved[key];
+        }
+        const errors = this.validateEnvelope(envelope);
+        if (errors.length === 0) {
+          return this.normalize(envelope);
+        }
+        console.error('安全边界配置文件无效，使用默认值:', errors.join('; '));
+      }
+    } catch (error) {
+      console.error('加载安全边界配置失败，使用默认值:', error.message);
+    }
+    return { ...DEFAULT_ENVELOPE };
+  }
+
+  /**
+   * 保存安全边界配置
+   */
+  save() {
+    const dataDir = path.dirname(ENVELOPE_FILE);
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true });
+    }
+    fs.writeFileSync(ENVELOPE_FILE, JSON.stringify(this.envelope, null, 2), 'utf-8');
+  }
+
+  /**
+   * 获取当前安全边界配置
+   */
+  getEnvelope() {
+    return { ...this.envelope };
+  }
+
+  /**
+   * 更新安全边界配置（部分更新）
+   * 只接受 DEFAULT_ENVELOPE 中的字段，未知字段或类型错误时整体拒绝，不做任何修改
+   * @returns {Object} {success, envelope, errors}
+   */
+  updateEnvelope(updates) {
+    if (!updates || typeof updates !== 'object' || Array.isArray(updates)) {
+      return { success: false, errors: ['安全边界配置必须是对象'] };
+    }
+    const unknown = Object.keys(updates).filter(key => !Object.hasOwn(DEFAULT_ENVELOPE, key));
+    if (unknown.length > 0) {
+      return { success: false, errors: [`未知字段: ${unknown.join(', ')}`] };
+    }
+
+    const envelope = { ...this.envelope, ...updates };
+    const errors = this.validateEnvelope(envelope);
+    if (errors.length > 0) {
+      return { success: false, errors };
+    }
+
+    this.envelope = this.normalize(envelope);
+    this.save();
+    console.log('🛡️ 安全边界已更新');
+    return { success: true, envelope: this.getEnvelope() };
+  }
+
+  /**
+   * 校验安全边界配置本身
+   */
+  validateEnvelope(envelope) {
+    const errors = [];
+
+    if (typeof envelope.enabled !== 'boolean') {
+      errors.push('enabled 必须为 true 或 false');
+    }
+
+    if (!Array.isArray(envelope.geofence) ||
+        (envelope.geofence.length > 0 && envelope.geofence.length < 3) ||
+        !envelope.geofence.every(p => p && Number.isFinite(p.x) && Number.isFinite(p.y))) {
+      errors.push('geofence 必须为空或至少3个 {x, y} 顶点');
+    }
+    if (!Number.isFinite(envelope.minAltitude) || !Number.isFinite(envelope.maxAltitude) ||
+        envelope.minAltitude >= envelope.maxAltitude) {
+      errors.push('minAltitude 必须小于 maxAltitude');
+    }
+    if (!Number.isFinite(envelope.maxLegLength) || envelope.maxLegLength <= 0) {
+      errors.push('maxLegLength 必须为正数');
+    }
+    if (!Number.isInteger(envelope.maxWaypointCount) || envelope.maxWaypointCount <= 0) {
+      errors.push('maxWaypointCount 必须为正整数');
+    }
+    if (!Array.isArray(envelope.noFlyZones)) {
+      errors.push('noFlyZones 必须是数组');
+    } else {
+      envelope.noFlyZones.forEach((zone, i) => {
+        const ok = zone && ['x', 'y', 'z'].every(axis =>
+          Number.isFinite(zone.min?.[axis]) && Number.isFinite(zone.max?.[axis]) && zone.min[axis] < zone.max[axis]
+        );
+        if (!ok) {
+          errors.push(`noFlyZones[${i}] 的 min/max 必须是有效坐标且 min < max`);
+        }
+        if (zone && zone.name !== undefined && typeof zone.name !== 'string') {
+          errors.push(`noFlyZones[${i}] 的 name 必须是字符串`);
+        }
+      });
+    }
+
+    return errors;
+  }
+
+  /**
+   * 规范化已通过校验的配置：顶点和禁飞区只保留坐标和名称字段
+   */
+  normalize(envelope) {
+    const point = (p, axes) => Object.fromEntries(axes.map(axis => [axis, p[axis]]));
+    return {
+      ...envelope,
+      geofence: envelope.geofence.map(p => point(p, ['x', 'y'])),
+      noFlyZones: envelope.noFlyZones.map(zone => ({
+        ...(zone.name !== undefined ? { name: zone.name } : {}),
+        min: point(zone.min, ['x', 'y', 'z']),
+        max: point(zone.max, ['x', 'y', 'z'])
+      }))
+    };
+  }
+
+  /**
+   * 检查任务是否在安全边界内
+   * @param {Object} mission - 结构已校验的任务 {id, tasks}
+   * @param {Object} options - {startPosition: 无人机当前位置，用于检查第一段航程,
+   *   returnHome: 返航任务，不检查航点数量（返航路径长度由场地决定，调用方已按航段长度拆分）}
+   * @returns {Array} errors [{taskIndex, field, code, message}]
+   */
+  checkMission(mission, options = {}) {
+    const errors = [];
+    const envelope = this.envelope;
+    if (!envelope.enabled) return errors;
+
+    const waypointCount = mission.tasks.filter(t => t.autoPilot || t.line).length;
+    if (!options.returnHome && waypointCount > envelope.maxWaypointCount) {
+      errors.push({
+        taskIndex: null,
+        field: 'tasks',
+        code: 'WAYPOINT_COUNT',
+        message: `航点数量 ${waypointCount} 超过上限 ${envelope.maxWaypointCount}`
+      });
+    }
+
+    let previous = options.startPosition || null;
+
+    mission.tasks.forEach((task, index) => {
+      const label = `第${index + 1}个子任务`;
+      let segments = [];
+
+      if (task.autoPilot) {
+        segments = [{ field: 'autoPilot.position', from: previous, to: task.autoPilot.position }];
+      } else if (task.line) {
+        segments = [
+          { field: 'line.start', from: previous, to: task.line.start },
+          { field: 'line.end', from: task.line.start, to: task.line.end }
+        ];
+      } else {
+        return; // 起飞/降落不检查
+      }
+
+      segments.forEach(({ field, from, to }) => {
+        this.checkPoint(to, index, field, label, errors);
+        if (from) {
+          this.checkSegment(from, to, index, field, label, errors);
+        }
+      });
+
+      previous = segments[segments.length - 1].to;
+    });
+
+    return errors;
+  }
+
+  /**
+   * 检查单个航点：高度、电子围栏、禁飞区
+   */
+  checkPoint(point, taskIndex, field, label, errors) {
+    const envelope = this.envelope;
+
+    if (point.z < envelope.minAltitude || point.z > envelope.maxAltitude) {
+      errors.push({
+        taskIndex,
+        field,
+        code: 'ALTITUDE',
+        message: `${label}高度 ${point.z.toFixed(2)}m 超出范围 ${envelope.minAltitude}-${envelope.maxAltitude}m`
+      });
+    }
+
+    if (envelope.geofence.length >= 3 && !this.isPointInPolygon(point, envelope.geofence)) {
+      errors.push({
+        taskIndex,
+        field,
+        code: 'GEOFENCE',
+        message: `${label}航点 (${point.x.toFixed(2)}, ${point.y.toFixed(2)}) 在电子围栏外`
+      });
+    }
+
+    envelope.noFlyZones.forEach((zone, i) => {
+      if (this.isPointInBox(point, zone)) {
+        errors.push({
+          taskIndex,
+          field,
+          code: 'NO_FLY_ZONE',
+          message: `${label}航点位于禁飞区 ${zone.name || i + 1}`
+        });
+      }
+    });
+  }
+
+  /**
+   * 检查航段：长度、穿越围栏边界、穿越禁飞区
+   */
+  checkSegment(from, to, taskIndex, field, label, errors) {
+    const envelope = this.envelope;
+    const length = Math.hypot(to.x - from.x, to.y - from.y, to.z - from.z);
+
+    if (length > envelope.maxLegLength) {
+      errors.push({
+        taskIndex,
+        field,
+        code: 'LEG_LENGTH',
+        message: `${label}航段长度 ${length.toFixed(2)}m 超过上限 ${envelope.maxLegLength}m`
+      });
+    }
+
+    // 两端都在围栏内时，凹多边形仍可能被航段穿出
+    if (envelope.geofence.length >= 3 &&
+        this.isPointInPolygon(from, envelope.geofence) && this.isPointInPolygon(to, envelope.geofence) &&
+        this.segmentCrossesPolygon(from, to, envelope.geofence)) {
+      errors.push({
+        taskIndex,
+        field,
+        code: 'GEOFENCE',
+        message: `${label}航段穿出电子围栏`
+      });
+    }
+
+    envelope.noFlyZones.forEach((zone, i) => {
+      if (!this.isPointInBox(to, zone) && !this.isPointInBox(from, zone) && this.segmentIntersectsBox(from, to, zone)) {
+        errors.push({
+          taskIndex,
+          field,
+          code: 'NO_FLY_ZONE',
+          message: `${label}航段穿越禁飞区 ${zone.name || i + 1}`
+        });
+      }
+    });
+  }
+
+  /**
+   * 射线法判断点是否在多边形内（XY平面）
+   */
+  isPointInPolygon(point, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+      const xi = polygon[i].x, yi = polygon[i].y;
+      const xj = polygon[j].x, yj = polygon[j].y;
+      const intersect = ((yi > point.y) !== (yj > point.y)) &&
+        (point.x < (xj - xi) * (point.y - yi) / (yj - yi) + xi);
+      if (intersect) inside = !inside;
+    }
+    return inside;
+  }
+
+  /**
+   * 判断航段（XY投影）是否与多边形任意边相交
+   */
+  segmentCrossesPolygon(from, to, polygon) {
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+      if (this.segmentsIntersect(from, to, polygon[j], polygon[i])) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * 二维线段严格相交判断
+   */
+  segmentsIntersect(p1, p2, p3, p4) {
+    const cross = (a, b, c) => (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+    const d1 = cross(p3, p4, p1);
+    const d2 = cross(p3, p4, p2);
+    const d3 = cross(p1, p2, p3);
+    const d4 = cross(p1, p2, p4);
+    return ((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) &&
+           ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0));
+  }
+
+  isPointInBox(point, box) {
+    return point.x >= box.min.x && point.x <= box.max.x &&
+           point.y >= box.min.y && point.y <= box.max.y &&
+           point.z >= box.min.z && point.z <= box.max.z;
+  }
+
+  /**
+   * 线段与轴对齐包围盒相交（slab 算法）
+   */
+  segmentIntersectsBox(from, to, box) {
+    let tMin = 0;
+    let tMax = 1;
+
+    for (const axis of ['x', 'y', 'z']) {
+      const d = to[axis] - from[axis];
+      if (Math.abs(d) < 1e-9) {
+        if (from[axis] < box.min[axis] || from[axis] > box.max[axis]) return false;
+        continue;
+      }
+      let t1 = (box.min[axis] - from[axis]) / d;
+      let t2 = (box.max[axis] - from[axis]) / d;
+      if (t1 > t2) [t1, t2] = [t2, t1];
+      tMin = Math.max(tMin, t1);
+      tMax = Math.min(tMax, t2);
+      if (tMin > tMax) return false;
+    }
+    return true;
+  }
+}
+
+module.exports = new SafetyEnvelope();
@@ -0,0 +1,198 @@
+/**
+ * 场景点云空间索引（模拟器用）
+ * 稀疏哈希体素，每个场景点按命中半径登记到它覆盖的所有体素中，
+ * 光线投射时沿光线做三维DDA体素遍历，只检查经过的体素里的点，返回第一个命中点（遮挡）；
+ * 碰撞检测和最近障碍物距离查询只访问查询位置附近的体素，与场景总点数无关
+ */
+
+// 体素索引偏移（索引范围 ±32768，体素0.2m时约 ±6.5km）
+const INDEX_OFFSET = 32768;
+const INDEX_SPAN = 65536;
+
+class SceneIndex {
+  /**
+   * @param {Array} points - 场景点 [{x, y, z, intensity}]
+   * @param {Object} options - {voxelSize: 体素边长（米）, hitRadius: 光线与点的最大距离（米），视为命中}
+   */
+  constructor(points, options = {}) {
+    this.voxelSize = options.voxelSize || 0.2;
+    this.hitRadius = options.hitRadius || this.voxelSize / 2;
+    this.points = points;
+    this.pointCount = points.length;
+
+    // 体素 key → 点数组
+    this.voxels = new Map();
+
+    const r = this.hitRadius;
+    for (const point of points) {
+      const min = this.worldToVoxel(point.x - r, point.y - r, point.z - r);
+      const max = this.worldToVoxel(point.x + r, point.y + r, point.z + r);
+      for (let ix = min.x; ix <= max.x; ix++) {
+        for (let iy = min.y; iy <= max.y; iy++) {
+          for (let iz = min.z; iz <= max.z; iz++) {
+            const k = this.key(ix, iy, iz);
+            const bucket = this.voxels.get(k);
+            if (bucket) {
+              bucket.push(point);
+            } else {
+              this.voxels.set(k, [point]);
+            }
+          }
+        }
+      }
+    }
+  }
+
+  worldToVoxel(x, y, z) {
+    return {
+      x: Math.floor(x / this.voxelSize),
+      y: Math.floor(y / this.voxelSize),
+      z: Math.floor(z / this.voxelSize)
+    };
+  }
+
+  key(ix, iy, iz) {
+    return ((ix + INDEX_OFFSET) * INDEX_SPAN + (iy + INDEX_OFFSET)) * INDEX_SPAN + (iz + INDEX_OFFSET);
+  }
+
+  /**
+   * 光线投射，返回第一个命中的场景点
+   * @param {Object} origin - 光线起点 {x, y, z}
+   * @param {Object} dir - 单位方向向量 {x, y, z}
+   * @param {number} maxRange - 最大测距（米）
+   * @param {number} minRange - 最小测距（米），更近的点忽略（盲区）
+   * @returns {Object|null} {range: 沿光线的距离, point: 命中的场景点}
+   */
+  raycast(origin, dir, maxRange, minRange = 0) {
+    const size = this.voxelSize;
+    const r2 = this.hitRadius * this.hitRadius;
+    const current = this.worldToVoxel(origin.x, origin.y, origin.z);
+    const target = this.worldToVoxel(
+      origin.x + dir.x * maxRange,
+      origin.y + dir.y * maxRange,
+      origin.z + dir.z * maxRange
+    );
+
+    const step = { x: Math.sign(dir.x), y: Math.sign(dir.y), z: Math.sign(dir.z) };
+    const tDelta = {};
+    const tMax = {};
+    for (const axis of ['x', 'y', 'z']) {
+      const d = dir[axis];
+      if (d === 0) {
+        tDelta[axis] = Infinity;
+        tMax[axis] = Infinity;
+      } else {
+        const boundary = (current[axis] + (d > 0 ? 1 : 0)) * size;
+        tDelta[axis] = Math.abs(size / d);
+        tMax[axis] = (boundary - origin[axis]) / d;
+      }
+    }
+
+    const maxSteps = Math.abs(target.x - current.x) + Math.abs(target.y - current.y) + Math.abs(target.z - current.z);
+    for (let i = 0; i <= maxSteps; i++) {
+      const bucket = this.voxels.get(this.key(current.x, current.y, current.z));
+      if (bucket) {
+        // 体素内离光线足够近的点中取最近的（点在光线上的投影距离作为测距）
+        let best = null;
+        for (const point of bucket) {
+          const px = point.x - origin.x;
+          const py = point.y - origin.y;
+          const pz = point.z - origin.z;
+          const t = px * dir.x + py * dir.y + pz * dir.z;
+          if (t < minRange || t > maxRange) continue;
+          if (px * px + py * py + pz * pz - t * t > r2) continue;
+          if (!best || t < best.range) {
+            best = { range: t, point };
+          }
+        }
+        if (best) return best;
+      }
+
+      if (tMax.x < tMax.y && tMax.x < tMax.z) {
+        current.x += step.x;
+        tMax.x += tDelta.x;
+      } else if (tMax.y < tMax.z) {
+        current.y += step.y;
+        tMax.y += tDelta.y;
+      } else {
+        current.z += step.z;
+        tMax.z += tDelta.z;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * 遍历包围盒内的点（同一点可能被遍历多次，回调返回 true 时提前结束）
+   * @param {Object} min - 包围盒最小角 {x, y, z}
+   * @param {Object} max - 包围盒最大角 {x, y, z}
+   * @param {Function} callback - (point) => boolean
+   * @returns {boolean} 是否提前结束
+   */
+  queryBox(min, max, callback) {
+    const lo = this.worldToVoxel(min.x, min.y, min.z);
+    const hi = this.worldToVoxel(max.x, max.y, max.z);
+    for (let ix = lo.x; ix <= hi.x; ix++) {
+      for (let iy = lo.y; iy <= hi.y; iy++) {
+        for (let iz = lo.z; iz <= hi.z; iz++) {
+          const bucket = this.voxels.get(this.key(ix, iy, iz));
+          if (!bucket) continue;
+          for (const point of bucket) {
+            if (point.x < min.x || point.x > max.x ||
+                point.y < min.y || point.y > max.y ||
+                point.z < min.z || point.z > max.z) continue;
+            if (callback(point)) return true;
+          }
+        }
+      }
+    }
+    return false;
+  }
+
+  /**
+   * 最近点查询（按体素壳层由近及远搜索）
+   * @param {Object} position - 查询位置 {x, y, z}
+   * @param {number} maxDistance - 最大搜索距离（米）
+   * @param {Function} filter - 可选，(point) => boolean，只考虑返回 true 的点
+   * @returns {Object|null} {distance, point}，maxDistance 内没有点时为 null
+   */
+  nearest(position, maxDistance, filter = null) {
+    const size = this.voxelSize;
+    const center = this.worldToVoxel(position.x, position.y, position.z);
+    const maxShell = Math.ceil(maxDistance / size);
+    let best = null;
+
+    const visit = (ix, iy, iz) => {
+      const bucket = this.voxels.get(this.key(ix, iy, iz));
+      if (!bucket) return;
+      for (const point of bucket) {
+        if (filter && !filter(point)) continue;
+        const distance = Math.hypot(point.x - position.x, point.y - position.y, point.z - position.z);
+        if (distance <= maxDistance && (!best || distance < best.distance)) {
+          best = { distance, point };
+        }
+      }
+    };
+
+    for (let shell = 0; shell <= maxShell; shell++) {
+      // 第 shell 层及更外层的点距离至少 (shell - 1) × 体素边长，已找到更近的点时停止
+      if (best && best.distance <= (shell - 1) * size) break;
+
+      for (let dx = -shell; dx <= shell; dx++) {
+        for (let dy = -shell; dy <= shell; dy++) {
+          const onEdge = Math.abs(dx) === shell || Math.abs(dy) === shell;
+          // 只遍历壳层表面的体素
+          const dzStep = onEdge ? 1 : 2 * shell;
+          for (let dz = -shell; dz <= shell; dz += Math.max(1, dzStep)) {
+            visit(center.x + dx, center.y + dy, center.z + dz);
+          }
+        }
+      }
+    }
+
+    return best;
+  }
+}
+
+module.exports = SceneIndex;
@@ -0,0 +1,154 @@
+/**
+ * 模拟激光雷达
+ * 按线束模式（水平视场角 × 垂直通道）从传感器位姿发射光线，在场景空间索引中做三维光线投射，
+ * 每条光线只返回第一个命中点（被墙挡住的点不可见），测距叠加高斯噪声，
+ * 输出传感器坐标系（x 前、y 左、z 上）下的点，可按位姿转换到地图坐标系
+ */
+
+const DEFAULT_OPTIONS = {
+  horizontalFov: 360,        // 水平视场角（度），360=全向，前向雷达/深度相机可设为90~120
+  horizontalResolution: 2,   // 水平角分辨率（度）
+  verticalFov: [-15, 15],    // 垂直视场角 [下, 上]（度）
+  channels: 16,              // 垂直通道（线）数
+  range: 10,                 // 最大测距（米）
+  minRange: 0.1,             // 最小测距（米），更近的点为盲区
+  rangeNoise: 0.02,          // 测距噪声标准差（米）
+  dropout: 0,                // 每条光线无回波的概率（模拟吸光/镜面材质）
+  frame: 'map'               // 发布点云的坐标系: 'map'=地图坐标系（与机载SLAM配准后的点云一致）, 'sensor'=传感器坐标系
+};
+
+const FRAMES = ['map', 'sensor'];
+
+/**
+ * 用四元数旋转向量
+ */
+function rotate(q, v) {
+  // v' = v + 2w(u×v) + 2u×(u×v)，u 为四元数虚部
+  const cx = q.y * v.z - q.z * v.y;
+  const cy = q.z * v.x - q.x * v.z;
+  const cz = q.x * v.y - q.y * v.x;
+  return {
+    x: v.x + 2 * (q.w * cx + q.y * cz - q.z * cy),
+    y: v.y + 2 * (q.w * cy + q.z * cx - q.x * cz),
+    z: v.z + 2 * (q.w * cz + q.x * cy - q.y * cx)
+  };
+}
+
+/**
+ * 标准正态分布随机数（Box-Muller）
+ */
+function gaussian() {
+  const u = 1 - Math.random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * Math.random());
+}
+
+class SimLidar {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS };
+    this.configure(options);
+  }
+
+  /**
+   * 更新雷达参数（无效值忽略）
+   * @param {Object} options - 见 DEFAULT_OPTIONS
+   */
+  configure(options = {}) {
+    const o = this.options;
+    if (options.horizontalFov > 0 && options.horizontalFov <= 360) o.horizontalFov = options.horizontalFov;
+    if (options.horizontalResolution > 0) o.horizontalResolution = options.horizontalResolution;
+    if (Array.isArray(options.verticalFov) && options.verticalFov.length === 2 &&
+        options.verticalFov.every(Number.isFinite) &&
+        options.verticalFov[0] <= options.verticalFov[1] &&
+        options.verticalFov[0] >= -90 && options.verticalFov[1] <= 90) {
+      o.verticalFov = [...options.verticalFov];
+    }
+    if (Number.isInteger(options.channels) && options.channels > 0) o.channels = options.channels;
+    if (options.range > 0) o.range = options.range;
+    if (options.minRange >= 0) o.minRange = options.minRange;
+    if (options.rangeNoise >= 0) o.rangeNoise = options.rangeNoise;
+    if (options.dropout >= 0 && options.dropout < 1) o.dropout = options.dropout;
+    if (FRAMES.includes(options.frame)) o.frame = options.frame;
+
+    this.beams = this.buildBeams();
+  }
+
+  /**
+   * 传感器坐标系下的光线方向（单位向量）
+   */
+  buildBeams() {
+    const { horizontalFov, horizontalResolution, verticalFov, channels } = this.options;
+    const toRad = Math.PI / 180;
+
+    // 全向雷达首尾方位角重合，只取一个
+    const full = horizontalFov >= 360;
+    const columns = Math.max(1, Math.round(horizontalFov / horizontalResolution) + (full ? 0 : 1));
+    const azimuthStep = full ? 360 / columns : (columns > 1 ? horizontalFov / (columns - 1) : 0);
+    const azimuthStart = full ? -180 : -horizontalFov / 2;
+
+    const [low, high] = verticalFov;
+    const elevationStep = channels > 1 ? (high - low) / (channels - 1) : 0;
+
+    const beams = [];
+    for (let c = 0; c < channels; c++) {
+      const elevation = (channels > 1 ? low + c * elevationStep : (low + high) / 2) * toRad;
+      for (let i = 0; i < columns; i++) {
+        const azimuth = (azimuthStart + i * azimuthStep) * toRad;
+        beams.push({
+          x: Math.cos(elevation) * Math.cos(azimuth),
+          y: Math.cos(elevation) * Math.sin(azimuth),
+          z: Math.sin(elevation)
+        });
+      }
+    }
+    return beams;
+  }
+
+  /**
+   * 扫描一帧
+   * @param {SceneIndex} index - 场景空间索引
+   * @param {Object} pose - 传感器位姿 {position: {x, y, z}, orientation: {w, x, y, z}}
+   * @returns {Array} 传感器坐标系下的点 [{x, y, z, intensity}]
+   */
+  scan(index, pose) {
+    const { range, minRange, rangeNoise, dropout } = this.options;
+    const points = [];
+
+    for (const beam of this.beams) {
+      if (dropout > 0 && Math.random() < dropout) continue;
+
+      const hit = index.raycast(pose.position, rotate(pose.orientation, beam), range, minRange);
+      if (!hit) continue;
+
+      const distance = rangeNoise > 0 ? hit.range + gaussian() * rangeNoise : hit.range;
+      if (distance < minRange || distance > range) continue;
+
+      points.push({
+        x: beam.x * distance,
+        y: beam.y * distance,
+        z: beam.z * distance,
+        intensity: hit.point.intensity ?? 100
+      });
+    }
+
+    return points;
+  }
+
+  /**
+   * 传感器坐标系的点转换到地图坐标系
+   * @param {Array} points - scan() 的输出
+   * @param {Object} pose - 扫描时的传感器位姿
+   */
+  toMapFrame(points, pose) {
+    return points.map(p => {
+      const v = rotate(pose.orientation, p);
+      return {
+        x: v.x + pose.position.x,
+        y: v.y + pose.position.y,
+        z: v.z + pose.position.z,
+        intensity: p.intensity
+      };
+    });
+  }
+}
+
+module.exports = SimLidar;
@@ -7,6 +7,32 @@ const mqtt = require('mqtt');
 const fs = require('fs');
 const path = require('path');
 const protoHandler = require('./proto-handler');
+const SceneIndex = require('./scene-index');
+const SimLidar = require('./sim-lidar');
+
+// 任务状态枚举（与 mission.proto 中 Status.State 一致）
+const MISSION_STATE = {
+  INIT: 0,
+  WAIT: 1,
+  DISPATCH: 2,
+  STOP: 3,
+  ROTATE: 4,
+  ESCAPT: 5,
+  PLAN: 6,
+  REPLAN: 7,
+  LINE: 8,
+  CIRCLE: 9
+};
+
+// 飞行模式枚举（与 drone.proto 中 FlightControl.Mode 一致）
+const FLIGHT_MODE = {
+  INIT: 0,
+  MANUAL: 1,
+  HOVER: 2,
+  AUTO: 3,
+  TAKE_OFF: 4,
+  LAND: 5
+};
 
 class DroneSimulator {
   constructor(scenePcdFile, mqttBroker = 'mqtt://127.0.0.1:1883') {
@@ -21,18 +47,28 @@ class DroneSimulator {
 
     // 场景点云数据
     this.scenePoints = [];
+    this.sceneIndex = null;  // 场景空间索引（光线投射、碰撞检测和离障碍物距离查询，场景点变化后重建）
 
     // 模拟参数
     this.isFlying = false;
     this.targetPosition = null;
+    this.targetYaw = null;  // 自主飞行航点的目标航向（弧度），null 表示不控制航向
     this.speed = 0.5;  // m/s
-    this.sensorRange = 10;  // 传感器范围10米
-    this.pointCloudDensity = 500;  // 每次发送500个点
+    this.yawRate = 60;  // 最大旋转速度（度/秒）
+    this.collisionRadius = 0.3;  // 碰撞半径（米）
+    this.clearanceRange = 3;     // 离障碍物距离的最大查询范围（米），更远时报告为 null
+
+    // 激光雷达（光线投射，只返回每条光线的第一个命中点）
+    this.lidar = new SimLidar({
+      horizontalFov: Number(process.env.SIM_SENSOR_FOV) || 360,
+      frame: process.env.SIM_LIDAR_FRAME
+    });
 
     // 定时器
     this.odometryTimer = null;
     this.pointCloudTimer = null;
     this.heartbeatTimer = null;
+    this.statusTimer = null;
 
     // 脱困机制
     this.consecutiveCollisions = 0;  // 连续碰撞次数
@@ -44,7 +80,25 @@ class DroneSimulator {
       max: 2.5    // 默认最大高度2.5米
     };
 
+    // 机载模块运行状态（可通过 /daf/control 启停）
+    this.modules = { lidar: true, planner: true, camera: true, slam: true };
+    this.moduleRestartDelay = 2000;  // 模拟模块重启耗时（毫秒）
+    this.moduleRestartTimers = {};   // 重启中的模块 {name: timer}
+
+    // 任务队列（模拟机载任务调度）
+    this.sn = 'SIMULATOR-001';      // 模拟设备编号
+    this.missionId = null;          // 当前任务ID
+    this.taskQueue = [];            // 待执行的任务列表
+    this.currentTask = null;        // 正在执行的任务
+    this.missionState = 'INIT';     // 任务状态（mission.Status.State）
+    this.takeoffHeight = 1.0;       // 起飞高度（米）
+
+    // Line 任务执行状态
+    this.linePhase = null;          // 'approach'=飞往起点, 'line'=沿线段飞行
+    this.currentSpeed = 0;          // 当前速度标量（用于加速度限制）
+
     this.seqId = 0;
+    this.pointCloudSeq = 0;
   }
 
   /**
@@ -73,6 +127,7 @@ class DroneSimulator {
     }
 
     console.log(`✅ 场景已加载: ${this.scenePoints.length} 个点`);
+    this.buildSceneIndex();
   }
 
   /**
@@ -194,6 +249,7 @@ class DroneSimulator {
     this.addObstacle(-2, -2, 0, 0.4, 0.4, 1.0);  // 椅子
 
     console.log(`✅ 生成了 ${this.scenePoints.length} 个点（无地板点云）`);
+    this.buildSceneIndex();
   }
 
   /**
@@ -228,14 +284,22 @@ class DroneSimulator {
         console.log('✅ MQTT 已连接');
 
         // 订阅任务话题
-        this.mqttClient.subscribe('/daf/mission', (err) => {
+        this.mqttClient.subscribe('/daf/mission', { qos: 1 }, (err) => {
           if (!err) console.log('✅ 已订阅: /daf/mission');
         });
 
-        this.mqttClient.subscribe('/daf/mission/execution', (err) => {
+        this.mqttClient.subscribe('/daf/mission/execution', { qos: 1 }, (err) => {
           if (!err) console.log('✅ 已订阅: /daf/mission/execution');
         });
 
+        this.mqttClient.subscribe('/daf/command', { qos: 1 }, (err) => {
+          if (!err) console.log('✅ 已订阅: /daf/command');
+        });
+
+        this.mqttClient.subscribe('/daf/control', { qos: 1 }, (err) => {
+          if (!err) console.log('✅ 已订阅: /daf/control');
+        });
+
         // 订阅位置设置命令（用于同步探索起点）
         this.mqttClient.subscribe('/daf/simulator/set_position', (err) => {
           if (!err) console.log('✅ 已订阅: /daf/simulator/set_position');
@@ -246,6 +310,11 @@ class DroneSimulator {
           if (!err) console.log('✅ 已订阅: /daf/simulator/set_height_limits');
         });
 
+        // 订阅传感器配置（视场角/测距）
+        this.mqttClient.subscribe('/daf/simulator/set_sensor', (err) => {
+          if (!err) console.log('✅ 已订阅: /daf/simulator/set_sensor');
+        });
+
         resolve();
       });
 
@@ -304,6 +373,19 @@ class DroneSimulator {
         return;  // 处理完成，直接返回
       }
 
+      // 特殊处理：传感器配置消息（JSON格式，不是Protobuf）
+      if (topic === '/daf/simulator/set_sensor') {
+        try {
+          const sensorData = JSON.parse(message.toString());
+          this.lidar.configure({ ...sensorData, horizontalFov: sensorData.fov ?? sensorData.horizontalFov });
+          const o = this.lidar.options;
+          console.log(`📡 传感器配置已更新: 视场角 ${o.horizontalFov}°×[${o.verticalFov.join(', ')}]°, ${o.channels}线, 测距 ${o.range}m, 噪声 ${o.rangeNoise}m, ${this.lidar.beams.length} 条光线, 坐标系 ${o.frame}`);
+        } catch (err) {
+          console.error('解析传感器配置失败:', err);
+        }
+        return;  // 处理完成，直接返回
+      }
+
       // 使用 Protobuf 解码消息
       const decodedMessage = protoHandler.decode(topic, message);
 
@@ -315,43 +397,331 @@ class DroneSimulator {
       console.log('📦 解码后的消息:', JSON.stringify(decodedMessage, null, 2));
 
       if (topic === '/daf/mission') {
-        // 收到任务，解析目标位置
-        const mission = decodedMessage;
-
-        // 查找第一个 autoPilot 任务（跳过 takeOff, land 等）
-        if (mission && mission.tasks && mission.tasks.length > 0) {
-          const autoPilotTask = mission.tasks.find(task => task.autoPilot);
-
-          if (autoPilotTask && autoPilotTask.autoPilot.position) {
-            const goal = autoPilotTask.autoPilot.position;
-            this.targetPosition = {
-              x: goal.x,
-              y: goal.y,
-              z: goal.z || this.position.z
-            };
-            console.log(`🎯 接收到任务目标: (${goal.x.toFixed(2)}, ${goal.y.toFixed(2)}, ${goal.z?.toFixed(2) || this.position.z.toFixed(2)})`);
-          } else {
-            console.log('⚠️ 任务中没有找到 autoPilot 指令');
-          }
-        } else {
-          console.log('⚠️ 任务结构错误: mission =', mission);
-        }
+        this.handleMission(decodedMessage);
       } else if (topic === '/daf/mission/execution') {
-        // 收到执行指令，开始飞行
-        const execution = decodedMessage;
-        // action 是字符串 "START"，不是数字 0
-        if (execution && (execution.action === 0 || execution.action === 'START')) {
-          this.isFlying = true;
-          console.log('🚁 开始执行任务');
-        } else {
-          console.log('⚠️ 执行指令结构错误: execution =', execution);
-        }
+        this.handleExecution(decodedMessage);
+      } else if (topic === '/daf/command') {
+        this.handleCommand(decodedMessage);
+      } else if (topic === '/daf/control') {
+        this.handleModuleCommand(decodedMessage);
       }
     } catch (error) {
       console.error('处理MQTT消息失败:', error);
     }
   }
 
+  /**
+   * 处理起飞/降落指令（daf.Command），中止当前任务后立即执行
+   */
+  handleCommand(command) {
+    const action = command.action;
+
+    if (action === 0 || action === 'TAKE_OFF' || action === undefined) {
+      console.log('🛫 收到起飞指令');
+      this.abortMission('WAIT');
+      this.taskQueue = [{ takeOff: {} }];
+    } else if (action === 1 || action === 'LAND') {
+      console.log('🛬 收到降落指令，中止当前任务');
+      this.abortMission('WAIT');
+      this.taskQueue = [{ land: {} }];
+    } else {
+      console.log('⚠️ 未知控制指令:', action);
+      return;
+    }
+
+    this.startNextTask();
+  }
+
+  /**
+   * 处理机载模块控制指令（daf.control.Command）
+   * 雷达停止后不再发布点云，相机停止后心跳中相机状态为 ERR
+   */
+  handleModuleCommand(command) {
+    const name = command.module;
+    if (!(name in this.modules)) {
+      console.log(`⚠️ 未知模块: ${name}`);
+      return;
+    }
+
+    const action = command.action;
+    // 取消尚未完成的重启（重启期间收到停止指令时不再自动恢复）
+    const cancelRestart = () => {
+      clearTimeout(this.moduleRestartTimers[name]);
+      delete this.moduleRestartTimers[name];
+    };
+
+    if (action === 0 || action === 'STOP') {
+      cancelRestart();
+      this.modules[name] = false;
+      console.log(`⏹️ 模块已停止: ${name}`);
+    } else if (action === 1 || action === 'START') {
+      cancelRestart();
+      this.modules[name] = true;
+      console.log(`▶️ 模块已启动: ${name}`);
+    } else if (action === 2 || action === 'RESTART') {
+      cancelRestart();
+      this.modules[name] = false;
+      console.log(`🔄 模块重启中: ${name}`);
+      this.moduleRestartTimers[name] = setTimeout(() => {
+        delete this.moduleRestartTimers[name];
+        this.modules[name] = true;
+        console.log(`▶️ 模块已重启: ${name}`);
+      }, this.moduleRestartDelay);
+    } else {
+      console.log('⚠️ 未知模块动作:', action);
+    }
+  }
+
+  /**
+   * 处理任务下发：缓存任务队列并回执
+   */
+  handleMission(mission) {
+    if (!mission || !mission.tasks || mission.tasks.length === 0) {
+      console.log('⚠️ 任务结构错误: mission =', mission);
+      return;
+    }
+
+    // 重发的任务（回执丢失）已开始执行时只补发回执，不重置任务队列
+    if (mission.id === this.missionId && this.currentTask) {
+      console.log(`📋 任务 ${mission.id} 重复下发，补发回执`);
+      this.publishReceipt(mission.id);
+      return;
+    }
+
+    this.missionId = mission.id;
+    this.taskQueue = [...mission.tasks];
+    this.currentTask = null;
+    this.isFlying = false;
+    this.targetPosition = null;
+    this.missionState = 'WAIT';
+
+    console.log(`📋 收到任务 ${mission.id}: ${mission.tasks.length} 个子任务，等待执行指令`);
+
+    this.publishReceipt(mission.id);
+  }
+
+  /**
+   * 处理任务执行指令
+   * action 解码后是字符串（如 "START"），兼容数字枚举值
+   */
+  handleExecution(execution) {
+    if (!execution) {
+      console.log('⚠️ 执行指令结构错误: execution =', execution);
+      return;
+    }
+
+    if (execution.id && this.missionId && execution.id !== this.missionId) {
+      console.log(`⚠️ 执行指令ID (${execution.id}) 与当前任务 (${this.missionId}) 不匹配，忽略`);
+      return;
+    }
+
+    const action = execution.action;
+
+    if (action === 0 || action === 'START') {
+      if (this.currentTask || this.taskQueue.length > 0) {
+        console.log('🚁 开始执行任务');
+        this.missionState = 'DISPATCH';
+        if (!this.currentTask) {
+          this.startNextTask();
+        } else {
+          this.isFlying = true;
+        }
+      } else {
+        console.log('⚠️ 没有待执行的任务');
+      }
+    } else if (action === 1 || action === 'PAUSE') {
+      console.log('⏸️ 任务暂停，原地悬停');
+      this.isFlying = false;
+      this.velocity = { x: 0, y: 0, z: 0 };
+      this.missionState = 'WAIT';
+    } else if (action === 2 || action === 'RESUME') {
+      if (this.currentTask) {
+        console.log('▶️ 任务恢复');
+        this.isFlying = true;
+        this.missionState = this.getTaskState(this.currentTask);
+      }
+    } else if (action === 3 || action === 'STOP') {
+      console.log('🛑 任务停止');
+      this.abortMission('STOP');
+    } else if (action === 4 || action === 'CLEAR') {
+      console.log('🧹 任务已清除');
+      this.abortMission('WAIT');
+      this.missionId = null;
+    } else {
+      console.log('⚠️ 未知执行动作:', action);
+    }
+  }
+
+  /**
+   * 取出并开始执行下一个子任务
+   */
+  startNextTask() {
+    this.currentTask = this.taskQueue.shift() || null;
+
+    if (!this.currentTask) {
+      console.log(`🏁 任务 ${this.missionId} 全部完成`);
+      this.isFlying = false;
+      this.targetPosition = null;
+      this.missionState = 'WAIT';
+      return;
+    }
+
+    const task = this.currentTask;
+    this.targetYaw = null;
+
+    if (task.takeOff) {
+      const height = Math.max(this.position.z, this.takeoffHeight);
+      this.targetPosition = { x: this.position.x, y: this.position.y, z: height };
+      console.log(`🛫 起飞到 ${height.toFixed(2)}m`);
+    } else if (task.land) {
+      this.targetPosition = { x: this.position.x, y: this.position.y, z: 0 };
+      console.log('🛬 降落');
+    } else if (task.autoPilot && task.autoPilot.position) {
+      const goal = task.autoPilot.position;
+      this.targetPosition = {
+        x: goal.x,
+        y: goal.y,
+        z: goal.z || this.position.z
+      };
+      this.targetYaw = Number.isFinite(task.autoPilot.yaw) ? task.autoPilot.yaw : null;
+      const yawText = this.targetYaw !== null ? ` 航向${(this.targetYaw * 180 / Math.PI).toFixed(0)}°` : '';
+      console.log(`🎯 飞往航点: (${goal.x.toFixed(2)}, ${goal.y.toFixed(2)}, ${this.targetPosition.z.toFixed(2)})${yawText} [剩余${this.taskQueue.length}]`);
+    } else if (task.line && task.line.start && task.line.end) {
+      const { start, end } = task.line;
+      const distToStart = Math.hypot(
+        start.x - this.position.x,
+        start.y - this.position.y,
+        start.z - this.position.z
+      );
+
+      // 距离线段起点较远时先飞到起点，再沿线段飞行
+      if (distToStart > 0.3) {
+        this.linePhase = 'approach';
+        this.targetPosition = { x: start.x, y: start.y, z: start.z };
+      } else {
+        this.linePhase = 'line';
+        this.targetPosition = { x: end.x, y: end.y, z: end.z };
+      }
+      this.currentSpeed = 0;
+      console.log(`📏 直线任务: (${start.x.toFixed(2)}, ${start.y.toFixed(2)}) → (${end.x.toFixed(2)}, ${end.y.toFixed(2)}) 限速${task.line.maxSpeed}m/s 限加速度${task.line.maxAccel}m/s² 航向${task.line.yawMode}`);
+    } else {
+      console.log('⚠️ 不支持的子任务类型，跳过:', Object.keys(task));
+      this.startNextTask();
+      return;
+    }
+
+    this.isFlying = true;
+    this.missionState = this.getTaskState(task);
+  }
+
+  /**
+   * 当前是否在沿线段飞行
+   */
+  isFlyingLine() {
+    return !!(this.currentTask && this.currentTask.line && this.linePhase === 'line');
+  }
+
+  /**
+   * 计算本周期速度
+   * Line 任务遵守 max_speed / max_accel（梯形速度曲线），其余任务匀速
+   * @param {number} distance - 剩余距离（米）
+   * @param {number} dt - 时间步长（秒）
+   */
+  getStepSpeed(distance, dt) {
+    if (!this.isFlyingLine()) {
+      return this.speed;
+    }
+
+    const { maxSpeed, maxAccel } = this.currentTask.line;
+    const vMax = maxSpeed > 0 ? maxSpeed : this.speed;
+    const accel = maxAccel > 0 ? maxAccel : Infinity;
+
+    // 加速受限 + 为在终点停下提前减速
+    const speed = Math.min(
+      vMax,
+      this.currentSpeed + accel * dt,
+      Math.sqrt(2 * accel * distance)
+    );
+    this.currentSpeed = speed;
+    return speed;
+  }
+
+  /**
+   * 设置航向（只绕Z轴旋转）
+   */
+  setYaw(yaw) {
+    this.orientation = {
+      w: Math.cos(yaw / 2),
+      x: 0,
+      y: 0,
+      z: Math.sin(yaw / 2)
+    };
+  }
+
+  /**
+   * 自主飞行航点：按最大旋转速度转向目标航向（沿最短方向）
+   * @param {number} dt - 时间步长（秒）
+   * @returns {boolean} 航向是否已到位（无目标航向时为 true）
+   */
+  updateYaw(dt) {
+    if (this.targetYaw === null) return true;
+
+    const current = this.getEulerAngles().yaw;
+    const error = Math.atan2(Math.sin(this.targetYaw - current), Math.cos(this.targetYaw - current));
+    const maxStep = this.yawRate * Math.PI / 180 * dt;
+
+    if (Math.abs(error) <= maxStep) {
+      this.setYaw(this.targetYaw);
+      return true;
+    }
+    this.setYaw(current + Math.sign(error) * maxStep);
+    return false;
+  }
+
+  /**
+   * 沿线段飞行时按 YawMode 更新航向
+   * FIXED: 使用 yaw_fixed；TARGET: 机头始终指向 yaw_target
+   */
+  updateLineYaw() {
+    if (!this.isFlyingLine()) return;
+
+    const line = this.currentTask.line;
+    const yawMode = line.yawMode;
+
+    if ((yawMode === 'TARGET' || yawMode === 1) && line.yawTarget) {
+      const dx = line.yawTarget.x - this.position.x;
+      const dy = line.yawTarget.y - this.position.y;
+      if (Math.hypot(dx, dy) > 0.01) {
+        this.setYaw(Math.atan2(dy, dx));
+      }
+    } else {
+      this.setYaw(line.yawFixed || 0);
+    }
+  }
+
+  /**
+   * 子任务对应的任务状态
+   */
+  getTaskState(task) {
+    if (task && task.line) return 'LINE';
+    return 'PLAN';
+  }
+
+  /**
+   * 中止当前任务并清空队列
+   */
+  abortMission(state) {
+    this.taskQueue = [];
+    this.currentTask = null;
+    this.linePhase = null;
+    this.currentSpeed = 0;
+    this.isFlying = false;
+    this.targetPosition = null;
+    this.targetYaw = null;
+    this.velocity = { x: 0, y: 0, z: 0 };
+    this.missionState = state;
+  }
+
   /**
    * 启动模拟
    */
@@ -363,6 +733,11 @@ class DroneSimulator {
       this.publishHeartbeat();
     }, 100);
 
+    // 发布模拟器状态 (2Hz)
+    this.statusTimer = setInterval(() => {
+      this.publishStatus();
+    }, 500);
+
     // 发布位姿 (20Hz)
     this.odometryTimer = setInterval(() => {
       this.updatePosition();
@@ -385,8 +760,10 @@ class DroneSimulator {
     console.log('🛑 停止模拟器...');
 
     if (this.heartbeatTimer) clearInterval(this.heartbeatTimer);
+    if (this.statusTimer) clearInterval(this.statusTimer);
     if (this.odometryTimer) clearInterval(this.odometryTimer);
     if (this.pointCloudTimer) clearInterval(this.pointCloudTimer);
+    Object.values(this.moduleRestartTimers).forEach(timer => clearTimeout(timer));
 
     if (this.mqttClient) {
       this.mqttClient.end();
@@ -401,6 +778,7 @@ class DroneSimulator {
   setTarget(x, y, z) {
     this.targetPosition = { x, y, z: z || this.position.z };
     this.isFlying = true;
+    this.missionState = 'PLAN';
     console.log(`🎯 设置目标: (${x.toFixed(2)}, ${y.toFixed(2)}, ${z?.toFixed(2) || this.position.z.toFixed(2)})`);
   }
 
@@ -418,6 +796,18 @@ class DroneSimulator {
 
     const distance = Math.sqrt(dx*dx + dy*dy + dz*dz);
 
+    // 航向与位置同时调整
+    const dt = 0.05;  // 50ms
+    const yawReached = this.updateYaw(dt);
+
+    // 到达目标位置但航向未到位：原地旋转
+    if (distance < 0.1 && !yawReached) {
+      this.position = { ...this.targetPosition };
+      this.velocity = { x: 0, y: 0, z: 0 };
+      this.missionState = 'ROTATE';
+      return;
+    }
+
     // 到达目标
     if (distance < 0.1) {
       this.position = { ...this.targetPosition };
@@ -425,12 +815,31 @@ class DroneSimulator {
       this.isFlying = false;
       this.targetPosition = null;
       console.log(`✅ 到达目标: (${this.position.x.toFixed(2)}, ${this.position.y.toFixed(2)}, ${this.position.z.toFixed(2)})`);
+
+      // Line 任务：到达起点后开始沿线段飞行
+      if (this.currentTask && this.currentTask.line && this.linePhase === 'approach') {
+        const end = this.currentTask.line.end;
+        this.linePhase = 'line';
+        this.currentSpeed = 0;
+        this.targetPosition = { x: end.x, y: end.y, z: end.z };
+        this.isFlying = true;
+        this.updateLineYaw();
+        return;
+      }
+
+      // 继续执行队列中的下一个子任务
+      this.linePhase = null;
+      if (this.currentTask) {
+        this.startNextTask();
+      } else {
+        this.missionState = 'WAIT';
+      }
       return;
     }
 
-    // 匀速移动
-    const dt = 0.05;  // 50ms
-    const stepDistance = this.speed * dt;
+    // 移动（Line 任务受速度/加速度限制，其余匀速）
+    const speed = this.getStepSpeed(distance, dt);
+    const stepDistance = speed * dt;
 
     if (stepDistance < distance) {
       const ratio = stepDistance / distance;
@@ -451,10 +860,9 @@ class DroneSimulator {
           this.attemptEscape();
         }
 
-        this.isFlying = false;
-        this.targetPosition = null;
-        this.velocity = { x: 0, y: 0, z: 0 };
-        // 不报告碰撞错误，让探索引擎认为已到达并规划下一个目标
+        // 放弃当前任务，悬停等待新任务；任务状态报告 STOP（任务被中止，而不是执行完成）
+        // 探索引擎按位置和僵死检测判断到达，不依赖任务状态，仍会规划下一个目标
+        this.abortMission('STOP');
         return;
       }
 
@@ -465,9 +873,11 @@ class DroneSimulator {
       this.position.y = newY;
       this.position.z = newZ;
 
-      this.velocity.x = dx / distance * this.speed;
-      this.velocity.y = dy / distance * this.speed;
-      this.velocity.z = dz / distance * this.speed;
+      this.velocity.x = dx / distance * speed;
+      this.velocity.y = dy / distance * speed;
+      this.velocity.z = dz / distance * speed;
+
+      this.updateLineYaw();
     } else {
       this.position = { ...this.targetPosition };
       this.velocity = { x: 0, y: 0, z: 0 };
@@ -478,30 +888,32 @@ class DroneSimulator {
    * 碰撞检测：检查位置是否与点云碰撞
    */
   checkCollision(x, y, z) {
-    const collisionRadius = 0.3;  // 增加到0.3米（更保守）
+    const collisionRadius = this.collisionRadius;
 
-    // 只检查与无人机同高度的点（±0.3m范围内，避免地板干扰）
-    const minZ = z - 0.3;
+    // 只检查与无人机同高度的点（±0.3m范围内，跳过 z < 0.2 的地板点）
+    const minZ = Math.max(z - 0.3, 0.2);
     const maxZ = z + 0.3;
+    if (minZ > maxZ) return false;
+
+    // 只查询周围的体素（只计算水平距离）
+    return this.getSceneIndex().queryBox(
+      { x: x - collisionRadius, y: y - collisionRadius, z: minZ },
+      { x: x + collisionRadius, y: y + collisionRadius, z: maxZ },
+      point => Math.hypot(point.x - x, point.y - y) < collisionRadius
+    );
+  }
 
-    // 检查周围是否有点云
-    for (const point of this.scenePoints) {
-      // 跳过地板点（z < 0.2）
-      if (point.z < 0.2) continue;
-
-      // 跳过高度差异太大的点
-      if (point.z < minZ || point.z > maxZ) continue;
-
-      const dx = point.x - x;
-      const dy = point.y - y;
-      const distance = Math.sqrt(dx*dx + dy*dy);  // 只计算水平距离
-
-      if (distance < collisionRadius) {
-        return true;  // 碰撞
-      }
-    }
-
-    return false;  // 无碰撞
+  /**
+   * 离最近障碍物的有符号距离：到最近场景点（不含地板点）的距离减去碰撞半径，负值表示已进入碰撞半径
+   * @returns {Object|null} {clearance, nearest: {x, y, z}}，clearanceRange 内没有障碍物时为 null
+   */
+  getClearance(position = this.position) {
+    const hit = this.getSceneIndex().nearest(position, this.clearanceRange, point => point.z >= 0.2);
+    if (!hit) return null;
+    return {
+      clearance: hit.distance - this.collisionRadius,
+      nearest: { x: hit.point.x, y: hit.point.y, z: hit.point.z }
+    };
   }
 
   /**
@@ -653,82 +1065,192 @@ class DroneSimulator {
   }
 
   /**
-   * 获取可见点云 (传感器范围内的点)
+   * 建立场景空间索引（加载场景后调用）
+   */
+  buildSceneIndex() {
+    const startTime = Date.now();
+    this.sceneIndex = new SceneIndex(this.scenePoints);
+    console.log(`🗂️ 场景空间索引已建立: ${this.sceneIndex.voxels.size} 个体素，耗时 ${Date.now() - startTime}ms`);
+    return this.sceneIndex;
+  }
+
+  /**
+   * 获取场景空间索引（场景点变化后重建）
+   */
+  getSceneIndex() {
+    if (!this.sceneIndex || this.sceneIndex.points !== this.scenePoints ||
+        this.sceneIndex.pointCount !== this.scenePoints.length) {
+      return this.buildSceneIndex();
+    }
+    return this.sceneIndex;
+  }
+
+  /**
+   * 雷达扫描一帧
+   * @returns {Object} {points: 传感器坐标系下的点, pose: 扫描时的位姿}
+   */
+  scanLidar() {
+    const pose = { position: { ...this.position }, orientation: { ...this.orientation } };
+    return { points: this.lidar.scan(this.getSceneIndex(), pose), pose };
+  }
+
+  /**
+   * 获取可见点云（雷达扫描结果，地图坐标系）
    */
   getVisiblePoints() {
-    const visible = [];
+    const { points, pose } = this.scanLidar();
+    return this.lidar.toMapFrame(points, pose);
+  }
 
-    for (const point of this.scenePoints) {
-      const dx = point.x - this.position.x;
-      const dy = point.y - this.position.y;
-      const dz = point.z - this.position.z;
-      const distance = Math.sqrt(dx*dx + dy*dy + dz*dz);
+  /**
+   * 生成时间戳（TimeStamp）
+   */
+  createStamp() {
+    const now = Date.now();
+    return {
+      sec: Math.floor(now / 1000),
+      nsec: (now % 1000) * 1e6
+    };
+  }
 
-      if (distance <= this.sensorRange) {
-        visible.push(point);
-      }
-    }
+  /**
+   * 从四元数计算欧拉角（弧度）
+   */
+  getEulerAngles() {
+    const { w, x, y, z } = this.orientation;
+    const roll = Math.atan2(2 * (w * x + y * z), 1 - 2 * (x * x + y * y));
+    const pitch = Math.asin(Math.max(-1, Math.min(1, 2 * (w * y - z * x))));
+    const yaw = Math.atan2(2 * (w * z + x * y), 1 - 2 * (y * y + z * z));
+    return { roll, pitch, yaw };
+  }
 
-    // 随机采样到目标密度
-    if (visible.length > this.pointCloudDensity) {
-      const sampled = [];
-      const step = visible.length / this.pointCloudDensity;
-      for (let i = 0; i < this.pointCloudDensity; i++) {
-        const idx = Math.floor(i * step);
-        sampled.push(visible[idx]);
-      }
-      return sampled;
+  /**
+   * 当前飞行模式
+   */
+  getFlightMode() {
+    if (this.isFlying && this.currentTask) {
+      if (this.currentTask.takeOff) return FLIGHT_MODE.TAKE_OFF;
+      if (this.currentTask.land) return FLIGHT_MODE.LAND;
+      return FLIGHT_MODE.AUTO;
     }
+    if (this.isFlying) return FLIGHT_MODE.AUTO;
+    return this.position.z > 0.2 ? FLIGHT_MODE.HOVER : FLIGHT_MODE.INIT;
+  }
 
-    return visible;
+  /**
+   * 剩余任务队列大小（包含正在执行的子任务）
+   */
+  getQueueSize() {
+    return this.taskQueue.length + (this.currentTask ? 1 : 0);
   }
 
   /**
-   * 发布心跳
+   * 发布心跳（daf.Heartbeat）
    */
   publishHeartbeat() {
-    const heartbeat = {
-      seqenceId: this.seqId++,
-      timestamp: Date.now(),
-      status: 'OK'
-    };
+    try {
+      const buffer = protoHandler.createHeartbeat({
+        stamp: this.createStamp(),
+        seqenceId: this.seqId++,
+        sn: this.sn,
+        position: { ...this.position },
+        velocity: { ...this.velocity },
+        orientation: this.getEulerAngles(),
+        flightControl: {
+          status: 0,  // OK
+          mode: this.getFlightMode()
+        },
+        lidar: { status: this.modules.lidar ? 0 : 1 },
+        fpvCamera: { status: this.modules.camera ? 0 : 1 },
+        missionState: {
+          state: MISSION_STATE[this.missionState],
+          queueSize: this.getQueueSize()
+        }
+      });
+      this.mqttClient.publish('/daf/heartbeat', buffer);
+    } catch (error) {
+      console.error('发布心跳失败:', error.message);
+    }
+  }
 
-    // 这里简化为JSON,实际应该用protobuf编码
-    this.mqttClient.publish('/daf/heartbeat', JSON.stringify(heartbeat));
+  /**
+   * 发布模拟器状态（JSON，Heartbeat 中没有对应字段）：离最近障碍物的距离等
+   */
+  publishStatus() {
+    try {
+      const clearance = this.getClearance();
+      this.mqttClient.publish('/daf/simulator/status', JSON.stringify({
+        timestamp: Date.now(),
+        position: { ...this.position },
+        clearance: clearance ? clearance.clearance : null,
+        nearestObstacle: clearance ? clearance.nearest : null,
+        collisionRadius: this.collisionRadius,
+        consecutiveCollisions: this.consecutiveCollisions
+      }));
+    } catch (error) {
+      console.error('发布模拟器状态失败:', error.message);
+    }
   }
 
   /**
-   * 发布位姿
+   * 发布位姿（daf.LocalOdometry）
    */
   publishOdometry() {
-    const odometry = {
-      pose: {
+    try {
+      const buffer = protoHandler.createOdometry({
+        stamp: this.createStamp(),
+        orientation: { ...this.orientation },
         position: { ...this.position },
-        orientation: { ...this.orientation }
-      },
-      twist: {
-        linear: { ...this.velocity },
-        angular: { x: 0, y: 0, z: 0 }
-      },
-      timestamp: Date.now()
-    };
-
-    this.mqttClient.publish('/daf/local/odometry', JSON.stringify(odometry));
+        velocity: { ...this.velocity },
+        frame: 'map'
+      });
+      this.mqttClient.publish('/daf/local/odometry', buffer);
+    } catch (error) {
+      console.error('发布位姿失败:', error.message);
+    }
   }
 
   /**
-   * 发布点云
+   * 发布点云（daf.PointCloud）
    */
   publishPointCloud() {
-    const visiblePoints = this.getVisiblePoints();
+    // 雷达模块停止时不发布点云
+    if (!this.modules.lidar) return;
 
-    const pointcloud = {
-      points: visiblePoints,
-      timestamp: Date.now(),
-      frame_id: 'lidar'
-    };
+    try {
+      const { points, pose } = this.scanLidar();
+      const visiblePoints = this.lidar.options.frame === 'sensor' ? points : this.lidar.toMapFrame(points, pose);
+
+      // 转换为proto格式: {xyz: {x, y, z}, intensity: uint32}
+      const protoPoints = visiblePoints.map(p => ({
+        xyz: { x: p.x, y: p.y, z: p.z },
+        intensity: Math.max(0, Math.min(255, Math.floor(p.intensity || 0))),  // 必须是0-255整数
+        rgb: 0
+      }));
+
+      const buffer = protoHandler.createPointCloud({
+        stamp: this.createStamp(),
+        sequenceNo: this.pointCloudSeq++,
+        type: 1,  // INTENSITY
+        points: protoPoints
+      });
+      this.mqttClient.publish('/daf/pointcloud', buffer);
+    } catch (error) {
+      console.error('发布点云失败:', error.message);
+    }
+  }
 
-    this.mqttClient.publish('/daf/pointcloud', JSON.stringify(pointcloud));
+  /**
+   * 发布任务回执（daf.mission.Receipt）
+   */
+  publishReceipt(missionId) {
+    try {
+      const buffer = protoHandler.createReceipt({ id: missionId });
+      this.mqttClient.publish('/daf/mission/receipt', buffer, { qos: 1 });
+      console.log(`📨 已回执任务: ${missionId}`);
+    } catch (error) {
+      console.error('发布任务回执失败:', error.message);
+    }
   }
 }
 
@@ -741,6 +1263,7 @@ if (require.main === module) {
   const simulator = new DroneSimulator(sceneFile, broker);
 
   (async () => {
+    await protoHandler.init();
     await simulator.loadScene();
     await simulator.connectMQTT();
     simulator.start();
@@ -0,0 +1,403 @@
+/**
+ * 三维体素占据地图
+ * 稀疏哈希体素 + log-odds 概率更新，从无人机位姿向每个雷达点做三维光线投射：
+ *   光线经过的体素记为空闲（miss），终点体素记为占据（hit）
+ * 可按高度区间导出二维切片写入 OccupancyGrid，供路径规划和现有地图可视化使用
+ */
+
+// 体素索引偏移（索引范围 ±32768，分辨率0.2m时约 ±6.5km）
+const INDEX_OFFSET = 32768;
+const INDEX_SPAN = 65536;
+
+// 6邻域
+const NEIGHBORS_6 = [
+  [1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1]
+];
+
+const logit = p => Math.log(p / (1 - p));
+
+const DEFAULT_OPTIONS = {
+  resolution: 0.2,      // 体素边长（米）
+  maxRange: 10,         // 最大有效测距（米），超出部分只更新空闲不记占据
+  probHit: 0.7,         // 命中概率
+  probMiss: 0.4,        // 穿过概率
+  clampMin: 0.12,       // 概率下限（防止过度自信，便于动态更新）
+  clampMax: 0.97,       // 概率上限
+  occupiedThreshold: 0.6, // 高于该概率视为占据
+  freeThreshold: 0.45     // 低于该概率视为空闲
+};
+
+class VoxelMap {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.resolution = this.options.resolution;
+
+    // log-odds 参数
+    this.logHit = logit(this.options.probHit);
+    this.logMiss = logit(this.options.probMiss);
+    this.logMin = logit(this.options.clampMin);
+    this.logMax = logit(this.options.clampMax);
+    this.logOccupied = logit(this.options.occupiedThreshold);
+    this.logFree = logit(this.options.freeThreshold);
+
+    // 体素数据：key → log-odds（不存在的体素为未知）
+    this.voxels = new Map();
+
+    // 自上次导出切片后发生变化的体素列 {columnKey}
+    this.dirtyColumns = new Set();
+  }
+
+  /**
+   * 世界坐标转体素索引
+   */
+  worldToVoxel(x, y, z) {
+    return {
+      x: Math.floor(x / this.resolution),
+      y: Math.floor(y / this.resolution),
+      z: Math.floor(z / this.resolution)
+    };
+  }
+
+  /**
+   * 体素索引转世界坐标（体素中心）
+   */
+  voxelToWorld(ix, iy, iz) {
+    return {
+      x: (ix + 0.5) * this.resolution,
+      y: (iy + 0.5) * this.resolution,
+      z: (iz + 0.5) * this.resolution
+    };
+  }
+
+  key(ix, iy, iz) {
+    return ((ix + INDEX_OFFSET) * INDEX_SPAN + (iy + INDEX_OFFSET)) * INDEX_SPAN + (iz + INDEX_OFFSET);
+  }
+
+  decodeKey(key) {
+    const iz = key % INDEX_SPAN;
+    const rest = (key - iz) / INDEX_SPAN;
+    const iy = rest % INDEX_SPAN;
+    const ix = (rest - iy) / INDEX_SPAN;
+    return { x: ix - INDEX_OFFSET, y: iy - INDEX_OFFSET, z: iz - INDEX_OFFSET };
+  }
+
+  columnKey(ix, iy) {
+    return (ix + INDEX_OFFSET) * INDEX_SPAN + (iy + INDEX_OFFSET);
+  }
+
+  /**
+   * 获取体素状态
+   * @returns {number} 1=空闲, 0=未知, -1=占据（与 OccupancyGrid 一致）
+   */
+  getState(ix, iy, iz) {
+    const value = this.voxels.get(this.key(ix, iy, iz));
+    if (value === undefined) return 0;
+    if (value >= this.logOccupied) return -1;
+    if (value <= this.logFree) return 1;
+    return 0;
+  }
+
+  /**
+   * 获取世界坐标处的体素状态
+   */
+  getStateAt(x, y, z) {
+    const v = this.worldToVoxel(x, y, z);
+    return this.getState(v.x, v.y, v.z);
+  }
+
+  /**
+   * log-odds 更新单个体素
+   */
+  updateVoxel(ix, iy, iz, delta) {
+    const k = this.key(ix, iy, iz);
+    const old = this.voxels.get(k) || 0;
+    const value = Math.max(this.logMin, Math.min(this.logMax, old + delta));
+    if (value !== old) {
+      this.voxels.set(k, value);
+      this.dirtyColumns.add(this.columnKey(ix, iy));
+    }
+  }
+
+  /**
+   * 插入一条测量光线（三维DDA体素遍历）
+   * @param {Object} origin - 传感器位置 {x, y, z}
+   * @param {Object} endpoint - 测量点 {x, y, z}
+   */
+  insertRay(origin, endpoint) {
+    let dx = endpoint.x - origin.x;
+    let dy = endpoint.y - origin.y;
+    let dz = endpoint.z - origin.z;
+    const length = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    if (length < 1e-6) return;
+
+    // 超出最大测距：截断光线，只更新空闲
+    let hit = true;
+    let end = endpoint;
+    if (length > this.options.maxRange) {
+      const scale = this.options.maxRange / length;
+      dx *= scale;
+      dy *= scale;
+      dz *= scale;
+      end = { x: origin.x + dx, y: origin.y + dy, z: origin.z + dz };
+      hit = false;
+    }
+
+    const res = this.resolution;
+    const current = this.worldToVoxel(origin.x, origin.y, origin.z);
+    const target = this.worldToVoxel(end.x, end.y, end.z);
+
+    const step = { x: Math.sign(dx), y: Math.sign(dy), z: Math.sign(dz) };
+    const tDelta = {};
+    const tMax = {};
+    for (const axis of ['x', 'y', 'z']) {
+      const d = { x: dx, y: dy, z: dz }[axis];
+      if (d === 0) {
+        tDelta[axis] = Infinity;
+        tMax[axis] = Infinity;
+      } else {
+        const boundary = (current[axis] + (d > 0 ? 1 : 0)) * res;
+        tDelta[axis] = Math.abs(res / d);
+        tMax[axis] = (boundary - origin[axis]) / d;
+      }
+    }
+
+    const maxSteps = Math.abs(target.x - current.x) + Math.abs(target.y - current.y) + Math.abs(target.z - current.z);
+    for (let i = 0; i < maxSteps; i++) {
+      this.updateVoxel(current.x, current.y, current.z, this.logMiss);
+
+      if (tMax.x < tMax.y && tMax.x < tMax.z) {
+        current.x += step.x;
+        tMax.x += tDelta.x;
+      } else if (tMax.y < tMax.z) {
+        current.y += step.y;
+        tMax.y += tDelta.y;
+      } else {
+        current.z += step.z;
+        tMax.z += tDelta.z;
+      }
+    }
+
+    this.updateVoxel(target.x, target.y, target.z, hit ? this.logHit : this.logMiss);
+  }
+
+  /**
+   * 插入一帧点云
+   * @param {Object} origin - 传感器位置
+   * @param {Array} points - 点 [{x, y, z}]
+   */
+  insertPointCloud(origin, points) {
+    for (const point of points) {
+      this.insertRay(origin, point);
+    }
+  }
+
+  /**
+   * 插入先验地图（已有点云）
+   * 点所在体素直接置为最高占据概率；给定视点时先从视点向每个点做光线投射标记空闲
+   * @param {Array} points - 点 [{x, y, z}]
+   * @param {Object|null} viewpoint - 扫描视点 {x, y, z}，null 表示不标记空闲
+   * @returns {number} 先验占据体素数
+   */
+  insertPriorMap(points, viewpoint = null) {
+    // 同一体素只处理一次
+    const targets = new Map();
+    for (const point of points) {
+      const v = this.worldToVoxel(point.x, point.y, point.z);
+      targets.set(this.key(v.x, v.y, v.z), v);
+    }
+
+    if (viewpoint) {
+      for (const v of targets.values()) {
+        this.insertRay(viewpoint, this.voxelToWorld(v.x, v.y, v.z));
+      }
+    }
+
+    // 先验障碍物最后写入，避免被其他光线清空
+    for (const v of targets.values()) {
+      this.updateVoxel(v.x, v.y, v.z, this.logMax - this.logMin);
+    }
+
+    return targets.size;
+  }
+
+  /**
+   * 将圆柱区域标记为空闲（探索开始时初始化起点周围空间）
+   * @param {Object} center - 圆柱中心 {x, y}
+   * @param {number} radius - 半径（米）
+   * @param {number} minZ - 下沿（米）
+   * @param {number} maxZ - 上沿（米）
+   */
+  seedFree(center, radius, minZ, maxZ) {
+    const c = this.worldToVoxel(center.x, center.y, 0);
+    const r = Math.ceil(radius / this.resolution);
+    const izMin = Math.floor(minZ / this.resolution);
+    const izMax = Math.floor(maxZ / this.resolution);
+
+    for (let dx = -r; dx <= r; dx++) {
+      for (let dy = -r; dy <= r; dy++) {
+        if (Math.sqrt(dx * dx + dy * dy) > r) continue;
+        for (let iz = izMin; iz <= izMax; iz++) {
+          if (this.getState(c.x + dx, c.y + dy, iz) === 0) {
+            this.updateVoxel(c.x + dx, c.y + dy, iz, this.logMiss);
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * 检测三维前沿体素：空闲且6邻域中有未知体素
+   * @param {Object} options - {center, radius: 水平搜索半径(米), minZ, maxZ}
+   * @returns {Array} 前沿体素中心 [{x, y, z}]
+   */
+  detectFrontiers({ center, radius, minZ, maxZ }) {
+    const frontiers = [];
+    const izMin = Math.floor(minZ / this.resolution);
+    const izMax = Math.floor(maxZ / this.resolution);
+
+    for (const [k, value] of this.voxels) {
+      if (value > this.logFree) continue;
+
+      const v = this.decodeKey(k);
+      if (v.z < izMin || v.z > izMax) continue;
+
+      const world = this.voxelToWorld(v.x, v.y, v.z);
+      if (center && Math.hypot(world.x - center.x, world.y - center.y) > radius) continue;
+
+      // 高度范围外的未知空间不可飞达，不计入前沿
+      const hasUnknown = NEIGHBORS_6.some(([nx, ny, nz]) =>
+        v.z + nz >= izMin && v.z + nz <= izMax && this.getState(v.x + nx, v.y + ny, v.z + nz) === 0
+      );
+      if (hasUnknown) {
+        frontiers.push(world);
+      }
+    }
+
+    return frontiers;
+  }
+
+  /**
+   * 导出高度区间 [minZ, maxZ] 的二维切片到占据栅格
+   * 列内任一体素占据 → 占据；否则任一体素空闲 → 空闲；否则未知
+   * 栅格分辨率需与体素分辨率一致
+   * @param {OccupancyGrid} grid - 目标栅格
+   * @param {number} minZ - 切片下沿（米）
+   * @param {number} maxZ - 切片上沿（米）
+   * @param {boolean} full - true=重建整个栅格，false=只更新变化的体素列
+   * @param {boolean} consume - 是否清空变化记录（导出临时切片时传 false）
+   */
+  exportSlice(grid, minZ, maxZ, full = false, consume = true) {
+    const izMin = Math.floor(minZ / this.resolution);
+    const izMax = Math.floor(maxZ / this.resolution);
+
+    // 按体素列写入（栅格随写入自动扩展，栅格坐标需在每次写入前重新换算）
+    const updateColumn = (ix, iy) => {
+      let state = 0;
+      for (let iz = izMin; iz <= izMax; iz++) {
+        const s = this.getState(ix, iy, iz);
+        if (s === -1) {
+          state = -1;
+          break;
+        }
+        if (s === 1) state = 1;
+      }
+      const center = this.voxelToWorld(ix, iy, 0);
+      const cell = grid.worldToGrid(center.x, center.y);
+      grid.setOccupancy(cell.x, cell.y, state);
+    };
+
+    const decodeColumn = (ck) => {
+      const iy = ck % INDEX_SPAN - INDEX_OFFSET;
+      const ix = (ck - (iy + INDEX_OFFSET)) / INDEX_SPAN - INDEX_OFFSET;
+      return { ix, iy };
+    };
+
+    if (full) {
+      // 只遍历切片高度内存在体素的列，内存和耗时随已探索区域增长
+      grid.reset();
+      const columns = new Set();
+      for (const k of this.voxels.keys()) {
+        const iz = k % INDEX_SPAN - INDEX_OFFSET;
+        if (iz < izMin || iz > izMax) continue;
+        columns.add((k - (iz + INDEX_OFFSET)) / INDEX_SPAN);
+      }
+      for (const ck of columns) {
+        const { ix, iy } = decodeColumn(ck);
+        updateColumn(ix, iy);
+      }
+    } else {
+      for (const ck of this.dirtyColumns) {
+        const { ix, iy } = decodeColumn(ck);
+        updateColumn(ix, iy);
+      }
+    }
+
+    if (consume) {
+      this.dirtyColumns.clear();
+    }
+  }
+
+  /**
+   * 统计信息
+   */
+  getStats() {
+    let free = 0;
+    let occupied = 0;
+    for (const value of this.voxels.values()) {
+      if (value >= this.logOccupied) occupied++;
+      else if (value <= this.logFree) free++;
+    }
+    return {
+      voxelCount: this.voxels.size,
+      free,
+      occupied,
+      resolution: this.resolution
+    };
+  }
+
+  /**
+   * 导出体素数据（用于地图持久化）
+   * @returns {Object} {keys, values}，log-odds 保留3位小数
+   */
+  exportVoxels() {
+    const keys = [];
+    const values = [];
+    for (const [k, value] of this.voxels) {
+      keys.push(k);
+      values.push(Math.round(value * 1000) / 1000);
+    }
+    return { keys, values };
+  }
+
+  /**
+   * 导入体素数据（覆盖同位置体素）
+   * @param {Object} data - exportVoxels 的输出
+   * @param {Object} offset - 体素索引平移 {x, y, z}（用于对齐不同架次的坐标原点）
+   */
+  importVoxels(data, offset = { x: 0, y: 0, z: 0 }) {
+    const shifted = offset.x !== 0 || offset.y !== 0 || offset.z !== 0;
+
+    for (let i = 0; i < data.keys.length; i++) {
+      let k = data.keys[i];
+      const v = this.decodeKey(k);
+      if (shifted) {
+        v.x += offset.x;
+        v.y += offset.y;
+        v.z += offset.z;
+        k = this.key(v.x, v.y, v.z);
+      }
+      this.voxels.set(k, data.values[i]);
+      this.dirtyColumns.add(this.columnKey(v.x, v.y));
+    }
+  }
+
+  /**
+   * 重置地图
+   */
+  reset() {
+    this.voxels.clear();
+    this.dirtyColumns.clear();
+  }
+}
+
+module.exports = VoxelMap;
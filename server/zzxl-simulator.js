@@ -12,9 +12,6 @@ class ZZXLSimulator extends DroneSimulator {
   constructor(mqttBroker = 'mqtt://127.0.0.1:1883') {
     super('../zzxl.pcd', mqttBroker);
 
-    // 加载protoHandler
-    this.protoHandler = protoHandler;
-
     // 场景加载标志
     this.sceneLoaded = false;
 
@@ -33,8 +30,8 @@ class ZZXLSimulator extends DroneSimulator {
     };
 
     // 调整传感器参数以适应大场景
-    this.sensorRange = 15;  // 15米传感器范围
-    this.pointCloudDensity = 1000;  // 每次发送1000个点
+    this.lidar.configure({ range: 15 });  // 15米雷达测距
+    this.clearanceRange = 5;
     this.speed = 1.0;  // 1 m/s 飞行速度
 
     // 加载进度
@@ -136,6 +133,7 @@ class ZZXLSimulator extends DroneSimulator {
     }
 
     await this.loadPCD();
+    this.buildSceneIndex();   // 碰撞检测和雷达光线投射只查询附近体素
     this.sceneLoaded = true;  // 标记场景已加载
   }
 
@@ -214,38 +212,7 @@ class ZZXLSimulator extends DroneSimulator {
   }
 
   /**
-   * 重写发布心跳 - 使用Protobuf
-   */
-  publishHeartbeat() {
-    try {
-      const buffer = this.protoHandler.createHeartbeat({
-        seqenceId: this.seqId++,
-        timestamp: Date.now()
-      });
-      this.mqttClient.publish('/daf/heartbeat', buffer);
-    } catch (error) {
-      console.error('发布心跳失败:', error.message);
-    }
-  }
-
-  /**
-   * 重写发布位姿 - 使用Protobuf
-   */
-  publishOdometry() {
-    try {
-      const buffer = this.protoHandler.createOdometry({
-        position: this.position,      // 直接传position
-        orientation: this.orientation, // 直接传orientation
-        velocity: this.velocity        // 直接传velocity
-      });
-      this.mqttClient.publish('/daf/local/odometry', buffer);
-    } catch (error) {
-      console.error('发布位姿失败:', error.message);
-    }
-  }
-
-  /**
-   * 重写发布点云 - 使用Protobuf (只在场景加载后发送)
+   * 重写发布点云 - 只在场景加载后发送
    */
   publishPointCloud() {
     // 场景未加载时不发送点云
@@ -253,27 +220,7 @@ class ZZXLSimulator extends DroneSimulator {
       return;
     }
 
-    try {
-      const visiblePoints = this.getVisiblePoints();
-
-      // 转换为proto格式: {xyz: {x, y, z}, intensity: uint32}
-      const protoPoints = visiblePoints.map(p => ({
-        xyz: {
-          x: p.x,
-          y: p.y,
-          z: p.z
-        },
-        intensity: Math.floor(p.intensity),  // 确保是整数
-        rgb: 0
-      }));
-
-      const buffer = this.protoHandler.createPointCloud({
-        points: protoPoints
-      });
-      this.mqttClient.publish('/daf/pointcloud', buffer);
-    } catch (error) {
-      console.error('发布点云失败:', error.message);
-    }
+    super.publishPointCloud();
   }
 }
 
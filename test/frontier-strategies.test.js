@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const FRONTIER_STRATEGIES = require('../server/frontier-strategies');
+
+/**
+ * 前沿点簇候选（无人机在原点，起点到簇的路径长度取直线距离）
+ */
+function entries(points) {
+  return points.map(([x, y], id) => ({
+    candidate: { id },
+    frontier: { x, y },
+    metrics: { pathLength: Math.hypot(x, y), size: 10 }
+  }));
+}
+
+const tourOrder = list => list
+  .filter(entry => entry.candidate.tourOrder)
+  .sort((a, b) => a.candidate.tourOrder - b.candidate.tourOrder)
+  .map(entry => entry.candidate.id);
+
+test('tour: 先访问另一侧的单个簇，不先飞远再折返', () => {
+  // 左侧 1 个簇，右侧 4 个簇排成一行
+  const list = entries([[1, 0], [-1.5, 0], [2, 0], [3, 0], [4, 0]]);
+  const selected = FRONTIER_STRATEGIES.tour.select(list);
+
+  assert.deepStrictEqual(tourOrder(list), [1, 0, 2, 3, 4]);
+  assert.strictEqual(selected.candidate.id, 1);
+  // 得分按巡游顺序递减
+  const byScore = [...list].sort((a, b) => b.candidate.score - a.candidate.score);
+  assert.deepStrictEqual(byScore.map(entry => entry.candidate.id), [1, 0, 2, 3, 4]);
+
+  // 最近优先策略选的是右侧最近的簇
+  assert.strictEqual(FRONTIER_STRATEGIES.nearest.select(entries([[1, 0], [-1.5, 0], [2, 0], [3, 0], [4, 0]])).candidate.id, 0);
+});
+
+test('tour: 两侧交替分布时沿一侧扫完再到另一侧', () => {
+  const list = entries([[0, 1], [0, -1.05], [0, 2], [0, -2.1], [0, 3], [0, -3.2]]);
+  FRONTIER_STRATEGIES.tour.select(list);
+  assert.deepStrictEqual(tourOrder(list), [0, 2, 4, 1, 3, 5]);
+});
+
+test('tour: 超过排序上限的远处簇排在最后，无候选时返回 null', () => {
+  const points = Array.from({ length: 32 }, (_, i) => [i + 1, 0]);
+  const list = entries(points);
+  const selected = FRONTIER_STRATEGIES.tour.select(list);
+
+  assert.strictEqual(selected.candidate.id, 0);
+  assert.deepStrictEqual(tourOrder(list), points.slice(0, 30).map((_, i) => i));
+  assert.strictEqual(list[31].candidate.tourOrder, undefined);
+  assert.strictEqual(list[31].candidate.score, -30);
+
+  assert.strictEqual(FRONTIER_STRATEGIES.tour.select([]), null);
+});
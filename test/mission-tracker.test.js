@@ -0,0 +1,124 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const MissionTracker = require('../server/mission-tracker');
+
+const mission = { id: 'm1', tasks: [{ takeOff: {} }, { autoPilot: {} }, { land: {} }] };
+const heartbeat = (state, queueSize) => ({ missionState: { state, queueSize } });
+
+let tracker;
+let finished;
+
+beforeEach((t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  tracker = new MissionTracker();
+  finished = [];
+  tracker.on('mission:finished', m => finished.push(m));
+});
+
+afterEach(() => {
+  tracker.clearDispatchTimer();
+});
+
+/**
+ * 发布 → 回执 → START
+ */
+function dispatch() {
+  tracker.onMissionPublished(mission);
+  tracker.onReceipt({ id: mission.id });
+  tracker.onExecution({ id: mission.id, action: 0 });
+}
+
+test('正常流转：published → receipted → dispatched → executing → completed', () => {
+  dispatch();
+  tracker.onHeartbeat(heartbeat('WAIT', 3));
+  assert.strictEqual(tracker.getMission('m1').status, 'dispatched');
+
+  tracker.onHeartbeat(heartbeat('PLAN', 2));
+  assert.strictEqual(tracker.getMission('m1').status, 'executing');
+  assert.strictEqual(tracker.getMission('m1').currentTaskIndex, 1);
+
+  tracker.onHeartbeat(heartbeat('WAIT', 0));
+  const result = tracker.getMission('m1');
+  assert.strictEqual(result.status, 'completed');
+  assert.deepStrictEqual(result.history.map(h => h.status),
+    ['published', 'receipted', 'dispatched', 'executing', 'completed']);
+  assert.strictEqual(tracker.getState().activeMission, null);
+});
+
+test('短任务在两次心跳之间执行完（dispatched → 空闲）视为完成，派发超时不再判定失败', (t) => {
+  dispatch();
+  tracker.onHeartbeat(heartbeat('WAIT', 0));
+  assert.strictEqual(tracker.getMission('m1').status, 'completed');
+
+  t.mock.timers.tick(10001);
+  assert.strictEqual(tracker.getMission('m1').status, 'completed');
+  assert.strictEqual(finished.length, 1);
+});
+
+test('未收到回执时 dispatched → 空闲不视为完成，派发超时后失败', (t) => {
+  tracker.onMissionPublished(mission);
+  tracker.onExecution({ id: mission.id, action: 'START' });
+  tracker.onHeartbeat(heartbeat('WAIT', 0));
+  assert.strictEqual(tracker.getMission('m1').status, 'dispatched');
+
+  t.mock.timers.tick(10001);
+  const result = tracker.getMission('m1');
+  assert.strictEqual(result.status, 'failed');
+  assert.strictEqual(result.reason, 'dispatch_timeout');
+});
+
+test('无人机报告 STOP（如避障中止）时任务停止而不是完成', () => {
+  dispatch();
+  tracker.onHeartbeat(heartbeat('PLAN', 2));
+  tracker.onHeartbeat(heartbeat('STOP', 0));
+  const result = tracker.getMission('m1');
+  assert.strictEqual(result.status, 'stopped');
+  assert.strictEqual(result.reason, 'drone_stop');
+});
+
+test('降落指令中止当前任务', () => {
+  dispatch();
+  tracker.onHeartbeat(heartbeat('PLAN', 2));
+  tracker.onCommand({ action: 1 });
+  const result = tracker.getMission('m1');
+  assert.strictEqual(result.status, 'stopped');
+  assert.strictEqual(result.reason, 'command_land');
+
+  // 降落子任务的心跳不再影响已结束的任务
+  tracker.onHeartbeat(heartbeat('WAIT', 0));
+  assert.strictEqual(tracker.getMission('m1').status, 'stopped');
+});
+
+test('暂停、恢复和停止指令', () => {
+  dispatch();
+  tracker.onHeartbeat(heartbeat('PLAN', 2));
+  tracker.onExecution({ id: 'm1', action: 'PAUSE' });
+  assert.strictEqual(tracker.getMission('m1').status, 'paused');
+  tracker.onExecution({ id: 'm1', action: 'RESUME' });
+  assert.strictEqual(tracker.getMission('m1').status, 'executing');
+  tracker.onExecution({ id: 'm1', action: 3 });
+  const result = tracker.getMission('m1');
+  assert.strictEqual(result.status, 'stopped');
+  assert.strictEqual(result.reason, 'operator_stop');
+});
+
+test('新任务 START 时替换仍在执行的任务', () => {
+  dispatch();
+  tracker.onHeartbeat(heartbeat('PLAN', 2));
+  tracker.onMissionPublished({ id: 'm2', tasks: [{ land: {} }] });
+  tracker.onReceipt({ id: 'm2' });
+  tracker.onExecution({ id: 'm2', action: 'START' });
+  assert.strictEqual(tracker.getMission('m1').status, 'stopped');
+  assert.strictEqual(tracker.getMission('m1').reason, 'superseded');
+  assert.strictEqual(tracker.getState().activeMission.id, 'm2');
+});
+
+test('回执超时判定失败', () => {
+  tracker.onMissionPublished(mission);
+  tracker.onReceiptTimeout('m1');
+  const result = tracker.getMission('m1');
+  assert.strictEqual(result.status, 'failed');
+  assert.strictEqual(result.reason, 'receipt_timeout');
+});
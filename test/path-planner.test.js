@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const OccupancyGrid = require('../server/occupancy-grid');
+const PathPlanner = require('../server/path-planner');
+
+/**
+ * 8m × 8m 的空闲区域，x = 4m 处有一堵墙（y 从 0 到 wallTop）
+ */
+function buildGrid(wallTop) {
+  const grid = new OccupancyGrid(0.2);
+  for (let gx = 0; gx < 40; gx++) {
+    for (let gy = 0; gy < 40; gy++) {
+      grid.setOccupancy(gx, gy, 1);
+    }
+  }
+  for (let gy = 0; gy < Math.round(wallTop / 0.2); gy++) {
+    grid.setOccupancy(20, gy, -1);
+  }
+  grid.inflateObstacles();
+  return grid;
+}
+
+/**
+ * 沿路径每 5cm 采样，检查采样点都不在膨胀障碍物上
+ */
+function assertClear(grid, path) {
+  for (let i = 1; i < path.length; i++) {
+    const a = path[i - 1];
+    const b = path[i];
+    const steps = Math.ceil(Math.hypot(b.x - a.x, b.y - a.y) / 0.05);
+    for (let s = 0; s <= steps; s++) {
+      const x = a.x + (b.x - a.x) * s / steps;
+      const y = a.y + (b.y - a.y) * s / steps;
+      const cell = grid.worldToGrid(x, y);
+      assert.notStrictEqual(grid.getInflatedOccupancy(cell.x, cell.y), -1, `(${x.toFixed(2)}, ${y.toFixed(2)}) 在障碍物上`);
+    }
+  }
+}
+
+for (const algorithm of ['astar', 'theta']) {
+  test(`${algorithm}: 绕过墙从缺口通过`, () => {
+    const grid = buildGrid(6);
+    const planner = new PathPlanner({ algorithm });
+    const start = { x: 2, y: 1 };
+    const goal = { x: 6, y: 1 };
+    const result = planner.plan(grid, start, goal);
+
+    assert.strictEqual(result.success, true);
+    assert.deepStrictEqual(result.path[0], start);
+    assert.deepStrictEqual(result.path[result.path.length - 1], goal);
+    assertClear(grid, result.path);
+    // 必须经过墙顶（y > 6）的缺口，路径长度远大于直线距离
+    assert.ok(result.path.some(p => p.y > 6));
+    assert.ok(result.length > 10);
+    assert.ok(Math.abs(result.length - planner.pathLength(result.path)) < 1e-9);
+  });
+}
+
+test('墙完全隔断时返回 no_path', () => {
+  const grid = buildGrid(8);
+  const result = new PathPlanner().plan(grid, { x: 2, y: 1 }, { x: 6, y: 1 });
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.reason, 'no_path');
+  assert.deepStrictEqual(result.path, []);
+});
+
+test('终点在障碍物上时就近替代，超出容差时返回 goal_blocked', () => {
+  const grid = buildGrid(6);
+  const planner = new PathPlanner();
+
+  const nearWall = planner.plan(grid, { x: 2, y: 1 }, { x: 3.9, y: 1 });
+  assert.strictEqual(nearWall.success, true);
+  assertClear(grid, nearWall.path);
+
+  const outside = planner.plan(grid, { x: 2, y: 1 }, { x: 20, y: 1 });
+  assert.strictEqual(outside.success, false);
+  assert.strictEqual(outside.reason, 'goal_blocked');
+});
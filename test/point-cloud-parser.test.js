@@ -0,0 +1,107 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parsePointCloud, parsePointCloudInWorker } = require('../server/point-cloud-parser');
+
+const POINTS = [
+  { x: 1.5, y: -2, z: 0.25 },
+  { x: 3, y: 4, z: 5 }
+];
+
+function pcdHeader(data, { fields = 'x y z intensity', size = '4 4 4 4', type = 'F F F F', count = '1 1 1 1' } = {}) {
+  return [
+    '# .PCD v0.7 - Point Cloud Data file format',
+    'VERSION 0.7',
+    `FIELDS ${fields}`,
+    `SIZE ${size}`,
+    `TYPE ${type}`,
+    `COUNT ${count}`,
+    `WIDTH ${POINTS.length}`,
+    'HEIGHT 1',
+    'VIEWPOINT 0 0 0 1 0 0 0',
+    `POINTS ${POINTS.length}`,
+    `DATA ${data}`,
+    ''
+  ].join('\n');
+}
+
+test('ASCII PCD', () => {
+  const content = pcdHeader('ascii') + POINTS.map(p => `${p.x} ${p.y} ${p.z} 100`).join('\n');
+  assert.deepStrictEqual(parsePointCloud(content, 'pcd'), POINTS);
+});
+
+test('ASCII PCD 中 COUNT 大于1的字段占多列', () => {
+  const content = pcdHeader('ascii', { fields: 'normal x y z', size: '4 4 4 4', type: 'F F F F', count: '3 1 1 1' }) +
+    POINTS.map(p => `0 0 1 ${p.x} ${p.y} ${p.z}`).join('\n');
+  assert.deepStrictEqual(parsePointCloud(content, 'pcd'), POINTS);
+});
+
+test('binary PCD（按点存储，x/y/z 不在开头）', () => {
+  const body = Buffer.alloc(POINTS.length * 16);
+  POINTS.forEach((p, i) => {
+    body.writeUInt32LE(7, i * 16);  // rgb
+    body.writeFloatLE(p.x, i * 16 + 4);
+    body.writeFloatLE(p.y, i * 16 + 8);
+    body.writeFloatLE(p.z, i * 16 + 12);
+  });
+  const content = Buffer.concat([Buffer.from(pcdHeader('binary', { fields: 'rgb x y z', type: 'U F F F' })), body]);
+  assert.deepStrictEqual(parsePointCloud(content, 'pcd'), POINTS);
+});
+
+test('binary_compressed PCD（LZF 字面量）', () => {
+  // 解压后按字段存储: x x | y y | z z，每个字段 4 字节
+  const raw = Buffer.alloc(POINTS.length * 12);
+  ['x', 'y', 'z'].forEach((axis, a) => {
+    POINTS.forEach((p, i) => raw.writeFloatLE(p[axis], a * POINTS.length * 4 + i * 4));
+  });
+  // 整段作为一个字面量（不超过32字节）
+  const compressed = Buffer.concat([Buffer.from([raw.length - 1]), raw]);
+  const header = Buffer.alloc(8);
+  header.writeUInt32LE(compressed.length, 0);
+  header.writeUInt32LE(raw.length, 4);
+  const content = Buffer.concat([
+    Buffer.from(pcdHeader('binary_compressed', { fields: 'x y z', size: '4 4 4', type: 'F F F', count: '1 1 1' })),
+    header,
+    compressed
+  ]);
+  assert.deepStrictEqual(parsePointCloud(content, 'pcd'), POINTS);
+});
+
+test('binary_compressed PCD 回溯引用', () => {
+  // 两个点的 x 相同（1.0），第二个 x 由回溯引用复制：字面量 4 字节 + 引用（长度4，距离4）+ 字面量 16 字节
+  const same = [{ x: 1, y: 2, z: 3 }, { x: 1, y: 4, z: 5 }];
+  const raw = Buffer.alloc(24);
+  ['x', 'y', 'z'].forEach((axis, a) => {
+    same.forEach((p, i) => raw.writeFloatLE(p[axis], a * 8 + i * 4));
+  });
+  const compressed = Buffer.concat([
+    Buffer.from([3]), raw.subarray(0, 4),
+    Buffer.from([(4 - 2) << 5, 4 - 1]),
+    Buffer.from([15]), raw.subarray(8, 24)
+  ]);
+  const header = Buffer.alloc(8);
+  header.writeUInt32LE(compressed.length, 0);
+  header.writeUInt32LE(raw.length, 4);
+  const content = Buffer.concat([
+    Buffer.from(pcdHeader('binary_compressed', { fields: 'x y z', size: '4 4 4', type: 'F F F', count: '1 1 1' })),
+    header,
+    compressed
+  ]);
+  assert.deepStrictEqual(parsePointCloud(content, 'pcd'), same);
+});
+
+test('binary PCD 数据不足时报错', () => {
+  const content = Buffer.concat([Buffer.from(pcdHeader('binary')), Buffer.alloc(10)]);
+  assert.throws(() => parsePointCloud(content, 'pcd'), /数据长度不足/);
+});
+
+test('TXT 和 JSON，丢弃非数值坐标', () => {
+  assert.deepStrictEqual(parsePointCloud('# 注释\n1.5 -2 0.25 9\n3 4 5\nfoo bar baz\n', 'txt'), POINTS);
+  assert.deepStrictEqual(parsePointCloud(JSON.stringify({ points: [...POINTS, { x: 'a', y: 0, z: 0 }] }), 'json'), POINTS);
+  assert.throws(() => parsePointCloud('', 'ply'), /不支持的点云格式/);
+});
+
+test('在独立线程中解析', async () => {
+  const content = Buffer.from(pcdHeader('ascii') + POINTS.map(p => `${p.x} ${p.y} ${p.z} 100`).join('\n'));
+  assert.deepStrictEqual(await parsePointCloudInWorker(content, 'pcd'), POINTS);
+  await assert.rejects(parsePointCloudInWorker(Buffer.from('VERSION 0.7\n'), 'pcd'), /缺少 DATA 头/);
+});
@@ -0,0 +1,95 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const safetyEnvelope = require('../server/safety-envelope');
+
+const DEFAULTS = {
+  enabled: true,
+  geofence: [],
+  minAltitude: 0.3,
+  maxAltitude: 3.0,
+  maxLegLength: 20,
+  maxWaypointCount: 100,
+  noFlyZones: []
+};
+
+const waypoint = (x, y, z) => ({ autoPilot: { position: { x, y, z }, yaw: 0 } });
+const codes = errors => errors.map(e => e.code);
+
+beforeEach((t) => {
+  // 不写 server/data
+  t.mock.method(safetyEnvelope, 'save', () => {});
+  t.mock.method(console, 'log', () => {});
+  assert.ok(safetyEnvelope.updateEnvelope(DEFAULTS).success);
+  safetyEnvelope.save.mock.resetCalls();
+});
+
+test('接受有效的部分更新并只保存坐标字段', () => {
+  const result = safetyEnvelope.updateEnvelope({
+    maxAltitude: 5,
+    geofence: [{ x: 0, y: 0, label: 'a' }, { x: 10, y: 0 }, { x: 0, y: 10 }],
+    noFlyZones: [{ name: '机库', min: { x: 1, y: 1, z: 0, w: 1 }, max: { x: 2, y: 2, z: 3 }, color: 'red' }]
+  });
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.envelope.maxAltitude, 5);
+  assert.deepStrictEqual(result.envelope.geofence[0], { x: 0, y: 0 });
+  assert.deepStrictEqual(result.envelope.noFlyZones[0], {
+    name: '机库', min: { x: 1, y: 1, z: 0 }, max: { x: 2, y: 2, z: 3 }
+  });
+  assert.strictEqual(safetyEnvelope.save.mock.callCount(), 1);
+});
+
+test('拒绝未知字段、非布尔 enabled 和非对象，且不修改配置', () => {
+  for (const updates of [{ maxAltitude: 5, foo: 1 }, { toString: 1 }, { enabled: 'false' }, [], null]) {
+    const result = safetyEnvelope.updateEnvelope(updates);
+    assert.strictEqual(result.success, false, JSON.stringify(updates));
+    assert.ok(result.errors.length > 0);
+  }
+  assert.deepStrictEqual(safetyEnvelope.getEnvelope(), DEFAULTS);
+  assert.strictEqual(safetyEnvelope.save.mock.callCount(), 0);
+});
+
+test('拒绝无效的数值和区域', () => {
+  assert.strictEqual(safetyEnvelope.updateEnvelope({ minAltitude: 4 }).success, false);
+  assert.strictEqual(safetyEnvelope.updateEnvelope({ maxLegLength: 0 }).success, false);
+  assert.strictEqual(safetyEnvelope.updateEnvelope({ maxWaypointCount: 1.5 }).success, false);
+  assert.strictEqual(safetyEnvelope.updateEnvelope({ geofence: [{ x: 0, y: 0 }, { x: 1, y: 1 }] }).success, false);
+  assert.strictEqual(safetyEnvelope.updateEnvelope({
+    noFlyZones: [{ name: 1, min: { x: 0, y: 0, z: 0 }, max: { x: 1, y: 1, z: 1 } }]
+  }).success, false);
+  assert.strictEqual(safetyEnvelope.updateEnvelope({
+    noFlyZones: [{ min: { x: 1, y: 0, z: 0 }, max: { x: 0, y: 1, z: 1 } }]
+  }).success, false);
+});
+
+test('任务检查：高度、航段长度、禁飞区、围栏', () => {
+  safetyEnvelope.updateEnvelope({
+    geofence: [{ x: -1, y: -1 }, { x: 30, y: -1 }, { x: 30, y: 30 }, { x: -1, y: 30 }],
+    noFlyZones: [{ name: '禁区', min: { x: 4, y: 4, z: 0 }, max: { x: 6, y: 6, z: 3 } }]
+  });
+
+  const ok = { id: 'ok', tasks: [{ takeOff: {} }, waypoint(1, 1, 1), waypoint(2, 1, 1), { land: {} }] };
+  assert.deepStrictEqual(safetyEnvelope.checkMission(ok, { startPosition: { x: 0, y: 0, z: 0.5 } }), []);
+
+  assert.deepStrictEqual(codes(safetyEnvelope.checkMission({ id: 'a', tasks: [waypoint(1, 1, 5)] })), ['ALTITUDE']);
+  assert.deepStrictEqual(codes(safetyEnvelope.checkMission({ id: 'b', tasks: [waypoint(0, 0, 1), waypoint(25, 0, 1)] })),
+    ['LEG_LENGTH']);
+  assert.ok(codes(safetyEnvelope.checkMission({ id: 'c', tasks: [waypoint(5, 5, 1)] })).includes('NO_FLY_ZONE'));
+  // 两端都在禁飞区外但航段穿过禁飞区
+  assert.ok(codes(safetyEnvelope.checkMission({ id: 'd', tasks: [waypoint(3, 5, 1), waypoint(7, 5, 1)] })).includes('NO_FLY_ZONE'));
+  assert.ok(codes(safetyEnvelope.checkMission({ id: 'e', tasks: [waypoint(40, 0, 1)] })).includes('GEOFENCE'));
+  // 带错误的航点映射回子任务序号
+  const errors = safetyEnvelope.checkMission({ id: 'f', tasks: [{ takeOff: {} }, waypoint(1, 1, 1), waypoint(1, 1, 9)] });
+  assert.strictEqual(errors[0].taskIndex, 2);
+});
+
+test('航点数量上限，返航任务不受数量限制', () => {
+  safetyEnvelope.updateEnvelope({ maxWaypointCount: 2 });
+  const mission = { id: 'rth', tasks: [waypoint(1, 0, 1), waypoint(2, 0, 1), waypoint(3, 0, 1)] };
+  assert.deepStrictEqual(codes(safetyEnvelope.checkMission(mission)), ['WAYPOINT_COUNT']);
+  assert.deepStrictEqual(safetyEnvelope.checkMission(mission, { returnHome: true }), []);
+});
+
+test('关闭安全边界后不检查任务', () => {
+  safetyEnvelope.updateEnvelope({ enabled: false });
+  assert.deepStrictEqual(safetyEnvelope.checkMission({ id: 'x', tasks: [waypoint(0, 0, 50)] }), []);
+});
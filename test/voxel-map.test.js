@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const VoxelMap = require('../server/voxel-map');
+const OccupancyGrid = require('../server/occupancy-grid');
+
+const origin = { x: 0.1, y: 0.1, z: 1.1 };
+const wall = { x: 2.1, y: 0.1, z: 1.1 };
+
+test('光线经过的体素空闲，终点体素占据', () => {
+  const map = new VoxelMap();
+  map.insertPointCloud(origin, [wall]);
+
+  for (let x = 0.1; x < 2; x += 0.2) {
+    assert.strictEqual(map.getStateAt(x, 0.1, 1.1), 1, `x=${x.toFixed(1)}`);
+  }
+  assert.strictEqual(map.getStateAt(wall.x, wall.y, wall.z), -1);
+  // 墙后和光线以外仍为未知
+  assert.strictEqual(map.getStateAt(2.3, 0.1, 1.1), 0);
+  assert.strictEqual(map.getStateAt(1.1, 1.1, 1.1), 0);
+});
+
+test('超出最大测距的点只更新空闲，不记占据', () => {
+  const map = new VoxelMap({ maxRange: 1 });
+  map.insertPointCloud(origin, [wall]);
+  assert.strictEqual(map.getStateAt(0.5, 0.1, 1.1), 1);
+  assert.strictEqual(map.getStateAt(wall.x, wall.y, wall.z), 0);
+});
+
+test('按高度区间导出二维切片', () => {
+  const map = new VoxelMap();
+  map.insertPointCloud(origin, [wall]);
+
+  const grid = new OccupancyGrid(0.2);
+  map.exportSlice(grid, 0.5, 1.5, true);
+  const at = (x, y) => {
+    const cell = grid.worldToGrid(x, y);
+    return grid.getOccupancy(cell.x, cell.y);
+  };
+  assert.strictEqual(at(1.1, 0.1), 1);
+  assert.strictEqual(at(wall.x, wall.y), -1);
+
+  // 切片高度范围内没有观测
+  const high = new OccupancyGrid(0.2);
+  map.exportSlice(high, 2, 3, true);
+  assert.strictEqual(high.stats.free + high.stats.occupied, 0);
+});
+
+test('前沿体素只在高度范围内的未知空间旁', () => {
+  const map = new VoxelMap();
+  map.seedFree({ x: 0, y: 0 }, 0.5, 1, 1.2);
+  const frontiers = map.detectFrontiers({ center: { x: 0, y: 0 }, radius: 5, minZ: 1, maxZ: 1.2 });
+
+  assert.ok(frontiers.length > 0);
+  for (const f of frontiers) {
+    // 圆柱边缘一圈，内部体素四周都已空闲
+    assert.ok(Math.hypot(f.x, f.y) > 0.25, `(${f.x}, ${f.y})`);
+    assert.ok(f.z >= 1 && f.z <= 1.2);
+  }
+});
+
+test('体素导出后按偏移导入', () => {
+  const map = new VoxelMap();
+  map.insertPointCloud(origin, [wall]);
+
+  const copy = new VoxelMap();
+  copy.importVoxels(map.exportVoxels(), { x: 10, y: 0, z: 0 });
+  assert.strictEqual(copy.getStateAt(wall.x + 2, wall.y, wall.z), -1);
+  assert.strictEqual(copy.getStateAt(origin.x, origin.y, origin.z), 0);
+  assert.deepStrictEqual(copy.getStats(), map.getStats());
+});